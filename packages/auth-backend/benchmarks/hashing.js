@@ -0,0 +1,55 @@
+/**
+ * Password hashing benchmark
+ * Hashes a burst of passwords with bcrypt on the main thread and on the hash worker pool,
+ * reporting throughput and how long the event loop was blocked (what other requests wait)
+ *
+ * Usage: node benchmarks/hashing.js [requests] [workers]
+ */
+
+import os from 'os';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { hashPassword } from '../src/utils/password.js';
+import { closeHashWorkerPool } from '../src/utils/hashWorkerPool.js';
+import config from '../src/config/index.js';
+
+const requests = parseInt(process.argv[2], 10) || 50;
+const workers = parseInt(process.argv[3], 10) || Math.max(1, os.availableParallelism() - 1);
+
+async function run(label, options) {
+  const delay = monitorEventLoopDelay({ resolution: 10 });
+  const started = performance.now();
+
+  delay.enable();
+  await Promise.all(
+    Array.from({ length: requests }, (_, i) => hashPassword(`password-${i}`, options))
+  );
+  delay.disable();
+
+  const seconds = (performance.now() - started) / 1000;
+
+  return {
+    mode: label,
+    'hashes/s': Math.round(requests / seconds),
+    'total (ms)': Math.round(seconds * 1000),
+    'loop delay p99 (ms)': Math.round(delay.percentile(99) / 1e6),
+    'loop delay max (ms)': Math.round(delay.max / 1e6),
+  };
+}
+
+const base = {
+  ...config.security,
+  passwordHashAlgorithm: 'bcrypt',
+  hashQueueMax: requests,
+};
+
+console.log(
+  `${requests} concurrent bcrypt hashes (cost ${base.bcryptRounds}), ${os.availableParallelism()} CPUs\n`
+);
+
+const results = [
+  await run('main thread', { ...base, hashWorkers: 0 }),
+  await run(`${workers} worker(s)`, { ...base, hashWorkers: workers }),
+];
+
+console.table(results);
+await closeHashWorkerPool();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Signing key management CLI
+ * Manages the key store file set in JWT_KEYS_FILE (see utils/keySet). Running instances
+ * pick up changes within JWT_KEYS_REFRESH_INTERVAL.
+ *
+ * Usage:
+ *   auth-keys list
+ *   auth-keys import
+ *   auth-keys rotate [--use access|refresh|all] [--algorithm ES256] [--activate-in 10m]
+ *   auth-keys retire <kid>
+ */
+
+import { parseArgs } from 'util';
+import {
+  importSigningKeys,
+  listSigningKeys,
+  retireSigningKey,
+  rotateSigningKeys,
+} from '../src/utils/jwt.js';
+import { durationToSeconds } from '../src/utils/signingKeys.js';
+
+const USAGE = `Usage:
+  auth-keys list                  List the keys in JWT_KEYS_FILE
+  auth-keys import                Copy JWT_SECRET, JWT_REFRESH_SECRET and JWT_PRIVATE_KEY
+                                  into an empty key store
+  auth-keys rotate [options]      Add new signing keys and retire expired ones
+    --use <use>                   access, refresh or all (default)
+    --algorithm <alg>             Algorithm of the new keys (default: JWT_ALGORITHM for
+                                  access keys, HS256 for refresh keys)
+    --activate-in <duration>      Delay before the new keys sign, e.g. 10m
+                                  (default: JWT_KEY_ACTIVATION_DELAY)
+  auth-keys retire <kid>          Stop accepting tokens signed with a key at once`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    use: { type: 'string' },
+    algorithm: { type: 'string' },
+    'activate-in': { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+const [command, ...args] = positionals;
+
+try {
+  switch (values.help ? 'help' : command) {
+    case 'list':
+      console.table(listSigningKeys());
+      break;
+
+    case 'import':
+      console.table(importSigningKeys());
+      break;
+
+    case 'rotate': {
+      if (values.use && !['access', 'refresh', 'all'].includes(values.use)) {
+        throw new Error('--use must be access, refresh or all');
+      }
+
+      const rotated = rotateSigningKeys({
+        use: values.use,
+        algorithm: values.algorithm,
+        activationDelay:
+          values['activate-in'] === undefined
+            ? undefined
+            : durationToSeconds(values['activate-in']) * 1000,
+      });
+
+      console.table(rotated);
+      break;
+    }
+
+    case 'retire':
+      if (!args[0]) {
+        throw new Error('retire needs the kid of the key to retire');
+      }
+
+      retireSigningKey(args[0]);
+      console.log(`Retired key ${args[0]}`);
+      break;
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command && !values.help ? 1 : 0;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -7,6 +7,11 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  ASYMMETRIC_ALGORITHMS,
+  isAsymmetricAlgorithm,
+  isHmacAlgorithm,
+} from '../utils/signingKeys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,6 +51,26 @@ const config = {
       process.env.JWT_REFRESH_SECRET ||
       'default-refresh-secret-change-in-production',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    // Access token signing algorithm: HS256/384/512 (shared secret) or an asymmetric
+    // algorithm (RS256/384/512, PS256/384/512, ES256/384/512, EdDSA) signed with privateKey.
+    // Single-purpose tokens (MFA challenges, password change, ...) always use secret.
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    // Private key as PEM or JWK JSON, or a path to a file holding it
+    privateKey: process.env.JWT_PRIVATE_KEY || '',
+    privateKeyFile: process.env.JWT_PRIVATE_KEY_FILE || '',
+    // Key ID (kid) for the token header and JWKS; defaults to the key's JWK thumbprint
+    keyId: process.env.JWT_KEY_ID || '',
+    // Key set for rotation (see utils/keySet), replacing the single-key settings above:
+    // a JSON key store file managed with the auth-keys CLI, or an array of key definitions
+    keysFile: process.env.JWT_KEYS_FILE || '',
+    keys: process.env.JWT_KEYS || null,
+    // How often the key store file is re-read (ms)
+    keysRefreshInterval: parseInt(process.env.JWT_KEYS_REFRESH_INTERVAL ?? '60000', 10),
+    // Delay before a rotated key starts signing (ms); must exceed keysRefreshInterval and
+    // the JWKS cache lifetime (5 minutes) so every verifier knows the key first
+    keyActivationDelay: parseInt(process.env.JWT_KEY_ACTIVATION_DELAY ?? '600000', 10),
+    // Rotate the keys in keysFile this often (ms, 0 disables scheduled rotation)
+    keyRotationInterval: parseInt(process.env.JWT_KEY_ROTATION_INTERVAL ?? '0', 10),
   },
 
   // Email configuration
@@ -61,6 +86,25 @@ const config = {
     from: process.env.EMAIL_FROM || 'noreply@yourapp.com',
   },
 
+  // SMS configuration (for phone sign-in codes)
+  // transport: 'console', 'memory', or an object implementing send({ to, body })
+  sms: {
+    transport: process.env.SMS_TRANSPORT || 'console',
+    senderName: process.env.SMS_SENDER_NAME || 'Our Platform',
+  },
+
+  // Breached password screening (Have I Been Pwned "Pwned Passwords" corpus)
+  // checker: 'local' (offline corpus file), 'remote' (k-anonymity range API),
+  // an object implementing async check(password) => breach count, or empty to disable
+  breachedPasswords: {
+    checker: process.env.BREACHED_PASSWORDS_CHECKER || '',
+    action: process.env.BREACHED_PASSWORDS_ACTION || 'reject', // 'reject' or 'warn'
+    file: process.env.BREACHED_PASSWORDS_FILE || '', // one "SHA1:COUNT" line per hash
+    minCount: parseInt(process.env.BREACHED_PASSWORDS_MIN_COUNT, 10) || 1,
+    remoteUrl: process.env.BREACHED_PASSWORDS_REMOTE_URL || 'https://api.pwnedpasswords.com/range/',
+    remoteTimeout: parseInt(process.env.BREACHED_PASSWORDS_REMOTE_TIMEOUT, 10) || 5000,
+  },
+
   // Redis configuration
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
@@ -82,12 +126,24 @@ const config = {
 
   // OAuth configuration
   oauth: {
+    // Frontend page that receives tokens after a social login (defaults to `${frontendUrl}/oauth/callback`)
+    redirectUrl: process.env.OAUTH_REDIRECT_URL || '',
+    stateExpiresIn: parseInt(process.env.OAUTH_STATE_EXPIRES_IN, 10) || 600000, // 10 minutes
     google: {
       clientId: process.env.GOOGLE_CLIENT_ID || '',
       clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
       callbackUrl:
         process.env.GOOGLE_CALLBACK_URL ||
         'http://localhost:3000/api/auth/oauth/google/callback',
+      // Provider endpoints can be overridden, e.g. to point at a local stub server
+      authorizationUrl:
+        process.env.GOOGLE_AUTHORIZATION_URL ||
+        'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+      userInfoUrl:
+        process.env.GOOGLE_USERINFO_URL ||
+        'https://openidconnect.googleapis.com/v1/userinfo',
+      scope: 'openid email profile',
     },
     github: {
       clientId: process.env.GITHUB_CLIENT_ID || '',
@@ -95,24 +151,155 @@ const config = {
       callbackUrl:
         process.env.GITHUB_CALLBACK_URL ||
         'http://localhost:3000/api/auth/oauth/github/callback',
+      authorizationUrl:
+        process.env.GITHUB_AUTHORIZATION_URL ||
+        'https://github.com/login/oauth/authorize',
+      tokenUrl:
+        process.env.GITHUB_TOKEN_URL ||
+        'https://github.com/login/oauth/access_token',
+      userInfoUrl: process.env.GITHUB_USERINFO_URL || 'https://api.github.com/user',
+      emailsUrl:
+        process.env.GITHUB_EMAILS_URL || 'https://api.github.com/user/emails',
+      scope: 'read:user user:email',
     },
   },
 
+  // OpenID Connect relying-party configuration
+  // Each provider gets /oidc/:providerId/login and /oidc/:providerId/callback routes
+  oidc: {
+    providers: [
+      // {
+      //   id: 'okta',
+      //   issuer: 'https://example.okta.com',
+      //   clientId: '...',
+      //   clientSecret: '...',
+      //   callbackUrl: 'http://localhost:3000/api/auth/oidc/okta/callback',
+      //   mapClaims: (claims) => ({ id: claims.sub, email: claims.email, ... }),
+      // },
+    ],
+    discoveryCacheTtl: 3600000, // 1 hour
+    jwksCacheTtl: 3600000, // 1 hour
+    jwksRefreshInterval: 30000, // 30 seconds
+    clockTolerance: 60, // seconds
+  },
+
+  // OAuth 2.0 / OpenID Connect authorization server (see features.oauthServer)
+  // Other applications sign users in here with the authorization code flow and PKCE
+  oauthServer: {
+    // Issuer identifier: the URL the auth router is mounted at, e.g. https://auth.example.com/api/auth.
+    // Derived from each request when empty, which is only safe in development
+    issuer: process.env.OAUTH_SERVER_ISSUER || '',
+    // Frontend page that signs the user in and asks for consent (defaults to `${frontendUrl}/oauth/authorize`)
+    consentUrl: process.env.OAUTH_SERVER_CONSENT_URL || '',
+    authorizationCodeExpiresIn:
+      parseInt(process.env.OAUTH_SERVER_CODE_EXPIRES_IN, 10) || 60000, // 1 minute
+    idTokenExpiresIn: process.env.OAUTH_SERVER_ID_TOKEN_EXPIRES_IN || '1h',
+  },
+
+  // Machine clients (see features.clientCredentials)
+  // Services and jobs get access tokens with the client credentials grant
+  machineClients: {
+    // How long the old secret keeps working after a rotation, so deployments can switch over
+    secretRotationGracePeriod:
+      parseInt(process.env.MACHINE_CLIENT_SECRET_GRACE_PERIOD, 10) || 3600000, // 1 hour
+  },
+
+  // Personal API keys (see features.apiKeys)
+  apiKeys: {
+    // Keys look like `${keyPrefix}_<lookup>_<secret>`; a distinctive prefix lets secret scanners find leaked keys
+    keyPrefix: process.env.API_KEY_PREFIX || 'ak',
+    maxPerUser: parseInt(process.env.API_KEY_MAX_PER_USER, 10) || 20,
+  },
+
+  // Two-factor authentication configuration
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Our Platform', // Name shown in authenticator apps
+    totpWindow: parseInt(process.env.MFA_TOTP_WINDOW, 10) || 1, // Accepted 30s steps of clock drift
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT, 10) || 10,
+  },
+
+  // WebAuthn / passkey configuration
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Our Platform',
+    // Defaults to the hostname of frontendUrl
+    rpId: process.env.WEBAUTHN_RP_ID || '',
+    // Comma-separated list of allowed origins; defaults to frontendUrl
+    origins: process.env.WEBAUTHN_ORIGINS ? process.env.WEBAUTHN_ORIGINS.split(',') : [],
+    userVerification: process.env.WEBAUTHN_USER_VERIFICATION || 'preferred',
+    challengeExpiresIn: parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRES_IN, 10) || 300000, // 5 minutes
+  },
+
   // Feature flags
   features: {
     emailVerification: process.env.ENABLE_EMAIL_VERIFICATION === 'true',
     oauth: process.env.ENABLE_OAUTH === 'true',
     phoneAuth: process.env.ENABLE_PHONE_AUTH === 'true',
     magicLink: process.env.ENABLE_MAGIC_LINK === 'true',
+    registration: process.env.ENABLE_REGISTRATION !== 'false',
+    webauthn: process.env.ENABLE_WEBAUTHN === 'true',
+    oauthServer: process.env.ENABLE_OAUTH_SERVER === 'true',
+    clientCredentials: process.env.ENABLE_CLIENT_CREDENTIALS === 'true',
+    apiKeys: process.env.ENABLE_API_KEYS === 'true',
   },
 
   // Security configuration
   security: {
+    // Algorithm for new password hashes: 'bcrypt', 'scrypt' or 'argon2id'
+    // Existing hashes keep working and are upgraded on the next successful login
+    passwordHashAlgorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
+    scryptCost: parseInt(process.env.SCRYPT_COST, 10) || 15, // log2 of N
+    scryptBlockSize: parseInt(process.env.SCRYPT_BLOCK_SIZE, 10) || 8,
+    scryptParallelization: parseInt(process.env.SCRYPT_PARALLELIZATION, 10) || 1,
+    argon2MemoryCost: parseInt(process.env.ARGON2_MEMORY_COST, 10) || 65536, // KiB
+    argon2TimeCost: parseInt(process.env.ARGON2_TIME_COST, 10) || 3,
+    argon2Parallelism: parseInt(process.env.ARGON2_PARALLELISM, 10) || 4,
+    // Worker threads for CPU-bound hashing (bcrypt, PHPass); 0 hashes on the main thread
+    hashWorkers: parseInt(process.env.HASH_WORKERS ?? '2', 10),
+    // Hash requests that may wait for a free worker; beyond this they fail with 503
+    hashQueueMax: parseInt(process.env.HASH_QUEUE_MAX, 10) || 100,
     passwordResetExpiresIn:
       parseInt(process.env.PASSWORD_RESET_EXPIRES_IN, 10) || 3600000, // 1 hour
     emailVerificationExpiresIn:
       parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN, 10) || 86400000, // 24 hours
+    magicLinkExpiresIn:
+      parseInt(process.env.MAGIC_LINK_EXPIRES_IN, 10) || 900000, // 15 minutes
+    phoneCodeExpiresIn:
+      parseInt(process.env.PHONE_CODE_EXPIRES_IN, 10) || 300000, // 5 minutes
+    phoneCodeLength: parseInt(process.env.PHONE_CODE_LENGTH, 10) || 6,
+    phoneCodeMaxAttempts: parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS, 10) || 5,
+    mfaChallengeExpiresIn:
+      parseInt(process.env.MFA_CHALLENGE_EXPIRES_IN, 10) || 300000, // 5 minutes
+    // Wrong codes also count towards the lockout; a challenge is discarded after this many
+    mfaChallengeMaxAttempts: parseInt(process.env.MFA_CHALLENGE_MAX_ATTEMPTS, 10) || 5,
+    // Number of recent passwords (including the current one) that can't be reused; 0 disables
+    passwordHistory: parseInt(process.env.PASSWORD_HISTORY ?? '5', 10),
+    // Every maxLoginAttempts consecutive failures lock the account for the next duration
+    maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+    lockoutDurations: process.env.LOCKOUT_DURATIONS
+      ? process.env.LOCKOUT_DURATIONS.split(',').map((ms) => parseInt(ms, 10))
+      : [900000, 3600000, 86400000], // 15 minutes, 1 hour, 24 hours
+    unlockTokenExpiresIn:
+      parseInt(process.env.UNLOCK_TOKEN_EXPIRES_IN, 10) || 86400000, // 24 hours
+    // Email changes: the confirmation link goes to the new address, the revert link to the old one
+    emailChangeExpiresIn:
+      parseInt(process.env.EMAIL_CHANGE_EXPIRES_IN, 10) || 86400000, // 24 hours
+    emailChangeRevertExpiresIn:
+      parseInt(process.env.EMAIL_CHANGE_REVERT_EXPIRES_IN, 10) || 604800000, // 7 days
+    // Passwords older than this must be changed before the next login; 0 disables expiry
+    passwordMaxAge: parseInt(process.env.PASSWORD_MAX_AGE, 10) || 0,
+    passwordChangeTokenExpiresIn:
+      parseInt(process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN, 10) || 900000, // 15 minutes
+    // How long the previous refresh token keeps working after rotation, for concurrent
+    // refreshes from one client; replaying it later revokes the token family. 0 disables
+    refreshTokenGracePeriod: parseInt(process.env.REFRESH_TOKEN_GRACE_PERIOD ?? '10000', 10),
+    // How often expired sessions and auth tokens are deleted (ms). 0 disables
+    sessionCleanupInterval: parseInt(process.env.SESSION_CLEANUP_INTERVAL ?? '3600000', 10),
+    // Store for revoked access token IDs, e.g. new RedisTokenDenylist(redisClient) when running
+    // several instances; defaults to an in-memory store
+    tokenDenylist: null,
+    // How long a user's token version is cached when checking access tokens (ms). 0 disables
+    tokenVersionCacheTtl: parseInt(process.env.TOKEN_VERSION_CACHE_TTL ?? '5000', 10),
   },
 
   // Frontend URL (for email links)
@@ -129,6 +316,37 @@ const config = {
     verifyEmail: '/verify-email',
     profile: '/profile',
     resendVerification: '/resend-verification',
+    magicLink: '/magic-link',
+    magicLinkVerify: '/magic-link/verify',
+    phoneRequestCode: '/phone/request-code',
+    phoneVerifyCode: '/phone/verify-code',
+    mfaVerify: '/mfa/verify',
+    unlockAccount: '/unlock-account',
+    changeEmail: '/change-email',
+    confirmEmailChange: '/change-email/confirm',
+    revertEmailChange: '/change-email/revert',
+    adminUnlockUser: '/admin/users/:id/unlock',
+    adminMustChangePassword: '/admin/users/:id/must-change-password',
+    adminUserActive: '/admin/users/:id/active',
+    mfaTotpEnroll: '/mfa/totp/enroll',
+    mfaTotpConfirm: '/mfa/totp/confirm',
+    mfaTotpDisable: '/mfa/totp/disable',
+    mfaRecoveryCodes: '/mfa/recovery-codes',
+    webauthnRegisterOptions: '/webauthn/register/options',
+    webauthnRegisterVerify: '/webauthn/register/verify',
+    webauthnAuthenticateOptions: '/webauthn/authenticate/options',
+    webauthnAuthenticateVerify: '/webauthn/authenticate/verify',
+    webauthnCredentials: '/webauthn/credentials',
+    sessions: '/sessions',
+    jwks: '/.well-known/jwks.json',
+    openidConfiguration: '/.well-known/openid-configuration',
+    oauthServerAuthorize: '/oauth2/authorize',
+    oauthServerToken: '/oauth2/token',
+    oauthServerUserinfo: '/oauth2/userinfo',
+    adminOAuthClients: '/admin/oauth2/clients',
+    oauthToken: '/oauth/token',
+    adminMachineClients: '/admin/machine-clients',
+    apiKeys: '/api-keys',
   },
 
   // User schema configuration - additional fields that can be added to the user model
@@ -143,6 +361,10 @@ const config = {
     onLogout: null,
     onPasswordReset: null,
     onEmailVerified: null,
+    // Called with { type, userId, ... } when suspicious activity is detected
+    onSecurityEvent: null,
+    // Called with an IP address; returns a location label for the session list (e.g. GeoIP)
+    resolveSessionLocation: null,
   },
 };
 
@@ -159,13 +381,23 @@ export function mergeConfig(customConfig) {
     database: { ...config.database, ...customConfig.database },
     jwt: { ...config.jwt, ...customConfig.jwt },
     email: { ...config.email, ...customConfig.email },
+    sms: { ...config.sms, ...customConfig.sms },
+    breachedPasswords: { ...config.breachedPasswords, ...customConfig.breachedPasswords },
     redis: { ...config.redis, ...customConfig.redis },
     cors: { ...config.cors, ...customConfig.cors },
     rateLimit: { ...config.rateLimit, ...customConfig.rateLimit },
     oauth: {
+      ...config.oauth,
+      ...customConfig.oauth,
       google: { ...config.oauth.google, ...customConfig.oauth?.google },
       github: { ...config.oauth.github, ...customConfig.oauth?.github },
     },
+    oidc: { ...config.oidc, ...customConfig.oidc },
+    oauthServer: { ...config.oauthServer, ...customConfig.oauthServer },
+    machineClients: { ...config.machineClients, ...customConfig.machineClients },
+    apiKeys: { ...config.apiKeys, ...customConfig.apiKeys },
+    mfa: { ...config.mfa, ...customConfig.mfa },
+    webauthn: { ...config.webauthn, ...customConfig.webauthn },
     features: { ...config.features, ...customConfig.features },
     security: { ...config.security, ...customConfig.security },
     endpoints: { ...config.endpoints, ...customConfig.endpoints },
@@ -186,10 +418,33 @@ export function validateConfig(cfg) {
     errors.push('JWT_SECRET must be set in production');
   }
 
-  if (!cfg.jwt.refreshSecret || cfg.jwt.refreshSecret === 'default-refresh-secret-change-in-production') {
+  // Refresh tokens are signed with the key set instead when one is configured
+  if (
+    !cfg.jwt.keysFile &&
+    !cfg.jwt.keys &&
+    (!cfg.jwt.refreshSecret || cfg.jwt.refreshSecret === 'default-refresh-secret-change-in-production')
+  ) {
     errors.push('JWT_REFRESH_SECRET must be set in production');
   }
 
+  if (cfg.jwt.algorithm && !isHmacAlgorithm(cfg.jwt.algorithm)) {
+    if (!isAsymmetricAlgorithm(cfg.jwt.algorithm)) {
+      errors.push(`JWT_ALGORITHM must be HS256, HS384, HS512 or one of ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+    } else if (!cfg.jwt.privateKey && !cfg.jwt.privateKeyFile && !cfg.jwt.keysFile && !cfg.jwt.keys) {
+      errors.push(`JWT_PRIVATE_KEY or JWT_PRIVATE_KEY_FILE must be set to sign with ${cfg.jwt.algorithm}`);
+    }
+  }
+
+  if (cfg.features.oauthServer) {
+    if (!cfg.oauthServer.issuer) {
+      errors.push('OAUTH_SERVER_ISSUER must be set when the OAuth server is enabled');
+    }
+
+    if (isHmacAlgorithm(cfg.jwt.algorithm) && !cfg.jwt.keysFile && !cfg.jwt.keys) {
+      errors.push('JWT_ALGORITHM must be an asymmetric algorithm to sign ID tokens for the OAuth server');
+    }
+  }
+
   if (!cfg.database.url) {
     errors.push('DATABASE_URL must be set');
   }
@@ -198,6 +453,10 @@ export function validateConfig(cfg) {
     errors.push('Email credentials must be set when email verification is enabled');
   }
 
+  if (cfg.breachedPasswords?.checker === 'local' && !cfg.breachedPasswords.file) {
+    errors.push('BREACHED_PASSWORDS_FILE must be set when the local breached password checker is used');
+  }
+
   if (cfg.server.env === 'production' && errors.length > 0) {
     throw new Error(`Configuration errors:\n${errors.join('\n')}`);
   }
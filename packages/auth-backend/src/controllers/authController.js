@@ -5,7 +5,12 @@
  */
 
 import { AuthService } from '../services/authService.js';
-import { asyncHandler, sendSuccess, sendError } from '../utils/errors.js';
+import { AuthorizationServer } from '../services/authorizationServer.js';
+import { MachineClientService } from '../services/machineClientService.js';
+import { APIError, asyncHandler, sendSuccess, sendError } from '../utils/errors.js';
+import { getJwks } from '../utils/jwt.js';
+import { signOAuthState } from '../utils/oauth.js';
+import { compareTokenHashes } from '../utils/tokens.js';
 import {
   validate,
   registerSchema,
@@ -13,11 +18,112 @@ import {
   emailSchema,
   resetPasswordSchema,
   changePasswordSchema,
+  changeEmailSchema,
   updateProfileSchema,
   refreshTokenSchema,
   tokenSchema,
+  oauthCallbackSchema,
+  phoneSchema,
+  phoneCodeSchema,
+  totpCodeSchema,
+  mfaVerifySchema,
+  passwordConfirmSchema,
+  mustChangePasswordSchema,
+  userActiveSchema,
+  passkeyRegistrationSchema,
+  passkeyAuthenticationSchema,
+  passkeyRenameSchema,
+  oauthClientSchema,
+  oauthAuthorizeSchema,
+  machineClientSchema,
+  rotateClientSecretSchema,
+  apiKeySchema,
 } from '../utils/validation.js';
 
+// Holds the signed state of a social or OIDC sign-in in progress
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_BROWSER_MISMATCH_MESSAGE =
+  'Sign-in was started in another browser or has expired. Please try again.';
+
+/**
+ * Gets the client details recorded on sessions issued for a request
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+function getClient(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * Reads a cookie sent with a request
+ * Values are returned as sent; the cookies set here only hold URL-safe characters
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getCookie(req, name) {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const separator = pair.indexOf('=');
+
+    if (separator > 0 && pair.slice(0, separator).trim() === name) {
+      return pair.slice(separator + 1).trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads OAuth client credentials from HTTP Basic authentication (client_secret_basic) or
+ * the request body (client_secret_post)
+ * @param {Object} req - Express request
+ * @returns {Object} { clientId, clientSecret }
+ */
+function getClientCredentials(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    // Both parts are form-encoded before being joined (RFC 6749 section 2.3.1)
+    const formDecode = (value) => decodeURIComponent(value.replace(/\+/g, ' '));
+
+    if (separator < 0) {
+      return {};
+    }
+
+    try {
+      return {
+        clientId: formDecode(decoded.slice(0, separator)),
+        clientSecret: formDecode(decoded.slice(separator + 1)),
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return {
+    clientId: req.body?.client_id,
+    clientSecret: req.body?.client_secret,
+  };
+}
+
+/**
+ * Publishes the public keys access tokens are signed with (JWK Set, RFC 7517)
+ * GET /.well-known/jwks.json
+ * Served as a bare JWK Set, without the usual response envelope, so standard JWT
+ * libraries can fetch it directly
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export function jwksHandler(req, res) {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+}
+
 /**
  * Creates authentication controllers with database dependency
  * @param {Object} db - Database adapter instance
@@ -26,6 +132,97 @@ import {
  */
 export function createAuthController(db, config) {
   const authService = new AuthService(db, config);
+  const authorizationServer = new AuthorizationServer(db, authService, config);
+  const machineClientService = new MachineClientService(db, config);
+
+  /**
+   * Gets the OAuth server issuer identifier
+   * Falls back to the URL the router is mounted at when oauthServer.issuer isn't set
+   * @param {Object} req - Express request object
+   * @returns {string} Issuer
+   */
+  const getIssuer = (req) =>
+    config.oauthServer?.issuer || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  /**
+   * Redirects the browser back to the frontend after a social or OIDC login
+   * Tokens and errors are passed in the URL fragment so they never reach server logs
+   * @param {Object} res - Express response object
+   * @param {Object} params - Fragment parameters
+   */
+  const redirectToFrontend = (res, params) => {
+    const redirectUrl = config.oauth?.redirectUrl || `${config.frontendUrl}/oauth/callback`;
+    res.redirect(`${redirectUrl}#${new URLSearchParams(params).toString()}`);
+  };
+
+  /**
+   * Cookie options for the social and OIDC sign-in state cookie
+   * The cookie is scoped to the router, which also serves the callbacks
+   * @param {Object} req - Express request object
+   * @returns {Object} Cookie options
+   */
+  const getOAuthStateCookieOptions = (req) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: req.baseUrl || '/',
+  });
+
+  /**
+   * Ties a social or OIDC sign-in to the browser that starts it
+   * The cookie holds a signature of the state sent to the provider, so a callback URL from a
+   * flow started in another browser is refused (login CSRF)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} authorizationUrl - Provider authorization URL, which carries the state
+   */
+  const setOAuthStateCookie = (req, res, authorizationUrl) => {
+    const state = new URL(authorizationUrl).searchParams.get('state');
+
+    res.cookie(OAUTH_STATE_COOKIE, signOAuthState(state, config.jwt.secret), {
+      ...getOAuthStateCookieOptions(req),
+      maxAge: config.oauth.stateExpiresIn,
+    });
+  };
+
+  /**
+   * Reads and clears the sign-in state cookie at the callback
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {string|null} State signature set when the sign-in started
+   */
+  const takeOAuthStateCookie = (req, res) => {
+    const signature = getCookie(req, OAUTH_STATE_COOKIE);
+
+    res.clearCookie(OAUTH_STATE_COOKIE, getOAuthStateCookieOptions(req));
+
+    return signature;
+  };
+
+  /**
+   * Gets the message passed to the frontend when a social or OIDC sign-in fails
+   * Only messages of our own errors are shown; anything else is logged
+   * @param {Error} err - Error thrown while completing the sign-in
+   * @returns {string} Error message
+   */
+  const getSignInErrorMessage = (err) => {
+    if (err instanceof APIError) {
+      return err.message;
+    }
+
+    console.error('Sign-in callback error:', err);
+
+    return 'Sign-in failed. Please try again.';
+  };
+
+  /**
+   * Checks that a callback's state belongs to the sign-in started in this browser
+   * @param {string} state - State returned by the provider
+   * @param {string|null} signature - Signature from the state cookie
+   * @returns {boolean} True if the state matches the cookie
+   */
+  const isOAuthStateFromBrowser = (state, signature) =>
+    compareTokenHashes(signOAuthState(state, config.jwt.secret), signature);
 
   return {
     /**
@@ -39,7 +236,7 @@ export function createAuthController(db, config) {
         return sendError(res, 'Validation failed', 400, error);
       }
 
-      const result = await authService.register(value);
+      const result = await authService.register(value, getClient(req));
 
       sendSuccess(res, result, 201, 'User registered successfully');
     }),
@@ -55,7 +252,45 @@ export function createAuthController(db, config) {
         return sendError(res, 'Validation failed', 400, error);
       }
 
-      const result = await authService.login(value.email, value.password);
+      const result = await authService.login(
+        value.email,
+        value.password,
+        getClient(req)
+      );
+
+      if (result.mfaRequired) {
+        return sendSuccess(res, result, 200, 'Two-factor authentication required');
+      }
+
+      if (result.passwordChangeRequired) {
+        return sendSuccess(res, result, 200, 'Password change required');
+      }
+
+      sendSuccess(res, result, 200, 'Login successful');
+    }),
+
+    /**
+     * Complete login with a second factor
+     * POST /mfa/verify
+     */
+    verifyMfa: asyncHandler(async (req, res) => {
+      const { error, value } = validate(mfaVerifySchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = value.recoveryCode
+        ? await authService.verifyMfaRecoveryCode(
+            value.mfaToken,
+            value.recoveryCode,
+            getClient(req)
+          )
+        : await authService.verifyMfa(value.mfaToken, value.code, getClient(req));
+
+      if (result.passwordChangeRequired) {
+        return sendSuccess(res, result, 200, 'Password change required');
+      }
 
       sendSuccess(res, result, 200, 'Login successful');
     }),
@@ -71,7 +306,10 @@ export function createAuthController(db, config) {
         return sendError(res, 'Refresh token is required', 400);
       }
 
-      await authService.logout(req.user.id, refreshToken);
+      await authService.logout(req.user.id, refreshToken, {
+        id: req.user.tokenId,
+        expiresAt: req.user.tokenExpiresAt,
+      });
 
       sendSuccess(res, null, 200, 'Logout successful');
     }),
@@ -86,6 +324,26 @@ export function createAuthController(db, config) {
       sendSuccess(res, null, 200, 'Logged out from all devices');
     }),
 
+    /**
+     * List the current user's active sessions
+     * GET /sessions
+     */
+    listSessions: asyncHandler(async (req, res) => {
+      const sessions = await authService.listSessions(req.user.id, req.user.sessionId);
+
+      sendSuccess(res, { sessions }, 200, 'Sessions retrieved successfully');
+    }),
+
+    /**
+     * Revoke one of the current user's sessions
+     * DELETE /sessions/:id
+     */
+    revokeSession: asyncHandler(async (req, res) => {
+      await authService.revokeSession(req.user.id, req.params.id);
+
+      sendSuccess(res, null, 200, 'Session revoked successfully');
+    }),
+
     /**
      * Refresh access token
      * POST /refresh
@@ -97,7 +355,10 @@ export function createAuthController(db, config) {
         return sendError(res, 'Validation failed', 400, error);
       }
 
-      const result = await authService.refreshToken(value.refreshToken);
+      const result = await authService.refreshToken(
+        value.refreshToken,
+        getClient(req)
+      );
 
       sendSuccess(res, result, 200, 'Token refreshed successfully');
     }),
@@ -118,6 +379,67 @@ export function createAuthController(db, config) {
       sendSuccess(res, { user }, 200, 'Email verified successfully');
     }),
 
+    /**
+     * Unlock a locked account with the emailed link
+     * POST /unlock-account
+     */
+    unlockAccount: asyncHandler(async (req, res) => {
+      const { error, value } = validate(tokenSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      await authService.unlockAccount(value.token);
+
+      sendSuccess(res, null, 200, 'Account unlocked successfully');
+    }),
+
+    /**
+     * Unlock a user's account (admin only)
+     * POST /admin/users/:id/unlock
+     */
+    unlockUser: asyncHandler(async (req, res) => {
+      const user = await authService.unlockUser(req.params.id);
+
+      sendSuccess(res, { user }, 200, 'Account unlocked successfully');
+    }),
+
+    /**
+     * Require (or stop requiring) a password change at next login (admin only)
+     * POST /admin/users/:id/must-change-password
+     */
+    setMustChangePassword: asyncHandler(async (req, res) => {
+      const { error, value } = validate(mustChangePasswordSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const user = await authService.setMustChangePassword(
+        req.params.id,
+        value.mustChangePassword
+      );
+
+      sendSuccess(res, { user }, 200, 'Password change requirement updated');
+    }),
+
+    /**
+     * Activate or deactivate a user's account (admin only)
+     * POST /admin/users/:id/active
+     */
+    setUserActive: asyncHandler(async (req, res) => {
+      const { error, value } = validate(userActiveSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const user = await authService.setUserActive(req.params.id, value.isActive);
+
+      sendSuccess(res, { user }, 200, 'Account status updated');
+    }),
+
     /**
      * Resend verification email
      * POST /resend-verification
@@ -167,13 +489,13 @@ export function createAuthController(db, config) {
         return sendError(res, 'Validation failed', 400, error);
       }
 
-      await authService.resetPassword(value.token, value.password);
+      const result = await authService.resetPassword(value.token, value.password);
 
-      sendSuccess(res, null, 200, 'Password reset successfully');
+      sendSuccess(res, result || null, 200, 'Password reset successfully');
     }),
 
     /**
-     * Change password (when logged in)
+     * Change password (when logged in, or with a password change token from login)
      * POST /change-password
      */
     changePassword: asyncHandler(async (req, res) => {
@@ -183,13 +505,420 @@ export function createAuthController(db, config) {
         return sendError(res, 'Validation failed', 400, error);
       }
 
-      await authService.changePassword(
+      // A required change completes the login that was held back
+      if (req.user.passwordChangeRequired) {
+        const result = await authService.completeRequiredPasswordChange(
+          req.user.id,
+          value.currentPassword,
+          value.newPassword,
+          getClient(req)
+        );
+
+        return sendSuccess(res, result, 200, 'Password changed successfully');
+      }
+
+      const result = await authService.changePassword(
         req.user.id,
         value.currentPassword,
         value.newPassword
       );
 
-      sendSuccess(res, null, 200, 'Password changed successfully');
+      sendSuccess(res, result || null, 200, 'Password changed successfully');
+    }),
+
+    /**
+     * Start TOTP enrollment
+     * POST /mfa/totp/enroll
+     */
+    enrollTotp: asyncHandler(async (req, res) => {
+      const result = await authService.enrollTotp(req.user.id);
+
+      sendSuccess(
+        res,
+        result,
+        200,
+        'Scan the code with your authenticator app, then confirm with a code'
+      );
+    }),
+
+    /**
+     * Confirm TOTP enrollment
+     * POST /mfa/totp/confirm
+     */
+    confirmTotp: asyncHandler(async (req, res) => {
+      const { error, value } = validate(totpCodeSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authService.confirmTotp(req.user.id, value.code);
+
+      sendSuccess(res, result, 200, 'Two-factor authentication enabled');
+    }),
+
+    /**
+     * Disable TOTP
+     * POST /mfa/totp/disable
+     */
+    disableTotp: asyncHandler(async (req, res) => {
+      const { error, value } = validate(passwordConfirmSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const user = await authService.disableTotp(req.user.id, value.password);
+
+      sendSuccess(res, { user }, 200, 'Two-factor authentication disabled');
+    }),
+
+    /**
+     * Regenerate MFA recovery codes
+     * POST /mfa/recovery-codes
+     */
+    regenerateRecoveryCodes: asyncHandler(async (req, res) => {
+      const { error, value } = validate(passwordConfirmSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const recoveryCodes = await authService.regenerateRecoveryCodes(req.user.id, value.password);
+
+      sendSuccess(res, { recoveryCodes }, 200, 'Recovery codes regenerated');
+    }),
+
+    /**
+     * Get passkey registration options
+     * POST /webauthn/register/options
+     */
+    passkeyRegistrationOptions: asyncHandler(async (req, res) => {
+      const options = await authService.generatePasskeyRegistrationOptions(req.user.id);
+
+      sendSuccess(res, options, 200, 'Registration options created');
+    }),
+
+    /**
+     * Verify and store a new passkey
+     * POST /webauthn/register/verify
+     */
+    verifyPasskeyRegistration: asyncHandler(async (req, res) => {
+      const { error, value } = validate(passkeyRegistrationSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const passkey = await authService.verifyPasskeyRegistration(
+        req.user.id,
+        value.credential,
+        value.name
+      );
+
+      sendSuccess(res, { passkey }, 201, 'Passkey registered successfully');
+    }),
+
+    /**
+     * Get passkey sign-in options
+     * POST /webauthn/authenticate/options
+     */
+    passkeyAuthenticationOptions: asyncHandler(async (req, res) => {
+      const options = await authService.generatePasskeyAuthenticationOptions();
+
+      sendSuccess(res, options, 200, 'Authentication options created');
+    }),
+
+    /**
+     * Sign in with a passkey
+     * POST /webauthn/authenticate/verify
+     */
+    verifyPasskeyAuthentication: asyncHandler(async (req, res) => {
+      const { error, value } = validate(passkeyAuthenticationSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authService.verifyPasskeyAuthentication(
+        value.credential,
+        getClient(req)
+      );
+
+      sendSuccess(res, result, 200, 'Login successful');
+    }),
+
+    /**
+     * List the current user's passkeys
+     * GET /webauthn/credentials
+     */
+    listPasskeys: asyncHandler(async (req, res) => {
+      const passkeys = await authService.listPasskeys(req.user.id);
+
+      sendSuccess(res, { passkeys }, 200, 'Passkeys retrieved successfully');
+    }),
+
+    /**
+     * Rename a passkey
+     * PATCH /webauthn/credentials/:id
+     */
+    renamePasskey: asyncHandler(async (req, res) => {
+      const { error, value } = validate(passkeyRenameSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const passkey = await authService.renamePasskey(req.user.id, req.params.id, value.name);
+
+      sendSuccess(res, { passkey }, 200, 'Passkey renamed successfully');
+    }),
+
+    /**
+     * Delete a passkey
+     * DELETE /webauthn/credentials/:id
+     */
+    deletePasskey: asyncHandler(async (req, res) => {
+      await authService.deletePasskey(req.user.id, req.params.id);
+
+      sendSuccess(res, null, 200, 'Passkey deleted successfully');
+    }),
+
+    /**
+     * Create a personal API key
+     * POST /api-keys
+     */
+    createApiKey: asyncHandler(async (req, res) => {
+      const { error, value } = validate(apiKeySchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authService.createApiKey(req.user.id, value);
+
+      sendSuccess(res, result, 201, 'API key created successfully');
+    }),
+
+    /**
+     * List the current user's API keys
+     * GET /api-keys
+     */
+    listApiKeys: asyncHandler(async (req, res) => {
+      const apiKeys = await authService.listApiKeys(req.user.id);
+
+      sendSuccess(res, { apiKeys }, 200, 'API keys retrieved successfully');
+    }),
+
+    /**
+     * Revoke an API key
+     * DELETE /api-keys/:id
+     */
+    revokeApiKey: asyncHandler(async (req, res) => {
+      await authService.revokeApiKey(req.user.id, req.params.id);
+
+      sendSuccess(res, null, 200, 'API key revoked successfully');
+    }),
+
+    /**
+     * Request a magic sign-in link
+     * POST /magic-link
+     */
+    requestMagicLink: asyncHandler(async (req, res) => {
+      const { error, value } = validate(emailSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      await authService.requestMagicLink(value.email);
+
+      // Always return success to prevent email enumeration
+      sendSuccess(
+        res,
+        null,
+        200,
+        'If sign-in by link is available for that email, a link has been sent'
+      );
+    }),
+
+    /**
+     * Sign in with a magic link token
+     * POST /magic-link/verify
+     */
+    verifyMagicLink: asyncHandler(async (req, res) => {
+      const { error, value } = validate(tokenSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authService.consumeMagicLink(
+        value.token,
+        getClient(req)
+      );
+
+      if (result.mfaRequired) {
+        return sendSuccess(res, result, 200, 'Two-factor authentication required');
+      }
+
+      sendSuccess(res, result, 200, 'Login successful');
+    }),
+
+    /**
+     * Request an SMS sign-in code
+     * POST /phone/request-code
+     */
+    requestPhoneCode: asyncHandler(async (req, res) => {
+      const { error, value } = validate(phoneSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      await authService.requestPhoneCode(value.phone);
+
+      // Always return success to prevent phone enumeration
+      sendSuccess(
+        res,
+        null,
+        200,
+        'If that number is registered, a sign-in code has been sent'
+      );
+    }),
+
+    /**
+     * Sign in with an SMS code
+     * POST /phone/verify-code
+     */
+    verifyPhoneCode: asyncHandler(async (req, res) => {
+      const { error, value } = validate(phoneCodeSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authService.verifyPhoneCode(
+        value.phone,
+        value.code,
+        getClient(req)
+      );
+
+      if (result.mfaRequired) {
+        return sendSuccess(res, result, 200, 'Two-factor authentication required');
+      }
+
+      sendSuccess(res, result, 200, 'Login successful');
+    }),
+
+    /**
+     * Start social login
+     * GET /oauth/:provider
+     */
+    startOAuth: asyncHandler(async (req, res) => {
+      const authorizationUrl = await authService.startOAuth(req.params.provider);
+
+      setOAuthStateCookie(req, res, authorizationUrl);
+      res.redirect(authorizationUrl);
+    }),
+
+    /**
+     * Social login callback
+     * GET /oauth/:provider/callback
+     */
+    oauthCallback: asyncHandler(async (req, res) => {
+      const stateSignature = takeOAuthStateCookie(req, res);
+
+      if (req.query.error) {
+        return redirectToFrontend(res, {
+          error: req.query.error_description || req.query.error,
+        });
+      }
+
+      const { error, value } = validate(oauthCallbackSchema, req.query);
+
+      if (error) {
+        return redirectToFrontend(res, { error: error[0].message });
+      }
+
+      if (!isOAuthStateFromBrowser(value.state, stateSignature)) {
+        return redirectToFrontend(res, { error: OAUTH_BROWSER_MISMATCH_MESSAGE });
+      }
+
+      try {
+        const result = await authService.completeOAuth(
+          req.params.provider,
+          value.code,
+          value.state,
+          getClient(req)
+        );
+
+        if (result.mfaRequired) {
+          return redirectToFrontend(res, { mfaToken: result.mfaToken });
+        }
+
+        redirectToFrontend(res, {
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken,
+        });
+      } catch (err) {
+        redirectToFrontend(res, { error: getSignInErrorMessage(err) });
+      }
+    }),
+
+    /**
+     * Start OpenID Connect sign-in
+     * GET /oidc/:providerId/login
+     */
+    startOidc: asyncHandler(async (req, res) => {
+      const authorizationUrl = await authService.startOidc(req.params.providerId);
+
+      setOAuthStateCookie(req, res, authorizationUrl);
+      res.redirect(authorizationUrl);
+    }),
+
+    /**
+     * OpenID Connect callback
+     * GET /oidc/:providerId/callback
+     */
+    oidcCallback: asyncHandler(async (req, res) => {
+      const stateSignature = takeOAuthStateCookie(req, res);
+
+      if (req.query.error) {
+        return redirectToFrontend(res, {
+          error: req.query.error_description || req.query.error,
+        });
+      }
+
+      const { error, value } = validate(oauthCallbackSchema, req.query);
+
+      if (error) {
+        return redirectToFrontend(res, { error: error[0].message });
+      }
+
+      if (!isOAuthStateFromBrowser(value.state, stateSignature)) {
+        return redirectToFrontend(res, { error: OAUTH_BROWSER_MISMATCH_MESSAGE });
+      }
+
+      try {
+        const result = await authService.completeOidc(
+          req.params.providerId,
+          value.code,
+          value.state,
+          getClient(req)
+        );
+
+        if (result.mfaRequired) {
+          return redirectToFrontend(res, { mfaToken: result.mfaToken });
+        }
+
+        redirectToFrontend(res, {
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken,
+        });
+      } catch (err) {
+        redirectToFrontend(res, { error: getSignInErrorMessage(err) });
+      }
     }),
 
     /**
@@ -218,6 +947,54 @@ export function createAuthController(db, config) {
       sendSuccess(res, { user }, 200, 'Profile updated successfully');
     }),
 
+    /**
+     * Start an email change; a confirmation link is sent to the new address
+     * POST /change-email
+     */
+    changeEmail: asyncHandler(async (req, res) => {
+      const { error, value } = validate(changeEmailSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      await authService.requestEmailChange(req.user.id, value.currentPassword, value.newEmail);
+
+      sendSuccess(res, null, 200, 'Confirmation link sent to the new email address');
+    }),
+
+    /**
+     * Confirm an email change with the link sent to the new address
+     * POST /change-email/confirm
+     */
+    confirmEmailChange: asyncHandler(async (req, res) => {
+      const { error, value } = validate(tokenSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const user = await authService.confirmEmailChange(value.token);
+
+      sendSuccess(res, { user }, 200, 'Email changed successfully');
+    }),
+
+    /**
+     * Revert an email change with the link sent to the previous address
+     * POST /change-email/revert
+     */
+    revertEmailChange: asyncHandler(async (req, res) => {
+      const { error, value } = validate(tokenSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      await authService.revertEmailChange(value.token);
+
+      sendSuccess(res, null, 200, 'Email change reverted and all sessions signed out');
+    }),
+
     /**
      * Get current user (from token)
      * GET /me
@@ -241,5 +1018,182 @@ export function createAuthController(db, config) {
 
       sendSuccess(res, { status: 'ok', database: 'connected' }, 200, 'Service is healthy');
     }),
+
+    /**
+     * Public signing keys
+     * GET /.well-known/jwks.json
+     */
+    jwks: jwksHandler,
+
+    /**
+     * OpenID Connect discovery document
+     * GET /.well-known/openid-configuration
+     */
+    openidConfiguration: asyncHandler(async (req, res) => {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(authorizationServer.getDiscoveryDocument(getIssuer(req)));
+    }),
+
+    /**
+     * Start an OAuth authorization request (browser redirect from a client application)
+     * GET /oauth2/authorize
+     */
+    startOAuthServerAuthorization: asyncHandler(async (req, res) => {
+      res.redirect(await authorizationServer.startAuthorization(req.query, getIssuer(req)));
+    }),
+
+    /**
+     * Authorize a client for the signed-in user, or report that consent is needed
+     * POST /oauth2/authorize
+     */
+    authorizeOAuthClient: asyncHandler(async (req, res) => {
+      const { error, value } = validate(oauthAuthorizeSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const { decision, ...params } = value;
+      const result = await authorizationServer.authorize(
+        req.user,
+        params,
+        decision,
+        getIssuer(req)
+      );
+
+      sendSuccess(res, result, 200, result.consentRequired ? 'Consent required' : 'Authorized');
+    }),
+
+    /**
+     * Exchange an authorization code or refresh token for tokens
+     * POST /oauth2/token
+     * Responds in the OAuth 2.0 format rather than the usual envelope
+     */
+    oauthServerToken: asyncHandler(async (req, res) => {
+      const tokens = await authorizationServer.exchangeToken(
+        req.body || {},
+        getClientCredentials(req),
+        getIssuer(req),
+        getClient(req)
+      );
+
+      res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+      res.json(tokens);
+    }),
+
+    /**
+     * Claims about the user an OAuth client's access token was issued for
+     * GET/POST /oauth2/userinfo
+     */
+    oauthServerUserinfo: asyncHandler(async (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.json(await authorizationServer.getUserInfo(req.user.id, req.oauth.scopes));
+    }),
+
+    /**
+     * Register an OAuth client (admin only)
+     * POST /admin/oauth2/clients
+     */
+    createOAuthClient: asyncHandler(async (req, res) => {
+      const { error, value } = validate(oauthClientSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await authorizationServer.registerClient(value);
+
+      sendSuccess(res, result, 201, 'OAuth client registered successfully');
+    }),
+
+    /**
+     * List OAuth clients (admin only)
+     * GET /admin/oauth2/clients
+     */
+    listOAuthClients: asyncHandler(async (req, res) => {
+      const clients = await authorizationServer.listClients();
+
+      sendSuccess(res, { clients }, 200, 'OAuth clients retrieved successfully');
+    }),
+
+    /**
+     * Delete an OAuth client (admin only)
+     * DELETE /admin/oauth2/clients/:clientId
+     */
+    deleteOAuthClient: asyncHandler(async (req, res) => {
+      await authorizationServer.deleteClient(req.params.clientId);
+
+      sendSuccess(res, null, 200, 'OAuth client deleted');
+    }),
+
+    /**
+     * Issue an access token to a machine client (client credentials grant)
+     * POST /oauth/token
+     * Responds in the OAuth 2.0 format rather than the usual envelope
+     */
+    clientCredentialsToken: asyncHandler(async (req, res) => {
+      const token = await machineClientService.issueToken(
+        req.body || {},
+        getClientCredentials(req)
+      );
+
+      res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+      res.json(token);
+    }),
+
+    /**
+     * Register a machine client (admin only)
+     * POST /admin/machine-clients
+     */
+    createMachineClient: asyncHandler(async (req, res) => {
+      const { error, value } = validate(machineClientSchema, req.body);
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await machineClientService.registerClient(value);
+
+      sendSuccess(res, result, 201, 'Machine client registered successfully');
+    }),
+
+    /**
+     * List machine clients (admin only)
+     * GET /admin/machine-clients
+     */
+    listMachineClients: asyncHandler(async (req, res) => {
+      const clients = await machineClientService.listClients();
+
+      sendSuccess(res, { clients }, 200, 'Machine clients retrieved successfully');
+    }),
+
+    /**
+     * Rotate a machine client's secret (admin only)
+     * POST /admin/machine-clients/:clientId/rotate-secret
+     */
+    rotateMachineClientSecret: asyncHandler(async (req, res) => {
+      const { error, value } = validate(rotateClientSecretSchema, req.body || {});
+
+      if (error) {
+        return sendError(res, 'Validation failed', 400, error);
+      }
+
+      const result = await machineClientService.rotateSecret(
+        req.params.clientId,
+        value.gracePeriod
+      );
+
+      sendSuccess(res, result, 200, 'Client secret rotated successfully');
+    }),
+
+    /**
+     * Revoke a machine client (admin only)
+     * DELETE /admin/machine-clients/:clientId
+     */
+    revokeMachineClient: asyncHandler(async (req, res) => {
+      const client = await machineClientService.revokeClient(req.params.clientId);
+
+      sendSuccess(res, { client }, 200, 'Machine client revoked');
+    }),
   };
 }
@@ -8,11 +8,62 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import { createAuthRouter as buildAuthRoutes } from './routes/auth.js';
+import { jwksHandler } from './controllers/authController.js';
 import { getDatabase } from './models/adapters/index.js';
 import { errorHandler } from './utils/errors.js';
+import { rotateSigningKeys } from './utils/jwt.js';
 import { generalLimiter } from './middleware/rateLimiter.js';
 import config, { mergeConfig, validateConfig } from './config/index.js';
 
+/**
+ * Periodically deletes expired sessions and expired one-time auth tokens
+ * The timer doesn't keep the process alive
+ * @param {Object} db - Database adapter instance
+ * @param {Object} config - Configuration object
+ */
+function scheduleSessionCleanup(db, config) {
+  const interval = config.security.sessionCleanupInterval;
+
+  if (!interval) {
+    return;
+  }
+
+  setInterval(() => {
+    db.deleteExpiredSessions().catch((error) =>
+      console.error('Failed to clean up expired sessions:', error)
+    );
+    db.deleteExpiredAuthTokens().catch((error) =>
+      console.error('Failed to clean up expired auth tokens:', error)
+    );
+  }, interval).unref();
+}
+
+/**
+ * Periodically rotates the signing keys in the key store (jwt.keysFile)
+ * Each run also retires superseded keys whose tokens have expired. With several
+ * instances, enable this on one of them or run `auth-keys rotate` from a scheduler.
+ * The timer doesn't keep the process alive
+ * @param {Object} config - Configuration object
+ */
+function scheduleKeyRotation(config) {
+  const interval = config.jwt.keyRotationInterval;
+
+  if (!interval || !config.jwt.keysFile) {
+    return;
+  }
+
+  const rotate = () => {
+    try {
+      rotateSigningKeys({ olderThan: interval });
+    } catch (error) {
+      console.error('Failed to rotate signing keys:', error);
+    }
+  };
+
+  rotate();
+  setInterval(rotate, Math.min(interval, 3600000)).unref();
+}
+
 /**
  * Creates and configures the authentication router
  * This is the main function to integrate the auth module into your Express app
@@ -55,6 +106,9 @@ export async function createAuthRouter(customConfig = {}) {
   // Initialize database schema
   await db.initialize();
 
+  scheduleSessionCleanup(db, finalConfig);
+  scheduleKeyRotation(finalConfig);
+
   // Create router
   const router = buildAuthRoutes(db, finalConfig);
 
@@ -113,10 +167,16 @@ export async function createAuthApp(customConfig = {}) {
   // Initialize database schema
   await db.initialize();
 
+  scheduleSessionCleanup(db, finalConfig);
+  scheduleKeyRotation(finalConfig);
+
   // Authentication routes
   const authRouter = buildAuthRoutes(db, finalConfig);
   app.use('/auth', authRouter);
 
+  // Well-known URIs live at the origin root (RFC 8615)
+  app.get('/.well-known/jwks.json', jwksHandler);
+
   // Root endpoint
   app.get('/', (req, res) => {
     res.json({
@@ -130,6 +190,10 @@ export async function createAuthApp(customConfig = {}) {
         logout: '/auth/logout',
         refresh: '/auth/refresh',
         profile: '/auth/profile',
+        jwks: '/.well-known/jwks.json',
+        ...(finalConfig.features.oauthServer && {
+          openidConfiguration: '/auth/.well-known/openid-configuration',
+        }),
       },
     });
   });
@@ -163,24 +227,60 @@ export {
 } from './models/adapters/index.js';
 
 // Export middleware
-export { authenticate, authorize, optionalAuth, isOwner } from './middleware/auth.js';
+export {
+  authenticate,
+  authenticatePasswordChange,
+  createAuthenticate,
+  authenticateClient,
+  authenticateApiKey,
+  authorize,
+  requireScope,
+  optionalAuth,
+  isOwner,
+} from './middleware/auth.js';
 export {
   generalLimiter,
   authLimiter,
   passwordResetLimiter,
   emailVerificationLimiter,
+  magicLinkLimiter,
+  phoneCodeLimiter,
   createRateLimiter,
 } from './middleware/rateLimiter.js';
 
 // Export services
 export { AuthService } from './services/authService.js';
+export {
+  OidcProvider,
+  OidcProviderRegistry,
+  defaultClaimsMapper,
+} from './services/oidcRegistry.js';
+export { AuthorizationServer } from './services/authorizationServer.js';
+export { MachineClientService } from './services/machineClientService.js';
 
 // Export utils
 export * from './utils/jwt.js';
 export * from './utils/password.js';
+export * from './utils/passwordHashers.js';
+export * from './utils/legacyPasswordHashes.js';
+export * from './utils/hashWorkerPool.js';
+export * from './utils/breachedPasswords.js';
+export * from './utils/userAgent.js';
+export * from './utils/tokenRevocation.js';
+export * from './utils/signingKeys.js';
+export * from './utils/keySet.js';
 export * from './utils/email.js';
 export * from './utils/validation.js';
 export * from './utils/errors.js';
+export * from './utils/tokens.js';
+export * from './utils/sms.js';
+export * from './utils/totp.js';
+export * from './utils/webauthn.js';
+export * from './utils/oauth.js';
 
 // Export models
 export { sanitizeUser, rowToUser, userToRow } from './models/user.js';
+export { sanitizeWebAuthnCredential } from './models/webauthnCredential.js';
+export { OAUTH_SCOPES, sanitizeOAuthClient } from './models/oauthClient.js';
+export { sanitizeMachineClient } from './models/machineClient.js';
+export { sanitizeApiKey } from './models/apiKey.js';
@@ -1,20 +1,76 @@
 /**
  * Authentication middleware
- * Protects routes by verifying JWT tokens
+ * Protects routes by verifying JWT tokens or personal API keys
  * @module middleware/auth
  */
 
-import { verifyAccessToken } from '../utils/jwt.js';
+import {
+  verifyAccessToken,
+  verifyClientAccessToken,
+  verifyMachineAccessToken,
+  verifyPasswordChangeToken,
+  decodeToken,
+} from '../utils/jwt.js';
 import { AuthenticationError, AuthorizationError } from '../utils/errors.js';
+import { getTokenRevocation } from '../utils/tokenRevocation.js';
+import { verifyApiKey } from '../utils/apiKeys.js';
+import { getDatabase } from '../models/adapters/index.js';
+import config from '../config/index.js';
 
 /**
- * Middleware to verify JWT access token
- * Adds user data to req.user if token is valid
+ * Builds the req.client principal from a machine client access token
+ * @param {Object} decoded - Verified token payload
+ * @returns {Object} { clientId, scopes, tokenId, tokenExpiresAt }
+ */
+function toMachineClient(decoded) {
+  return {
+    clientId: decoded.sub,
+    scopes: String(decoded.scope || '').split(' ').filter(Boolean),
+    tokenId: decoded.jti || null,
+    tokenExpiresAt: new Date(decoded.exp * 1000),
+  };
+}
+
+/**
+ * Gets the machine client a request was authenticated as
+ * Node sets req.client to the socket, so only the principal set by authenticate counts
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Machine client principal, or null for users and anonymous requests
+ */
+function getMachineClient(req) {
+  return !req.user && req.client?.clientId ? req.client : null;
+}
+
+/**
+ * Gets the personal API key a request was made with
+ * Keys are sent in the X-API-Key header or as a Bearer token; a Bearer token only counts as
+ * an API key when it starts with the key prefix, so JWTs are left alone
+ * @param {Object} req - Express request object
+ * @param {Object} config - Configuration object
+ * @returns {string|null} API key or null
+ */
+function getApiKey(req, config) {
+  const header = req.headers['x-api-key'];
+
+  if (typeof header === 'string' && header) {
+    return header;
+  }
+
+  const authHeader = req.headers.authorization;
+  const bearerPrefix = `Bearer ${config.apiKeys?.keyPrefix || 'ak'}_`;
+
+  return authHeader?.startsWith(bearerPrefix) ? authHeader.substring(7) : null;
+}
+
+/**
+ * Checks the signature and expiry of the Bearer access token
+ * Adds user data to req.user, or the machine client and its scopes to req.client for client
+ * credentials tokens. createAuthenticate() adds the revocation check
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export function authenticate(req, res, next) {
+function verifyBearerToken(req, res, next) {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -25,6 +81,12 @@ export function authenticate(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    // Machine clients act as themselves rather than as a user
+    if (decodeToken(token)?.gty) {
+      req.client = toMachineClient(verifyMachineAccessToken(token));
+      return next();
+    }
+
     // Verify token
     const decoded = verifyAccessToken(token);
 
@@ -33,6 +95,10 @@ export function authenticate(req, res, next) {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role,
+      sessionId: decoded.sid || null,
+      tokenId: decoded.jti || null,
+      tokenVersion: decoded.ver ?? 0,
+      tokenExpiresAt: new Date(decoded.exp * 1000),
     };
 
     next();
@@ -45,64 +111,301 @@ export function authenticate(req, res, next) {
   }
 }
 
+const defaultAuthenticators = new WeakMap();
+
 /**
- * Middleware to check if user has required role
- * Must be used after authenticate middleware
- * @param {string|string[]} roles - Required role(s)
+ * Middleware to verify JWT access token and reject revoked tokens
+ * Adds user data to req.user if token is valid, or the machine client and its scopes to
+ * req.client for client credentials tokens (req.user is then left unset)
+ * Revocations are checked against the database of the app built by createAuthApp() or
+ * createAuthRouter(); use createAuthenticate() for another database adapter or for options
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function authenticate(req, res, next) {
+  const db = getDatabase(config);
+
+  if (!defaultAuthenticators.has(db)) {
+    defaultAuthenticators.set(db, createAuthenticate(db, config));
+  }
+
+  return defaultAuthenticators.get(db)(req, res, next);
+}
+
+/**
+ * Creates middleware that verifies the access token and rejects revoked tokens
+ * (see utils/tokenRevocation)
+ * @param {Object} db - Database adapter instance
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - Middleware options
+ * @param {boolean} [options.allowPasswordChange] - Also accept the restricted password change
+ *   token (see authenticatePasswordChange)
+ * @param {boolean} [options.clientTokens] - Accept tokens issued to OAuth clients instead of
+ *   first-party tokens (see authenticateClient)
+ * @param {boolean} [options.usersOnly] - Reject machine client tokens
+ * @param {boolean} [options.apiKeys] - Also accept personal API keys (see authenticateApiKey)
  * @returns {Function} Express middleware
  */
-export function authorize(...roles) {
+export function createAuthenticate(db, config, options = {}) {
+  const revocation = getTokenRevocation(db, config.security);
+  const verifyApiKey = options.apiKeys ? authenticateApiKey(db, config) : null;
+  let verify = options.allowPasswordChange ? authenticatePasswordChange : verifyBearerToken;
+
+  if (options.clientTokens) {
+    verify = authenticateClient;
+  }
+
   return (req, res, next) => {
-    if (!req.user) {
-      return next(
-        new AuthenticationError('Authentication required. Please use authenticate middleware first.')
-      );
+    // API keys are looked up on every request, so revoking one takes effect at once
+    if (verifyApiKey && getApiKey(req, config)) {
+      return verifyApiKey(req, res, next);
     }
 
-    const userRole = req.user.role;
-    const allowedRoles = roles.flat();
+    verify(req, res, async (error) => {
+      if (error) {
+        return next(error);
+      }
 
-    if (!allowedRoles.includes(userRole)) {
-      return next(
-        new AuthorizationError(
-          `Access denied. Required role(s): ${allowedRoles.join(', ')}`
-        )
-      );
+      const machineClient = getMachineClient(req);
+
+      if (machineClient && options.usersOnly) {
+        return next(new AuthenticationError('Machine client tokens are not accepted here'));
+      }
+
+      // Password change tokens are short-lived and carry no token version
+      if (req.user?.passwordChangeRequired) {
+        return next();
+      }
+
+      try {
+        const payload = machineClient
+          ? { clientId: machineClient.clientId, jti: machineClient.tokenId }
+          : {
+              id: req.user.id,
+              jti: req.user.tokenId,
+              ver: req.user.tokenVersion,
+            };
+
+        if (await revocation.isRevoked(payload)) {
+          return next(new AuthenticationError('Token has been revoked'));
+        }
+
+        next();
+      } catch (err) {
+        next(err);
+      }
+    });
+  };
+}
+
+/**
+ * Creates middleware that authenticates requests made with a personal API key
+ * The key is read from the X-API-Key header or an Authorization: Bearer header. req.user is
+ * set like authenticate() does, plus apiKeyId and the key's scopes; sessionId and tokenId are
+ * null. Use createAuthenticate(db, config, { apiKeys: true }) to accept a JWT or an API key
+ * @param {Object} db - Database adapter instance
+ * @param {Object} config - Configuration object
+ * @returns {Function} Express middleware
+ */
+export function authenticateApiKey(db, config) {
+  return async (req, res, next) => {
+    try {
+      const key = getApiKey(req, config);
+
+      if (!key) {
+        throw new AuthenticationError('No API key provided');
+      }
+
+      const { user, apiKey } = await verifyApiKey(db, key);
+
+      req.user = {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        sessionId: null,
+        tokenId: null,
+        tokenVersion: user.tokenVersion ?? 0,
+        tokenExpiresAt: apiKey.expiresAt ? new Date(apiKey.expiresAt) : null,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+      };
+
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+}
+
+/**
+ * Middleware to verify an access token issued to an OAuth client
+ * Adds user data to req.user and the client and granted scopes to req.oauth
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function authenticateClient(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new AuthenticationError('No token provided');
+    }
+
+    const decoded = verifyClientAccessToken(authHeader.substring(7));
+
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      role: decoded.role,
+      sessionId: decoded.sid || null,
+      tokenId: decoded.jti || null,
+      tokenVersion: decoded.ver ?? 0,
+      tokenExpiresAt: new Date(decoded.exp * 1000),
+    };
+    req.oauth = {
+      clientId: decoded.client_id,
+      scopes: String(decoded.scope || '').split(' ').filter(Boolean),
+    };
 
     next();
-  };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return next(error);
+    }
+
+    return next(new AuthenticationError(error.message));
+  }
 }
 
 /**
- * Optional authentication middleware
- * Attaches user data if token is provided and valid, but doesn't fail if missing
+ * Middleware that also accepts the restricted token issued when a password change is required
+ * Use only on the change password route; restricted requests get req.user.passwordChangeRequired
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export function optionalAuth(req, res, next) {
+export function authenticatePasswordChange(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return next();
+      throw new AuthenticationError('No token provided');
     }
 
     const token = authHeader.substring(7);
-    const decoded = verifyAccessToken(token);
+    const passwordChangeRequired = decodeToken(token)?.type === 'password-change';
+    const decoded = passwordChangeRequired
+      ? verifyPasswordChangeToken(token)
+      : verifyAccessToken(token);
 
     req.user = {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role,
+      tokenId: decoded.jti || null,
+      tokenVersion: decoded.ver ?? 0,
+      tokenExpiresAt: new Date(decoded.exp * 1000),
+      passwordChangeRequired,
     };
 
     next();
   } catch (error) {
-    // Don't fail, just continue without user data
+    if (error instanceof AuthenticationError) {
+      return next(error);
+    }
+
+    return next(new AuthenticationError(error.message));
+  }
+}
+
+/**
+ * Middleware to check if user has required role
+ * Must be used after authenticate middleware. Machine clients have no role and are always
+ * denied; use requireScope() for routes they may call
+ * @param {string|string[]} roles - Required role(s)
+ * @returns {Function} Express middleware
+ */
+export function authorize(...roles) {
+  return (req, res, next) => {
+    const allowedRoles = roles.flat();
+
+    if (!req.user && !getMachineClient(req)) {
+      return next(
+        new AuthenticationError('Authentication required. Please use authenticate middleware first.')
+      );
+    }
+
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+      return next(
+        new AuthorizationError(
+          `Access denied. Required role(s): ${allowedRoles.join(', ')}`
+        )
+      );
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware to check that a machine client or API key holds the required scope(s)
+ * Must be used after authenticate middleware. User tokens carry no scopes and are denied
+ * @param {string|string[]} scopes - Required scope(s); all of them must have been granted
+ * @returns {Function} Express middleware
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    const client = getMachineClient(req);
+    const requiredScopes = scopes.flat();
+
+    if (!client && !req.user) {
+      return next(
+        new AuthenticationError('Authentication required. Please use authenticate middleware first.')
+      );
+    }
+
+    const grantedScopes = client?.scopes ?? (req.user?.apiKeyId ? req.user.scopes : []);
+
+    if (!requiredScopes.every((scope) => grantedScopes.includes(scope))) {
+      return next(
+        new AuthorizationError(
+          `Access denied. Required scope(s): ${requiredScopes.join(', ')}`
+        )
+      );
+    }
+
     next();
+  };
+}
+
+/**
+ * Optional authentication middleware
+ * Attaches user data (or the machine client) if token is provided, valid and not revoked, but
+ * doesn't fail if missing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
   }
+
+  const { client } = req;
+
+  return authenticate(req, res, (error) => {
+    if (error) {
+      // Don't fail, just continue without user data
+      req.user = undefined;
+      req.client = client;
+    }
+
+    next();
+  });
 }
 
 /**
@@ -0,0 +1,78 @@
+/**
+ * Authentication middleware tests
+ * @module middleware/auth.test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert';
+import config from '../config/index.js';
+import { authenticate, authenticateApiKey, optionalAuth } from './auth.js';
+import { AuthService } from '../services/authService.js';
+import { getDatabase, resetDatabase } from '../models/adapters/index.js';
+import { hashPassword } from '../utils/password.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+const PASSWORD = 'Old$ecretPass1';
+
+after(() => resetDatabase());
+
+/**
+ * Runs a middleware against a request carrying the access token, or the given headers
+ * Resolves with the request and the error passed to next, if any
+ */
+function run(middleware, accessToken, headers = { authorization: `Bearer ${accessToken}` }) {
+  const req = { headers };
+
+  return new Promise((resolve) => {
+    middleware(req, {}, (error) => resolve({ req, error }));
+  });
+}
+
+test('authenticate and optionalAuth should reject tokens revoked on the app database', async () => {
+  // The app database, as created by createAuthApp()
+  const db = getDatabase({ ...config, database: { type: 'memory' } });
+  const security = { ...config.security, hashWorkers: 0, bcryptRounds: 4 };
+  const user = await db.createUser({
+    email: 'jane@example.com',
+    password: await hashPassword(PASSWORD, security),
+  });
+  const service = new AuthService(db, { security });
+  const { accessToken } = await service.login('jane@example.com', PASSWORD);
+
+  let result = await run(authenticate, accessToken);
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.req.user.id, user.id);
+
+  result = await run(optionalAuth, accessToken);
+  assert.strictEqual(result.req.user.id, user.id);
+
+  await service.logoutAll(user.id);
+
+  result = await run(authenticate, accessToken);
+  assert.ok(result.error instanceof AuthenticationError);
+  assert.strictEqual(result.error.message, 'Token has been revoked');
+
+  result = await run(optionalAuth, accessToken);
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.req.user, undefined);
+});
+
+test('authenticateApiKey should look up the key on every request', async () => {
+  const db = getDatabase({ ...config, database: { type: 'memory' } });
+  const user = await db.createUser({ email: 'john@example.com', password: 'hash' });
+  const service = new AuthService(db);
+  const { apiKey, key } = await service.createApiKey(user.id, { name: 'CI', scopes: ['read'] });
+  const middleware = authenticateApiKey(db, config);
+
+  let result = await run(middleware, null, { 'x-api-key': key });
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(
+    { id: result.req.user.id, apiKeyId: result.req.user.apiKeyId, scopes: result.req.user.scopes },
+    { id: user.id, apiKeyId: apiKey.id, scopes: ['read'] }
+  );
+
+  await service.revokeApiKey(user.id, apiKey.id);
+
+  result = await run(middleware, null, { 'x-api-key': key });
+  assert.ok(result.error instanceof AuthenticationError);
+});
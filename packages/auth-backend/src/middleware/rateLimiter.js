@@ -83,6 +83,42 @@ export const emailVerificationLimiter = rateLimit({
   },
 });
 
+/**
+ * Magic link rate limiter
+ * Prevents flooding an inbox with sign-in links
+ */
+export const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many sign-in link requests, please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.body.email || req.ip;
+  },
+});
+
+/**
+ * Phone code rate limiter
+ * Limits SMS sends per number, which cost money and can be abused for SMS pumping
+ */
+export const phoneCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many code requests, please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.body.phone || req.ip;
+  },
+});
+
 /**
  * Creates a custom rate limiter with specified options
  * @param {Object} options - Rate limiter options
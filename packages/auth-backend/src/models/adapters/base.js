@@ -1,3 +1,5 @@
+/* eslint-disable no-unused-vars -- abstract methods name the arguments subclasses receive */
+
 /**
  * Base database adapter interface
  * All database adapters should implement these methods
@@ -52,6 +54,18 @@ export class BaseDatabaseAdapter {
     throw new Error('createUser() must be implemented by subclass');
   }
 
+  /**
+   * Creates users in bulk, e.g. when migrating from another identity system
+   * Password hashes are stored as given (never re-hashed); users whose email or phone
+   * already exists are skipped rather than failing the batch
+   * @abstract
+   * @param {Array<Object>} users - User data with pre-hashed passwords
+   * @returns {Promise<Object>} { imported: number, skipped: string[] } (emails of skipped users)
+   */
+  async importUsers(users) {
+    throw new Error('importUsers() must be implemented by subclass');
+  }
+
   /**
    * Finds a user by ID
    * @abstract
@@ -72,6 +86,16 @@ export class BaseDatabaseAdapter {
     throw new Error('findUserByEmail() must be implemented by subclass');
   }
 
+  /**
+   * Finds a user by phone number
+   * @abstract
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<Object|null>} User object or null
+   */
+  async findUserByPhone(phone) {
+    throw new Error('findUserByPhone() must be implemented by subclass');
+  }
+
   /**
    * Updates a user
    * @abstract
@@ -83,6 +107,42 @@ export class BaseDatabaseAdapter {
     throw new Error('updateUser() must be implemented by subclass');
   }
 
+  /**
+   * Increments a user's failed login counter
+   * Must be atomic so failures on different instances are all counted
+   * @abstract
+   * @param {string} id - User ID
+   * @returns {Promise<number>} Failed attempt count after the increment
+   */
+  async incrementFailedLoginAttempts(id) {
+    throw new Error('incrementFailedLoginAttempts() must be implemented by subclass');
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code
+   * Must be atomic: the step is only stored if it is newer than the recorded one, so a code
+   * can't be accepted twice by concurrent requests
+   * @abstract
+   * @param {string} id - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} True if recorded, false if the step was not newer
+   */
+  async recordTotpStep(id, step) {
+    throw new Error('recordTotpStep() must be implemented by subclass');
+  }
+
+  /**
+   * Marks one of a user's MFA recovery codes used
+   * Must be atomic, so a code can't be used twice by concurrent requests
+   * @abstract
+   * @param {string} id - User ID
+   * @param {string} hash - Hash of the recovery code
+   * @returns {Promise<boolean>} True if marked used, false if the code is unknown or already used
+   */
+  async consumeRecoveryCode(id, hash) {
+    throw new Error('consumeRecoveryCode() must be implemented by subclass');
+  }
+
   /**
    * Deletes a user
    * @abstract
@@ -105,35 +165,112 @@ export class BaseDatabaseAdapter {
   }
 
   /**
-   * Adds a refresh token to user's token array
+   * Stores a session for a newly issued refresh token
+   * @abstract
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.userId - Owning user ID
+   * @param {string} sessionData.familyId - Refresh token family ID
+   * @param {number} sessionData.generation - Rotation count within the family
+   * @param {string} sessionData.tokenHash - SHA-256 hash of the refresh token
+   * @param {string} [sessionData.userAgent] - Client user agent
+   * @param {string} [sessionData.ipAddress] - Client IP address
+   * @param {Date} [sessionData.createdAt] - Sign-in time (defaults to now)
+   * @param {Date} sessionData.expiresAt - Refresh token expiry
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(sessionData) {
+    throw new Error('createSession() must be implemented by subclass');
+  }
+
+  /**
+   * Finds a session by its refresh token hash
+   * @abstract
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findSessionByTokenHash(tokenHash) {
+    throw new Error('findSessionByTokenHash() must be implemented by subclass');
+  }
+
+  /**
+   * Finds the sessions of a refresh token family
+   * @abstract
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByFamily(familyId) {
+    throw new Error('findSessionsByFamily() must be implemented by subclass');
+  }
+
+  /**
+   * Finds a user's unexpired sessions, most recently used first
    * @abstract
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token to add
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByUser(userId) {
+    throw new Error('findSessionsByUser() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes a session
+   * @abstract
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSession(id) {
+    throw new Error('deleteSession() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes every session of a refresh token family
+   * @abstract
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<number>} Number of deleted sessions
    */
-  async addRefreshToken(userId, token) {
-    throw new Error('addRefreshToken() must be implemented by subclass');
+  async deleteSessionsByFamily(familyId) {
+    throw new Error('deleteSessionsByFamily() must be implemented by subclass');
   }
 
   /**
-   * Removes a refresh token from user's token array
+   * Deletes all of a user's sessions
    * @abstract
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token to remove
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteUserSessions(userId) {
+    throw new Error('deleteUserSessions() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes expired sessions
+   * @abstract
+   * @returns {Promise<number>} Number of deleted sessions
    */
-  async removeRefreshToken(userId, token) {
-    throw new Error('removeRefreshToken() must be implemented by subclass');
+  async deleteExpiredSessions() {
+    throw new Error('deleteExpiredSessions() must be implemented by subclass');
   }
 
   /**
-   * Removes all refresh tokens for a user
+   * Moves refresh tokens from the old users.refresh_tokens array into sessions
+   * Called by initialize(); unexpired tokens keep working, and the array is removed
+   * @abstract
+   * @returns {Promise<number>} Number of migrated sessions
+   */
+  async migrateRefreshTokens() {
+    throw new Error('migrateRefreshTokens() must be implemented by subclass');
+  }
+
+  /**
+   * Records a password hash in the user's history, keeping only the most recent ones
    * @abstract
    * @param {string} userId - User ID
+   * @param {string} passwordHash - Hashed password
+   * @param {number} limit - Number of hashes to keep
    * @returns {Promise<void>}
    */
-  async removeAllRefreshTokens(userId) {
-    throw new Error('removeAllRefreshTokens() must be implemented by subclass');
+  async addPasswordHistory(userId, passwordHash, limit) {
+    throw new Error('addPasswordHistory() must be implemented by subclass');
   }
 
   /**
@@ -146,6 +283,347 @@ export class BaseDatabaseAdapter {
     throw new Error('updateLastLogin() must be implemented by subclass');
   }
 
+  /**
+   * Increments a user's token version, revoking the access tokens issued before
+   * @abstract
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New token version, or null if the user doesn't exist
+   */
+  async incrementTokenVersion(userId) {
+    throw new Error('incrementTokenVersion() must be implemented by subclass');
+  }
+
+  /**
+   * Stores a new single-use auth token
+   * @abstract
+   * @param {Object} tokenData - Token data
+   * @param {string} tokenData.type - Token type
+   * @param {string} tokenData.identifier - Subject the token is tied to
+   * @param {string} [tokenData.userId] - Owning user ID
+   * @param {string} tokenData.tokenHash - Hash of the raw token
+   * @param {Object} [tokenData.metadata] - Type-specific data
+   * @param {Date} tokenData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created token record
+   */
+  async createAuthToken(tokenData) {
+    throw new Error('createAuthToken() must be implemented by subclass');
+  }
+
+  /**
+   * Finds an auth token by its hash
+   * @abstract
+   * @param {string} type - Token type
+   * @param {string} tokenHash - Hash of the raw token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findAuthTokenByHash(type, tokenHash) {
+    throw new Error('findAuthTokenByHash() must be implemented by subclass');
+  }
+
+  /**
+   * Finds the most recent usable auth token of a type for an identifier
+   * @abstract
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the token is tied to
+   * @returns {Promise<Object|null>} Unconsumed, unexpired token record or null
+   */
+  async findActiveAuthToken(type, identifier) {
+    throw new Error('findActiveAuthToken() must be implemented by subclass');
+  }
+
+  /**
+   * Increments the failed attempt counter of an auth token
+   * Must be atomic so concurrent guesses are all counted
+   * @abstract
+   * @param {string} id - Token record ID
+   * @returns {Promise<number>} Attempt count after the increment
+   */
+  async incrementAuthTokenAttempts(id) {
+    throw new Error('incrementAuthTokenAttempts() must be implemented by subclass');
+  }
+
+  /**
+   * Marks an auth token as consumed
+   * Must be atomic so a token can only be consumed once
+   * @abstract
+   * @param {string} id - Token record ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async consumeAuthToken(id) {
+    throw new Error('consumeAuthToken() must be implemented by subclass');
+  }
+
+  /**
+   * Invalidates all unconsumed auth tokens of a type for an identifier
+   * @abstract
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the tokens are tied to
+   * @returns {Promise<void>}
+   */
+  async revokeAuthTokens(type, identifier) {
+    throw new Error('revokeAuthTokens() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes expired auth tokens
+   * @abstract
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpiredAuthTokens() {
+    throw new Error('deleteExpiredAuthTokens() must be implemented by subclass');
+  }
+
+  /**
+   * Finds a linked external identity
+   * @abstract
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - User ID at the provider
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  async findUserIdentity(provider, providerUserId) {
+    throw new Error('findUserIdentity() must be implemented by subclass');
+  }
+
+  /**
+   * Links an external identity to a user
+   * @abstract
+   * @param {Object} identityData - Identity data
+   * @param {string} identityData.userId - User ID
+   * @param {string} identityData.provider - Provider name
+   * @param {string} identityData.providerUserId - User ID at the provider
+   * @param {string} [identityData.email] - Email reported by the provider
+   * @returns {Promise<Object>} Created identity
+   */
+  async createUserIdentity(identityData) {
+    throw new Error('createUserIdentity() must be implemented by subclass');
+  }
+
+  /**
+   * Stores a registered WebAuthn credential
+   * @abstract
+   * @param {Object} credentialData - Credential data
+   * @param {string} credentialData.userId - Owning user ID
+   * @param {string} credentialData.credentialId - Base64url credential ID
+   * @param {string} credentialData.publicKey - Base64url COSE public key
+   * @param {number} credentialData.signCount - Initial signature counter
+   * @param {string[]} [credentialData.transports] - Transports hint
+   * @param {string} [credentialData.name] - Friendly name
+   * @returns {Promise<Object>} Created credential
+   */
+  async createWebAuthnCredential(credentialData) {
+    throw new Error('createWebAuthnCredential() must be implemented by subclass');
+  }
+
+  /**
+   * Finds a WebAuthn credential by its credential ID
+   * @abstract
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {Promise<Object|null>} Credential or null
+   */
+  async findWebAuthnCredential(credentialId) {
+    throw new Error('findWebAuthnCredential() must be implemented by subclass');
+  }
+
+  /**
+   * Lists a user's WebAuthn credentials
+   * @abstract
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Credentials, oldest first
+   */
+  async findWebAuthnCredentialsByUser(userId) {
+    throw new Error('findWebAuthnCredentialsByUser() must be implemented by subclass');
+  }
+
+  /**
+   * Updates a WebAuthn credential
+   * @abstract
+   * @param {string} id - Credential record ID
+   * @param {Object} updates - Fields to update (signCount, lastUsedAt, name)
+   * @returns {Promise<Object>} Updated credential
+   */
+  async updateWebAuthnCredential(id, updates) {
+    throw new Error('updateWebAuthnCredential() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes a WebAuthn credential
+   * @abstract
+   * @param {string} id - Credential record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteWebAuthnCredential(id) {
+    throw new Error('deleteWebAuthnCredential() must be implemented by subclass');
+  }
+
+  /**
+   * Registers an OAuth client
+   * @abstract
+   * @param {Object} clientData - Client data
+   * @param {string} clientData.clientId - Public client identifier
+   * @param {string|null} clientData.clientSecretHash - Hashed secret (null for public clients)
+   * @param {string} clientData.name - Display name
+   * @param {string[]} clientData.redirectUris - Allowed redirect URIs
+   * @param {string[]} clientData.scopes - Allowed scopes
+   * @param {boolean} [clientData.trusted] - Skip the consent screen
+   * @returns {Promise<Object>} Created client
+   */
+  async createOAuthClient(clientData) {
+    throw new Error('createOAuthClient() must be implemented by subclass');
+  }
+
+  /**
+   * Finds an OAuth client by its client ID
+   * @abstract
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findOAuthClient(clientId) {
+    throw new Error('findOAuthClient() must be implemented by subclass');
+  }
+
+  /**
+   * Lists registered OAuth clients
+   * @abstract
+   * @returns {Promise<Array>} Clients, oldest first
+   */
+  async listOAuthClients() {
+    throw new Error('listOAuthClients() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes an OAuth client and the consents given to it
+   * @abstract
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOAuthClient(clientId) {
+    throw new Error('deleteOAuthClient() must be implemented by subclass');
+  }
+
+  /**
+   * Finds the consent a user gave a client
+   * @abstract
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Consent or null
+   */
+  async findOAuthConsent(userId, clientId) {
+    throw new Error('findOAuthConsent() must be implemented by subclass');
+  }
+
+  /**
+   * Creates or replaces the consent a user gave a client
+   * @abstract
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @param {string[]} scopes - Granted scopes
+   * @returns {Promise<Object>} Saved consent
+   */
+  async saveOAuthConsent(userId, clientId, scopes) {
+    throw new Error('saveOAuthConsent() must be implemented by subclass');
+  }
+
+  /**
+   * Registers a machine client
+   * @abstract
+   * @param {Object} clientData - Client data
+   * @param {string} clientData.clientId - Public client identifier
+   * @param {string} clientData.name - Display name
+   * @param {string} clientData.secretHash - Hashed client secret
+   * @param {string[]} clientData.scopes - Allowed scopes
+   * @returns {Promise<Object>} Created client
+   */
+  async createMachineClient(clientData) {
+    throw new Error('createMachineClient() must be implemented by subclass');
+  }
+
+  /**
+   * Finds a machine client by its client ID
+   * @abstract
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findMachineClient(clientId) {
+    throw new Error('findMachineClient() must be implemented by subclass');
+  }
+
+  /**
+   * Lists machine clients, including revoked ones
+   * @abstract
+   * @returns {Promise<Array>} Clients, oldest first
+   */
+  async listMachineClients() {
+    throw new Error('listMachineClients() must be implemented by subclass');
+  }
+
+  /**
+   * Updates a machine client's secrets or revocation
+   * @abstract
+   * @param {string} clientId - Public client identifier
+   * @param {Object} updates - Fields to update (secretHash, previousSecretHash,
+   *   previousSecretExpiresAt, revokedAt)
+   * @returns {Promise<Object|null>} Updated client or null if not found
+   */
+  async updateMachineClient(clientId, updates) {
+    throw new Error('updateMachineClient() must be implemented by subclass');
+  }
+
+  /**
+   * Creates a personal API key
+   * @abstract
+   * @param {Object} keyData - Key data
+   * @param {string} keyData.userId - Owning user ID
+   * @param {string} keyData.name - Key name
+   * @param {string} keyData.prefix - Lookup prefix
+   * @param {string} keyData.keyHash - Hashed key
+   * @param {string[]} keyData.scopes - Scopes the key is limited to
+   * @param {Date|null} keyData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    throw new Error('createApiKey() must be implemented by subclass');
+  }
+
+  /**
+   * Finds an API key by its lookup prefix
+   * @abstract
+   * @param {string} prefix - Lookup prefix
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findApiKeyByPrefix(prefix) {
+    throw new Error('findApiKeyByPrefix() must be implemented by subclass');
+  }
+
+  /**
+   * Finds all API keys of a user
+   * @abstract
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys, oldest first
+   */
+  async findApiKeysByUser(userId) {
+    throw new Error('findApiKeysByUser() must be implemented by subclass');
+  }
+
+  /**
+   * Records that an API key was just used
+   * @abstract
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async updateApiKeyLastUsed(id) {
+    throw new Error('updateApiKeyLastUsed() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes an API key
+   * @abstract
+   * @param {string} id - Key record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteApiKey(id) {
+    throw new Error('deleteApiKey() must be implemented by subclass');
+  }
+
   /**
    * Checks database connection health
    * @abstract
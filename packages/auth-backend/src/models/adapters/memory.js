@@ -5,6 +5,7 @@
 
 import { BaseDatabaseAdapter } from './base.js';
 import { sanitizeUser } from '../user.js';
+import { legacyRefreshTokenToSession } from '../session.js';
 import crypto from 'crypto';
 
 /**
@@ -15,6 +16,14 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
   constructor(config) {
     super(config);
     this.users = new Map();
+    this.authTokens = new Map();
+    this.identities = new Map();
+    this.webauthnCredentials = new Map();
+    this.sessions = new Map();
+    this.oauthClients = new Map();
+    this.oauthConsents = new Map();
+    this.machineClients = new Map();
+    this.apiKeys = new Map();
   }
 
   async connect() {
@@ -23,10 +32,19 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
 
   async disconnect() {
     this.users.clear();
+    this.authTokens.clear();
+    this.identities.clear();
+    this.webauthnCredentials.clear();
+    this.sessions.clear();
+    this.oauthClients.clear();
+    this.oauthConsents.clear();
+    this.machineClients.clear();
+    this.apiKeys.clear();
     console.log('Disconnected from in-memory database');
   }
 
   async initialize() {
+    await this.migrateRefreshTokens();
     console.log('In-memory database initialized');
   }
 
@@ -39,11 +57,21 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
       phone: userData.phone || null,
       role: userData.role || 'user',
       isEmailVerified: userData.isEmailVerified || false,
+      isPhoneVerified: userData.isPhoneVerified || false,
       isActive: userData.isActive !== undefined ? userData.isActive : true,
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastUsedStep: null,
+      mfaRecoveryCodes: [],
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      passwordHistory: [],
+      passwordChangedAt: new Date(),
+      mustChangePassword: userData.mustChangePassword || false,
       avatar: userData.avatar || null,
       bio: userData.bio || null,
+      tokenVersion: 0,
       lastLogin: null,
-      refreshTokens: [],
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -56,6 +84,23 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
     return { ...user };
   }
 
+  async importUsers(users) {
+    const skipped = [];
+    let imported = 0;
+
+    for (const userData of users) {
+      if (this.findUserByEmailSync(userData.email)) {
+        skipped.push(userData.email);
+        continue;
+      }
+
+      await this.createUser(userData);
+      imported++;
+    }
+
+    return { imported, skipped };
+  }
+
   findUserByEmailSync(email) {
     return Array.from(this.users.values()).find(
       (u) => u.email === email.toLowerCase()
@@ -72,6 +117,11 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
     return user ? { ...user } : null;
   }
 
+  async findUserByPhone(phone) {
+    const user = Array.from(this.users.values()).find((u) => u.phone === phone);
+    return user ? { ...user } : null;
+  }
+
   async updateUser(id, updates) {
     const user = this.users.get(id);
 
@@ -90,7 +140,53 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
     return { ...updatedUser };
   }
 
+  async incrementFailedLoginAttempts(id) {
+    const user = this.users.get(id);
+
+    if (!user) {
+      return 0;
+    }
+
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    return user.failedLoginAttempts;
+  }
+
+  async recordTotpStep(id, step) {
+    const user = this.users.get(id);
+
+    if (!user || step <= (user.totpLastUsedStep ?? -1)) {
+      return false;
+    }
+
+    user.totpLastUsedStep = step;
+    user.updatedAt = new Date();
+    return true;
+  }
+
+  async consumeRecoveryCode(id, hash) {
+    const user = this.users.get(id);
+    const index = (user?.mfaRecoveryCodes || []).findIndex(
+      (entry) => entry.hash === hash && !entry.usedAt
+    );
+
+    if (index === -1) {
+      return false;
+    }
+
+    user.mfaRecoveryCodes = user.mfaRecoveryCodes.map((entry, i) =>
+      i === index ? { ...entry, usedAt: new Date() } : entry
+    );
+    user.updatedAt = new Date();
+    return true;
+  }
+
   async deleteUser(id) {
+    this._deleteSessionsWhere((s) => s.userId === id);
+    for (const [keyId, apiKey] of this.apiKeys) {
+      if (apiKey.userId === id) {
+        this.apiKeys.delete(keyId);
+      }
+    }
     return this.users.delete(id);
   }
 
@@ -116,26 +212,97 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
     return users.map((u) => ({ ...u }));
   }
 
-  async addRefreshToken(userId, token) {
-    const user = this.users.get(userId);
-    if (user) {
-      user.refreshTokens.push(token);
-      user.updatedAt = new Date();
+  async createSession(sessionData) {
+    const session = {
+      id: crypto.randomUUID(),
+      userId: sessionData.userId,
+      familyId: sessionData.familyId,
+      generation: sessionData.generation || 0,
+      tokenHash: sessionData.tokenHash,
+      userAgent: sessionData.userAgent || null,
+      ipAddress: sessionData.ipAddress || null,
+      createdAt: sessionData.createdAt || new Date(),
+      lastUsedAt: new Date(),
+      expiresAt: sessionData.expiresAt,
+    };
+
+    this.sessions.set(session.id, session);
+    return { ...session };
+  }
+
+  async findSessionByTokenHash(tokenHash) {
+    const session = Array.from(this.sessions.values()).find((s) => s.tokenHash === tokenHash);
+    return session ? { ...session } : null;
+  }
+
+  async findSessionsByFamily(familyId) {
+    return Array.from(this.sessions.values())
+      .filter((s) => s.familyId === familyId)
+      .sort((a, b) => b.generation - a.generation)
+      .map((s) => ({ ...s }));
+  }
+
+  async findSessionsByUser(userId) {
+    const now = Date.now();
+    return Array.from(this.sessions.values())
+      .filter((s) => s.userId === userId && new Date(s.expiresAt).getTime() > now)
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map((s) => ({ ...s }));
+  }
+
+  async deleteSession(id) {
+    return this.sessions.delete(id);
+  }
+
+  async deleteSessionsByFamily(familyId) {
+    return this._deleteSessionsWhere((s) => s.familyId === familyId);
+  }
+
+  async deleteUserSessions(userId) {
+    return this._deleteSessionsWhere((s) => s.userId === userId);
+  }
+
+  async deleteExpiredSessions() {
+    const now = Date.now();
+    return this._deleteSessionsWhere((s) => new Date(s.expiresAt).getTime() <= now);
+  }
+
+  async migrateRefreshTokens() {
+    let migrated = 0;
+
+    for (const user of this.users.values()) {
+      for (const token of user.refreshTokens || []) {
+        const session = legacyRefreshTokenToSession(user.id, token);
+
+        if (session) {
+          await this.createSession(session);
+          migrated++;
+        }
+      }
+
+      delete user.refreshTokens;
     }
+
+    return migrated;
   }
 
-  async removeRefreshToken(userId, token) {
-    const user = this.users.get(userId);
-    if (user) {
-      user.refreshTokens = user.refreshTokens.filter((t) => t !== token);
-      user.updatedAt = new Date();
+  _deleteSessionsWhere(predicate) {
+    let deleted = 0;
+
+    for (const [id, session] of this.sessions) {
+      if (predicate(session)) {
+        this.sessions.delete(id);
+        deleted++;
+      }
     }
+
+    return deleted;
   }
 
-  async removeAllRefreshTokens(userId) {
+  async addPasswordHistory(userId, passwordHash, limit) {
     const user = this.users.get(userId);
     if (user) {
-      user.refreshTokens = [];
+      user.passwordHistory = [passwordHash, ...(user.passwordHistory || [])].slice(0, limit);
       user.updatedAt = new Date();
     }
   }
@@ -148,6 +315,323 @@ export class MemoryAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  async incrementTokenVersion(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      return null;
+    }
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    user.updatedAt = new Date();
+    return user.tokenVersion;
+  }
+
+  async createAuthToken(tokenData) {
+    const token = {
+      id: crypto.randomUUID(),
+      type: tokenData.type,
+      identifier: tokenData.identifier,
+      userId: tokenData.userId || null,
+      tokenHash: tokenData.tokenHash,
+      metadata: tokenData.metadata || null,
+      attempts: 0,
+      expiresAt: tokenData.expiresAt,
+      consumedAt: null,
+      createdAt: new Date(),
+    };
+
+    this.authTokens.set(token.id, token);
+    return { ...token };
+  }
+
+  async findAuthTokenByHash(type, tokenHash) {
+    const token = Array.from(this.authTokens.values()).find(
+      (t) => t.type === type && t.tokenHash === tokenHash
+    );
+    return token ? { ...token } : null;
+  }
+
+  async findActiveAuthToken(type, identifier) {
+    const now = Date.now();
+    const token = Array.from(this.authTokens.values())
+      .filter(
+        (t) =>
+          t.type === type &&
+          t.identifier === identifier &&
+          !t.consumedAt &&
+          new Date(t.expiresAt).getTime() > now
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return token ? { ...token } : null;
+  }
+
+  async incrementAuthTokenAttempts(id) {
+    const token = this.authTokens.get(id);
+
+    if (!token) {
+      return 0;
+    }
+
+    token.attempts += 1;
+    return token.attempts;
+  }
+
+  async consumeAuthToken(id) {
+    const token = this.authTokens.get(id);
+
+    if (!token || token.consumedAt) {
+      return false;
+    }
+
+    token.consumedAt = new Date();
+    return true;
+  }
+
+  async revokeAuthTokens(type, identifier) {
+    for (const token of this.authTokens.values()) {
+      if (token.type === type && token.identifier === identifier && !token.consumedAt) {
+        token.consumedAt = new Date();
+      }
+    }
+  }
+
+  async deleteExpiredAuthTokens() {
+    const now = Date.now();
+    let deleted = 0;
+
+    for (const [id, token] of this.authTokens) {
+      if (new Date(token.expiresAt).getTime() <= now) {
+        this.authTokens.delete(id);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  async findUserIdentity(provider, providerUserId) {
+    const identity = Array.from(this.identities.values()).find(
+      (i) => i.provider === provider && i.providerUserId === providerUserId
+    );
+    return identity ? { ...identity } : null;
+  }
+
+  async createUserIdentity(identityData) {
+    if (await this.findUserIdentity(identityData.provider, identityData.providerUserId)) {
+      throw new Error('Identity already linked');
+    }
+
+    const identity = {
+      id: crypto.randomUUID(),
+      userId: identityData.userId,
+      provider: identityData.provider,
+      providerUserId: identityData.providerUserId,
+      email: identityData.email || null,
+      createdAt: new Date(),
+    };
+
+    this.identities.set(identity.id, identity);
+    return { ...identity };
+  }
+
+  async createWebAuthnCredential(credentialData) {
+    if (await this.findWebAuthnCredential(credentialData.credentialId)) {
+      throw new Error('Credential already registered');
+    }
+
+    const credential = {
+      id: crypto.randomUUID(),
+      userId: credentialData.userId,
+      credentialId: credentialData.credentialId,
+      publicKey: credentialData.publicKey,
+      signCount: credentialData.signCount || 0,
+      transports: credentialData.transports || [],
+      name: credentialData.name || null,
+      lastUsedAt: null,
+      createdAt: new Date(),
+    };
+
+    this.webauthnCredentials.set(credential.id, credential);
+    return { ...credential };
+  }
+
+  async findWebAuthnCredential(credentialId) {
+    const credential = Array.from(this.webauthnCredentials.values()).find(
+      (c) => c.credentialId === credentialId
+    );
+    return credential ? { ...credential } : null;
+  }
+
+  async findWebAuthnCredentialsByUser(userId) {
+    return Array.from(this.webauthnCredentials.values())
+      .filter((c) => c.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((c) => ({ ...c }));
+  }
+
+  async updateWebAuthnCredential(id, updates) {
+    const credential = this.webauthnCredentials.get(id);
+
+    if (!credential) {
+      throw new Error('Credential not found');
+    }
+
+    const allowed = ['signCount', 'lastUsedAt', 'name'];
+    allowed.forEach((field) => {
+      if (updates[field] !== undefined) {
+        credential[field] = updates[field];
+      }
+    });
+
+    return { ...credential };
+  }
+
+  async deleteWebAuthnCredential(id) {
+    return this.webauthnCredentials.delete(id);
+  }
+
+  async createOAuthClient(clientData) {
+    const client = {
+      id: crypto.randomUUID(),
+      clientId: clientData.clientId,
+      clientSecretHash: clientData.clientSecretHash || null,
+      name: clientData.name,
+      redirectUris: [...clientData.redirectUris],
+      scopes: [...clientData.scopes],
+      trusted: clientData.trusted || false,
+      createdAt: new Date(),
+    };
+
+    this.oauthClients.set(client.clientId, client);
+    return { ...client };
+  }
+
+  async findOAuthClient(clientId) {
+    const client = this.oauthClients.get(clientId);
+    return client ? { ...client } : null;
+  }
+
+  async listOAuthClients() {
+    return Array.from(this.oauthClients.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((c) => ({ ...c }));
+  }
+
+  async deleteOAuthClient(clientId) {
+    for (const [key, consent] of this.oauthConsents) {
+      if (consent.clientId === clientId) {
+        this.oauthConsents.delete(key);
+      }
+    }
+
+    return this.oauthClients.delete(clientId);
+  }
+
+  async findOAuthConsent(userId, clientId) {
+    const consent = this.oauthConsents.get(`${userId}:${clientId}`);
+    return consent ? { ...consent, scopes: [...consent.scopes] } : null;
+  }
+
+  async saveOAuthConsent(userId, clientId, scopes) {
+    const key = `${userId}:${clientId}`;
+    const now = new Date();
+    const consent = {
+      id: this.oauthConsents.get(key)?.id ?? crypto.randomUUID(),
+      userId,
+      clientId,
+      scopes: [...scopes],
+      createdAt: this.oauthConsents.get(key)?.createdAt ?? now,
+      updatedAt: now,
+    };
+
+    this.oauthConsents.set(key, consent);
+    return { ...consent, scopes: [...scopes] };
+  }
+
+  async createMachineClient(clientData) {
+    const now = new Date();
+    const client = {
+      id: crypto.randomUUID(),
+      clientId: clientData.clientId,
+      name: clientData.name,
+      secretHash: clientData.secretHash,
+      previousSecretHash: null,
+      previousSecretExpiresAt: null,
+      scopes: [...clientData.scopes],
+      revokedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.machineClients.set(client.clientId, client);
+    return { ...client, scopes: [...client.scopes] };
+  }
+
+  async findMachineClient(clientId) {
+    const client = this.machineClients.get(clientId);
+    return client ? { ...client, scopes: [...client.scopes] } : null;
+  }
+
+  async listMachineClients() {
+    return Array.from(this.machineClients.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((c) => ({ ...c, scopes: [...c.scopes] }));
+  }
+
+  async updateMachineClient(clientId, updates) {
+    const client = this.machineClients.get(clientId);
+    if (!client) return null;
+
+    const allowed = ['secretHash', 'previousSecretHash', 'previousSecretExpiresAt', 'revokedAt'];
+    allowed.forEach((field) => {
+      if (updates[field] !== undefined) {
+        client[field] = updates[field];
+      }
+    });
+    client.updatedAt = new Date();
+
+    return { ...client, scopes: [...client.scopes] };
+  }
+
+  async createApiKey(keyData) {
+    const apiKey = {
+      id: crypto.randomUUID(),
+      userId: keyData.userId,
+      name: keyData.name,
+      prefix: keyData.prefix,
+      keyHash: keyData.keyHash,
+      scopes: [...(keyData.scopes || [])],
+      expiresAt: keyData.expiresAt || null,
+      lastUsedAt: null,
+      createdAt: new Date(),
+    };
+
+    this.apiKeys.set(apiKey.id, apiKey);
+    return { ...apiKey, scopes: [...apiKey.scopes] };
+  }
+
+  async findApiKeyByPrefix(prefix) {
+    const apiKey = Array.from(this.apiKeys.values()).find((k) => k.prefix === prefix);
+    return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+  }
+
+  async findApiKeysByUser(userId) {
+    return Array.from(this.apiKeys.values())
+      .filter((k) => k.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((k) => ({ ...k, scopes: [...k.scopes] }));
+  }
+
+  async updateApiKeyLastUsed(id) {
+    const apiKey = this.apiKeys.get(id);
+    if (apiKey) {
+      apiKey.lastUsedAt = new Date();
+    }
+  }
+
+  async deleteApiKey(id) {
+    return this.apiKeys.delete(id);
+  }
+
   async healthCheck() {
     return true;
   }
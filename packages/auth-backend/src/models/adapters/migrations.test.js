@@ -0,0 +1,228 @@
+/**
+ * SQL adapter migration tests
+ * The adapters run against a fake pool modelling the users table of an existing install
+ * @module models/adapters/migrations.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import jwt from 'jsonwebtoken';
+import { PostgreSQLAdapter } from './postgresql.js';
+import { MySQLAdapter } from './mysql.js';
+import { postgresqlSchema, mysqlSchema } from '../user.js';
+import { generateRefreshToken, decodeToken } from '../../utils/jwt.js';
+import { hashToken } from '../../utils/tokens.js';
+
+// users columns as created by the first release
+const BASELINE_USER_COLUMNS = [
+  'id', 'email', 'password', 'name', 'phone', 'role', 'is_email_verified', 'is_active',
+  'avatar', 'bio', 'last_login', 'refresh_tokens', 'created_at', 'updated_at',
+];
+
+/**
+ * Lists the columns of a CREATE TABLE users statement
+ */
+function schemaColumns(schema) {
+  const body = schema.match(/CREATE TABLE IF NOT EXISTS users \(([\s\S]*?)\n {2}\)/)[1];
+
+  return body
+    .split('\n')
+    .map((line) => line.trim().match(/^([a-z_]+) [A-Z]/)?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * Creates a pool holding one user in a baseline users table
+ * Statements naming a column the table doesn't have fail, as they would in the database
+ */
+function createFakePool(dialect, { refreshTokens = [] } = {}) {
+  const columns = new Set(BASELINE_USER_COLUMNS);
+  const sessions = [];
+  const user = {
+    id: 'user-1',
+    email: 'jane@example.com',
+    password: 'hash',
+    refresh_tokens: refreshTokens,
+  };
+
+  const assertColumns = (names) => {
+    for (const name of names) {
+      if (!columns.has(name)) {
+        throw new Error(`column "${name}" of relation "users" does not exist`);
+      }
+    }
+  };
+
+  const run = (sql, params = []) => {
+    if (/information_schema\.columns/.test(sql)) {
+      const names = /column_name = 'refresh_tokens'/.test(sql)
+        ? [...columns].filter((name) => name === 'refresh_tokens')
+        : [...columns];
+      return names.map((name) => ({ name }));
+    }
+
+    if (/ADD COLUMN/.test(sql)) {
+      for (const [, ifNotExists, name] of sql.matchAll(/ADD COLUMN (IF NOT EXISTS )?(\w+)/g)) {
+        if (columns.has(name) && !ifNotExists) {
+          throw new Error(`Duplicate column name '${name}'`);
+        }
+        columns.add(name);
+      }
+    }
+
+    if (/(ALTER|MODIFY) COLUMN/.test(sql)) {
+      assertColumns([...sql.matchAll(/(?:ALTER|MODIFY) COLUMN (\w+)/g)].map(([, name]) => name));
+    }
+
+    if (/DROP COLUMN refresh_tokens/.test(sql)) {
+      columns.delete('refresh_tokens');
+    }
+
+    if (/SELECT id, refresh_tokens FROM users/.test(sql)) {
+      assertColumns(['refresh_tokens']);
+      const stored = dialect === 'mysql' ? JSON.stringify(refreshTokens) : refreshTokens;
+      return refreshTokens.length > 0 ? [{ id: user.id, refresh_tokens: stored }] : [];
+    }
+
+    if (/INSERT (IGNORE )?INTO sessions/.test(sql)) {
+      sessions.push(params);
+      return [];
+    }
+
+    const insert = sql.match(/INSERT INTO users \(([^)]+)\)/);
+    if (insert) {
+      assertColumns(insert[1].split(',').map((name) => name.trim()));
+      return dialect === 'mysql' ? { insertId: user.id } : [user];
+    }
+
+    if (/UPDATE users/.test(sql)) {
+      assertColumns([...sql.matchAll(/(\w+) = /g)].map(([, name]) => name));
+      return dialect === 'mysql' ? { affectedRows: 1 } : [{ ...user, token_version: 1 }];
+    }
+
+    if (/SELECT \* FROM users|SELECT token_version FROM users/.test(sql)) {
+      return [{ ...user, token_version: 1 }];
+    }
+
+    return [];
+  };
+
+  // A PostgreSQL advisory lock is held by one connection until its transaction ends
+  let advisoryLock = Promise.resolve();
+
+  const pool =
+    dialect === 'mysql'
+      ? {
+          query: async (sql, params) => [run(sql, params)],
+          execute: async (sql, params) => [run(sql, params)],
+        }
+      : {
+          query: async (sql, params) => {
+            const rows = run(sql, params);
+            return { rows, rowCount: rows.length };
+          },
+          connect: async () => {
+            let unlock = null;
+
+            return {
+              async query(sql, params) {
+                if (/pg_advisory_xact_lock/.test(sql)) {
+                  const held = advisoryLock;
+                  advisoryLock = new Promise((resolve) => {
+                    unlock = resolve;
+                  });
+                  await held;
+                }
+
+                if (/^(COMMIT|ROLLBACK)$/.test(sql)) {
+                  unlock?.();
+                }
+
+                return pool.query(sql, params);
+              },
+              release() {},
+            };
+          },
+        };
+
+  return { pool, columns, sessions };
+}
+
+for (const [dialect, Adapter, schema] of [
+  ['postgresql', PostgreSQLAdapter, postgresqlSchema],
+  ['mysql', MySQLAdapter, mysqlSchema],
+]) {
+  test(`${dialect}: initialize should add the users columns missing from an existing install`, async () => {
+    const { pool, columns } = createFakePool(dialect);
+    const adapter = new Adapter({ database: {} });
+    adapter.pool = pool;
+
+    // Registration writes columns the baseline table doesn't have
+    await assert.rejects(
+      adapter.createUser({ email: 'john@example.com', password: 'hash' }),
+      /does not exist/
+    );
+
+    await adapter.initialize();
+
+    assert.deepStrictEqual(
+      schemaColumns(schema).filter((name) => !columns.has(name)),
+      []
+    );
+    assert.ok(await adapter.createUser({ email: 'john@example.com', password: 'hash' }));
+    assert.ok(
+      await adapter.updateUser('user-1', {
+        failedLoginAttempts: 1,
+        lockedUntil: new Date(),
+        mustChangePassword: true,
+        passwordChangedAt: new Date(),
+        totpEnabled: true,
+      })
+    );
+    assert.strictEqual(await adapter.incrementTokenVersion('user-1'), 1);
+
+    // Running it again on the migrated table changes nothing
+    await adapter.initialize();
+  });
+
+  test(`${dialect}: initialize should move stored refresh tokens into sessions`, async () => {
+    const refreshToken = generateRefreshToken({ id: 'user-1', family: 'family-1', generation: 2 });
+    const expired = jwt.sign({ id: 'user-1', type: 'refresh' }, 'secret', { expiresIn: -60 });
+    const { pool, columns, sessions } = createFakePool(dialect, {
+      refreshTokens: [refreshToken, expired],
+    });
+    const adapter = new Adapter({ database: {} });
+    adapter.pool = pool;
+
+    await adapter.initialize();
+
+    // The session keeps the token's family, so the signed-in user can go on refreshing
+    const { exp, iat } = decodeToken(refreshToken);
+    const rows = sessions.map((params) => (dialect === 'mysql' ? params.slice(1) : params));
+    assert.deepStrictEqual(rows, [
+      ['user-1', 'family-1', 2, hashToken(refreshToken), new Date(iat * 1000), new Date(exp * 1000)],
+    ]);
+    assert.strictEqual(columns.has('refresh_tokens'), false);
+
+    await adapter.initialize();
+    assert.strictEqual(sessions.length, 1);
+  });
+}
+
+test('postgresql: instances starting together should migrate refresh tokens once', async () => {
+  const refreshToken = generateRefreshToken({ id: 'user-1', family: 'family-1', generation: 2 });
+  const { pool, columns, sessions } = createFakePool('postgresql', {
+    refreshTokens: [refreshToken],
+  });
+  const adapters = [1, 2].map(() => {
+    const adapter = new PostgreSQLAdapter({ database: {} });
+    adapter.pool = pool;
+    return adapter;
+  });
+
+  const migrated = await Promise.all(adapters.map((adapter) => adapter.migrateRefreshTokens()));
+
+  assert.deepStrictEqual(migrated.sort(), [0, 1]);
+  assert.strictEqual(sessions.length, 1);
+  assert.strictEqual(columns.has('refresh_tokens'), false);
+});
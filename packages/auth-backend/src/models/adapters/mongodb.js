@@ -6,6 +6,7 @@
 import { MongoClient, ObjectId } from 'mongodb';
 import { BaseDatabaseAdapter } from './base.js';
 import { sanitizeUser } from '../user.js';
+import { legacyRefreshTokenToSession } from '../session.js';
 
 /**
  * MongoDB Database Adapter
@@ -17,6 +18,12 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
     this.client = null;
     this.db = null;
     this.users = null;
+    this.authTokens = null;
+    this.identities = null;
+    this.webauthnCredentials = null;
+    this.sessions = null;
+    this.oauthClients = null;
+    this.oauthConsents = null;
   }
 
   /**
@@ -35,6 +42,14 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
       const dbName = new URL(this.config.database.url).pathname.slice(1) || 'authdb';
       this.db = this.client.db(dbName);
       this.users = this.db.collection('users');
+      this.authTokens = this.db.collection('auth_tokens');
+      this.identities = this.db.collection('user_identities');
+      this.webauthnCredentials = this.db.collection('webauthn_credentials');
+      this.sessions = this.db.collection('sessions');
+      this.oauthClients = this.db.collection('oauth_clients');
+      this.oauthConsents = this.db.collection('oauth_consents');
+      this.machineClients = this.db.collection('machine_clients');
+      this.apiKeys = this.db.collection('api_keys');
 
       console.log('Connected to MongoDB database');
     } catch (error) {
@@ -69,6 +84,42 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
       // Create index on isActive
       await this.users.createIndex({ isActive: 1 });
 
+      // Create index on phone for SMS sign-in
+      await this.users.createIndex({ phone: 1 });
+
+      // Auth token indexes (TTL index removes expired tokens automatically)
+      await this.authTokens.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.authTokens.createIndex({ type: 1, identifier: 1 });
+      await this.authTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      // External identity indexes
+      await this.identities.createIndex({ provider: 1, providerUserId: 1 }, { unique: true });
+      await this.identities.createIndex({ userId: 1 });
+
+      // WebAuthn credential indexes
+      await this.webauthnCredentials.createIndex({ credentialId: 1 }, { unique: true });
+      await this.webauthnCredentials.createIndex({ userId: 1 });
+
+      // Session indexes (TTL index removes expired sessions automatically)
+      await this.sessions.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.sessions.createIndex({ familyId: 1 });
+      await this.sessions.createIndex({ userId: 1 });
+      await this.sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      // OAuth client and consent indexes
+      await this.oauthClients.createIndex({ clientId: 1 }, { unique: true });
+      await this.oauthConsents.createIndex({ userId: 1, clientId: 1 }, { unique: true });
+      await this.oauthConsents.createIndex({ clientId: 1 });
+
+      // Machine client indexes
+      await this.machineClients.createIndex({ clientId: 1 }, { unique: true });
+
+      // API key indexes
+      await this.apiKeys.createIndex({ prefix: 1 }, { unique: true });
+      await this.apiKeys.createIndex({ userId: 1 });
+
+      await this.migrateRefreshTokens();
+
       console.log('MongoDB indexes initialized');
     } catch (error) {
       console.error('MongoDB initialization error:', error);
@@ -83,21 +134,7 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
    */
   async createUser(userData) {
     try {
-      const user = {
-        email: userData.email.toLowerCase(),
-        password: userData.password,
-        name: userData.name || null,
-        phone: userData.phone || null,
-        role: userData.role || 'user',
-        isEmailVerified: userData.isEmailVerified || false,
-        isActive: userData.isActive !== undefined ? userData.isActive : true,
-        avatar: userData.avatar || null,
-        bio: userData.bio || null,
-        lastLogin: null,
-        refreshTokens: [],
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
+      const user = this._buildUser(userData);
 
       const result = await this.users.insertOne(user);
       user._id = result.insertedId;
@@ -112,6 +149,70 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Creates users in bulk with pre-hashed passwords, skipping existing emails
+   * @param {Array<Object>} users - User data
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importUsers(users) {
+    if (users.length === 0) {
+      return { imported: 0, skipped: [] };
+    }
+
+    const documents = users.map((userData) => this._buildUser(userData));
+
+    try {
+      // Unordered so duplicates don't stop the rest of the batch
+      const result = await this.users.insertMany(documents, { ordered: false });
+      return { imported: result.insertedCount, skipped: [] };
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+
+      if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) {
+        throw new Error(`Failed to import users: ${error.message}`);
+      }
+
+      return {
+        imported: documents.length - writeErrors.length,
+        skipped: writeErrors.map((writeError) => documents[writeError.index].email),
+      };
+    }
+  }
+
+  /**
+   * Builds a new user document with defaults for every field
+   * @private
+   * @param {Object} userData - User data
+   * @returns {Object} User document
+   */
+  _buildUser(userData) {
+    return {
+      email: userData.email.toLowerCase(),
+      password: userData.password,
+      name: userData.name || null,
+      phone: userData.phone || null,
+      role: userData.role || 'user',
+      isEmailVerified: userData.isEmailVerified || false,
+      isPhoneVerified: userData.isPhoneVerified || false,
+      isActive: userData.isActive !== undefined ? userData.isActive : true,
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastUsedStep: null,
+      mfaRecoveryCodes: [],
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      passwordHistory: [],
+      passwordChangedAt: new Date(),
+      mustChangePassword: userData.mustChangePassword || false,
+      avatar: userData.avatar || null,
+      bio: userData.bio || null,
+      tokenVersion: 0,
+      lastLogin: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+  }
+
   /**
    * Finds a user by ID
    * @param {string} id - User ID
@@ -143,6 +244,20 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Finds a user by phone number
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findUserByPhone(phone) {
+    try {
+      const user = await this.users.findOne({ phone }, { sort: { createdAt: 1 } });
+      return user ? this._formatUser(user) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user by phone: ${error.message}`);
+    }
+  }
+
   /**
    * Updates a user
    * @param {string} id - User ID
@@ -172,6 +287,63 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Increments a user's failed login counter
+   * @param {string} id - User ID
+   * @returns {Promise<number>} Failed attempt count after the increment
+   */
+  async incrementFailedLoginAttempts(id) {
+    try {
+      const result = await this.users.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $inc: { failedLoginAttempts: 1 } },
+        { returnDocument: 'after' }
+      );
+      return result ? result.failedLoginAttempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update failed login attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code if it is newer than the recorded one
+   * @param {string} id - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} True if recorded
+   */
+  async recordTotpStep(id, step) {
+    try {
+      const result = await this.users.updateOne(
+        {
+          _id: new ObjectId(id),
+          $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: step } }],
+        },
+        { $set: { totpLastUsedStep: step, updatedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to record TOTP step: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an unused MFA recovery code used
+   * @param {string} id - User ID
+   * @param {string} hash - Hash of the recovery code
+   * @returns {Promise<boolean>} True if marked used
+   */
+  async consumeRecoveryCode(id, hash) {
+    try {
+      const result = await this.users.updateOne(
+        { _id: new ObjectId(id), mfaRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'mfaRecoveryCodes.$.usedAt': new Date(), updatedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+  }
+
   /**
    * Deletes a user
    * @param {string} id - User ID
@@ -180,6 +352,8 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
   async deleteUser(id) {
     try {
       const result = await this.users.deleteOne({ _id: new ObjectId(id) });
+      await this.sessions.deleteMany({ userId: id });
+      await this.apiKeys.deleteMany({ userId: id });
       return result.deletedCount > 0;
     } catch (error) {
       throw new Error(`Failed to delete user: ${error.message}`);
@@ -231,60 +405,203 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
   }
 
   /**
-   * Adds a refresh token to user
+   * Stores a session for a newly issued refresh token
+   * @param {Object} sessionData - Session data
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(sessionData) {
+    try {
+      const session = {
+        userId: sessionData.userId,
+        familyId: sessionData.familyId,
+        generation: sessionData.generation || 0,
+        tokenHash: sessionData.tokenHash,
+        userAgent: sessionData.userAgent || null,
+        ipAddress: sessionData.ipAddress || null,
+        createdAt: sessionData.createdAt || new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: sessionData.expiresAt,
+      };
+
+      const result = await this.sessions.insertOne(session);
+      session._id = result.insertedId;
+
+      return this._formatSession(session);
+    } catch (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a session by its refresh token hash
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findSessionByTokenHash(tokenHash) {
+    try {
+      const session = await this.sessions.findOne({ tokenHash });
+      return session ? this._formatSession(session) : null;
+    } catch (error) {
+      throw new Error(`Failed to find session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the sessions of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByFamily(familyId) {
+    try {
+      const sessions = await this.sessions
+        .find({ familyId })
+        .sort({ generation: -1 })
+        .toArray();
+      return sessions.map((session) => this._formatSession(session));
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a user's unexpired sessions, most recently used first
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} Sessions
    */
-  async addRefreshToken(userId, token) {
+  async findSessionsByUser(userId) {
     try {
-      await this.users.updateOne(
-        { _id: new ObjectId(userId) },
-        {
-          $push: { refreshTokens: token },
-          $set: { updatedAt: new Date() },
-        }
-      );
+      const sessions = await this.sessions
+        .find({ userId, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .toArray();
+      return sessions.map((session) => this._formatSession(session));
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSession(id) {
+    try {
+      const result = await this.sessions.deleteOne({ _id: new ObjectId(id) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes every session of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteSessionsByFamily(familyId) {
+    try {
+      const result = await this.sessions.deleteMany({ familyId });
+      return result.deletedCount;
     } catch (error) {
-      throw new Error(`Failed to add refresh token: ${error.message}`);
+      throw new Error(`Failed to delete sessions: ${error.message}`);
     }
   }
 
   /**
-   * Removes a refresh token from user
+   * Deletes all of a user's sessions
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} Number of deleted sessions
    */
-  async removeRefreshToken(userId, token) {
+  async deleteUserSessions(userId) {
     try {
-      await this.users.updateOne(
-        { _id: new ObjectId(userId) },
-        {
-          $pull: { refreshTokens: token },
-          $set: { updatedAt: new Date() },
-        }
+      const result = await this.sessions.deleteMany({ userId });
+      return result.deletedCount;
+    } catch (error) {
+      throw new Error(`Failed to delete sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired sessions
+   * The TTL index also handles this, but cleanup can be triggered explicitly
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteExpiredSessions() {
+    try {
+      const result = await this.sessions.deleteMany({ expiresAt: { $lte: new Date() } });
+      return result.deletedCount;
+    } catch (error) {
+      throw new Error(`Failed to delete expired sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves refresh tokens from the old users.refreshTokens array into sessions,
+   * then removes the array
+   * @returns {Promise<number>} Number of migrated sessions
+   */
+  async migrateRefreshTokens() {
+    try {
+      const cursor = this.users.find(
+        { refreshTokens: { $exists: true } },
+        { projection: { refreshTokens: 1 } }
       );
+      let migrated = 0;
+
+      for await (const doc of cursor) {
+        const sessions = (doc.refreshTokens || [])
+          .map((token) => legacyRefreshTokenToSession(doc._id.toString(), token))
+          .filter(Boolean);
+
+        // Upserts keep an interrupted migration safe to run again
+        if (sessions.length > 0) {
+          await this.sessions.bulkWrite(
+            sessions.map((session) => ({
+              updateOne: {
+                filter: { tokenHash: session.tokenHash },
+                update: {
+                  $setOnInsert: {
+                    ...session,
+                    userAgent: null,
+                    ipAddress: null,
+                    lastUsedAt: new Date(),
+                  },
+                },
+                upsert: true,
+              },
+            }))
+          );
+          migrated += sessions.length;
+        }
+
+        await this.users.updateOne({ _id: doc._id }, { $unset: { refreshTokens: '' } });
+      }
+
+      return migrated;
     } catch (error) {
-      throw new Error(`Failed to remove refresh token: ${error.message}`);
+      throw new Error(`Failed to migrate refresh tokens: ${error.message}`);
     }
   }
 
   /**
-   * Removes all refresh tokens for a user
+   * Records a password hash in the user's history, keeping only the most recent ones
    * @param {string} userId - User ID
+   * @param {string} passwordHash - Hashed password
+   * @param {number} limit - Number of hashes to keep
    * @returns {Promise<void>}
    */
-  async removeAllRefreshTokens(userId) {
+  async addPasswordHistory(userId, passwordHash, limit) {
     try {
       await this.users.updateOne(
         { _id: new ObjectId(userId) },
         {
-          $set: { refreshTokens: [], updatedAt: new Date() },
+          $push: { passwordHistory: { $each: [passwordHash], $position: 0, $slice: limit } },
+          $set: { updatedAt: new Date() },
         }
       );
     } catch (error) {
-      throw new Error(`Failed to remove all refresh tokens: ${error.message}`);
+      throw new Error(`Failed to add password history: ${error.message}`);
     }
   }
 
@@ -307,42 +624,793 @@ export class MongoDBAdapter extends BaseDatabaseAdapter {
   }
 
   /**
-   * Checks database connection health
-   * @returns {Promise<boolean>} True if connected
+   * Increments a user's token version
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New token version, or null if the user doesn't exist
    */
-  async healthCheck() {
+  async incrementTokenVersion(userId) {
     try {
-      await this.db.admin().ping();
-      return true;
+      const result = await this.users.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        { $inc: { tokenVersion: 1 }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      return result ? result.tokenVersion : null;
     } catch (error) {
-      return false;
+      throw new Error(`Failed to increment token version: ${error.message}`);
     }
   }
 
   /**
-   * Formats MongoDB document to user object
-   * @private
-   * @param {Object} doc - MongoDB document
-   * @returns {Object} Formatted user object
+   * Stores a new single-use auth token
+   * @param {Object} tokenData - Token data
+   * @returns {Promise<Object>} Created token record
    */
-  _formatUser(doc) {
-    if (!doc) return null;
+  async createAuthToken(tokenData) {
+    try {
+      const token = {
+        type: tokenData.type,
+        identifier: tokenData.identifier,
+        userId: tokenData.userId || null,
+        tokenHash: tokenData.tokenHash,
+        metadata: tokenData.metadata || null,
+        attempts: 0,
+        expiresAt: tokenData.expiresAt,
+        consumedAt: null,
+        createdAt: new Date(),
+      };
 
-    return {
-      id: doc._id.toString(),
-      email: doc.email,
-      password: doc.password,
-      name: doc.name,
-      phone: doc.phone,
-      role: doc.role,
-      isEmailVerified: doc.isEmailVerified,
-      isActive: doc.isActive,
-      avatar: doc.avatar,
-      bio: doc.bio,
-      lastLogin: doc.lastLogin,
-      refreshTokens: doc.refreshTokens || [],
-      createdAt: doc.createdAt,
-      updatedAt: doc.updatedAt,
+      const result = await this.authTokens.insertOne(token);
+      token._id = result.insertedId;
+
+      return this._formatAuthToken(token);
+    } catch (error) {
+      throw new Error(`Failed to create auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an auth token by its hash
+   * @param {string} type - Token type
+   * @param {string} tokenHash - Hash of the raw token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findAuthTokenByHash(type, tokenHash) {
+    try {
+      const token = await this.authTokens.findOne({ type, tokenHash });
+      return token ? this._formatAuthToken(token) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the most recent usable auth token of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the token is tied to
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findActiveAuthToken(type, identifier) {
+    try {
+      const token = await this.authTokens.findOne(
+        { type, identifier, consumedAt: null, expiresAt: { $gt: new Date() } },
+        { sort: { createdAt: -1 } }
+      );
+      return token ? this._formatAuthToken(token) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increments the failed attempt counter of an auth token
+   * @param {string} id - Token record ID
+   * @returns {Promise<number>} Attempt count after the increment
+   */
+  async incrementAuthTokenAttempts(id) {
+    try {
+      const result = await this.authTokens.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $inc: { attempts: 1 } },
+        { returnDocument: 'after' }
+      );
+      return result ? result.attempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update auth token attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an auth token as consumed
+   * @param {string} id - Token record ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async consumeAuthToken(id) {
+    try {
+      const result = await this.authTokens.updateOne(
+        { _id: new ObjectId(id), consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to consume auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalidates all unconsumed auth tokens of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the tokens are tied to
+   * @returns {Promise<void>}
+   */
+  async revokeAuthTokens(type, identifier) {
+    try {
+      await this.authTokens.updateMany(
+        { type, identifier, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+      );
+    } catch (error) {
+      throw new Error(`Failed to revoke auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired auth tokens
+   * The TTL index also handles this, but cleanup can be triggered explicitly
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpiredAuthTokens() {
+    try {
+      const result = await this.authTokens.deleteMany({
+        expiresAt: { $lte: new Date() },
+      });
+      return result.deletedCount;
+    } catch (error) {
+      throw new Error(`Failed to delete expired auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a linked external identity
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - User ID at the provider
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  async findUserIdentity(provider, providerUserId) {
+    try {
+      const identity = await this.identities.findOne({ provider, providerUserId });
+      return identity ? this._formatUserIdentity(identity) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Links an external identity to a user
+   * @param {Object} identityData - Identity data
+   * @returns {Promise<Object>} Created identity
+   */
+  async createUserIdentity(identityData) {
+    try {
+      const identity = {
+        userId: identityData.userId,
+        provider: identityData.provider,
+        providerUserId: identityData.providerUserId,
+        email: identityData.email || null,
+        createdAt: new Date(),
+      };
+
+      const result = await this.identities.insertOne(identity);
+      identity._id = result.insertedId;
+
+      return this._formatUserIdentity(identity);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Identity already linked');
+      }
+      throw new Error(`Failed to create user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores a registered WebAuthn credential
+   * @param {Object} credentialData - Credential data
+   * @returns {Promise<Object>} Created credential
+   */
+  async createWebAuthnCredential(credentialData) {
+    try {
+      const credential = {
+        userId: credentialData.userId,
+        credentialId: credentialData.credentialId,
+        publicKey: credentialData.publicKey,
+        signCount: credentialData.signCount || 0,
+        transports: credentialData.transports || [],
+        name: credentialData.name || null,
+        lastUsedAt: null,
+        createdAt: new Date(),
+      };
+
+      const result = await this.webauthnCredentials.insertOne(credential);
+      credential._id = result.insertedId;
+
+      return this._formatWebAuthnCredential(credential);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Credential already registered');
+      }
+      throw new Error(`Failed to create WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a WebAuthn credential by its credential ID
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {Promise<Object|null>} Credential or null
+   */
+  async findWebAuthnCredential(credentialId) {
+    try {
+      const credential = await this.webauthnCredentials.findOne({ credentialId });
+      return credential ? this._formatWebAuthnCredential(credential) : null;
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's WebAuthn credentials
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Credentials
+   */
+  async findWebAuthnCredentialsByUser(userId) {
+    try {
+      const credentials = await this.webauthnCredentials
+        .find({ userId })
+        .sort({ createdAt: 1 })
+        .toArray();
+      return credentials.map((credential) => this._formatWebAuthnCredential(credential));
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated credential
+   */
+  async updateWebAuthnCredential(id, updates) {
+    try {
+      const updateData = {};
+
+      ['signCount', 'lastUsedAt', 'name'].forEach((field) => {
+        if (updates[field] !== undefined) {
+          updateData[field] = updates[field];
+        }
+      });
+
+      const result = await this.webauthnCredentials.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: updateData },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new Error('Credential not found');
+      }
+
+      return this._formatWebAuthnCredential(result);
+    } catch (error) {
+      throw new Error(`Failed to update WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteWebAuthnCredential(id) {
+    try {
+      const result = await this.webauthnCredentials.deleteOne({ _id: new ObjectId(id) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers an OAuth client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createOAuthClient(clientData) {
+    try {
+      const client = {
+        clientId: clientData.clientId,
+        clientSecretHash: clientData.clientSecretHash || null,
+        name: clientData.name,
+        redirectUris: clientData.redirectUris,
+        scopes: clientData.scopes,
+        trusted: clientData.trusted || false,
+        createdAt: new Date(),
+      };
+
+      const result = await this.oauthClients.insertOne(client);
+      client._id = result.insertedId;
+
+      return this._formatOAuthClient(client);
+    } catch (error) {
+      throw new Error(`Failed to create OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an OAuth client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findOAuthClient(clientId) {
+    try {
+      const client = await this.oauthClients.findOne({ clientId });
+      return client ? this._formatOAuthClient(client) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists registered OAuth clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listOAuthClients() {
+    try {
+      const clients = await this.oauthClients.find({}).sort({ createdAt: 1 }).toArray();
+      return clients.map((client) => this._formatOAuthClient(client));
+    } catch (error) {
+      throw new Error(`Failed to list OAuth clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an OAuth client and the consents given to it
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOAuthClient(clientId) {
+    try {
+      const result = await this.oauthClients.deleteOne({ clientId });
+      await this.oauthConsents.deleteMany({ clientId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Consent or null
+   */
+  async findOAuthConsent(userId, clientId) {
+    try {
+      const consent = await this.oauthConsents.findOne({ userId, clientId });
+      return consent ? this._formatOAuthConsent(consent) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates or replaces the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @param {string[]} scopes - Granted scopes
+   * @returns {Promise<Object>} Saved consent
+   */
+  async saveOAuthConsent(userId, clientId, scopes) {
+    try {
+      const now = new Date();
+      const result = await this.oauthConsents.findOneAndUpdate(
+        { userId, clientId },
+        { $set: { scopes, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      return this._formatOAuthConsent(result);
+    } catch (error) {
+      throw new Error(`Failed to save OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers a machine client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createMachineClient(clientData) {
+    try {
+      const now = new Date();
+      const client = {
+        clientId: clientData.clientId,
+        name: clientData.name,
+        secretHash: clientData.secretHash,
+        previousSecretHash: null,
+        previousSecretExpiresAt: null,
+        scopes: clientData.scopes,
+        revokedAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      const result = await this.machineClients.insertOne(client);
+      client._id = result.insertedId;
+
+      return this._formatMachineClient(client);
+    } catch (error) {
+      throw new Error(`Failed to create machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a machine client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findMachineClient(clientId) {
+    try {
+      const client = await this.machineClients.findOne({ clientId });
+      return client ? this._formatMachineClient(client) : null;
+    } catch (error) {
+      throw new Error(`Failed to find machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists machine clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listMachineClients() {
+    try {
+      const clients = await this.machineClients.find({}).sort({ createdAt: 1 }).toArray();
+      return clients.map((client) => this._formatMachineClient(client));
+    } catch (error) {
+      throw new Error(`Failed to list machine clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a machine client's secrets or revocation
+   * @param {string} clientId - Public client identifier
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated client or null if not found
+   */
+  async updateMachineClient(clientId, updates) {
+    try {
+      const updateData = { updatedAt: new Date() };
+
+      ['secretHash', 'previousSecretHash', 'previousSecretExpiresAt', 'revokedAt'].forEach(
+        (field) => {
+          if (updates[field] !== undefined) {
+            updateData[field] = updates[field];
+          }
+        }
+      );
+
+      const result = await this.machineClients.findOneAndUpdate(
+        { clientId },
+        { $set: updateData },
+        { returnDocument: 'after' }
+      );
+
+      return result ? this._formatMachineClient(result) : null;
+    } catch (error) {
+      throw new Error(`Failed to update machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a personal API key
+   * @param {Object} keyData - Key data
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    try {
+      const apiKey = {
+        userId: keyData.userId,
+        name: keyData.name,
+        prefix: keyData.prefix,
+        keyHash: keyData.keyHash,
+        scopes: keyData.scopes || [],
+        expiresAt: keyData.expiresAt || null,
+        lastUsedAt: null,
+        createdAt: new Date(),
+      };
+
+      const result = await this.apiKeys.insertOne(apiKey);
+      apiKey._id = result.insertedId;
+
+      return this._formatApiKey(apiKey);
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an API key by its lookup prefix
+   * @param {string} prefix - Lookup prefix
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findApiKeyByPrefix(prefix) {
+    try {
+      const apiKey = await this.apiKeys.findOne({ prefix });
+      return apiKey ? this._formatApiKey(apiKey) : null;
+    } catch (error) {
+      throw new Error(`Failed to find API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys
+   */
+  async findApiKeysByUser(userId) {
+    try {
+      const apiKeys = await this.apiKeys.find({ userId }).sort({ createdAt: 1 }).toArray();
+      return apiKeys.map((apiKey) => this._formatApiKey(apiKey));
+    } catch (error) {
+      throw new Error(`Failed to find API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records that an API key was just used
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async updateApiKeyLastUsed(id) {
+    try {
+      await this.apiKeys.updateOne({ _id: new ObjectId(id) }, { $set: { lastUsedAt: new Date() } });
+    } catch (error) {
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an API key
+   * @param {string} id - Key record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteApiKey(id) {
+    try {
+      const result = await this.apiKeys.deleteOne({ _id: new ObjectId(id) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks database connection health
+   * @returns {Promise<boolean>} True if connected
+   */
+  async healthCheck() {
+    try {
+      await this.db.admin().ping();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Formats MongoDB document to user object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted user object
+   */
+  _formatUser(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      email: doc.email,
+      password: doc.password,
+      name: doc.name,
+      phone: doc.phone,
+      role: doc.role,
+      isEmailVerified: doc.isEmailVerified,
+      isPhoneVerified: doc.isPhoneVerified ?? false,
+      isActive: doc.isActive,
+      totpSecret: doc.totpSecret ?? null,
+      totpEnabled: doc.totpEnabled ?? false,
+      totpLastUsedStep: doc.totpLastUsedStep ?? null,
+      mfaRecoveryCodes: doc.mfaRecoveryCodes ?? [],
+      failedLoginAttempts: doc.failedLoginAttempts ?? 0,
+      lockedUntil: doc.lockedUntil ?? null,
+      passwordHistory: doc.passwordHistory ?? [],
+      passwordChangedAt: doc.passwordChangedAt ?? null,
+      mustChangePassword: doc.mustChangePassword ?? false,
+      avatar: doc.avatar,
+      bio: doc.bio,
+      tokenVersion: doc.tokenVersion ?? 0,
+      lastLogin: doc.lastLogin,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to auth token object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted auth token object
+   */
+  _formatAuthToken(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      type: doc.type,
+      identifier: doc.identifier,
+      userId: doc.userId,
+      tokenHash: doc.tokenHash,
+      metadata: doc.metadata,
+      attempts: doc.attempts ?? 0,
+      expiresAt: doc.expiresAt,
+      consumedAt: doc.consumedAt,
+      createdAt: doc.createdAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to session object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted session object
+   */
+  _formatSession(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      familyId: doc.familyId,
+      generation: doc.generation ?? 0,
+      tokenHash: doc.tokenHash,
+      userAgent: doc.userAgent ?? null,
+      ipAddress: doc.ipAddress ?? null,
+      createdAt: doc.createdAt,
+      lastUsedAt: doc.lastUsedAt,
+      expiresAt: doc.expiresAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to user identity object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted user identity object
+   */
+  _formatUserIdentity(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      provider: doc.provider,
+      providerUserId: doc.providerUserId,
+      email: doc.email,
+      createdAt: doc.createdAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to WebAuthn credential object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted WebAuthn credential object
+   */
+  _formatWebAuthnCredential(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      credentialId: doc.credentialId,
+      publicKey: doc.publicKey,
+      signCount: doc.signCount,
+      transports: doc.transports || [],
+      name: doc.name,
+      lastUsedAt: doc.lastUsedAt,
+      createdAt: doc.createdAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to OAuth client object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted OAuth client object
+   */
+  _formatOAuthClient(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      clientId: doc.clientId,
+      clientSecretHash: doc.clientSecretHash ?? null,
+      name: doc.name,
+      redirectUris: doc.redirectUris || [],
+      scopes: doc.scopes || [],
+      trusted: doc.trusted ?? false,
+      createdAt: doc.createdAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to OAuth consent object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted OAuth consent object
+   */
+  _formatOAuthConsent(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      clientId: doc.clientId,
+      scopes: doc.scopes || [],
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to machine client object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted machine client object
+   */
+  _formatMachineClient(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      clientId: doc.clientId,
+      name: doc.name,
+      secretHash: doc.secretHash,
+      previousSecretHash: doc.previousSecretHash ?? null,
+      previousSecretExpiresAt: doc.previousSecretExpiresAt ?? null,
+      scopes: doc.scopes || [],
+      revokedAt: doc.revokedAt ?? null,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+    };
+  }
+
+  /**
+   * Formats MongoDB document to API key object
+   * @private
+   * @param {Object} doc - MongoDB document
+   * @returns {Object} Formatted API key object
+   */
+  _formatApiKey(doc) {
+    if (!doc) return null;
+
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId,
+      name: doc.name,
+      prefix: doc.prefix,
+      keyHash: doc.keyHash,
+      scopes: doc.scopes || [],
+      expiresAt: doc.expiresAt ?? null,
+      lastUsedAt: doc.lastUsedAt ?? null,
+      createdAt: doc.createdAt,
     };
   }
 }
@@ -4,8 +4,26 @@
  */
 
 import mysql from 'mysql2/promise';
+import crypto from 'crypto';
 import { BaseDatabaseAdapter } from './base.js';
-import { mysqlSchema, rowToUser, userToRow } from '../user.js';
+import { mysqlSchema, mysqlUserMigrationColumns, rowToUser, userToRow } from '../user.js';
+import { authTokensMysqlSchema, rowToAuthToken } from '../authToken.js';
+import { userIdentitiesMysqlSchema, rowToUserIdentity } from '../userIdentity.js';
+import { webauthnCredentialsMysqlSchema, rowToWebAuthnCredential } from '../webauthnCredential.js';
+import {
+  oauthClientsMysqlSchema,
+  oauthConsentsMysqlSchema,
+  rowToOAuthClient,
+  rowToOAuthConsent,
+} from '../oauthClient.js';
+import { machineClientsMysqlSchema, rowToMachineClient } from '../machineClient.js';
+import { apiKeysMysqlSchema, rowToApiKey } from '../apiKey.js';
+import {
+  sessionsMysqlSchema,
+  rowToSession,
+  legacyRefreshTokenToSession,
+} from '../session.js';
+import { hashToken } from '../../utils/tokens.js';
 
 /**
  * MySQL Database Adapter
@@ -62,6 +80,16 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
   async initialize() {
     try {
       await this.pool.query(mysqlSchema);
+      await this.migrateUserColumns();
+      await this.pool.query(authTokensMysqlSchema);
+      await this.pool.query(userIdentitiesMysqlSchema);
+      await this.pool.query(webauthnCredentialsMysqlSchema);
+      await this.pool.query(sessionsMysqlSchema);
+      await this.pool.query(oauthClientsMysqlSchema);
+      await this.pool.query(oauthConsentsMysqlSchema);
+      await this.pool.query(machineClientsMysqlSchema);
+      await this.pool.query(apiKeysMysqlSchema);
+      await this.migrateRefreshTokens();
       console.log('MySQL schema initialized');
     } catch (error) {
       console.error('MySQL initialization error:', error);
@@ -78,8 +106,8 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
     const row = userToRow(userData);
 
     const query = `
-      INSERT INTO users (email, password, name, phone, role, is_email_verified, is_active, avatar, bio)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO users (email, password, name, phone, role, is_email_verified, is_phone_verified, is_active, avatar, bio)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const values = [
@@ -89,6 +117,7 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
       row.phone || null,
       row.role || 'user',
       row.is_email_verified || false,
+      row.is_phone_verified || false,
       row.is_active !== undefined ? row.is_active : true,
       row.avatar || null,
       row.bio || null,
@@ -109,6 +138,68 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Creates users in bulk with pre-hashed passwords, skipping existing emails
+   * @param {Array<Object>} users - User data
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importUsers(users) {
+    const skipped = [];
+    let imported = 0;
+
+    try {
+      for (let start = 0; start < users.length; start += 500) {
+        const chunk = users.slice(start, start + 500);
+        const [existing] = await this.pool.query('SELECT email FROM users WHERE email IN (?)', [
+          chunk.map((user) => user.email),
+        ]);
+        const existingEmails = new Set(existing.map((row) => row.email.toLowerCase()));
+        const rows = chunk
+          .filter((user) => {
+            if (existingEmails.has(user.email.toLowerCase())) {
+              skipped.push(user.email);
+              return false;
+            }
+            return true;
+          })
+          .map(userToRow);
+
+        if (rows.length === 0) {
+          continue;
+        }
+
+        // A concurrent insert of the same email is left alone rather than failing the batch
+        const [result] = await this.pool.query(
+          `INSERT INTO users (id, email, password, name, phone, role, is_email_verified,
+             is_phone_verified, is_active, avatar, bio, must_change_password)
+           VALUES ?
+           ON DUPLICATE KEY UPDATE id = id`,
+          [
+            rows.map((row) => [
+              crypto.randomUUID(),
+              row.email,
+              row.password,
+              row.name || null,
+              row.phone || null,
+              row.role || 'user',
+              row.is_email_verified || false,
+              row.is_phone_verified || false,
+              row.is_active !== undefined ? row.is_active : true,
+              row.avatar || null,
+              row.bio || null,
+              row.must_change_password || false,
+            ]),
+          ]
+        );
+        imported += result.affectedRows;
+      }
+    } catch (error) {
+      throw new Error(`Failed to import users: ${error.message}`);
+    }
+
+    return { imported, skipped };
+  }
+
   /**
    * Finds a user by ID
    * @param {string} id - User ID
@@ -136,21 +227,29 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
     try {
       const [rows] = await this.pool.execute(query, [email.toLowerCase()]);
 
-      if (rows.length > 0) {
-        const user = rows[0];
-        // Parse JSON for refresh_tokens
-        if (typeof user.refresh_tokens === 'string') {
-          user.refresh_tokens = JSON.parse(user.refresh_tokens || '[]');
-        }
-        return rowToUser(user);
-      }
-
-      return null;
+      return rows.length > 0 ? rowToUser(rows[0]) : null;
     } catch (error) {
       throw new Error(`Failed to find user by email: ${error.message}`);
     }
   }
 
+  /**
+   * Finds a user by phone number
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findUserByPhone(phone) {
+    const query = 'SELECT * FROM users WHERE phone = ? ORDER BY created_at LIMIT 1';
+
+    try {
+      const [rows] = await this.pool.execute(query, [phone]);
+
+      return rows.length > 0 ? rowToUser(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user by phone: ${error.message}`);
+    }
+  }
+
   /**
    * Updates a user
    * @param {string} id - User ID
@@ -166,14 +265,8 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
 
     Object.entries(row).forEach(([key, value]) => {
       if (value !== undefined) {
-        // Handle JSON fields
-        if (key === 'refresh_tokens' && Array.isArray(value)) {
-          fields.push(`${key} = ?`);
-          values.push(JSON.stringify(value));
-        } else {
-          fields.push(`${key} = ?`);
-          values.push(value);
-        }
+        fields.push(`${key} = ?`);
+        values.push(value);
       }
     });
 
@@ -197,17 +290,91 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
         throw new Error('User not found');
       }
 
-      // Parse JSON for refresh_tokens
-      if (typeof rows[0].refresh_tokens === 'string') {
-        rows[0].refresh_tokens = JSON.parse(rows[0].refresh_tokens || '[]');
-      }
-
       return rowToUser(rows[0]);
     } catch (error) {
       throw new Error(`Failed to update user: ${error.message}`);
     }
   }
 
+  /**
+   * Increments a user's failed login counter
+   * @param {string} id - User ID
+   * @returns {Promise<number>} Failed attempt count after the increment
+   */
+  async incrementFailedLoginAttempts(id) {
+    try {
+      await this.pool.execute(
+        'UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
+        [id]
+      );
+      const [rows] = await this.pool.execute(
+        'SELECT failed_login_attempts FROM users WHERE id = ?',
+        [id]
+      );
+
+      return rows.length > 0 ? rows[0].failed_login_attempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update failed login attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code if it is newer than the recorded one
+   * @param {string} id - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} True if recorded
+   */
+  async recordTotpStep(id, step) {
+    const query = `
+      UPDATE users
+      SET totp_last_used_step = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+    `;
+
+    try {
+      const [result] = await this.pool.execute(query, [step, id, step]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to record TOTP step: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an unused MFA recovery code used
+   * @param {string} id - User ID
+   * @param {string} hash - Hash of the recovery code
+   * @returns {Promise<boolean>} True if marked used
+   */
+  async consumeRecoveryCode(id, hash) {
+    // JSON_SEARCH treats % and _ as wildcards
+    const pattern = hash.replace(/[\\%_]/g, '\\$&');
+    const query = `
+      UPDATE users
+      SET mfa_recovery_codes = JSON_SET(
+        mfa_recovery_codes,
+        REPLACE(
+          JSON_UNQUOTE(JSON_SEARCH(mfa_recovery_codes, 'one', ?, NULL, '$[*].hash')),
+          '.hash',
+          '.usedAt'
+        ),
+        ?
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND JSON_CONTAINS(mfa_recovery_codes, JSON_OBJECT('hash', ?, 'usedAt', NULL))
+    `;
+
+    try {
+      const [result] = await this.pool.execute(query, [
+        pattern,
+        new Date().toISOString(),
+        id,
+        hash,
+      ]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+  }
+
   /**
    * Deletes a user
    * @param {string} id - User ID
@@ -268,114 +435,963 @@ export class MySQLAdapter extends BaseDatabaseAdapter {
 
     try {
       const [rows] = await this.pool.execute(query, values);
-
-      // Parse JSON fields
-      return rows.map((row) => {
-        if (typeof row.refresh_tokens === 'string') {
-          row.refresh_tokens = JSON.parse(row.refresh_tokens || '[]');
-        }
-        return rowToUser(row);
-      });
+      return rows.map(rowToUser);
     } catch (error) {
       throw new Error(`Failed to find users: ${error.message}`);
     }
   }
 
   /**
-   * Adds a refresh token to user
+   * Stores a session for a newly issued refresh token
+   * @param {Object} sessionData - Session data
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(sessionData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO sessions (id, user_id, family_id, generation, token_hash, user_agent, ip_address, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      sessionData.userId,
+      sessionData.familyId,
+      sessionData.generation || 0,
+      sessionData.tokenHash,
+      sessionData.userAgent || null,
+      sessionData.ipAddress || null,
+      sessionData.createdAt || new Date(),
+      sessionData.expiresAt,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM sessions WHERE id = ?', [id]);
+
+      return rowToSession(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a session by its refresh token hash
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findSessionByTokenHash(tokenHash) {
+    const query = 'SELECT * FROM sessions WHERE token_hash = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [tokenHash]);
+      return rows.length > 0 ? rowToSession(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the sessions of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByFamily(familyId) {
+    const query = 'SELECT * FROM sessions WHERE family_id = ? ORDER BY generation DESC';
+
+    try {
+      const [rows] = await this.pool.execute(query, [familyId]);
+      return rows.map(rowToSession);
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a user's unexpired sessions, most recently used first
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByUser(userId) {
+    const query = `
+      SELECT * FROM sessions
+      WHERE user_id = ? AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+
+    try {
+      const [rows] = await this.pool.execute(query, [userId]);
+      return rows.map(rowToSession);
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if deleted
    */
-  async addRefreshToken(userId, token) {
+  async deleteSession(id) {
+    const query = 'DELETE FROM sessions WHERE id = ?';
+
     try {
-      // Get current tokens
-      const [rows] = await this.pool.execute('SELECT refresh_tokens FROM users WHERE id = ?', [userId]);
+      const [result] = await this.pool.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete session: ${error.message}`);
+    }
+  }
 
-      if (rows.length === 0) {
-        throw new Error('User not found');
+  /**
+   * Deletes every session of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteSessionsByFamily(familyId) {
+    const query = 'DELETE FROM sessions WHERE family_id = ?';
+
+    try {
+      const [result] = await this.pool.execute(query, [familyId]);
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to delete sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteUserSessions(userId) {
+    const query = 'DELETE FROM sessions WHERE user_id = ?';
+
+    try {
+      const [result] = await this.pool.execute(query, [userId]);
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to delete sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired sessions
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteExpiredSessions() {
+    const query = 'DELETE FROM sessions WHERE expires_at <= ?';
+
+    try {
+      const [result] = await this.pool.execute(query, [new Date()]);
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to delete expired sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds the users columns introduced after the table was first created
+   * @returns {Promise<number>} Number of added columns
+   */
+  async migrateUserColumns() {
+    const columnQuery = `
+      SELECT column_name AS name FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'users'
+    `;
+
+    try {
+      const [columns] = await this.pool.query(columnQuery);
+      const existing = new Set(columns.map((column) => column.name));
+      const missing = Object.keys(mysqlUserMigrationColumns).filter(
+        (column) => !existing.has(column)
+      );
+
+      for (const column of missing) {
+        await this.pool.query(
+          `ALTER TABLE users ADD COLUMN ${column} ${mysqlUserMigrationColumns[column]}`
+        );
       }
 
-      let tokens = [];
-      if (rows[0].refresh_tokens) {
-        tokens = typeof rows[0].refresh_tokens === 'string'
-          ? JSON.parse(rows[0].refresh_tokens)
-          : rows[0].refresh_tokens;
+      // Existing accounts keep NULL; new ones record when their password was set
+      if (missing.includes('password_changed_at')) {
+        await this.pool.query(
+          'ALTER TABLE users MODIFY COLUMN password_changed_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP'
+        );
       }
 
-      tokens.push(token);
+      return missing.length;
+    } catch (error) {
+      throw new Error(`Failed to migrate users table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves refresh tokens from the old users.refresh_tokens column into sessions,
+   * then drops the column
+   * MySQL commits DDL implicitly, so the column is only dropped once every token is copied
+   * @returns {Promise<number>} Number of migrated sessions
+   */
+  async migrateRefreshTokens() {
+    const columnQuery = `
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'refresh_tokens'
+    `;
+    const insertQuery = `
+      INSERT IGNORE INTO sessions (id, user_id, family_id, generation, token_hash, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
 
-      await this.pool.execute(
-        'UPDATE users SET refresh_tokens = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [JSON.stringify(tokens), userId]
+    try {
+      const [columns] = await this.pool.query(columnQuery);
+
+      if (columns.length === 0) {
+        return 0;
+      }
+
+      const [rows] = await this.pool.query(
+        'SELECT id, refresh_tokens FROM users WHERE JSON_LENGTH(refresh_tokens) > 0'
       );
+      let migrated = 0;
+
+      for (const row of rows) {
+        const tokens =
+          typeof row.refresh_tokens === 'string'
+            ? JSON.parse(row.refresh_tokens)
+            : row.refresh_tokens;
+
+        for (const token of tokens) {
+          const session = legacyRefreshTokenToSession(row.id, token);
+
+          if (session) {
+            await this.pool.execute(insertQuery, [
+              crypto.randomUUID(),
+              session.userId,
+              session.familyId,
+              session.generation,
+              session.tokenHash,
+              session.createdAt,
+              session.expiresAt,
+            ]);
+            migrated++;
+          }
+        }
+      }
+
+      await this.pool.query('ALTER TABLE users DROP COLUMN refresh_tokens');
+
+      return migrated;
     } catch (error) {
-      throw new Error(`Failed to add refresh token: ${error.message}`);
+      throw new Error(`Failed to migrate refresh tokens: ${error.message}`);
     }
   }
 
   /**
-   * Removes a refresh token from user
+   * Records a password hash in the user's history, keeping only the most recent ones
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
+   * @param {string} passwordHash - Hashed password
+   * @param {number} limit - Number of hashes to keep
    * @returns {Promise<void>}
    */
-  async removeRefreshToken(userId, token) {
+  async addPasswordHistory(userId, passwordHash, limit) {
     try {
-      // Get current tokens
-      const [rows] = await this.pool.execute('SELECT refresh_tokens FROM users WHERE id = ?', [userId]);
+      const [rows] = await this.pool.execute('SELECT password_history FROM users WHERE id = ?', [userId]);
 
       if (rows.length === 0) {
         throw new Error('User not found');
       }
 
-      let tokens = [];
-      if (rows[0].refresh_tokens) {
-        tokens = typeof rows[0].refresh_tokens === 'string'
-          ? JSON.parse(rows[0].refresh_tokens)
-          : rows[0].refresh_tokens;
+      let history = [];
+      if (rows[0].password_history) {
+        history = typeof rows[0].password_history === 'string'
+          ? JSON.parse(rows[0].password_history)
+          : rows[0].password_history;
       }
 
-      tokens = tokens.filter((t) => t !== token);
+      history = [passwordHash, ...history].slice(0, limit);
 
       await this.pool.execute(
-        'UPDATE users SET refresh_tokens = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [JSON.stringify(tokens), userId]
+        'UPDATE users SET password_history = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(history), userId]
       );
     } catch (error) {
-      throw new Error(`Failed to remove refresh token: ${error.message}`);
+      throw new Error(`Failed to add password history: ${error.message}`);
     }
   }
 
   /**
-   * Removes all refresh tokens for a user
+   * Updates user's last login timestamp
    * @param {string} userId - User ID
    * @returns {Promise<void>}
    */
-  async removeAllRefreshTokens(userId) {
+  async updateLastLogin(userId) {
     try {
       await this.pool.execute(
-        'UPDATE users SET refresh_tokens = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [JSON.stringify([]), userId]
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
       );
     } catch (error) {
-      throw new Error(`Failed to remove all refresh tokens: ${error.message}`);
+      throw new Error(`Failed to update last login: ${error.message}`);
     }
   }
 
   /**
-   * Updates user's last login timestamp
+   * Increments a user's token version
    * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New token version, or null if the user doesn't exist
+   */
+  async incrementTokenVersion(userId) {
+    try {
+      const [result] = await this.pool.execute(
+        'UPDATE users SET token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const [rows] = await this.pool.execute('SELECT token_version FROM users WHERE id = ?', [
+        userId,
+      ]);
+      return rows[0]?.token_version ?? null;
+    } catch (error) {
+      throw new Error(`Failed to increment token version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores a new single-use auth token
+   * @param {Object} tokenData - Token data
+   * @returns {Promise<Object>} Created token record
+   */
+  async createAuthToken(tokenData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO auth_tokens (id, type, identifier, user_id, token_hash, metadata, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      tokenData.type,
+      tokenData.identifier,
+      tokenData.userId || null,
+      tokenData.tokenHash,
+      tokenData.metadata ? JSON.stringify(tokenData.metadata) : null,
+      tokenData.expiresAt,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM auth_tokens WHERE id = ?', [id]);
+
+      return rowToAuthToken(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an auth token by its hash
+   * @param {string} type - Token type
+   * @param {string} tokenHash - Hash of the raw token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findAuthTokenByHash(type, tokenHash) {
+    const query = 'SELECT * FROM auth_tokens WHERE type = ? AND token_hash = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [type, tokenHash]);
+      return rows.length > 0 ? rowToAuthToken(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the most recent usable auth token of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the token is tied to
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findActiveAuthToken(type, identifier) {
+    const query = `
+      SELECT * FROM auth_tokens
+      WHERE type = ? AND identifier = ? AND consumed_at IS NULL AND expires_at > ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [rows] = await this.pool.execute(query, [type, identifier, new Date()]);
+      return rows.length > 0 ? rowToAuthToken(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increments the failed attempt counter of an auth token
+   * @param {string} id - Token record ID
+   * @returns {Promise<number>} Attempt count after the increment
+   */
+  async incrementAuthTokenAttempts(id) {
+    try {
+      await this.pool.execute('UPDATE auth_tokens SET attempts = attempts + 1 WHERE id = ?', [id]);
+      const [rows] = await this.pool.execute('SELECT attempts FROM auth_tokens WHERE id = ?', [id]);
+
+      return rows.length > 0 ? rows[0].attempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update auth token attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an auth token as consumed
+   * @param {string} id - Token record ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async consumeAuthToken(id) {
+    try {
+      const [result] = await this.pool.execute(
+        'UPDATE auth_tokens SET consumed_at = CURRENT_TIMESTAMP WHERE id = ? AND consumed_at IS NULL',
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to consume auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalidates all unconsumed auth tokens of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the tokens are tied to
    * @returns {Promise<void>}
    */
-  async updateLastLogin(userId) {
+  async revokeAuthTokens(type, identifier) {
     try {
       await this.pool.execute(
-        'UPDATE users SET last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [userId]
+        'UPDATE auth_tokens SET consumed_at = CURRENT_TIMESTAMP WHERE type = ? AND identifier = ? AND consumed_at IS NULL',
+        [type, identifier]
       );
     } catch (error) {
-      throw new Error(`Failed to update last login: ${error.message}`);
+      throw new Error(`Failed to revoke auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired auth tokens
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpiredAuthTokens() {
+    try {
+      const [result] = await this.pool.execute(
+        'DELETE FROM auth_tokens WHERE expires_at <= ?',
+        [new Date()]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to delete expired auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a linked external identity
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - User ID at the provider
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  async findUserIdentity(provider, providerUserId) {
+    const query = 'SELECT * FROM user_identities WHERE provider = ? AND provider_user_id = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [provider, providerUserId]);
+      return rows.length > 0 ? rowToUserIdentity(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Links an external identity to a user
+   * @param {Object} identityData - Identity data
+   * @returns {Promise<Object>} Created identity
+   */
+  async createUserIdentity(identityData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO user_identities (id, user_id, provider, provider_user_id, email)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      identityData.userId,
+      identityData.provider,
+      identityData.providerUserId,
+      identityData.email || null,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM user_identities WHERE id = ?', [id]);
+
+      return rowToUserIdentity(rows[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Identity already linked');
+      }
+      throw new Error(`Failed to create user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores a registered WebAuthn credential
+   * @param {Object} credentialData - Credential data
+   * @returns {Promise<Object>} Created credential
+   */
+  async createWebAuthnCredential(credentialData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO webauthn_credentials
+        (id, user_id, credential_id, credential_id_hash, public_key, sign_count, transports, name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      credentialData.userId,
+      credentialData.credentialId,
+      hashToken(credentialData.credentialId),
+      credentialData.publicKey,
+      credentialData.signCount || 0,
+      JSON.stringify(credentialData.transports || []),
+      credentialData.name || null,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM webauthn_credentials WHERE id = ?', [id]);
+
+      return rowToWebAuthnCredential(rows[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Credential already registered');
+      }
+      throw new Error(`Failed to create WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a WebAuthn credential by its credential ID
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {Promise<Object|null>} Credential or null
+   */
+  async findWebAuthnCredential(credentialId) {
+    const query = 'SELECT * FROM webauthn_credentials WHERE credential_id_hash = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [hashToken(credentialId)]);
+      return rows.length > 0 ? rowToWebAuthnCredential(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's WebAuthn credentials
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Credentials
+   */
+  async findWebAuthnCredentialsByUser(userId) {
+    const query = 'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at';
+
+    try {
+      const [rows] = await this.pool.execute(query, [userId]);
+      return rows.map(rowToWebAuthnCredential);
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated credential
+   */
+  async updateWebAuthnCredential(id, updates) {
+    const columns = { signCount: 'sign_count', lastUsedAt: 'last_used_at', name: 'name' };
+    const fields = [];
+    const values = [];
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    values.push(id);
+
+    try {
+      await this.pool.execute(
+        `UPDATE webauthn_credentials SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+      const [rows] = await this.pool.execute('SELECT * FROM webauthn_credentials WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        throw new Error('Credential not found');
+      }
+
+      return rowToWebAuthnCredential(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteWebAuthnCredential(id) {
+    try {
+      const [result] = await this.pool.execute('DELETE FROM webauthn_credentials WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers an OAuth client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createOAuthClient(clientData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO oauth_clients (id, client_id, client_secret_hash, name, redirect_uris, scopes, trusted)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      clientData.clientId,
+      clientData.clientSecretHash || null,
+      clientData.name,
+      JSON.stringify(clientData.redirectUris),
+      JSON.stringify(clientData.scopes),
+      clientData.trusted || false,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM oauth_clients WHERE id = ?', [id]);
+
+      return rowToOAuthClient(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an OAuth client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findOAuthClient(clientId) {
+    const query = 'SELECT * FROM oauth_clients WHERE client_id = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [clientId]);
+      return rows.length > 0 ? rowToOAuthClient(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists registered OAuth clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listOAuthClients() {
+    const query = 'SELECT * FROM oauth_clients ORDER BY created_at';
+
+    try {
+      const [rows] = await this.pool.execute(query);
+      return rows.map(rowToOAuthClient);
+    } catch (error) {
+      throw new Error(`Failed to list OAuth clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an OAuth client (consents are removed by the foreign key)
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOAuthClient(clientId) {
+    const query = 'DELETE FROM oauth_clients WHERE client_id = ?';
+
+    try {
+      const [result] = await this.pool.execute(query, [clientId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Consent or null
+   */
+  async findOAuthConsent(userId, clientId) {
+    const query = 'SELECT * FROM oauth_consents WHERE user_id = ? AND client_id = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [userId, clientId]);
+      return rows.length > 0 ? rowToOAuthConsent(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates or replaces the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @param {string[]} scopes - Granted scopes
+   * @returns {Promise<Object>} Saved consent
+   */
+  async saveOAuthConsent(userId, clientId, scopes) {
+    const query = `
+      INSERT INTO oauth_consents (id, user_id, client_id, scopes)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE scopes = VALUES(scopes)
+    `;
+
+    try {
+      await this.pool.execute(query, [crypto.randomUUID(), userId, clientId, JSON.stringify(scopes)]);
+      return await this.findOAuthConsent(userId, clientId);
+    } catch (error) {
+      throw new Error(`Failed to save OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers a machine client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createMachineClient(clientData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO machine_clients (id, client_id, name, secret_hash, scopes)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      clientData.clientId,
+      clientData.name,
+      clientData.secretHash,
+      JSON.stringify(clientData.scopes),
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM machine_clients WHERE id = ?', [id]);
+
+      return rowToMachineClient(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a machine client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findMachineClient(clientId) {
+    const query = 'SELECT * FROM machine_clients WHERE client_id = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [clientId]);
+      return rows.length > 0 ? rowToMachineClient(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists machine clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listMachineClients() {
+    const query = 'SELECT * FROM machine_clients ORDER BY created_at';
+
+    try {
+      const [rows] = await this.pool.execute(query);
+      return rows.map(rowToMachineClient);
+    } catch (error) {
+      throw new Error(`Failed to list machine clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a machine client's secrets or revocation
+   * @param {string} clientId - Public client identifier
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated client or null if not found
+   */
+  async updateMachineClient(clientId, updates) {
+    const columns = {
+      secretHash: 'secret_hash',
+      previousSecretHash: 'previous_secret_hash',
+      previousSecretExpiresAt: 'previous_secret_expires_at',
+      revokedAt: 'revoked_at',
+    };
+    const fields = [];
+    const values = [];
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    values.push(clientId);
+
+    try {
+      const [result] = await this.pool.execute(
+        `UPDATE machine_clients SET ${fields.join(', ')} WHERE client_id = ?`,
+        values
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return this.findMachineClient(clientId);
+    } catch (error) {
+      throw new Error(`Failed to update machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a personal API key
+   * @param {Object} keyData - Key data
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    const id = crypto.randomUUID();
+
+    const query = `
+      INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      id,
+      keyData.userId,
+      keyData.name,
+      keyData.prefix,
+      keyData.keyHash,
+      JSON.stringify(keyData.scopes || []),
+      keyData.expiresAt || null,
+    ];
+
+    try {
+      await this.pool.execute(query, values);
+      const [rows] = await this.pool.execute('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+      return rowToApiKey(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an API key by its lookup prefix
+   * @param {string} prefix - Lookup prefix
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findApiKeyByPrefix(prefix) {
+    const query = 'SELECT * FROM api_keys WHERE prefix = ?';
+
+    try {
+      const [rows] = await this.pool.execute(query, [prefix]);
+      return rows.length > 0 ? rowToApiKey(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys
+   */
+  async findApiKeysByUser(userId) {
+    const query = 'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at';
+
+    try {
+      const [rows] = await this.pool.execute(query, [userId]);
+      return rows.map(rowToApiKey);
+    } catch (error) {
+      throw new Error(`Failed to find API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records that an API key was just used
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async updateApiKeyLastUsed(id) {
+    try {
+      await this.pool.execute('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [
+        id,
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an API key
+   * @param {string} id - Key record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteApiKey(id) {
+    try {
+      const [result] = await this.pool.execute('DELETE FROM api_keys WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete API key: ${error.message}`);
     }
   }
 
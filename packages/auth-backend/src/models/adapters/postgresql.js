@@ -6,7 +6,26 @@
 import pkg from 'pg';
 const { Pool } = pkg;
 import { BaseDatabaseAdapter } from './base.js';
-import { postgresqlSchema, rowToUser, userToRow } from '../user.js';
+import { postgresqlSchema, postgresqlUserMigrations, rowToUser, userToRow } from '../user.js';
+import { authTokensPostgresqlSchema, rowToAuthToken } from '../authToken.js';
+import { userIdentitiesPostgresqlSchema, rowToUserIdentity } from '../userIdentity.js';
+import {
+  webauthnCredentialsPostgresqlSchema,
+  rowToWebAuthnCredential,
+} from '../webauthnCredential.js';
+import {
+  oauthClientsPostgresqlSchema,
+  oauthConsentsPostgresqlSchema,
+  rowToOAuthClient,
+  rowToOAuthConsent,
+} from '../oauthClient.js';
+import { machineClientsPostgresqlSchema, rowToMachineClient } from '../machineClient.js';
+import { apiKeysPostgresqlSchema, rowToApiKey } from '../apiKey.js';
+import {
+  sessionsPostgresqlSchema,
+  rowToSession,
+  legacyRefreshTokenToSession,
+} from '../session.js';
 
 /**
  * PostgreSQL Database Adapter
@@ -60,6 +79,16 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
   async initialize() {
     try {
       await this.pool.query(postgresqlSchema);
+      await this.pool.query(postgresqlUserMigrations);
+      await this.pool.query(authTokensPostgresqlSchema);
+      await this.pool.query(userIdentitiesPostgresqlSchema);
+      await this.pool.query(webauthnCredentialsPostgresqlSchema);
+      await this.pool.query(sessionsPostgresqlSchema);
+      await this.pool.query(oauthClientsPostgresqlSchema);
+      await this.pool.query(oauthConsentsPostgresqlSchema);
+      await this.pool.query(machineClientsPostgresqlSchema);
+      await this.pool.query(apiKeysPostgresqlSchema);
+      await this.migrateRefreshTokens();
       console.log('PostgreSQL schema initialized');
     } catch (error) {
       console.error('PostgreSQL initialization error:', error);
@@ -76,8 +105,8 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
     const row = userToRow(userData);
 
     const query = `
-      INSERT INTO users (email, password, name, phone, role, is_email_verified, is_active, avatar, bio)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO users (email, password, name, phone, role, is_email_verified, is_phone_verified, is_active, avatar, bio)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
     `;
 
@@ -88,6 +117,7 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
       row.phone || null,
       row.role || 'user',
       row.is_email_verified || false,
+      row.is_phone_verified || false,
       row.is_active !== undefined ? row.is_active : true,
       row.avatar || null,
       row.bio || null,
@@ -105,6 +135,60 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Creates users in bulk with pre-hashed passwords, skipping existing emails
+   * @param {Array<Object>} users - User data
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importUsers(users) {
+    const columns = [
+      'email', 'password', 'name', 'phone', 'role', 'is_email_verified',
+      'is_phone_verified', 'is_active', 'avatar', 'bio', 'must_change_password',
+    ];
+    const inserted = new Set();
+
+    try {
+      // Keep each statement well under the 65535 bind parameter limit
+      for (let start = 0; start < users.length; start += 500) {
+        const rows = users.slice(start, start + 500).map(userToRow);
+        const values = [];
+        const placeholders = rows.map((row) => {
+          values.push(
+            row.email,
+            row.password,
+            row.name || null,
+            row.phone || null,
+            row.role || 'user',
+            row.is_email_verified || false,
+            row.is_phone_verified || false,
+            row.is_active !== undefined ? row.is_active : true,
+            row.avatar || null,
+            row.bio || null,
+            row.must_change_password || false
+          );
+          const offset = values.length - columns.length;
+          return `(${columns.map((column, i) => `$${offset + i + 1}`).join(', ')})`;
+        });
+
+        const result = await this.pool.query(
+          `INSERT INTO users (${columns.join(', ')})
+           VALUES ${placeholders.join(', ')}
+           ON CONFLICT (email) DO NOTHING
+           RETURNING email`,
+          values
+        );
+        result.rows.forEach((row) => inserted.add(row.email));
+      }
+    } catch (error) {
+      throw new Error(`Failed to import users: ${error.message}`);
+    }
+
+    return {
+      imported: inserted.size,
+      skipped: users.map((user) => user.email).filter((email) => !inserted.has(email)),
+    };
+  }
+
   /**
    * Finds a user by ID
    * @param {string} id - User ID
@@ -137,6 +221,22 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Finds a user by phone number
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findUserByPhone(phone) {
+    const query = 'SELECT * FROM users WHERE phone = $1 ORDER BY created_at LIMIT 1';
+
+    try {
+      const result = await this.pool.query(query, [phone]);
+      return result.rows.length > 0 ? rowToUser(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user by phone: ${error.message}`);
+    }
+  }
+
   /**
    * Updates a user
    * @param {string} id - User ID
@@ -184,6 +284,83 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Increments a user's failed login counter
+   * @param {string} id - User ID
+   * @returns {Promise<number>} Failed attempt count after the increment
+   */
+  async incrementFailedLoginAttempts(id) {
+    const query = `
+      UPDATE users
+      SET failed_login_attempts = failed_login_attempts + 1
+      WHERE id = $1
+      RETURNING failed_login_attempts
+    `;
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rows.length > 0 ? result.rows[0].failed_login_attempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update failed login attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code if it is newer than the recorded one
+   * @param {string} id - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} True if recorded
+   */
+  async recordTotpStep(id, step) {
+    const query = `
+      UPDATE users
+      SET totp_last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+      RETURNING id
+    `;
+
+    try {
+      const result = await this.pool.query(query, [id, step]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to record TOTP step: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an unused MFA recovery code used
+   * @param {string} id - User ID
+   * @param {string} hash - Hash of the recovery code
+   * @returns {Promise<boolean>} True if marked used
+   */
+  async consumeRecoveryCode(id, hash) {
+    const query = `
+      UPDATE users
+      SET mfa_recovery_codes = (
+        SELECT jsonb_agg(
+          CASE
+            WHEN code->>'hash' = $2 THEN code || jsonb_build_object('usedAt', $3::text)
+            ELSE code
+          END
+          ORDER BY position
+        )
+        FROM jsonb_array_elements(mfa_recovery_codes) WITH ORDINALITY AS codes(code, position)
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+        AND mfa_recovery_codes @> jsonb_build_array(
+          jsonb_build_object('hash', $2::text, 'usedAt', null)
+        )
+      RETURNING id
+    `;
+
+    try {
+      const result = await this.pool.query(query, [id, hash, new Date().toISOString()]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+  }
+
   /**
    * Deletes a user
    * @param {string} id - User ID
@@ -257,64 +434,238 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
   }
 
   /**
-   * Adds a refresh token to user
-   * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * Stores a session for a newly issued refresh token
+   * @param {Object} sessionData - Session data
+   * @returns {Promise<Object>} Created session
    */
-  async addRefreshToken(userId, token) {
+  async createSession(sessionData) {
     const query = `
-      UPDATE users
-      SET refresh_tokens = array_append(refresh_tokens, $1),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
+      INSERT INTO sessions (user_id, family_id, generation, token_hash, user_agent, ip_address, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
     `;
 
+    const values = [
+      sessionData.userId,
+      sessionData.familyId,
+      sessionData.generation || 0,
+      sessionData.tokenHash,
+      sessionData.userAgent || null,
+      sessionData.ipAddress || null,
+      sessionData.createdAt || new Date(),
+      sessionData.expiresAt,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToSession(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a session by its refresh token hash
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findSessionByTokenHash(tokenHash) {
+    const query = 'SELECT * FROM sessions WHERE token_hash = $1';
+
     try {
-      await this.pool.query(query, [token, userId]);
+      const result = await this.pool.query(query, [tokenHash]);
+      return result.rows.length > 0 ? rowToSession(result.rows[0]) : null;
     } catch (error) {
-      throw new Error(`Failed to add refresh token: ${error.message}`);
+      throw new Error(`Failed to find session: ${error.message}`);
     }
   }
 
   /**
-   * Removes a refresh token from user
+   * Finds the sessions of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findSessionsByFamily(familyId) {
+    const query = 'SELECT * FROM sessions WHERE family_id = $1 ORDER BY generation DESC';
+
+    try {
+      const result = await this.pool.query(query, [familyId]);
+      return result.rows.map(rowToSession);
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a user's unexpired sessions, most recently used first
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} Sessions
    */
-  async removeRefreshToken(userId, token) {
+  async findSessionsByUser(userId) {
     const query = `
-      UPDATE users
-      SET refresh_tokens = array_remove(refresh_tokens, $1),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
+      SELECT * FROM sessions
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+
+    try {
+      const result = await this.pool.query(query, [userId]);
+      return result.rows.map(rowToSession);
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSession(id) {
+    const query = 'DELETE FROM sessions WHERE id = $1';
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes every session of a refresh token family
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteSessionsByFamily(familyId) {
+    const query = 'DELETE FROM sessions WHERE family_id = $1';
+
+    try {
+      const result = await this.pool.query(query, [familyId]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to delete sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes all of a user's sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteUserSessions(userId) {
+    const query = 'DELETE FROM sessions WHERE user_id = $1';
+
+    try {
+      const result = await this.pool.query(query, [userId]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to delete sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired sessions
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteExpiredSessions() {
+    const query = 'DELETE FROM sessions WHERE expires_at <= $1';
+
+    try {
+      const result = await this.pool.query(query, [new Date()]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to delete expired sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves refresh tokens from the old users.refresh_tokens column into sessions,
+   * then drops the column. Runs in one transaction under an advisory lock, so concurrent
+   * instances migrate once
+   * @returns {Promise<number>} Number of migrated sessions
+   */
+  async migrateRefreshTokens() {
+    const columnQuery = `
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'refresh_tokens'
+    `;
+    const insertQuery = `
+      INSERT INTO sessions (user_id, family_id, generation, token_hash, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (token_hash) DO NOTHING
     `;
 
+    const client = await this.pool.connect();
+
     try {
-      await this.pool.query(query, [token, userId]);
+      await client.query('BEGIN');
+      // Instances starting together wait here, then find the column already gone
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+        'auth.migrateRefreshTokens',
+      ]);
+
+      const column = await client.query(columnQuery);
+
+      if (column.rows.length === 0) {
+        await client.query('COMMIT');
+        return 0;
+      }
+
+      const result = await client.query(
+        'SELECT id, refresh_tokens FROM users WHERE cardinality(refresh_tokens) > 0'
+      );
+      let migrated = 0;
+
+      for (const row of result.rows) {
+        for (const token of row.refresh_tokens) {
+          const session = legacyRefreshTokenToSession(row.id, token);
+
+          if (session) {
+            await client.query(insertQuery, [
+              session.userId,
+              session.familyId,
+              session.generation,
+              session.tokenHash,
+              session.createdAt,
+              session.expiresAt,
+            ]);
+            migrated++;
+          }
+        }
+      }
+
+      await client.query('ALTER TABLE users DROP COLUMN refresh_tokens');
+      await client.query('COMMIT');
+
+      return migrated;
     } catch (error) {
-      throw new Error(`Failed to remove refresh token: ${error.message}`);
+      await client.query('ROLLBACK');
+      throw new Error(`Failed to migrate refresh tokens: ${error.message}`);
+    } finally {
+      client.release();
     }
   }
 
   /**
-   * Removes all refresh tokens for a user
+   * Records a password hash in the user's history, keeping only the most recent ones
    * @param {string} userId - User ID
+   * @param {string} passwordHash - Hashed password
+   * @param {number} limit - Number of hashes to keep
    * @returns {Promise<void>}
    */
-  async removeAllRefreshTokens(userId) {
+  async addPasswordHistory(userId, passwordHash, limit) {
     const query = `
       UPDATE users
-      SET refresh_tokens = '{}',
+      SET password_history = (ARRAY[$1] || COALESCE(password_history, '{}'))[1:$2::int],
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
+      WHERE id = $3
     `;
 
     try {
-      await this.pool.query(query, [userId]);
+      await this.pool.query(query, [passwordHash, limit, userId]);
     } catch (error) {
-      throw new Error(`Failed to remove all refresh tokens: ${error.message}`);
+      throw new Error(`Failed to add password history: ${error.message}`);
     }
   }
 
@@ -338,6 +689,657 @@ export class PostgreSQLAdapter extends BaseDatabaseAdapter {
     }
   }
 
+  /**
+   * Increments a user's token version
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New token version, or null if the user doesn't exist
+   */
+  async incrementTokenVersion(userId) {
+    const query = `
+      UPDATE users
+      SET token_version = token_version + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING token_version
+    `;
+
+    try {
+      const result = await this.pool.query(query, [userId]);
+      return result.rows[0]?.token_version ?? null;
+    } catch (error) {
+      throw new Error(`Failed to increment token version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores a new single-use auth token
+   * @param {Object} tokenData - Token data
+   * @returns {Promise<Object>} Created token record
+   */
+  async createAuthToken(tokenData) {
+    const query = `
+      INSERT INTO auth_tokens (type, identifier, user_id, token_hash, metadata, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      tokenData.type,
+      tokenData.identifier,
+      tokenData.userId || null,
+      tokenData.tokenHash,
+      tokenData.metadata ? JSON.stringify(tokenData.metadata) : null,
+      tokenData.expiresAt,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToAuthToken(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an auth token by its hash
+   * @param {string} type - Token type
+   * @param {string} tokenHash - Hash of the raw token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findAuthTokenByHash(type, tokenHash) {
+    const query = 'SELECT * FROM auth_tokens WHERE type = $1 AND token_hash = $2';
+
+    try {
+      const result = await this.pool.query(query, [type, tokenHash]);
+      return result.rows.length > 0 ? rowToAuthToken(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the most recent usable auth token of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the token is tied to
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findActiveAuthToken(type, identifier) {
+    const query = `
+      SELECT * FROM auth_tokens
+      WHERE type = $1 AND identifier = $2 AND consumed_at IS NULL AND expires_at > $3
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await this.pool.query(query, [type, identifier, new Date()]);
+      return result.rows.length > 0 ? rowToAuthToken(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increments the failed attempt counter of an auth token
+   * @param {string} id - Token record ID
+   * @returns {Promise<number>} Attempt count after the increment
+   */
+  async incrementAuthTokenAttempts(id) {
+    const query = `
+      UPDATE auth_tokens
+      SET attempts = attempts + 1
+      WHERE id = $1
+      RETURNING attempts
+    `;
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rows.length > 0 ? result.rows[0].attempts : 0;
+    } catch (error) {
+      throw new Error(`Failed to update auth token attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an auth token as consumed
+   * @param {string} id - Token record ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async consumeAuthToken(id) {
+    const query = `
+      UPDATE auth_tokens
+      SET consumed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND consumed_at IS NULL
+    `;
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to consume auth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalidates all unconsumed auth tokens of a type for an identifier
+   * @param {string} type - Token type
+   * @param {string} identifier - Subject the tokens are tied to
+   * @returns {Promise<void>}
+   */
+  async revokeAuthTokens(type, identifier) {
+    const query = `
+      UPDATE auth_tokens
+      SET consumed_at = CURRENT_TIMESTAMP
+      WHERE type = $1 AND identifier = $2 AND consumed_at IS NULL
+    `;
+
+    try {
+      await this.pool.query(query, [type, identifier]);
+    } catch (error) {
+      throw new Error(`Failed to revoke auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired auth tokens
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  async deleteExpiredAuthTokens() {
+    const query = 'DELETE FROM auth_tokens WHERE expires_at <= $1';
+
+    try {
+      const result = await this.pool.query(query, [new Date()]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to delete expired auth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a linked external identity
+   * @param {string} provider - Provider name
+   * @param {string} providerUserId - User ID at the provider
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  async findUserIdentity(provider, providerUserId) {
+    const query = 'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2';
+
+    try {
+      const result = await this.pool.query(query, [provider, providerUserId]);
+      return result.rows.length > 0 ? rowToUserIdentity(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Links an external identity to a user
+   * @param {Object} identityData - Identity data
+   * @returns {Promise<Object>} Created identity
+   */
+  async createUserIdentity(identityData) {
+    const query = `
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [
+      identityData.userId,
+      identityData.provider,
+      identityData.providerUserId,
+      identityData.email || null,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToUserIdentity(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Identity already linked');
+      }
+      throw new Error(`Failed to create user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores a registered WebAuthn credential
+   * @param {Object} credentialData - Credential data
+   * @returns {Promise<Object>} Created credential
+   */
+  async createWebAuthnCredential(credentialData) {
+    const query = `
+      INSERT INTO webauthn_credentials (user_id, credential_id, public_key, sign_count, transports, name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      credentialData.userId,
+      credentialData.credentialId,
+      credentialData.publicKey,
+      credentialData.signCount || 0,
+      credentialData.transports || [],
+      credentialData.name || null,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToWebAuthnCredential(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Credential already registered');
+      }
+      throw new Error(`Failed to create WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a WebAuthn credential by its credential ID
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {Promise<Object|null>} Credential or null
+   */
+  async findWebAuthnCredential(credentialId) {
+    const query = 'SELECT * FROM webauthn_credentials WHERE credential_id = $1';
+
+    try {
+      const result = await this.pool.query(query, [credentialId]);
+      return result.rows.length > 0 ? rowToWebAuthnCredential(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's WebAuthn credentials
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Credentials
+   */
+  async findWebAuthnCredentialsByUser(userId) {
+    const query = 'SELECT * FROM webauthn_credentials WHERE user_id = $1 ORDER BY created_at';
+
+    try {
+      const result = await this.pool.query(query, [userId]);
+      return result.rows.map(rowToWebAuthnCredential);
+    } catch (error) {
+      throw new Error(`Failed to find WebAuthn credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated credential
+   */
+  async updateWebAuthnCredential(id, updates) {
+    const columns = { signCount: 'sign_count', lastUsedAt: 'last_used_at', name: 'name' };
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount}`);
+        values.push(updates[key]);
+        paramCount++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    values.push(id);
+
+    const query = `
+      UPDATE webauthn_credentials
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.pool.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Credential not found');
+      }
+      return rowToWebAuthnCredential(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to update WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a WebAuthn credential
+   * @param {string} id - Credential record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteWebAuthnCredential(id) {
+    const query = 'DELETE FROM webauthn_credentials WHERE id = $1 RETURNING id';
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete WebAuthn credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers an OAuth client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createOAuthClient(clientData) {
+    const query = `
+      INSERT INTO oauth_clients (client_id, client_secret_hash, name, redirect_uris, scopes, trusted)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      clientData.clientId,
+      clientData.clientSecretHash || null,
+      clientData.name,
+      JSON.stringify(clientData.redirectUris),
+      JSON.stringify(clientData.scopes),
+      clientData.trusted || false,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToOAuthClient(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an OAuth client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findOAuthClient(clientId) {
+    const query = 'SELECT * FROM oauth_clients WHERE client_id = $1';
+
+    try {
+      const result = await this.pool.query(query, [clientId]);
+      return result.rows.length > 0 ? rowToOAuthClient(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists registered OAuth clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listOAuthClients() {
+    const query = 'SELECT * FROM oauth_clients ORDER BY created_at';
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rows.map(rowToOAuthClient);
+    } catch (error) {
+      throw new Error(`Failed to list OAuth clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an OAuth client (consents are removed by the foreign key)
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOAuthClient(clientId) {
+    const query = 'DELETE FROM oauth_clients WHERE client_id = $1 RETURNING id';
+
+    try {
+      const result = await this.pool.query(query, [clientId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Consent or null
+   */
+  async findOAuthConsent(userId, clientId) {
+    const query = 'SELECT * FROM oauth_consents WHERE user_id = $1 AND client_id = $2';
+
+    try {
+      const result = await this.pool.query(query, [userId, clientId]);
+      return result.rows.length > 0 ? rowToOAuthConsent(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates or replaces the consent a user gave a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Public client identifier
+   * @param {string[]} scopes - Granted scopes
+   * @returns {Promise<Object>} Saved consent
+   */
+  async saveOAuthConsent(userId, clientId, scopes) {
+    const query = `
+      INSERT INTO oauth_consents (user_id, client_id, scopes)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, client_id)
+      DO UPDATE SET scopes = EXCLUDED.scopes, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.pool.query(query, [userId, clientId, JSON.stringify(scopes)]);
+      return rowToOAuthConsent(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to save OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registers a machine client
+   * @param {Object} clientData - Client data
+   * @returns {Promise<Object>} Created client
+   */
+  async createMachineClient(clientData) {
+    const query = `
+      INSERT INTO machine_clients (client_id, name, secret_hash, scopes)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [
+      clientData.clientId,
+      clientData.name,
+      clientData.secretHash,
+      JSON.stringify(clientData.scopes),
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToMachineClient(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a machine client by its client ID
+   * @param {string} clientId - Public client identifier
+   * @returns {Promise<Object|null>} Client or null
+   */
+  async findMachineClient(clientId) {
+    const query = 'SELECT * FROM machine_clients WHERE client_id = $1';
+
+    try {
+      const result = await this.pool.query(query, [clientId]);
+      return result.rows.length > 0 ? rowToMachineClient(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists machine clients
+   * @returns {Promise<Array>} Clients
+   */
+  async listMachineClients() {
+    const query = 'SELECT * FROM machine_clients ORDER BY created_at';
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rows.map(rowToMachineClient);
+    } catch (error) {
+      throw new Error(`Failed to list machine clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a machine client's secrets or revocation
+   * @param {string} clientId - Public client identifier
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated client or null if not found
+   */
+  async updateMachineClient(clientId, updates) {
+    const columns = {
+      secretHash: 'secret_hash',
+      previousSecretHash: 'previous_secret_hash',
+      previousSecretExpiresAt: 'previous_secret_expires_at',
+      revokedAt: 'revoked_at',
+    };
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount}`);
+        values.push(updates[key]);
+        paramCount++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(clientId);
+
+    const query = `
+      UPDATE machine_clients
+      SET ${fields.join(', ')}
+      WHERE client_id = $${paramCount}
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.pool.query(query, values);
+      return result.rows.length > 0 ? rowToMachineClient(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to update machine client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a personal API key
+   * @param {Object} keyData - Key data
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    const query = `
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      keyData.userId,
+      keyData.name,
+      keyData.prefix,
+      keyData.keyHash,
+      JSON.stringify(keyData.scopes || []),
+      keyData.expiresAt || null,
+    ];
+
+    try {
+      const result = await this.pool.query(query, values);
+      return rowToApiKey(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an API key by its lookup prefix
+   * @param {string} prefix - Lookup prefix
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findApiKeyByPrefix(prefix) {
+    const query = 'SELECT * FROM api_keys WHERE prefix = $1';
+
+    try {
+      const result = await this.pool.query(query, [prefix]);
+      return result.rows.length > 0 ? rowToApiKey(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists a user's API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys
+   */
+  async findApiKeysByUser(userId) {
+    const query = 'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at';
+
+    try {
+      const result = await this.pool.query(query, [userId]);
+      return result.rows.map(rowToApiKey);
+    } catch (error) {
+      throw new Error(`Failed to find API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records that an API key was just used
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async updateApiKeyLastUsed(id) {
+    const query = 'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1';
+
+    try {
+      await this.pool.query(query, [id]);
+    } catch (error) {
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an API key
+   * @param {string} id - Key record ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteApiKey(id) {
+    const query = 'DELETE FROM api_keys WHERE id = $1 RETURNING id';
+
+    try {
+      const result = await this.pool.query(query, [id]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete API key: ${error.message}`);
+    }
+  }
+
   /**
    * Checks database connection health
    * @returns {Promise<boolean>} True if connected
@@ -0,0 +1,103 @@
+/**
+ * API key model schema definition
+ * Long-lived personal access tokens users create for scripts and integrations
+ * @module models/apiKey
+ */
+
+/**
+ * API key schema
+ * @typedef {Object} ApiKeySchema
+ * @property {string} id - Unique key record identifier
+ * @property {string} userId - Owning user ID
+ * @property {string} name - User-chosen name
+ * @property {string} prefix - Lookup prefix (the start of the key, stored in plain text)
+ * @property {string} keyHash - SHA-256 hash of the whole key
+ * @property {string[]} scopes - Scopes the key is limited to (empty: not scoped)
+ * @property {Date|null} expiresAt - Expiry timestamp (null: never expires)
+ * @property {Date|null} lastUsedAt - Last successful authentication
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+/**
+ * PostgreSQL api_keys table schema
+ */
+export const apiKeysPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(32) UNIQUE NOT NULL,
+    key_hash VARCHAR(64) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '[]',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+`;
+
+/**
+ * MySQL api_keys table schema
+ */
+export const apiKeysMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(32) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes JSON NOT NULL,
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_api_keys_prefix (prefix),
+    INDEX idx_api_keys_user_id (user_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to API key object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} API key object
+ */
+export function rowToApiKey(row) {
+  if (!row) return null;
+
+  const scopes = row.scopes ?? [];
+
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    name: row.name,
+    prefix: row.prefix,
+    keyHash: row.key_hash ?? row.keyHash,
+    // Some drivers return JSON columns as strings
+    scopes: typeof scopes === 'string' ? JSON.parse(scopes) : scopes,
+    expiresAt: row.expires_at ?? row.expiresAt ?? null,
+    lastUsedAt: row.last_used_at ?? row.lastUsedAt ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+  };
+}
+
+// Fields never sent to clients
+const PRIVATE_API_KEY_FIELDS = ['keyHash', 'userId'];
+
+/**
+ * Removes the key hash and owner from an API key for API responses
+ * @param {Object} apiKey - API key object
+ * @returns {Object} API key without its hash
+ */
+export function sanitizeApiKey(apiKey) {
+  if (!apiKey) return null;
+
+  const sanitized = { ...apiKey };
+
+  for (const field of PRIVATE_API_KEY_FIELDS) {
+    delete sanitized[field];
+  }
+
+  return sanitized;
+}
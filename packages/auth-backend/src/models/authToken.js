@@ -0,0 +1,121 @@
+/**
+ * Auth token model schema definition
+ * Server-tracked, single-use tokens (magic links, password resets, etc.) stored as SHA-256 hashes
+ * @module models/authToken
+ */
+
+/**
+ * Auth token schema
+ * @typedef {Object} AuthTokenSchema
+ * @property {string} id - Unique token record identifier
+ * @property {string} type - Token type (e.g. 'magic-link')
+ * @property {string} identifier - Subject the token is tied to (e.g. an email address)
+ * @property {string|null} userId - Owning user ID, if the user already exists
+ * @property {string} tokenHash - SHA-256 hash of the raw token
+ * @property {Object|null} metadata - Type-specific data
+ * @property {number} attempts - Failed verification attempts (for short codes)
+ * @property {Date} expiresAt - Expiry timestamp
+ * @property {Date|null} consumedAt - Timestamp the token was used or invalidated
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+/**
+ * Auth token types
+ */
+export const AUTH_TOKEN_TYPES = {
+  MAGIC_LINK: 'magic-link',
+  OAUTH_STATE: 'oauth-state',
+  PHONE_CODE: 'phone-code',
+  ACCOUNT_UNLOCK: 'account-unlock',
+  WEBAUTHN_REGISTRATION: 'webauthn-registration',
+  WEBAUTHN_AUTHENTICATION: 'webauthn-authentication',
+  OAUTH_CODE: 'oauth-code',
+  EMAIL_VERIFICATION: 'email-verification',
+  PASSWORD_RESET: 'password-reset',
+  EMAIL_CHANGE: 'email-change',
+  EMAIL_CHANGE_REVERT: 'email-change-revert',
+  MFA_CHALLENGE: 'mfa-challenge',
+};
+
+/**
+ * PostgreSQL auth_tokens table schema
+ */
+export const authTokensPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(50) NOT NULL,
+    identifier VARCHAR(255) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    metadata JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_auth_tokens_type_identifier ON auth_tokens(type, identifier);
+  CREATE INDEX IF NOT EXISTS idx_auth_tokens_expires_at ON auth_tokens(expires_at);
+`;
+
+/**
+ * MySQL auth_tokens table schema
+ */
+export const authTokensMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS auth_tokens (
+    id VARCHAR(36) PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    identifier VARCHAR(255) NOT NULL,
+    user_id VARCHAR(36) NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    metadata JSON,
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_auth_tokens_type_identifier (type, identifier),
+    INDEX idx_auth_tokens_expires_at (expires_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to auth token object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} Auth token object
+ */
+export function rowToAuthToken(row) {
+  if (!row) return null;
+
+  let metadata = row.metadata ?? null;
+  if (typeof metadata === 'string') {
+    metadata = JSON.parse(metadata);
+  }
+
+  return {
+    id: row.id,
+    type: row.type,
+    identifier: row.identifier,
+    userId: row.user_id ?? row.userId ?? null,
+    tokenHash: row.token_hash ?? row.tokenHash,
+    metadata,
+    attempts: row.attempts ?? 0,
+    expiresAt: row.expires_at ?? row.expiresAt,
+    consumedAt: row.consumed_at ?? row.consumedAt ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+  };
+}
+
+/**
+ * Checks whether an auth token can still be used
+ * @param {Object} token - Auth token object
+ * @returns {boolean} True if the token is unconsumed and unexpired
+ */
+export function isAuthTokenUsable(token) {
+  if (!token || token.consumedAt) {
+    return false;
+  }
+
+  return new Date(token.expiresAt).getTime() > Date.now();
+}
@@ -0,0 +1,104 @@
+/**
+ * Machine client model schema definition
+ * Services and background jobs that get access tokens with the OAuth 2.0
+ * client credentials grant instead of signing in as a user
+ * @module models/machineClient
+ */
+
+/**
+ * Machine client schema
+ * @typedef {Object} MachineClientSchema
+ * @property {string} id - Unique client record identifier
+ * @property {string} clientId - Public client identifier
+ * @property {string} name - Display name
+ * @property {string} secretHash - SHA-256 hash of the client secret
+ * @property {string|null} previousSecretHash - Hash of the secret replaced by the last rotation
+ * @property {Date|null} previousSecretExpiresAt - When the previous secret stops working
+ * @property {string[]} scopes - Scopes the client may request
+ * @property {Date|null} revokedAt - Revocation timestamp (revoked clients can't get or use tokens)
+ * @property {Date} createdAt - Registration timestamp
+ * @property {Date} updatedAt - Last change timestamp
+ */
+
+/**
+ * PostgreSQL machine_clients table schema
+ */
+export const machineClientsPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS machine_clients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    secret_hash VARCHAR(64) NOT NULL,
+    previous_secret_hash VARCHAR(64),
+    previous_secret_expires_at TIMESTAMP,
+    scopes JSONB NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+/**
+ * MySQL machine_clients table schema
+ */
+export const machineClientsMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS machine_clients (
+    id VARCHAR(36) PRIMARY KEY,
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    secret_hash CHAR(64) NOT NULL,
+    previous_secret_hash CHAR(64) NULL,
+    previous_secret_expires_at TIMESTAMP NULL,
+    scopes JSON NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to machine client object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} Machine client object
+ */
+export function rowToMachineClient(row) {
+  if (!row) return null;
+
+  const scopes = row.scopes ?? [];
+
+  return {
+    id: row.id,
+    clientId: row.client_id ?? row.clientId,
+    name: row.name,
+    secretHash: row.secret_hash ?? row.secretHash,
+    previousSecretHash: row.previous_secret_hash ?? row.previousSecretHash ?? null,
+    previousSecretExpiresAt:
+      row.previous_secret_expires_at ?? row.previousSecretExpiresAt ?? null,
+    // Some drivers return JSON columns as strings
+    scopes: typeof scopes === 'string' ? JSON.parse(scopes) : scopes,
+    revokedAt: row.revoked_at ?? row.revokedAt ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+    updatedAt: row.updated_at ?? row.updatedAt,
+  };
+}
+
+// Fields never sent to clients
+const PRIVATE_MACHINE_CLIENT_FIELDS = ['secretHash', 'previousSecretHash'];
+
+/**
+ * Removes secret hashes from a machine client for API responses
+ * @param {Object} client - Machine client object
+ * @returns {Object} Client without secret hashes
+ */
+export function sanitizeMachineClient(client) {
+  if (!client) return null;
+
+  const sanitized = { ...client };
+
+  for (const field of PRIVATE_MACHINE_CLIENT_FIELDS) {
+    delete sanitized[field];
+  }
+
+  return sanitized;
+}
@@ -0,0 +1,163 @@
+/**
+ * OAuth client model schema definition
+ * Applications that sign users in through this service acting as an OAuth 2.0 /
+ * OpenID Connect authorization server, and the consents users gave them
+ * @module models/oauthClient
+ */
+
+/**
+ * Scopes clients can request
+ */
+export const OAUTH_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+/**
+ * OAuth client schema
+ * @typedef {Object} OAuthClientSchema
+ * @property {string} id - Unique client record identifier
+ * @property {string} clientId - Public client identifier
+ * @property {string|null} clientSecretHash - SHA-256 hash of the client secret (null for public clients)
+ * @property {string} name - Display name shown on the consent screen
+ * @property {string[]} redirectUris - Exact redirect URIs the client may use
+ * @property {string[]} scopes - Scopes the client may request
+ * @property {boolean} trusted - First-party client that skips the consent screen
+ * @property {Date} createdAt - Registration timestamp
+ */
+
+/**
+ * OAuth consent schema
+ * @typedef {Object} OAuthConsentSchema
+ * @property {string} id - Unique consent identifier
+ * @property {string} userId - User who gave consent
+ * @property {string} clientId - Client the consent was given to
+ * @property {string[]} scopes - Granted scopes
+ * @property {Date} createdAt - First consent timestamp
+ * @property {Date} updatedAt - Last change timestamp
+ */
+
+/**
+ * PostgreSQL oauth_clients table schema
+ */
+export const oauthClientsPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS oauth_clients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    client_secret_hash VARCHAR(64),
+    name VARCHAR(100) NOT NULL,
+    redirect_uris JSONB NOT NULL,
+    scopes JSONB NOT NULL,
+    trusted BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+/**
+ * PostgreSQL oauth_consents table schema
+ */
+export const oauthConsentsPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS oauth_consents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id VARCHAR(64) NOT NULL REFERENCES oauth_clients(client_id) ON DELETE CASCADE,
+    scopes JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, client_id)
+  );
+`;
+
+/**
+ * MySQL oauth_clients table schema
+ */
+export const oauthClientsMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS oauth_clients (
+    id VARCHAR(36) PRIMARY KEY,
+    client_id VARCHAR(64) UNIQUE NOT NULL,
+    client_secret_hash CHAR(64) NULL,
+    name VARCHAR(100) NOT NULL,
+    redirect_uris JSON NOT NULL,
+    scopes JSON NOT NULL,
+    trusted BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * MySQL oauth_consents table schema
+ */
+export const oauthConsentsMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS oauth_consents (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    client_id VARCHAR(64) NOT NULL,
+    scopes JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_oauth_consents_user_client (user_id, client_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (client_id) REFERENCES oauth_clients(client_id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Parses a JSON array column (some drivers return JSON as strings)
+ * @param {Array|string|null} value - Column value
+ * @returns {Array} Parsed array
+ */
+function parseList(value) {
+  if (typeof value === 'string') {
+    return JSON.parse(value);
+  }
+
+  return value ?? [];
+}
+
+/**
+ * Converts database row to OAuth client object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} OAuth client object
+ */
+export function rowToOAuthClient(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    clientId: row.client_id ?? row.clientId,
+    clientSecretHash: row.client_secret_hash ?? row.clientSecretHash ?? null,
+    name: row.name,
+    redirectUris: parseList(row.redirect_uris ?? row.redirectUris),
+    scopes: parseList(row.scopes),
+    trusted: Boolean(row.trusted),
+    createdAt: row.created_at ?? row.createdAt,
+  };
+}
+
+/**
+ * Converts database row to OAuth consent object
+ * @param {Object} row - Database row
+ * @returns {Object} OAuth consent object
+ */
+export function rowToOAuthConsent(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    clientId: row.client_id ?? row.clientId,
+    scopes: parseList(row.scopes),
+    createdAt: row.created_at ?? row.createdAt,
+    updatedAt: row.updated_at ?? row.updatedAt,
+  };
+}
+
+/**
+ * Removes the secret hash from a client for API responses
+ * @param {Object} client - OAuth client object
+ * @returns {Object} Client with a `confidential` flag instead of the secret hash
+ */
+export function sanitizeOAuthClient(client) {
+  if (!client) return null;
+
+  const { clientSecretHash, ...sanitized } = client;
+  return { ...sanitized, confidential: Boolean(clientSecretHash) };
+}
@@ -0,0 +1,136 @@
+/**
+ * Session model schema definition
+ * A session is a refresh token family started by one sign-in; each row holds one live
+ * refresh token, stored only as a SHA-256 hash
+ * @module models/session
+ */
+
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { hashToken } from '../utils/tokens.js';
+
+/**
+ * Session schema
+ * @typedef {Object} SessionSchema
+ * @property {string} id - Unique session record identifier
+ * @property {string} userId - Owning user ID
+ * @property {string} familyId - Refresh token family, shared by the tokens rotated from one sign-in
+ * @property {number} generation - Rotation count of the token within its family
+ * @property {string} tokenHash - SHA-256 hash of the refresh token
+ * @property {string|null} userAgent - User agent of the client that last used the session
+ * @property {string|null} ipAddress - IP address the session was last used from
+ * @property {Date} createdAt - Sign-in timestamp (kept across rotations)
+ * @property {Date} lastUsedAt - Last sign-in or refresh
+ * @property {Date} expiresAt - Refresh token expiry
+ */
+
+/**
+ * PostgreSQL sessions table schema
+ */
+export const sessionsPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id VARCHAR(36) NOT NULL,
+    generation INTEGER NOT NULL DEFAULT 0,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(512),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON sessions(family_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+`;
+
+/**
+ * MySQL sessions table schema
+ */
+export const sessionsMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    family_id VARCHAR(36) NOT NULL,
+    generation INT NOT NULL DEFAULT 0,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(512),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    INDEX idx_sessions_user_id (user_id),
+    INDEX idx_sessions_family_id (family_id),
+    INDEX idx_sessions_expires_at (expires_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to session object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} Session object
+ */
+export function rowToSession(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    familyId: row.family_id ?? row.familyId,
+    generation: row.generation ?? 0,
+    tokenHash: row.token_hash ?? row.tokenHash,
+    userAgent: row.user_agent ?? row.userAgent ?? null,
+    ipAddress: row.ip_address ?? row.ipAddress ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+    lastUsedAt: row.last_used_at ?? row.lastUsedAt,
+    expiresAt: row.expires_at ?? row.expiresAt,
+  };
+}
+
+/**
+ * Converts a session to its client representation
+ * Sessions are identified to clients by their family ID, which stays the same across
+ * refresh token rotations, and never expose the token hash
+ * @param {Object} session - Session object
+ * @returns {Object} { id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt }
+ */
+export function sanitizeSession(session) {
+  if (!session) return null;
+
+  return {
+    id: session.familyId,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Builds session data for a refresh token stored in the old users.refresh_tokens array
+ * Used by the adapters' migrateRefreshTokens()
+ * @param {string} userId - Owning user ID
+ * @param {string} token - Raw refresh token
+ * @returns {Object|null} Session data, or null if the token is malformed or expired
+ */
+export function legacyRefreshTokenToSession(userId, token) {
+  const payload = jwt.decode(token);
+
+  if (!payload?.exp || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return {
+    userId,
+    familyId: payload.fam || crypto.randomUUID(),
+    generation: payload.gen || 0,
+    tokenHash: hashToken(token),
+    createdAt: new Date(payload.iat * 1000),
+    expiresAt: new Date(payload.exp * 1000),
+  };
+}
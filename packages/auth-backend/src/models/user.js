@@ -14,11 +14,21 @@
  * @property {string} phone - User's phone number
  * @property {string} role - User role (user, admin, etc.)
  * @property {boolean} isEmailVerified - Email verification status
+ * @property {boolean} isPhoneVerified - Phone verification status
  * @property {boolean} isActive - Account active status
+ * @property {string|null} totpSecret - Base32 TOTP secret (set during enrollment)
+ * @property {boolean} totpEnabled - Whether TOTP two-factor authentication is active
+ * @property {number|null} totpLastUsedStep - Time step of the last accepted TOTP code (replay protection)
+ * @property {Array<Object>} mfaRecoveryCodes - Hashed one-time recovery codes ({ hash, usedAt })
+ * @property {number} failedLoginAttempts - Consecutive failed password logins
+ * @property {Date|null} lockedUntil - Login is refused until this time
+ * @property {string[]} passwordHistory - Most recent password hashes, newest first
+ * @property {Date} passwordChangedAt - When the password was last set (drives password expiry)
+ * @property {boolean} mustChangePassword - Login is restricted until the password is changed
+ * @property {number} tokenVersion - Incremented to revoke every access token issued before
  * @property {string} avatar - Avatar URL
  * @property {string} bio - User bio
  * @property {Date} lastLogin - Last login timestamp
- * @property {string[]} refreshTokens - Array of valid refresh tokens
  * @property {Object} additionalFields - Custom additional fields
  * @property {Date} createdAt - Account creation timestamp
  * @property {Date} updatedAt - Last update timestamp
@@ -35,11 +45,21 @@ export const userFields = {
   phone: 'string',
   role: 'string',
   isEmailVerified: 'boolean',
+  isPhoneVerified: 'boolean',
   isActive: 'boolean',
+  totpSecret: 'string',
+  totpEnabled: 'boolean',
+  totpLastUsedStep: 'number',
+  mfaRecoveryCodes: 'array',
+  failedLoginAttempts: 'number',
+  lockedUntil: 'date',
+  passwordHistory: 'array',
+  passwordChangedAt: 'date',
+  mustChangePassword: 'boolean',
+  tokenVersion: 'number',
   avatar: 'string',
   bio: 'string',
   lastLogin: 'date',
-  refreshTokens: 'array',
   createdAt: 'date',
   updatedAt: 'date',
 };
@@ -56,17 +76,28 @@ export const postgresqlSchema = `
     phone VARCHAR(20),
     role VARCHAR(50) DEFAULT 'user',
     is_email_verified BOOLEAN DEFAULT FALSE,
+    is_phone_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN DEFAULT FALSE,
+    totp_last_used_step INTEGER,
+    mfa_recovery_codes JSONB,
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    password_history TEXT[],
+    password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    must_change_password BOOLEAN DEFAULT FALSE,
+    token_version INTEGER NOT NULL DEFAULT 0,
     avatar TEXT,
     bio TEXT,
     last_login TIMESTAMP,
-    refresh_tokens TEXT[],
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
 
   CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
   CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+  CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
 `;
 
 /**
@@ -81,18 +112,71 @@ export const mysqlSchema = `
     phone VARCHAR(20),
     role VARCHAR(50) DEFAULT 'user',
     is_email_verified BOOLEAN DEFAULT FALSE,
+    is_phone_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN DEFAULT FALSE,
+    totp_last_used_step INTEGER,
+    mfa_recovery_codes JSON,
+    failed_login_attempts INT NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    password_history JSON,
+    password_changed_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    must_change_password BOOLEAN DEFAULT FALSE,
+    token_version INT NOT NULL DEFAULT 0,
     avatar TEXT,
     bio TEXT,
     last_login TIMESTAMP NULL,
-    refresh_tokens JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_users_email (email),
-    INDEX idx_users_role (role)
+    INDEX idx_users_role (role),
+    INDEX idx_users_phone (phone)
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 `;
 
+/**
+ * Columns added to the users table after its first release
+ * CREATE TABLE IF NOT EXISTS leaves an existing table as it is, so the SQL adapters add
+ * the missing columns on initialize. password_changed_at only gets its default once it
+ * exists, so existing accounts keep NULL and fall back to their creation date
+ */
+export const postgresqlUserMigrations = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS is_phone_verified BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step INTEGER,
+    ADD COLUMN IF NOT EXISTS mfa_recovery_codes JSONB,
+    ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS password_history TEXT[],
+    ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+  ALTER TABLE users ALTER COLUMN password_changed_at SET DEFAULT CURRENT_TIMESTAMP;
+`;
+
+/**
+ * MySQL definitions of the columns added to the users table after its first release
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so the adapter adds the ones information_schema
+ * doesn't list. See postgresqlUserMigrations for password_changed_at
+ */
+export const mysqlUserMigrationColumns = {
+  is_phone_verified: 'BOOLEAN DEFAULT FALSE',
+  totp_secret: 'VARCHAR(64)',
+  totp_enabled: 'BOOLEAN DEFAULT FALSE',
+  totp_last_used_step: 'INTEGER',
+  mfa_recovery_codes: 'JSON',
+  failed_login_attempts: 'INT NOT NULL DEFAULT 0',
+  locked_until: 'TIMESTAMP NULL',
+  password_history: 'JSON',
+  password_changed_at: 'TIMESTAMP NULL DEFAULT NULL',
+  must_change_password: 'BOOLEAN DEFAULT FALSE',
+  token_version: 'INT NOT NULL DEFAULT 0',
+};
+
 /**
  * MongoDB user schema (using Mongoose-like structure)
  */
@@ -124,24 +208,63 @@ export const mongodbSchema = {
     type: Boolean,
     default: false,
   },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
-  avatar: {
+  totpSecret: {
     type: String,
   },
-  bio: {
-    type: String,
+  totpEnabled: {
+    type: Boolean,
+    default: false,
   },
-  lastLogin: {
+  totpLastUsedStep: {
+    type: Number,
+  },
+  mfaRecoveryCodes: [
+    {
+      hash: String,
+      usedAt: Date,
+    },
+  ],
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
     type: Date,
   },
-  refreshTokens: [
+  passwordHistory: [
     {
       type: String,
     },
   ],
+  passwordChangedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  avatar: {
+    type: String,
+  },
+  bio: {
+    type: String,
+  },
+  lastLogin: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -164,6 +287,16 @@ export function validateUserData(userData) {
   return true;
 }
 
+// Fields never sent to clients
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'totpSecret',
+  'totpLastUsedStep',
+  'mfaRecoveryCodes',
+  'passwordHistory',
+  'tokenVersion',
+];
+
 /**
  * Sanitizes user object for client response (removes sensitive data)
  * @param {Object} user - User object
@@ -172,7 +305,12 @@ export function validateUserData(userData) {
 export function sanitizeUser(user) {
   if (!user) return null;
 
-  const { password, refreshTokens, ...sanitized } = user;
+  const sanitized = { ...user };
+
+  for (const field of PRIVATE_USER_FIELDS) {
+    delete sanitized[field];
+  }
+
   return sanitized;
 }
 
@@ -185,6 +323,16 @@ export function sanitizeUser(user) {
 export function rowToUser(row) {
   if (!row) return null;
 
+  let mfaRecoveryCodes = row.mfa_recovery_codes ?? row.mfaRecoveryCodes ?? [];
+  if (typeof mfaRecoveryCodes === 'string') {
+    mfaRecoveryCodes = JSON.parse(mfaRecoveryCodes);
+  }
+
+  let passwordHistory = row.password_history ?? row.passwordHistory ?? [];
+  if (typeof passwordHistory === 'string') {
+    passwordHistory = JSON.parse(passwordHistory);
+  }
+
   return {
     id: row.id,
     email: row.email,
@@ -193,11 +341,21 @@ export function rowToUser(row) {
     phone: row.phone,
     role: row.role,
     isEmailVerified: row.is_email_verified ?? row.isEmailVerified,
+    isPhoneVerified: row.is_phone_verified ?? row.isPhoneVerified ?? false,
     isActive: row.is_active ?? row.isActive,
+    totpSecret: row.totp_secret ?? row.totpSecret ?? null,
+    totpEnabled: row.totp_enabled ?? row.totpEnabled ?? false,
+    totpLastUsedStep: row.totp_last_used_step ?? row.totpLastUsedStep ?? null,
+    mfaRecoveryCodes,
+    failedLoginAttempts: row.failed_login_attempts ?? row.failedLoginAttempts ?? 0,
+    lockedUntil: row.locked_until ?? row.lockedUntil ?? null,
+    passwordHistory,
+    passwordChangedAt: row.password_changed_at ?? row.passwordChangedAt ?? null,
+    mustChangePassword: row.must_change_password ?? row.mustChangePassword ?? false,
+    tokenVersion: row.token_version ?? row.tokenVersion ?? 0,
     avatar: row.avatar,
     bio: row.bio,
     lastLogin: row.last_login ?? row.lastLogin,
-    refreshTokens: row.refresh_tokens ?? row.refreshTokens ?? [],
     createdAt: row.created_at ?? row.createdAt,
     updatedAt: row.updated_at ?? row.updatedAt,
   };
@@ -219,10 +377,20 @@ export function userToRow(user) {
     phone: user.phone,
     role: user.role,
     is_email_verified: user.isEmailVerified,
+    is_phone_verified: user.isPhoneVerified,
     is_active: user.isActive,
+    totp_secret: user.totpSecret,
+    totp_enabled: user.totpEnabled,
+    totp_last_used_step: user.totpLastUsedStep,
+    // Serialized explicitly so pg doesn't send the array as a Postgres array literal
+    mfa_recovery_codes: user.mfaRecoveryCodes && JSON.stringify(user.mfaRecoveryCodes),
+    failed_login_attempts: user.failedLoginAttempts,
+    locked_until: user.lockedUntil,
+    password_changed_at: user.passwordChangedAt,
+    must_change_password: user.mustChangePassword,
+    token_version: user.tokenVersion,
     avatar: user.avatar,
     bio: user.bio,
     last_login: user.lastLogin,
-    refresh_tokens: user.refreshTokens,
   };
 }
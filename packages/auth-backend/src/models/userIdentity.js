@@ -0,0 +1,69 @@
+/**
+ * User identity model schema definition
+ * Links users to accounts at external identity providers (Google, GitHub, ...)
+ * @module models/userIdentity
+ */
+
+/**
+ * User identity schema
+ * @typedef {Object} UserIdentitySchema
+ * @property {string} id - Unique identity identifier
+ * @property {string} userId - Linked user ID
+ * @property {string} provider - Provider name
+ * @property {string} providerUserId - User ID at the provider
+ * @property {string|null} email - Email reported by the provider
+ * @property {Date} createdAt - Link creation timestamp
+ */
+
+/**
+ * PostgreSQL user_identities table schema
+ */
+export const userIdentitiesPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(100) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_user_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+`;
+
+/**
+ * MySQL user_identities table schema
+ */
+export const userIdentitiesMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    provider VARCHAR(100) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_user_identities_provider (provider, provider_user_id),
+    INDEX idx_user_identities_user_id (user_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to user identity object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} User identity object
+ */
+export function rowToUserIdentity(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    provider: row.provider,
+    providerUserId: row.provider_user_id ?? row.providerUserId,
+    email: row.email ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+  };
+}
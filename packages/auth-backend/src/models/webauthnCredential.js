@@ -0,0 +1,108 @@
+/**
+ * WebAuthn credential model schema definition
+ * Stores passkeys and security keys registered by users
+ * @module models/webauthnCredential
+ */
+
+/**
+ * WebAuthn credential schema
+ * @typedef {Object} WebAuthnCredentialSchema
+ * @property {string} id - Unique credential record identifier
+ * @property {string} userId - Owning user ID
+ * @property {string} credentialId - Base64url credential ID assigned by the authenticator
+ * @property {string} publicKey - Base64url COSE-encoded credential public key
+ * @property {number} signCount - Last seen signature counter
+ * @property {string[]} transports - Authenticator transports hint (usb, nfc, ble, internal, hybrid)
+ * @property {string|null} name - User-chosen friendly name
+ * @property {Date|null} lastUsedAt - Last successful authentication
+ * @property {Date} createdAt - Registration timestamp
+ */
+
+/**
+ * PostgreSQL webauthn_credentials table schema
+ */
+export const webauthnCredentialsPostgresqlSchema = `
+  CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT UNIQUE NOT NULL,
+    public_key TEXT NOT NULL,
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[],
+    name VARCHAR(100),
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+`;
+
+/**
+ * MySQL webauthn_credentials table schema
+ * Credential IDs can be up to 1023 bytes, so uniqueness is enforced on a hash column
+ */
+export const webauthnCredentialsMysqlSchema = `
+  CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    credential_id VARCHAR(1400) NOT NULL,
+    credential_id_hash CHAR(64) NOT NULL,
+    public_key TEXT NOT NULL,
+    sign_count BIGINT UNSIGNED NOT NULL DEFAULT 0,
+    transports JSON,
+    name VARCHAR(100),
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_webauthn_credentials_credential_id (credential_id_hash),
+    INDEX idx_webauthn_credentials_user_id (user_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+/**
+ * Converts database row to WebAuthn credential object
+ * Handles field name conversion (snake_case to camelCase)
+ * @param {Object} row - Database row
+ * @returns {Object} WebAuthn credential object
+ */
+export function rowToWebAuthnCredential(row) {
+  if (!row) return null;
+
+  let transports = row.transports ?? [];
+  if (typeof transports === 'string') {
+    transports = JSON.parse(transports);
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    credentialId: row.credential_id ?? row.credentialId,
+    publicKey: row.public_key ?? row.publicKey,
+    // BIGINT columns come back as strings from some drivers
+    signCount: Number(row.sign_count ?? row.signCount ?? 0),
+    transports,
+    name: row.name ?? null,
+    lastUsedAt: row.last_used_at ?? row.lastUsedAt ?? null,
+    createdAt: row.created_at ?? row.createdAt,
+  };
+}
+
+// Fields never sent to clients
+const PRIVATE_CREDENTIAL_FIELDS = ['publicKey', 'userId'];
+
+/**
+ * Removes key material from a credential for client responses
+ * @param {Object} credential - WebAuthn credential object
+ * @returns {Object} Credential without the public key
+ */
+export function sanitizeWebAuthnCredential(credential) {
+  if (!credential) return null;
+
+  const sanitized = { ...credential };
+
+  for (const field of PRIVATE_CREDENTIAL_FIELDS) {
+    delete sanitized[field];
+  }
+
+  return sanitized;
+}
@@ -6,11 +6,13 @@
 
 import express from 'express';
 import { createAuthController } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import { createAuthenticate, authorize } from '../middleware/auth.js';
 import {
   authLimiter,
   passwordResetLimiter,
   emailVerificationLimiter,
+  magicLinkLimiter,
+  phoneCodeLimiter,
 } from '../middleware/rateLimiter.js';
 
 /**
@@ -22,6 +24,8 @@ import {
 export function createAuthRouter(db, config) {
   const router = express.Router();
   const controller = createAuthController(db, config);
+  const authenticate = createAuthenticate(db, config, { usersOnly: true });
+  const authenticatePasswordChange = createAuthenticate(db, config, { allowPasswordChange: true });
 
   // Get custom endpoints from config or use defaults
   const endpoints = config.endpoints || {};
@@ -33,6 +37,9 @@ export function createAuthRouter(db, config) {
   // Health check
   router.get('/health', controller.healthCheck);
 
+  // Public keys for verifying access tokens
+  router.get(endpoints.jwks || '/.well-known/jwks.json', controller.jwks);
+
   // Register
   router.post(
     endpoints.register || '/register',
@@ -59,6 +66,18 @@ export function createAuthRouter(db, config) {
     controller.verifyEmail
   );
 
+  // Confirm an email change (link sent to the new address)
+  router.post(
+    endpoints.confirmEmailChange || '/change-email/confirm',
+    controller.confirmEmailChange
+  );
+
+  // Revert an email change (link sent to the previous address)
+  router.post(
+    endpoints.revertEmailChange || '/change-email/revert',
+    controller.revertEmailChange
+  );
+
   // Resend verification email
   router.post(
     endpoints.resendVerification || '/resend-verification',
@@ -79,6 +98,144 @@ export function createAuthRouter(db, config) {
     controller.resetPassword
   );
 
+  // Unlock account from the lockout email
+  router.post(
+    endpoints.unlockAccount || '/unlock-account',
+    controller.unlockAccount
+  );
+
+  // Complete login with a second factor
+  router.post(
+    endpoints.mfaVerify || '/mfa/verify',
+    authLimiter,
+    controller.verifyMfa
+  );
+
+  /**
+   * Passwordless sign-in routes (only when enabled)
+   */
+
+  if (config.features?.magicLink) {
+    // Request magic link
+    router.post(
+      endpoints.magicLink || '/magic-link',
+      magicLinkLimiter,
+      controller.requestMagicLink
+    );
+
+    // Sign in with magic link
+    router.post(
+      endpoints.magicLinkVerify || '/magic-link/verify',
+      authLimiter,
+      controller.verifyMagicLink
+    );
+  }
+
+  if (config.features?.phoneAuth) {
+    // Send SMS sign-in code
+    router.post(
+      endpoints.phoneRequestCode || '/phone/request-code',
+      phoneCodeLimiter,
+      controller.requestPhoneCode
+    );
+
+    // Sign in with SMS code
+    router.post(
+      endpoints.phoneVerifyCode || '/phone/verify-code',
+      authLimiter,
+      controller.verifyPhoneCode
+    );
+  }
+
+  /**
+   * Passkey sign-in routes (only when enabled)
+   */
+
+  if (config.features?.webauthn) {
+    // Get sign-in options
+    router.post(
+      endpoints.webauthnAuthenticateOptions || '/webauthn/authenticate/options',
+      authLimiter,
+      controller.passkeyAuthenticationOptions
+    );
+
+    // Sign in with a passkey
+    router.post(
+      endpoints.webauthnAuthenticateVerify || '/webauthn/authenticate/verify',
+      authLimiter,
+      controller.verifyPasskeyAuthentication
+    );
+  }
+
+  /**
+   * Social login routes (only when enabled)
+   */
+
+  if (config.features?.oauth) {
+    // Redirect to provider
+    router.get('/oauth/:provider', controller.startOAuth);
+
+    // Provider callback
+    router.get('/oauth/:provider/callback', controller.oauthCallback);
+  }
+
+  /**
+   * OpenID Connect routes (one pair per configured provider)
+   */
+
+  if (config.oidc?.providers?.length) {
+    // Redirect to provider
+    router.get('/oidc/:providerId/login', controller.startOidc);
+
+    // Provider callback
+    router.get('/oidc/:providerId/callback', controller.oidcCallback);
+  }
+
+  /**
+   * OAuth 2.0 / OpenID Connect authorization server (only when enabled)
+   */
+
+  if (config.features?.oauthServer) {
+    const authenticateClient = createAuthenticate(db, config, { clientTokens: true });
+    const authorizePath = endpoints.oauthServerAuthorize || '/oauth2/authorize';
+    const userinfoPath = endpoints.oauthServerUserinfo || '/oauth2/userinfo';
+
+    // Discovery document
+    router.get(
+      endpoints.openidConfiguration || '/.well-known/openid-configuration',
+      controller.openidConfiguration
+    );
+
+    // Authorization request from a client application (redirects to the consent page)
+    router.get(authorizePath, controller.startOAuthServerAuthorization);
+
+    // Authorize the client as the signed-in user (called by the consent page)
+    router.post(authorizePath, authenticate, controller.authorizeOAuthClient);
+
+    // Token endpoint (clients send form-encoded requests)
+    router.post(
+      endpoints.oauthServerToken || '/oauth2/token',
+      express.urlencoded({ extended: false }),
+      controller.oauthServerToken
+    );
+
+    // Claims about the user, for tokens issued to clients
+    router.get(userinfoPath, authenticateClient, controller.oauthServerUserinfo);
+    router.post(userinfoPath, authenticateClient, controller.oauthServerUserinfo);
+  }
+
+  /**
+   * Client credentials grant for machine clients (only when enabled)
+   */
+
+  if (config.features?.clientCredentials) {
+    router.post(
+      endpoints.oauthToken || '/oauth/token',
+      express.urlencoded({ extended: false }),
+      controller.clientCredentialsToken
+    );
+  }
+
   /**
    * Protected routes (authentication required)
    */
@@ -97,10 +254,24 @@ export function createAuthRouter(db, config) {
     controller.logoutAll
   );
 
-  // Change password
+  // List active sessions
+  router.get(
+    endpoints.sessions || '/sessions',
+    authenticate,
+    controller.listSessions
+  );
+
+  // Revoke a session
+  router.delete(
+    `${endpoints.sessions || '/sessions'}/:id`,
+    authenticate,
+    controller.revokeSession
+  );
+
+  // Change password (also reachable with the restricted token from an expired-password login)
   router.post(
     '/change-password',
-    authenticate,
+    authenticatePasswordChange,
     controller.changePassword
   );
 
@@ -125,5 +296,166 @@ export function createAuthRouter(db, config) {
     controller.updateProfile
   );
 
+  // Change email (sends a confirmation link to the new address)
+  router.post(
+    endpoints.changeEmail || '/change-email',
+    authenticate,
+    emailVerificationLimiter,
+    controller.changeEmail
+  );
+
+  /**
+   * Two-factor authentication management
+   */
+
+  // Start TOTP enrollment
+  router.post(
+    endpoints.mfaTotpEnroll || '/mfa/totp/enroll',
+    authenticate,
+    controller.enrollTotp
+  );
+
+  // Confirm TOTP enrollment
+  router.post(
+    endpoints.mfaTotpConfirm || '/mfa/totp/confirm',
+    authenticate,
+    controller.confirmTotp
+  );
+
+  // Disable TOTP
+  router.post(
+    endpoints.mfaTotpDisable || '/mfa/totp/disable',
+    authenticate,
+    controller.disableTotp
+  );
+
+  // Regenerate recovery codes
+  router.post(
+    endpoints.mfaRecoveryCodes || '/mfa/recovery-codes',
+    authenticate,
+    controller.regenerateRecoveryCodes
+  );
+
+  /**
+   * Administration (admin role required)
+   */
+
+  // Unlock a locked account
+  router.post(
+    endpoints.adminUnlockUser || '/admin/users/:id/unlock',
+    authenticate,
+    authorize('admin'),
+    controller.unlockUser
+  );
+
+  // Require a password change at next login
+  router.post(
+    endpoints.adminMustChangePassword || '/admin/users/:id/must-change-password',
+    authenticate,
+    authorize('admin'),
+    controller.setMustChangePassword
+  );
+
+  // Activate or deactivate an account
+  router.post(
+    endpoints.adminUserActive || '/admin/users/:id/active',
+    authenticate,
+    authorize('admin'),
+    controller.setUserActive
+  );
+
+  if (config.features?.oauthServer) {
+    const clientsPath = endpoints.adminOAuthClients || '/admin/oauth2/clients';
+
+    // Register an OAuth client
+    router.post(clientsPath, authenticate, authorize('admin'), controller.createOAuthClient);
+
+    // List OAuth clients
+    router.get(clientsPath, authenticate, authorize('admin'), controller.listOAuthClients);
+
+    // Delete an OAuth client
+    router.delete(
+      `${clientsPath}/:clientId`,
+      authenticate,
+      authorize('admin'),
+      controller.deleteOAuthClient
+    );
+  }
+
+  if (config.features?.clientCredentials) {
+    const machineClientsPath = endpoints.adminMachineClients || '/admin/machine-clients';
+
+    // Register a machine client
+    router.post(machineClientsPath, authenticate, authorize('admin'), controller.createMachineClient);
+
+    // List machine clients
+    router.get(machineClientsPath, authenticate, authorize('admin'), controller.listMachineClients);
+
+    // Rotate a machine client's secret
+    router.post(
+      `${machineClientsPath}/:clientId/rotate-secret`,
+      authenticate,
+      authorize('admin'),
+      controller.rotateMachineClientSecret
+    );
+
+    // Revoke a machine client
+    router.delete(
+      `${machineClientsPath}/:clientId`,
+      authenticate,
+      authorize('admin'),
+      controller.revokeMachineClient
+    );
+  }
+
+  /**
+   * Passkey management (only when enabled)
+   */
+
+  if (config.features?.webauthn) {
+    const credentialsPath = endpoints.webauthnCredentials || '/webauthn/credentials';
+
+    // Get registration options
+    router.post(
+      endpoints.webauthnRegisterOptions || '/webauthn/register/options',
+      authenticate,
+      controller.passkeyRegistrationOptions
+    );
+
+    // Register a passkey
+    router.post(
+      endpoints.webauthnRegisterVerify || '/webauthn/register/verify',
+      authenticate,
+      controller.verifyPasskeyRegistration
+    );
+
+    // List passkeys
+    router.get(credentialsPath, authenticate, controller.listPasskeys);
+
+    // Rename a passkey
+    router.patch(`${credentialsPath}/:id`, authenticate, controller.renamePasskey);
+
+    // Delete a passkey
+    router.delete(`${credentialsPath}/:id`, authenticate, controller.deletePasskey);
+  }
+
+  /**
+   * Personal API keys (only when enabled)
+   * Managing keys needs a signed-in user; a key can't be used to create more keys
+   */
+
+  if (config.features?.apiKeys) {
+    const apiKeysPath = endpoints.apiKeys || '/api-keys';
+
+    // Create an API key
+    router.post(apiKeysPath, authenticate, controller.createApiKey);
+
+    // List API keys
+    router.get(apiKeysPath, authenticate, controller.listApiKeys);
+
+    // Revoke an API key
+    router.delete(`${apiKeysPath}/:id`, authenticate, controller.revokeApiKey);
+  }
+
   return router;
 }
@@ -0,0 +1,301 @@
+/**
+ * Authentication route tests
+ * The routes are served from an in-memory database on a random local port
+ * @module routes/auth.test
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import config from '../config/index.js';
+import { createAuthRouter } from './auth.js';
+import { MemoryAdapter } from '../models/adapters/memory.js';
+import { OidcProviderRegistry } from '../services/oidcRegistry.js';
+import { hashPassword } from '../utils/password.js';
+import { errorHandler } from '../utils/errors.js';
+
+const PASSWORD = 'Old$ecretPass1';
+const SECURITY = { ...config.security, hashWorkers: 0, bcryptRounds: 4 };
+
+// errorHandler logs every rejected request
+mock.method(console, 'error', () => {});
+
+/**
+ * Serves the auth routes for one test
+ * Resolves with the database and a request helper; call close() when done
+ */
+async function startServer(userData = {}, configOverrides = {}) {
+  const db = new MemoryAdapter();
+  const user = await db.createUser({
+    email: 'jane@example.com',
+    password: await hashPassword(PASSWORD, SECURITY),
+    name: 'Jane',
+    ...userData,
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', createAuthRouter(db, { ...config, security: SECURITY, ...configOverrides }));
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/auth`;
+
+  const request = async (method, path, { token, body, userAgent } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(userAgent && { 'User-Agent': userAgent }),
+      },
+      body: body && JSON.stringify(body),
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { db, user, baseUrl, request, close: () => server.close() };
+}
+
+test('the restricted password change token should only be accepted by /change-password', async () => {
+  const { request, close } = await startServer({ mustChangePassword: true });
+
+  try {
+    const login = await request('POST', '/login', {
+      body: { email: 'jane@example.com', password: PASSWORD },
+    });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.data.passwordChangeRequired, true);
+    assert.strictEqual(login.body.data.reason, 'admin');
+    assert.strictEqual(login.body.data.accessToken, undefined);
+
+    const token = login.body.data.passwordChangeToken;
+    for (const [method, path] of [['GET', '/me'], ['GET', '/profile'], ['GET', '/sessions']]) {
+      assert.strictEqual((await request(method, path, { token })).status, 401, path);
+    }
+
+    const changed = await request('POST', '/change-password', {
+      token,
+      body: {
+        currentPassword: PASSWORD,
+        newPassword: 'New$ecretPass2',
+        confirmPassword: 'New$ecretPass2',
+      },
+    });
+    assert.strictEqual(changed.status, 200);
+
+    const me = await request('GET', '/me', { token: changed.body.data.accessToken });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.body.data.user.mustChangePassword, false);
+  } finally {
+    close();
+  }
+});
+
+const LAPTOP_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const PHONE_USER_AGENT =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+
+test('users should be able to list their sessions and revoke one', async () => {
+  const { db, request, close } = await startServer();
+  const signIn = async (email, userAgent) =>
+    (await request('POST', '/login', { body: { email, password: PASSWORD }, userAgent })).body
+      .data;
+
+  try {
+    const laptop = await signIn('jane@example.com', LAPTOP_USER_AGENT);
+    const phone = await signIn('jane@example.com', PHONE_USER_AGENT);
+
+    // A refresh within the grace period doesn't show up as another session
+    const refreshed = await request('POST', '/refresh', {
+      body: { refreshToken: phone.refreshToken },
+      userAgent: PHONE_USER_AGENT,
+    });
+    assert.strictEqual(refreshed.status, 200);
+
+    const listed = await request('GET', '/sessions', { token: laptop.accessToken });
+    assert.strictEqual(listed.status, 200);
+
+    const { sessions } = listed.body.data;
+    assert.strictEqual(sessions.length, 2);
+    assert.deepStrictEqual(sessions.map((session) => session.current).sort(), [false, true]);
+    assert.ok(sessions.every((session) => session.device && !('tokenHash' in session)));
+
+    const other = sessions.find((session) => !session.current);
+    assert.ok(other.userAgent.includes('iPhone'));
+
+    // Sessions of other users can't be revoked
+    await db.createUser({
+      email: 'john@example.com',
+      password: await hashPassword(PASSWORD, SECURITY),
+    });
+    const john = await signIn('john@example.com');
+    assert.strictEqual(
+      (await request('DELETE', `/sessions/${other.id}`, { token: john.accessToken })).status,
+      404
+    );
+
+    const revoked = await request('DELETE', `/sessions/${other.id}`, {
+      token: laptop.accessToken,
+    });
+    assert.strictEqual(revoked.status, 200);
+    const refreshAfter = await request('POST', '/refresh', {
+      body: { refreshToken: refreshed.body.data.refreshToken },
+    });
+    assert.strictEqual(refreshAfter.status, 401);
+    assert.strictEqual(
+      (await request('GET', '/sessions', { token: laptop.accessToken })).body.data.sessions.length,
+      1
+    );
+    assert.strictEqual(
+      (await request('DELETE', `/sessions/${other.id}`, { token: laptop.accessToken })).status,
+      404
+    );
+  } finally {
+    close();
+  }
+});
+
+const GOOGLE = { ...config.oauth.google, clientId: 'client-id', clientSecret: 'secret' };
+
+/**
+ * Stubs the sign-in provider, passing requests to the test server through
+ */
+function mockProviderFetch() {
+  const serverFetch = globalThis.fetch;
+
+  return mock.method(globalThis, 'fetch', async (url, options) => {
+    if (url === GOOGLE.tokenUrl) {
+      return Response.json({ access_token: 'provider-token' });
+    }
+
+    if (url === GOOGLE.userInfoUrl) {
+      return Response.json({ sub: 'google-1', email: 'jane@example.com', email_verified: true });
+    }
+
+    return serverFetch(url, options);
+  });
+}
+
+/**
+ * Starts a sign-in, resolving with the state sent to the provider and the cookie set for it
+ */
+async function startSignIn(url) {
+  const response = await fetch(url, { redirect: 'manual' });
+
+  return {
+    state: new URL(response.headers.get('location')).searchParams.get('state'),
+    cookie: response.headers.get('set-cookie').split(';')[0],
+  };
+}
+
+/**
+ * Calls back from the provider, resolving with the parameters passed on to the frontend
+ */
+async function finishSignIn(url, state, cookie) {
+  const response = await fetch(`${url}?code=provider-code&state=${state}`, {
+    redirect: 'manual',
+    headers: cookie ? { Cookie: cookie } : {},
+  });
+
+  return new URLSearchParams(new URL(response.headers.get('location')).hash.slice(1));
+}
+
+test('social sign-in callbacks should only be accepted in the browser that started them', async () => {
+  const { baseUrl, close } = await startServer(
+    {},
+    {
+      features: { ...config.features, oauth: true },
+      oauth: { ...config.oauth, google: GOOGLE },
+    }
+  );
+  const fetchMock = mockProviderFetch();
+
+  try {
+    const attacker = await startSignIn(`${baseUrl}/oauth/google`);
+    const victim = await startSignIn(`${baseUrl}/oauth/google`);
+    const callbackUrl = `${baseUrl}/oauth/google/callback`;
+
+    // The attacker's callback URL, opened in the victim's browser
+    for (const cookie of [null, victim.cookie]) {
+      const params = await finishSignIn(callbackUrl, attacker.state, cookie);
+      assert.ok(params.get('error'));
+      assert.strictEqual(params.get('accessToken'), null);
+    }
+
+    const params = await finishSignIn(callbackUrl, attacker.state, attacker.cookie);
+    assert.ok(params.get('accessToken'));
+  } finally {
+    fetchMock.mock.restore();
+    close();
+  }
+});
+
+test('OpenID Connect callbacks should only be accepted in the browser that started them', async () => {
+  const { baseUrl, close } = await startServer(
+    {},
+    {
+      oidc: {
+        ...config.oidc,
+        providers: [
+          {
+            id: 'corp',
+            issuer: 'https://idp.example.com',
+            clientId: 'client-id',
+            callbackUrl: 'http://localhost:3000/api/auth/oidc/corp/callback',
+          },
+        ],
+      },
+    }
+  );
+  const getMock = mock.method(OidcProviderRegistry.prototype, 'get', () => ({
+    buildAuthorizationUrl: async ({ state }) => `https://idp.example.com/auth?state=${state}`,
+    authenticate: async () => ({ id: 'oidc-1', email: 'jane@example.com', emailVerified: true }),
+  }));
+
+  try {
+    const attacker = await startSignIn(`${baseUrl}/oidc/corp/login`);
+    const victim = await startSignIn(`${baseUrl}/oidc/corp/login`);
+    const callbackUrl = `${baseUrl}/oidc/corp/callback`;
+
+    for (const cookie of [null, victim.cookie]) {
+      const params = await finishSignIn(callbackUrl, attacker.state, cookie);
+      assert.ok(params.get('error'));
+      assert.strictEqual(params.get('accessToken'), null);
+    }
+
+    const params = await finishSignIn(callbackUrl, attacker.state, attacker.cookie);
+    assert.ok(params.get('accessToken'));
+  } finally {
+    getMock.mock.restore();
+    close();
+  }
+});
+
+test('social sign-in failures should not pass internal error details to the frontend', async () => {
+  const { db, baseUrl, close } = await startServer(
+    {},
+    {
+      features: { ...config.features, oauth: true },
+      oauth: { ...config.oauth, google: GOOGLE },
+    }
+  );
+  const fetchMock = mockProviderFetch();
+  mock.method(db, 'findUserIdentity', async () => {
+    throw new Error('connect ECONNREFUSED 10.0.0.5:5432');
+  });
+
+  try {
+    const { state, cookie } = await startSignIn(`${baseUrl}/oauth/google`);
+    const params = await finishSignIn(`${baseUrl}/oauth/google/callback`, state, cookie);
+
+    assert.strictEqual(params.get('error'), 'Sign-in failed. Please try again.');
+  } finally {
+    fetchMock.mock.restore();
+    close();
+  }
+});
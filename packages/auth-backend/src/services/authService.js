@@ -4,30 +4,84 @@
  * @module services/authService
  */
 
-import { hashPassword, comparePassword } from '../utils/password.js';
+import {
+  hashPassword,
+  comparePassword,
+  isPasswordReused,
+  passwordNeedsRehash,
+} from '../utils/password.js';
 import {
   generateTokens,
-  generateEmailVerificationToken,
-  generatePasswordResetToken,
-  verifyEmailVerificationToken,
-  verifyPasswordResetToken,
+  generateAccessToken,
+  generatePasswordChangeToken,
   verifyRefreshToken,
+  decodeToken,
 } from '../utils/jwt.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import {
+  SUPPORTED_COSE_ALGORITHMS,
+  parseClientData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from '../utils/webauthn.js';
 import {
   sendWelcomeEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendPasswordChangedEmail,
+  sendMagicLinkEmail,
+  sendRecoveryCodeUsedEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangedEmail,
 } from '../utils/email.js';
 import {
+  generateSecureToken,
+  generateNumericCode,
+  hashToken,
+  compareTokenHashes,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  generateApiKey,
+} from '../utils/tokens.js';
+import { createSmsTransport, normalizePhone, sendPhoneCodeSms } from '../utils/sms.js';
+import { createBreachedPasswordChecker } from '../utils/breachedPasswords.js';
+import { identifyPasswordHasher } from '../utils/passwordHashers.js';
+import {
+  getSupportedOAuthProviders,
+  generatePkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  fetchOAuthProfile,
+} from '../utils/oauth.js';
+import { OidcProviderRegistry } from './oidcRegistry.js';
+import {
+  AccountLockedError,
   AuthenticationError,
+  AuthorizationError,
   ConflictError,
   NotFoundError,
   ValidationError,
 } from '../utils/errors.js';
 import { sanitizeUser } from '../models/user.js';
+import { AUTH_TOKEN_TYPES, isAuthTokenUsable } from '../models/authToken.js';
+import { sanitizeWebAuthnCredential } from '../models/webauthnCredential.js';
+import { sanitizeSession } from '../models/session.js';
+import { sanitizeApiKey } from '../models/apiKey.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { getTokenRevocation } from '../utils/tokenRevocation.js';
+import { verifyApiKey } from '../utils/apiKeys.js';
 import config from '../config/index.js';
 
+/**
+ * Encodes a user ID as a WebAuthn user handle
+ * @param {string} userId - User ID
+ * @returns {string} Base64url user handle
+ */
+function encodeUserHandle(userId) {
+  return Buffer.from(String(userId)).toString('base64url');
+}
+
 /**
  * Authentication Service Class
  */
@@ -35,6 +89,10 @@ export class AuthService {
   constructor(database, customConfig = {}) {
     this.db = database;
     this.config = { ...config, ...customConfig };
+    this.oidcProviders = new OidcProviderRegistry(this.config.oidc?.providers, this.config.oidc);
+    this.smsTransport = createSmsTransport(this.config.sms?.transport);
+    this.breachedPasswordChecker = createBreachedPasswordChecker(this.config.breachedPasswords);
+    this.tokenRevocation = getTokenRevocation(database, this.config.security);
   }
 
   /**
@@ -43,10 +101,16 @@ export class AuthService {
    * @param {string} userData.email - User email
    * @param {string} userData.password - User password
    * @param {string} [userData.name] - User name
-   * @returns {Promise<Object>} Created user and tokens
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} Created user and tokens, plus passwordWarning if the
+   *   password was found in a breach and screening only warns
    */
-  async register(userData) {
+  async register(userData, client = {}) {
     try {
+      if (!this.config.features.registration) {
+        throw new AuthorizationError('Registration is currently closed');
+      }
+
       // Check if user already exists
       const existingUser = await this.db.findUserByEmail(userData.email);
 
@@ -54,28 +118,32 @@ export class AuthService {
         throw new ConflictError('Email already registered');
       }
 
+      const passwordWarning = await this._screenPassword(userData.password, 'password');
+
       // Hash password
-      const hashedPassword = await hashPassword(userData.password);
+      const hashedPassword = await hashPassword(userData.password, this.config.security);
 
       // Create user
       const user = await this.db.createUser({
         email: userData.email.toLowerCase(),
         password: hashedPassword,
         name: userData.name,
-        phone: userData.phone,
+        phone: userData.phone ? normalizePhone(userData.phone) : userData.phone,
         role: userData.role || 'user',
         isEmailVerified: !this.config.features.emailVerification, // Auto-verify if feature is disabled
       });
 
+      await this._recordPasswordHistory(user.id, hashedPassword);
+
       // Generate tokens
       const { accessToken, refreshToken } = generateTokens(user);
 
       // Store refresh token
-      await this.db.addRefreshToken(user.id, refreshToken);
+      await this._saveSession(user.id, refreshToken, client);
 
       // Send verification email if enabled
       if (this.config.features.emailVerification) {
-        const verificationToken = generateEmailVerificationToken(user.id);
+        const verificationToken = await this._issueEmailVerificationToken(user);
         await sendVerificationEmail(user.email, verificationToken, user.name);
       } else {
         // Send welcome email
@@ -93,6 +161,7 @@ export class AuthService {
         user: sanitizeUser(user),
         accessToken,
         refreshToken,
+        ...(passwordWarning && { passwordWarning }),
       };
     } catch (error) {
       throw error;
@@ -101,11 +170,16 @@ export class AuthService {
 
   /**
    * Authenticates a user with email and password
+   * Repeated failures lock the account (see security.maxLoginAttempts)
+   * Users with two-factor authentication get an MFA challenge instead of tokens, and users
+   * whose password expired or was flagged by an admin get a restricted password change token
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<Object>} User and tokens
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, { mfaRequired, mfaToken } or
+   *   { passwordChangeRequired, reason, passwordChangeToken }
    */
-  async login(email, password) {
+  async login(email, password, client = {}) {
     try {
       // Find user by email
       const user = await this.db.findUserByEmail(email);
@@ -114,6 +188,11 @@ export class AuthService {
         throw new AuthenticationError('Invalid email or password');
       }
 
+      // Refuse locked accounts before checking the password so guessing can't continue
+      if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+        throw new AccountLockedError(undefined, new Date(user.lockedUntil));
+      }
+
       // Check if account is active
       if (!user.isActive) {
         throw new AuthenticationError(
@@ -122,12 +201,31 @@ export class AuthService {
       }
 
       // Verify password
-      const isPasswordValid = await comparePassword(password, user.password);
+      const isPasswordValid = await comparePassword(
+        password,
+        user.password,
+        this.config.security
+      );
 
       if (!isPasswordValid) {
+        const lockedUntil = await this._recordFailedLogin(user);
+
+        if (lockedUntil) {
+          throw new AccountLockedError(undefined, lockedUntil);
+        }
+
         throw new AuthenticationError('Invalid email or password');
       }
 
+      // With two-factor authentication, failures are only cleared once the code is verified too
+      if (!user.totpEnabled) {
+        await this._resetFailedLogins(user);
+      }
+
+      if (passwordNeedsRehash(user.password, this.config.security)) {
+        await this._rehashPassword(user, password);
+      }
+
       // Check if email verification is required
       if (this.config.features.emailVerification && !user.isEmailVerified) {
         throw new AuthenticationError(
@@ -135,39 +233,477 @@ export class AuthService {
         );
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user);
+      return await this._completeSignIn(user, 'password', client);
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Store refresh token
-      await this.db.addRefreshToken(user.id, refreshToken);
+  /**
+   * Completes a sign-in that returned an MFA challenge
+   * Wrong codes count towards the account lockout (see _recordFailedMfaAttempt)
+   * @param {string} mfaToken - MFA challenge token from the first sign-in step
+   * @param {string} code - TOTP code from the authenticator app
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or a password change requirement
+   */
+  async verifyMfa(mfaToken, code, client = {}) {
+    const { challenge, user } = await this._getMfaChallenge(mfaToken);
 
-      // Update last login
-      await this.db.updateLastLogin(user.id);
+    try {
+      await this._verifyTotpCode(user, code);
+    } catch (error) {
+      await this._recordFailedMfaAttempt(challenge, user);
+      throw error;
+    }
 
-      // Trigger onLogin hook if provided
-      if (this.config.hooks?.onLogin) {
-        await this.config.hooks.onLogin(user);
-      }
+    return this._completeMfaChallenge(challenge, user, client);
+  }
 
-      return {
-        user: sanitizeUser(user),
-        accessToken,
-        refreshToken,
-      };
+  /**
+   * Completes a sign-in that returned an MFA challenge using a one-time recovery code
+   * The code is marked used and the user is notified by email
+   * @param {string} mfaToken - MFA challenge token from the first sign-in step
+   * @param {string} recoveryCode - Recovery code issued at enrollment
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or a password change requirement
+   */
+  async verifyMfaRecoveryCode(mfaToken, recoveryCode, client = {}) {
+    const { challenge, user } = await this._getMfaChallenge(mfaToken);
+    let remaining;
+
+    try {
+      remaining = await this._consumeRecoveryCode(user, recoveryCode);
     } catch (error) {
+      await this._recordFailedMfaAttempt(challenge, user);
       throw error;
     }
+
+    await sendRecoveryCodeUsedEmail(user.email, user.name, remaining).catch((err) =>
+      console.error('Failed to send recovery code email:', err)
+    );
+
+    return this._completeMfaChallenge(challenge, user, client);
+  }
+
+  /**
+   * Sends a single-use magic sign-in link to an email address
+   * Silently does nothing for unknown emails when registration is closed
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  async requestMagicLink(email) {
+    try {
+      const normalizedEmail = email.toLowerCase();
+      const user = await this.db.findUserByEmail(normalizedEmail);
+
+      if (!user && !this.config.features.registration) {
+        // Don't reveal if email exists
+        return;
+      }
+
+      if (user && !user.isActive) {
+        return;
+      }
+
+      // Only the most recent link stays valid
+      await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.MAGIC_LINK, normalizedEmail);
+
+      const token = generateSecureToken();
+
+      await this.db.createAuthToken({
+        type: AUTH_TOKEN_TYPES.MAGIC_LINK,
+        identifier: normalizedEmail,
+        userId: user ? user.id : null,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + this.config.security.magicLinkExpiresIn),
+      });
+
+      await sendMagicLinkEmail(normalizedEmail, token, user?.name);
+    } catch (error) {
+      console.error('Magic link request error:', error);
+      // Don't throw error to prevent email enumeration
+    }
+  }
+
+  /**
+   * Signs a user in with a magic link token
+   * Creates the account on first use when registration is open
+   * @param {string} token - Magic link token
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or { mfaRequired, mfaToken }
+   */
+  async consumeMagicLink(token, client = {}) {
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.MAGIC_LINK,
+      hashToken(token)
+    );
+
+    if (!isAuthTokenUsable(record)) {
+      throw new AuthenticationError('Invalid or expired magic link');
+    }
+
+    // Guard against the same link being used concurrently
+    const consumed = await this.db.consumeAuthToken(record.id);
+
+    if (!consumed) {
+      throw new AuthenticationError('Invalid or expired magic link');
+    }
+
+    let user = await this.db.findUserByEmail(record.identifier);
+
+    if (!user) {
+      if (!this.config.features.registration) {
+        throw new AuthenticationError('Invalid or expired magic link');
+      }
+
+      // Following the link proves ownership of the address
+      user = await this._createPasswordlessUser({
+        email: record.identifier,
+        isEmailVerified: true,
+      });
+    } else {
+      if (!user.isActive) {
+        throw new AuthenticationError(
+          'Your account has been deactivated. Please contact support.'
+        );
+      }
+
+      if (!user.isEmailVerified) {
+        user = await this.db.updateUser(user.id, { isEmailVerified: true });
+      }
+    }
+
+    return this._completeSignIn(user, 'magic-link', client);
+  }
+
+  /**
+   * Sends a one-time sign-in code by SMS to a registered phone number
+   * Silently does nothing for unknown numbers to prevent enumeration
+   * @param {string} phone - Phone number
+   * @returns {Promise<void>}
+   */
+  async requestPhoneCode(phone) {
+    try {
+      const normalizedPhone = normalizePhone(phone);
+      const user = await this.db.findUserByPhone(normalizedPhone);
+
+      if (!user || !user.isActive) {
+        // Don't reveal if phone exists
+        return;
+      }
+
+      // Only the most recent code stays valid
+      await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.PHONE_CODE, normalizedPhone);
+
+      const { phoneCodeLength, phoneCodeExpiresIn } = this.config.security;
+      const code = generateNumericCode(phoneCodeLength);
+      // Short codes repeat, so each one is hashed with its own salt
+      const salt = generateSecureToken(16);
+
+      await this.db.createAuthToken({
+        type: AUTH_TOKEN_TYPES.PHONE_CODE,
+        identifier: normalizedPhone,
+        userId: user.id,
+        tokenHash: hashToken(`${salt}:${code}`),
+        metadata: { salt },
+        expiresAt: new Date(Date.now() + phoneCodeExpiresIn),
+      });
+
+      await sendPhoneCodeSms(
+        this.smsTransport,
+        normalizedPhone,
+        code,
+        Math.round(phoneCodeExpiresIn / 60000)
+      );
+    } catch (error) {
+      console.error('Phone code request error:', error);
+      // Don't throw error to prevent phone enumeration
+    }
+  }
+
+  /**
+   * Signs a user in with an SMS code and marks the phone as verified
+   * The code is invalidated after too many wrong guesses
+   * @param {string} phone - Phone number
+   * @param {string} code - One-time code
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or { mfaRequired, mfaToken }
+   */
+  async verifyPhoneCode(phone, code, client = {}) {
+    const normalizedPhone = normalizePhone(phone);
+    const record = await this.db.findActiveAuthToken(
+      AUTH_TOKEN_TYPES.PHONE_CODE,
+      normalizedPhone
+    );
+
+    if (!record) {
+      throw new AuthenticationError('Invalid or expired code');
+    }
+
+    const maxAttempts = this.config.security.phoneCodeMaxAttempts;
+
+    if (!compareTokenHashes(hashToken(`${record.metadata?.salt}:${code}`), record.tokenHash)) {
+      const attempts = await this.db.incrementAuthTokenAttempts(record.id);
+
+      if (attempts >= maxAttempts) {
+        await this.db.consumeAuthToken(record.id);
+        throw new AuthenticationError('Too many incorrect attempts. Please request a new code.');
+      }
+
+      throw new AuthenticationError('Invalid or expired code');
+    }
+
+    if (record.attempts >= maxAttempts || !(await this.db.consumeAuthToken(record.id))) {
+      throw new AuthenticationError('Invalid or expired code');
+    }
+
+    let user = await this.db.findUserById(record.userId);
+
+    // The number may have been moved to another account since the code was sent
+    if (!user || user.phone !== normalizedPhone) {
+      throw new AuthenticationError('Invalid or expired code');
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Your account has been deactivated. Please contact support.');
+    }
+
+    if (!user.isPhoneVerified) {
+      user = await this.db.updateUser(user.id, { isPhoneVerified: true });
+    }
+
+    return this._completeSignIn(user, 'phone', client);
+  }
+
+  /**
+   * Creates WebAuthn options for signing in with a passkey
+   * No credentials are listed, so the browser offers any discoverable passkey for this site
+   * @returns {Promise<Object>} PublicKeyCredentialRequestOptions (binary fields base64url encoded)
+   */
+  async generatePasskeyAuthenticationOptions() {
+    const rp = this._getWebAuthnRelyingParty();
+    const challenge = await this._createWebAuthnChallenge(
+      AUTH_TOKEN_TYPES.WEBAUTHN_AUTHENTICATION,
+      'passkey'
+    );
+
+    return {
+      challenge,
+      rpId: rp.id,
+      timeout: this.config.webauthn.challengeExpiresIn,
+      userVerification: rp.userVerification,
+      allowCredentials: [],
+    };
+  }
+
+  /**
+   * Signs a user in with a passkey assertion
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.get()
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens
+   */
+  async verifyPasskeyAuthentication(credential, client = {}) {
+    const rp = this._getWebAuthnRelyingParty();
+    const challenge = await this._consumeWebAuthnChallenge(
+      AUTH_TOKEN_TYPES.WEBAUTHN_AUTHENTICATION,
+      credential,
+      AuthenticationError
+    );
+
+    const stored = await this.db.findWebAuthnCredential(credential.id);
+
+    if (!stored) {
+      throw new AuthenticationError('Passkey is not registered');
+    }
+
+    let result;
+
+    try {
+      result = verifyAuthenticationResponse({
+        credential,
+        expectedChallenge: challenge.value,
+        expectedOrigins: rp.origins,
+        expectedRpId: rp.id,
+        publicKey: stored.publicKey,
+        signCount: stored.signCount,
+        requireUserVerification: rp.userVerification === 'required',
+      });
+    } catch (error) {
+      throw new AuthenticationError(`Passkey verification failed: ${error.message}`);
+    }
+
+    const user = await this.db.findUserById(stored.userId);
+
+    if (!user || (result.userHandle && result.userHandle !== encodeUserHandle(user.id))) {
+      throw new AuthenticationError('Passkey verification failed: user handle mismatch');
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Your account has been deactivated. Please contact support.');
+    }
+
+    await this.db.updateWebAuthnCredential(stored.id, {
+      signCount: result.signCount,
+      lastUsedAt: new Date(),
+    });
+
+    return this._createSession(user, client);
+  }
+
+  /**
+   * Starts an OAuth 2.0 authorization-code flow with a social provider
+   * Stores the state and PKCE code verifier server-side
+   * @param {string} provider - Provider name ('google' or 'github')
+   * @returns {Promise<string>} Provider authorization URL to redirect to
+   */
+  async startOAuth(provider) {
+    const providerConfig = this._getOAuthProvider(provider);
+    const state = generateSecureToken();
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+
+    await this.db.createAuthToken({
+      type: AUTH_TOKEN_TYPES.OAUTH_STATE,
+      identifier: provider,
+      tokenHash: hashToken(state),
+      metadata: { codeVerifier },
+      expiresAt: new Date(Date.now() + this.config.oauth.stateExpiresIn),
+    });
+
+    return buildAuthorizationUrl(providerConfig, { state, codeChallenge });
+  }
+
+  /**
+   * Completes an OAuth 2.0 flow and signs the user in
+   * Finds the user by linked identity or verified email, or creates one
+   * @param {string} provider - Provider name
+   * @param {string} code - Authorization code from the provider
+   * @param {string} state - State value returned by the provider
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or { mfaRequired, mfaToken }
+   */
+  async completeOAuth(provider, code, state, client = {}) {
+    const providerConfig = this._getOAuthProvider(provider);
+
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.OAUTH_STATE,
+      hashToken(state)
+    );
+
+    if (
+      !isAuthTokenUsable(record) ||
+      record.identifier !== provider ||
+      !(await this.db.consumeAuthToken(record.id))
+    ) {
+      throw new AuthenticationError('Invalid or expired OAuth state');
+    }
+
+    let profile;
+
+    try {
+      const tokens = await exchangeAuthorizationCode(
+        providerConfig,
+        code,
+        record.metadata.codeVerifier
+      );
+      profile = await fetchOAuthProfile(provider, providerConfig, tokens.access_token);
+    } catch (error) {
+      throw new AuthenticationError(`Sign-in with ${provider} failed: ${error.message}`);
+    }
+
+    const user = await this._findOrCreateFederatedUser(provider, profile);
+
+    return this._completeSignIn(user, 'oauth', client);
+  }
+
+  /**
+   * Starts an OpenID Connect sign-in with a registered provider
+   * @param {string} providerId - Registered provider ID
+   * @returns {Promise<string>} Provider authorization URL to redirect to
+   */
+  async startOidc(providerId) {
+    const provider = this.oidcProviders.get(providerId);
+    const state = generateSecureToken();
+    const nonce = generateSecureToken();
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+
+    const authorizationUrl = await provider.buildAuthorizationUrl({
+      state,
+      nonce,
+      codeChallenge,
+    });
+
+    await this.db.createAuthToken({
+      type: AUTH_TOKEN_TYPES.OAUTH_STATE,
+      identifier: `oidc:${providerId}`,
+      tokenHash: hashToken(state),
+      metadata: { codeVerifier, nonce },
+      expiresAt: new Date(Date.now() + this.config.oauth.stateExpiresIn),
+    });
+
+    return authorizationUrl;
+  }
+
+  /**
+   * Completes an OpenID Connect sign-in
+   * Validates the ID token and maps its claims to a local user
+   * @param {string} providerId - Registered provider ID
+   * @param {string} code - Authorization code
+   * @param {string} state - State value returned by the provider
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or { mfaRequired, mfaToken }
+   */
+  async completeOidc(providerId, code, state, client = {}) {
+    const provider = this.oidcProviders.get(providerId);
+    const identityProvider = `oidc:${providerId}`;
+
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.OAUTH_STATE,
+      hashToken(state)
+    );
+
+    if (
+      !isAuthTokenUsable(record) ||
+      record.identifier !== identityProvider ||
+      !(await this.db.consumeAuthToken(record.id))
+    ) {
+      throw new AuthenticationError('Invalid or expired OIDC state');
+    }
+
+    let profile;
+
+    try {
+      profile = await provider.authenticate(code, record.metadata);
+    } catch (error) {
+      throw new AuthenticationError(`Sign-in with ${providerId} failed: ${error.message}`);
+    }
+
+    const user = await this._findOrCreateFederatedUser(identityProvider, profile);
+
+    return this._completeSignIn(user, 'oidc', client);
   }
 
   /**
-   * Logs out a user by invalidating refresh token
+   * Logs out a user by ending the session of the refresh token
    * @param {string} userId - User ID
    * @param {string} refreshToken - Refresh token to invalidate
+   * @param {Object} [accessToken] - Access token of the request to revoke ({ id, expiresAt })
    * @returns {Promise<void>}
    */
-  async logout(userId, refreshToken) {
+  async logout(userId, refreshToken, accessToken = null) {
     try {
-      await this.db.removeRefreshToken(userId, refreshToken);
+      if (accessToken?.id) {
+        await this.tokenRevocation.revokeToken(accessToken.id, accessToken.expiresAt);
+      }
+
+      const session = refreshToken
+        ? await this.db.findSessionByTokenHash(hashToken(refreshToken))
+        : null;
+
+      // Tokens rotated from the same sign-in stay valid during the grace period
+      if (session && session.userId === userId) {
+        await this.db.deleteSessionsByFamily(session.familyId);
+      }
 
       // Trigger onLogout hook if provided
       if (this.config.hooks?.onLogout) {
@@ -180,13 +716,14 @@ export class AuthService {
   }
 
   /**
-   * Logs out user from all devices by removing all refresh tokens
+   * Logs out user from all devices by ending all of their sessions and revoking their
+   * access tokens
    * @param {string} userId - User ID
    * @returns {Promise<void>}
    */
   async logoutAll(userId) {
     try {
-      await this.db.removeAllRefreshTokens(userId);
+      await this._revokeAllSessions(userId);
 
       // Trigger onLogout hook if provided
       if (this.config.hooks?.onLogout) {
@@ -198,16 +735,71 @@ export class AuthService {
     }
   }
 
+  /**
+   * Lists a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string|null} [currentSessionId] - Session of the request, marked as current
+   * @returns {Promise<Array>} Sessions with device and location labels
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await this.db.findSessionsByUser(userId);
+
+    // A sign-in briefly has two sessions during the refresh grace period; list it once
+    const latest = new Map();
+
+    for (const session of sessions) {
+      if (!latest.has(session.familyId)) {
+        latest.set(session.familyId, session);
+      }
+    }
+
+    return Promise.all(
+      Array.from(latest.values()).map(async (session) => ({
+        ...sanitizeSession(session),
+        device: describeUserAgent(session.userAgent).label,
+        location: await this._resolveSessionLocation(session.ipAddress),
+        current: session.familyId === currentSessionId,
+      }))
+    );
+  }
+
+  /**
+   * Revokes one of a user's sessions, signing that device out
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID from listSessions()
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the session doesn't exist or belongs to another user
+   */
+  async revokeSession(userId, sessionId) {
+    const family = await this.db.findSessionsByFamily(sessionId);
+
+    if (!family.some((session) => session.userId === userId)) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await this.db.deleteSessionsByFamily(sessionId);
+  }
+
   /**
    * Refreshes access token using refresh token
+   * The refresh token is rotated within its family; presenting a token that was already
+   * rotated (outside security.refreshTokenGracePeriod) revokes the whole family
    * @param {string} refreshToken - Refresh token
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @param {string|null} [oauthClientId] - OAuth client presenting the token; tokens issued
+   *   to a client are only accepted from that client
    * @returns {Promise<Object>} New tokens
+   * @throws {AuthenticationError} If the token is invalid, revoked or reused
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, client = {}, oauthClientId = null) {
     try {
       // Verify refresh token
       const decoded = verifyRefreshToken(refreshToken);
 
+      if ((decoded.cid ?? null) !== oauthClientId) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
       // Get user
       const user = await this.db.findUserById(decoded.id);
 
@@ -216,18 +808,30 @@ export class AuthService {
       }
 
       // Check if refresh token exists in database
-      if (!user.refreshTokens || !user.refreshTokens.includes(refreshToken)) {
-        throw new AuthenticationError('Invalid refresh token');
-      }
+      let session = await this.db.findSessionByTokenHash(hashToken(refreshToken));
 
-      // Remove old refresh token
-      await this.db.removeRefreshToken(user.id, refreshToken);
+      if (session && session.userId === user.id) {
+        // Remove old refresh token
+        await this.db.deleteSession(session.id);
+        session = { ...session, generation: session.generation + 1 };
+      } else {
+        session = await this._handleRotatedRefreshToken(user, decoded);
+      }
 
-      // Generate new tokens
-      const tokens = generateTokens(user);
+      // Generate new tokens in the same family
+      const tokens = generateTokens(user, {
+        family: session.familyId,
+        generation: session.generation,
+        clientId: decoded.cid,
+        scope: decoded.scope,
+      });
 
-      // Store new refresh token
-      await this.db.addRefreshToken(user.id, tokens.refreshToken);
+      // Store new refresh token, keeping the sign-in time of the session
+      await this._saveSession(user.id, tokens.refreshToken, {
+        userAgent: client.userAgent ?? session.userAgent,
+        ipAddress: client.ipAddress ?? session.ipAddress,
+        createdAt: session.createdAt,
+      });
 
       return {
         user: sanitizeUser(user),
@@ -238,6 +842,53 @@ export class AuthService {
     }
   }
 
+  /**
+   * Issues tokens to an OAuth client a user has authorized (see services/authorizationServer)
+   * The tokens carry the client ID and granted scope, so they can't be used with the
+   * first-party API. A refresh token (and session) is only issued for offline access
+   * @param {string} userId - User ID
+   * @param {Object} grant - Authorization grant
+   * @param {string} grant.clientId - OAuth client ID
+   * @param {string} grant.scope - Space-separated granted scopes
+   * @param {boolean} [grant.offlineAccess] - Issue a refresh token
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User, accessToken and, for offline access, refreshToken
+   * @throws {AuthenticationError} If the user no longer exists or is deactivated
+   */
+  async issueClientTokens(userId, grant, client = {}) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('User not found or inactive');
+    }
+
+    if (!grant.offlineAccess) {
+      return {
+        user: sanitizeUser(user),
+        accessToken: generateAccessToken({
+          id: user.id,
+          email: user.email,
+          role: user.role,
+          tokenVersion: user.tokenVersion,
+          clientId: grant.clientId,
+          scope: grant.scope,
+        }),
+      };
+    }
+
+    const tokens = generateTokens(user, {
+      clientId: grant.clientId,
+      scope: grant.scope,
+    });
+
+    await this._saveSession(user.id, tokens.refreshToken, client);
+
+    return {
+      user: sanitizeUser(user),
+      ...tokens,
+    };
+  }
+
   /**
    * Verifies user's email address
    * @param {string} token - Email verification token
@@ -245,16 +896,27 @@ export class AuthService {
    */
   async verifyEmail(token) {
     try {
-      // Verify token
-      const decoded = verifyEmailVerificationToken(token);
+      const record = await this.db.findAuthTokenByHash(
+        AUTH_TOKEN_TYPES.EMAIL_VERIFICATION,
+        hashToken(token)
+      );
+
+      if (!isAuthTokenUsable(record) || !(await this.db.consumeAuthToken(record.id))) {
+        throw new ValidationError('Invalid or expired verification link');
+      }
 
       // Get user
-      const user = await this.db.findUserById(decoded.id);
+      const user = await this.db.findUserById(record.userId);
 
       if (!user) {
         throw new NotFoundError('User not found');
       }
 
+      // The link only verifies the address it was sent to
+      if (record.metadata?.email !== user.email) {
+        throw new ValidationError('Invalid or expired verification link');
+      }
+
       if (user.isEmailVerified) {
         throw new ValidationError('Email already verified');
       }
@@ -281,26 +943,67 @@ export class AuthService {
   }
 
   /**
-   * Resends email verification
-   * @param {string} email - User email
+   * Unlocks an account with the link sent when it was locked
+   * @param {string} token - Unlock token
    * @returns {Promise<void>}
    */
-  async resendVerificationEmail(email) {
-    try {
-      const user = await this.db.findUserByEmail(email);
-
-      if (!user) {
-        // Don't reveal if email exists
-        return;
-      }
+  async unlockAccount(token) {
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.ACCOUNT_UNLOCK,
+      hashToken(token)
+    );
+
+    if (!isAuthTokenUsable(record) || !(await this.db.consumeAuthToken(record.id))) {
+      throw new ValidationError('Invalid or expired unlock link');
+    }
 
-      if (user.isEmailVerified) {
-        throw new ValidationError('Email already verified');
-      }
+    await this.unlockUser(record.userId);
+  }
 
-      const verificationToken = generateEmailVerificationToken(user.id);
-      await sendVerificationEmail(user.email, verificationToken, user.name);
-    } catch (error) {
+  /**
+   * Clears a user's lockout and failed login counter
+   * Intended for administrators; the route requires the admin role
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated user object
+   */
+  async unlockUser(userId) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const updatedUser = await this.db.updateUser(user.id, {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+    });
+
+    await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.ACCOUNT_UNLOCK, user.id);
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Resends email verification
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  async resendVerificationEmail(email) {
+    try {
+      const user = await this.db.findUserByEmail(email);
+
+      if (!user) {
+        // Don't reveal if email exists
+        return;
+      }
+
+      if (user.isEmailVerified) {
+        throw new ValidationError('Email already verified');
+      }
+
+      const verificationToken = await this._issueEmailVerificationToken(user);
+      await sendVerificationEmail(user.email, verificationToken, user.name);
+    } catch (error) {
       throw error;
     }
   }
@@ -319,8 +1022,12 @@ export class AuthService {
         return;
       }
 
-      // Generate password reset token
-      const resetToken = generatePasswordResetToken(user.id);
+      // Only the most recent link stays valid
+      const resetToken = await this._issueUserToken(
+        AUTH_TOKEN_TYPES.PASSWORD_RESET,
+        user,
+        this.config.security.passwordResetExpiresIn
+      );
 
       // Send password reset email
       await sendPasswordResetEmail(user.email, resetToken, user.name);
@@ -334,30 +1041,52 @@ export class AuthService {
    * Resets user password
    * @param {string} token - Password reset token
    * @param {string} newPassword - New password
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|void>} { passwordWarning } if the password was found in a breach
+   *   and screening only warns
    */
   async resetPassword(token, newPassword) {
     try {
-      // Verify token
-      const decoded = verifyPasswordResetToken(token);
+      const record = await this.db.findAuthTokenByHash(
+        AUTH_TOKEN_TYPES.PASSWORD_RESET,
+        hashToken(token)
+      );
+
+      if (!isAuthTokenUsable(record)) {
+        throw new ValidationError('Invalid or expired reset link');
+      }
 
       // Get user
-      const user = await this.db.findUserById(decoded.id);
+      const user = await this.db.findUserById(record.userId);
 
       if (!user) {
         throw new NotFoundError('User not found');
       }
 
+      const passwordWarning = await this._screenPassword(newPassword, 'password');
+      await this._assertPasswordNotReused(user, newPassword, 'password');
+
       // Hash new password
-      const hashedPassword = await hashPassword(newPassword);
+      const hashedPassword = await hashPassword(newPassword, this.config.security);
 
-      // Update password
+      // Used up only now so a rejected password doesn't cost the user their link; this
+      // also stops the same link being used twice concurrently
+      if (!(await this.db.consumeAuthToken(record.id))) {
+        throw new ValidationError('Invalid or expired reset link');
+      }
+
+      // Update password; proving ownership of the email also lifts any lockout
       await this.db.updateUser(user.id, {
         password: hashedPassword,
+        passwordChangedAt: new Date(),
+        mustChangePassword: false,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
       });
 
-      // Invalidate all refresh tokens for security
-      await this.db.removeAllRefreshTokens(user.id);
+      await this._recordPasswordHistory(user.id, hashedPassword);
+
+      // Sign out everywhere for security
+      await this._revokeAllSessions(user.id);
 
       // Send confirmation email
       await sendPasswordChangedEmail(user.email, user.name).catch((err) =>
@@ -368,6 +1097,10 @@ export class AuthService {
       if (this.config.hooks?.onPasswordReset) {
         await this.config.hooks.onPasswordReset(user);
       }
+
+      if (passwordWarning) {
+        return { passwordWarning };
+      }
     } catch (error) {
       throw error;
     }
@@ -378,7 +1111,8 @@ export class AuthService {
    * @param {string} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|void>} { passwordWarning } if the password was found in a breach
+   *   and screening only warns
    */
   async changePassword(userId, currentPassword, newPassword) {
     try {
@@ -389,32 +1123,179 @@ export class AuthService {
       }
 
       // Verify current password
-      const isPasswordValid = await comparePassword(currentPassword, user.password);
+      const isPasswordValid = await comparePassword(
+        currentPassword,
+        user.password,
+        this.config.security
+      );
 
       if (!isPasswordValid) {
         throw new AuthenticationError('Current password is incorrect');
       }
 
+      const passwordWarning = await this._screenPassword(newPassword, 'newPassword');
+      await this._assertPasswordNotReused(user, newPassword, 'newPassword');
+
       // Hash new password
-      const hashedPassword = await hashPassword(newPassword);
+      const hashedPassword = await hashPassword(newPassword, this.config.security);
 
       // Update password
       await this.db.updateUser(user.id, {
         password: hashedPassword,
+        passwordChangedAt: new Date(),
+        mustChangePassword: false,
       });
 
-      // Invalidate all refresh tokens except current one
-      await this.db.removeAllRefreshTokens(user.id);
+      await this._recordPasswordHistory(user.id, hashedPassword);
+
+      // Sign out everywhere, including the device that changed the password
+      await this._revokeAllSessions(user.id);
+
+      // A reset link requested before the change must not undo it
+      await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.PASSWORD_RESET, user.id);
 
       // Send confirmation email
       await sendPasswordChangedEmail(user.email, user.name).catch((err) =>
         console.error('Failed to send password changed email:', err)
       );
+
+      if (passwordWarning) {
+        return { passwordWarning };
+      }
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Changes the password of a user whose login returned a password change requirement
+   * and signs them in with the new password
+   * @param {string} userId - User ID from the password change token
+   * @param {string} currentPassword - Current (expired) password
+   * @param {string} newPassword - New password
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, plus passwordWarning as for changePassword
+   */
+  async completeRequiredPasswordChange(
+    userId,
+    currentPassword,
+    newPassword,
+    client = {}
+  ) {
+    const result = await this.changePassword(userId, currentPassword, newPassword);
+
+    const user = await this.db.findUserById(userId);
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Your account has been deactivated. Please contact support.');
+    }
+
+    return { ...(await this._createSession(user, client)), ...result };
+  }
+
+  /**
+   * Sets or clears the flag that forces a user to change their password at next login
+   * Setting it also signs the user out of existing sessions
+   * Intended for administrators; the route requires the admin role
+   * @param {string} userId - User ID
+   * @param {boolean} mustChangePassword - Whether a password change is required
+   * @returns {Promise<Object>} Updated user object
+   */
+  async setMustChangePassword(userId, mustChangePassword) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const updatedUser = await this.db.updateUser(user.id, { mustChangePassword });
+
+    if (mustChangePassword) {
+      await this._revokeAllSessions(user.id);
+    }
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Activates or deactivates a user account
+   * Deactivating signs the user out everywhere and revokes their access tokens
+   * Intended for administrators; the route requires the admin role
+   * @param {string} userId - User ID
+   * @param {boolean} isActive - Whether the account may sign in
+   * @returns {Promise<Object>} Updated user object
+   */
+  async setUserActive(userId, isActive) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const updatedUser = await this.db.updateUser(user.id, { isActive });
+
+    if (!isActive) {
+      await this._revokeAllSessions(user.id);
+    }
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Imports users migrated from another identity system
+   * Passwords must already be hashed in a format a registered hasher recognizes (bcrypt, scrypt,
+   * argon2, Django PBKDF2, PHPass, salted SHA-256, or a registered verifier such as Firebase scrypt);
+   * they are stored as-is and upgraded to the configured algorithm at each user's first login.
+   * Users whose email already exists, or appears earlier in the batch, are skipped.
+   * @param {Array<Object>} users - Users with email, password hash and optional profile fields
+   * @returns {Promise<Object>} { imported: number, skipped: string[] }
+   * @throws {ValidationError} If any entry lacks an email or has an unrecognized password hash
+   */
+  async importUsers(users) {
+    const errors = [];
+
+    users.forEach((user, index) => {
+      if (!user?.email) {
+        errors.push({ field: `users[${index}].email`, message: 'Email is required' });
+      }
+      if (!user?.password || !identifyPasswordHasher(user.password)) {
+        errors.push({
+          field: `users[${index}].password`,
+          message: 'Password must be a hash in a supported format',
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid users in import', errors);
+    }
+
+    const seen = new Set();
+    const duplicates = [];
+    const records = [];
+
+    for (const user of users) {
+      const email = user.email.toLowerCase();
+
+      if (seen.has(email)) {
+        duplicates.push(email);
+        continue;
+      }
+      seen.add(email);
+
+      records.push({
+        ...user,
+        email,
+        phone: user.phone ? normalizePhone(user.phone) : null,
+        role: user.role || 'user',
+      });
+    }
+
+    const result = await this.db.importUsers(records);
+
+    return { imported: result.imported, skipped: [...result.skipped, ...duplicates] };
+  }
+
   /**
    * Gets user profile
    * @param {string} userId - User ID
@@ -452,6 +1333,19 @@ export class AuthService {
         }
       });
 
+      // A new number has to be verified again before it can be used to sign in
+      if (filteredUpdates.phone) {
+        filteredUpdates.phone = normalizePhone(filteredUpdates.phone);
+      }
+
+      if (filteredUpdates.phone !== undefined) {
+        const user = await this.db.findUserById(userId);
+
+        if (user && user.phone !== filteredUpdates.phone) {
+          filteredUpdates.isPhoneVerified = false;
+        }
+      }
+
       const updatedUser = await this.db.updateUser(userId, filteredUpdates);
 
       return sanitizeUser(updatedUser);
@@ -459,4 +1353,1280 @@ export class AuthService {
       throw error;
     }
   }
+
+  /**
+   * Starts an email address change by sending a confirmation link to the new address
+   * The account keeps its current address until the link is confirmed
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newEmail - New email address
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} If the password is incorrect
+   * @throws {ConflictError} If another account uses the new address
+   */
+  async requestEmailChange(userId, currentPassword, newEmail) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await comparePassword(
+      currentPassword,
+      user.password,
+      this.config.security
+    );
+
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Current password is incorrect');
+    }
+
+    const email = newEmail.toLowerCase();
+
+    if (email === user.email) {
+      throw new ValidationError('New email must be different from current email');
+    }
+
+    await this._assertEmailAvailable(email);
+
+    // Requesting another change replaces the pending one
+    const token = await this._issueUserToken(
+      AUTH_TOKEN_TYPES.EMAIL_CHANGE,
+      user,
+      this.config.security.emailChangeExpiresIn,
+      { email, previousEmail: user.email }
+    );
+
+    await sendEmailChangeConfirmationEmail(email, token, user.name);
+  }
+
+  /**
+   * Confirms an email change with the token sent to the new address
+   * The previous address is sent a link that reverts the change
+   * @param {string} token - Email change token
+   * @returns {Promise<Object>} Updated user
+   * @throws {ValidationError} If the token is invalid, expired or already used
+   * @throws {ConflictError} If another account took the new address in the meantime
+   */
+  async confirmEmailChange(token) {
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.EMAIL_CHANGE,
+      hashToken(token)
+    );
+
+    if (!isAuthTokenUsable(record)) {
+      throw new ValidationError('Invalid or expired confirmation link');
+    }
+
+    const user = await this.db.findUserById(record.userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // The address changed some other way since the link was sent
+    if (record.metadata?.previousEmail !== user.email) {
+      throw new ValidationError('Invalid or expired confirmation link');
+    }
+
+    const { email, previousEmail } = record.metadata;
+
+    // Checked before the link is used up, so it still works once the address is free again
+    await this._assertEmailAvailable(email);
+
+    if (!(await this.db.consumeAuthToken(record.id))) {
+      throw new ValidationError('Invalid or expired confirmation link');
+    }
+
+    // Following the link proves the user controls the new address
+    const updatedUser = await this.db.updateUser(user.id, {
+      email,
+      isEmailVerified: true,
+    });
+
+    const revertToken = await this._issueUserToken(
+      AUTH_TOKEN_TYPES.EMAIL_CHANGE_REVERT,
+      user,
+      this.config.security.emailChangeRevertExpiresIn,
+      { email: previousEmail, newEmail: email }
+    );
+
+    await sendEmailChangedEmail(previousEmail, revertToken, user.name, email).catch((err) =>
+      console.error('Failed to send email changed email:', err)
+    );
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Reverts an email change with the token sent to the previous address
+   * Also signs the user out everywhere, since the change may not have been theirs
+   * @param {string} token - Email change revert token
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the token is invalid, expired or already used
+   * @throws {ConflictError} If another account took the previous address in the meantime
+   */
+  async revertEmailChange(token) {
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.EMAIL_CHANGE_REVERT,
+      hashToken(token)
+    );
+
+    if (!isAuthTokenUsable(record)) {
+      throw new ValidationError('Invalid or expired revert link');
+    }
+
+    const user = await this.db.findUserById(record.userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const { email } = record.metadata;
+
+    if (email !== user.email) {
+      await this._assertEmailAvailable(email);
+    }
+
+    if (!(await this.db.consumeAuthToken(record.id))) {
+      throw new ValidationError('Invalid or expired revert link');
+    }
+
+    await this.db.updateUser(user.id, { email, isEmailVerified: true });
+
+    await this._revokeAllSessions(user.id);
+
+    // Links sent while the other address was on the account must not undo the revert
+    await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.EMAIL_CHANGE, user.id);
+    await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.PASSWORD_RESET, user.id);
+    await this.db.revokeAuthTokens(AUTH_TOKEN_TYPES.EMAIL_VERIFICATION, user.id);
+  }
+
+  /**
+   * Starts TOTP enrollment by generating a new secret
+   * The secret only takes effect once confirmed with a valid code
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Base32 secret and otpauth:// URI for a QR code
+   */
+  async enrollTotp(userId) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+
+    await this.db.updateUser(user.id, {
+      totpSecret: secret,
+      totpLastUsedStep: null,
+    });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: this.config.mfa.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Confirms TOTP enrollment with a first code and enables two-factor authentication
+   * Issues the initial set of recovery codes, which are only shown this once
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code from the authenticator app
+   * @returns {Promise<Object>} Updated user object and plain-text recovery codes
+   */
+  async confirmTotp(userId, code) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.totpSecret) {
+      throw new ValidationError('Two-factor enrollment has not been started');
+    }
+
+    const step = verifyTotp(user.totpSecret, code, { window: this.config.mfa.totpWindow });
+
+    if (step === null) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    const { recoveryCodes, hashedCodes } = await this._generateRecoveryCodes();
+
+    const updatedUser = await this.db.updateUser(user.id, {
+      totpEnabled: true,
+      totpLastUsedStep: step,
+      mfaRecoveryCodes: hashedCodes,
+    });
+
+    return { user: sanitizeUser(updatedUser), recoveryCodes };
+  }
+
+  /**
+   * Replaces the user's recovery codes with a new set
+   * Requires the account password; all previous codes stop working
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @returns {Promise<string[]>} Plain-text recovery codes
+   */
+  async regenerateRecoveryCodes(userId, password) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await comparePassword(
+      password,
+      user.password,
+      this.config.security
+    );
+
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Password is incorrect');
+    }
+
+    if (!user.totpEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const { recoveryCodes, hashedCodes } = await this._generateRecoveryCodes();
+
+    await this.db.updateUser(user.id, { mfaRecoveryCodes: hashedCodes });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Disables TOTP two-factor authentication
+   * Requires the account password so a stolen session can't remove the second factor
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @returns {Promise<Object>} Updated user object
+   */
+  async disableTotp(userId, password) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await comparePassword(
+      password,
+      user.password,
+      this.config.security
+    );
+
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Password is incorrect');
+    }
+
+    if (!user.totpEnabled && !user.totpSecret) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const updatedUser = await this.db.updateUser(user.id, {
+      totpEnabled: false,
+      totpSecret: null,
+      totpLastUsedStep: null,
+      mfaRecoveryCodes: [],
+    });
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Creates WebAuthn options for registering a new passkey
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} PublicKeyCredentialCreationOptions (binary fields base64url encoded)
+   */
+  async generatePasskeyRegistrationOptions(userId) {
+    const user = await this.db.findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const rp = this._getWebAuthnRelyingParty();
+    const existing = await this.db.findWebAuthnCredentialsByUser(user.id);
+    const challenge = await this._createWebAuthnChallenge(
+      AUTH_TOKEN_TYPES.WEBAUTHN_REGISTRATION,
+      user.id,
+      user.id
+    );
+
+    return {
+      challenge,
+      rp: { name: rp.name, id: rp.id },
+      user: {
+        id: encodeUserHandle(user.id),
+        name: user.email,
+        displayName: user.name || user.email,
+      },
+      pubKeyCredParams: SUPPORTED_COSE_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+      timeout: this.config.webauthn.challengeExpiresIn,
+      attestation: 'none',
+      // Stops the same authenticator from being registered twice
+      excludeCredentials: existing.map((c) => ({
+        type: 'public-key',
+        id: c.credentialId,
+        transports: c.transports,
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: rp.userVerification,
+      },
+    };
+  }
+
+  /**
+   * Verifies a passkey registration and stores the credential
+   * @param {string} userId - User ID
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.create()
+   * @param {string} [name] - Friendly name for the passkey
+   * @returns {Promise<Object>} Stored passkey
+   */
+  async verifyPasskeyRegistration(userId, credential, name) {
+    const rp = this._getWebAuthnRelyingParty();
+    const challenge = await this._consumeWebAuthnChallenge(
+      AUTH_TOKEN_TYPES.WEBAUTHN_REGISTRATION,
+      credential,
+      ValidationError
+    );
+
+    if (challenge.userId !== userId) {
+      throw new ValidationError('Invalid or expired WebAuthn challenge');
+    }
+
+    let result;
+
+    try {
+      result = verifyRegistrationResponse({
+        credential,
+        expectedChallenge: challenge.value,
+        expectedOrigins: rp.origins,
+        expectedRpId: rp.id,
+        requireUserVerification: rp.userVerification === 'required',
+      });
+    } catch (error) {
+      throw new ValidationError(`Passkey registration failed: ${error.message}`);
+    }
+
+    if (await this.db.findWebAuthnCredential(result.credentialId)) {
+      throw new ConflictError('This passkey is already registered');
+    }
+
+    const stored = await this.db.createWebAuthnCredential({
+      userId,
+      credentialId: result.credentialId,
+      publicKey: result.publicKey,
+      signCount: result.signCount,
+      transports: result.transports,
+      name: name || 'Passkey',
+    });
+
+    return sanitizeWebAuthnCredential(stored);
+  }
+
+  /**
+   * Lists a user's passkeys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Passkeys without key material
+   */
+  async listPasskeys(userId) {
+    const credentials = await this.db.findWebAuthnCredentialsByUser(userId);
+    return credentials.map(sanitizeWebAuthnCredential);
+  }
+
+  /**
+   * Renames one of a user's passkeys
+   * @param {string} userId - User ID
+   * @param {string} id - Passkey record ID
+   * @param {string} name - New friendly name
+   * @returns {Promise<Object>} Updated passkey
+   */
+  async renamePasskey(userId, id, name) {
+    await this._getOwnedPasskey(userId, id);
+
+    const updated = await this.db.updateWebAuthnCredential(id, { name });
+    return sanitizeWebAuthnCredential(updated);
+  }
+
+  /**
+   * Deletes one of a user's passkeys
+   * @param {string} userId - User ID
+   * @param {string} id - Passkey record ID
+   * @returns {Promise<void>}
+   */
+  async deletePasskey(userId, id) {
+    await this._getOwnedPasskey(userId, id);
+    await this.db.deleteWebAuthnCredential(id);
+  }
+
+  /**
+   * Creates a personal API key
+   * @param {string} userId - User ID
+   * @param {Object} keyData - Key data
+   * @param {string} keyData.name - Key name
+   * @param {string[]} [keyData.scopes] - Scopes to limit the key to
+   * @param {Date} [keyData.expiresAt] - Expiry (default: never)
+   * @returns {Promise<Object>} { apiKey, key } (the key is only returned here)
+   * @throws {ValidationError} If the user already has the maximum number of keys
+   */
+  async createApiKey(userId, { name, scopes = [], expiresAt = null }) {
+    const existing = await this.db.findApiKeysByUser(userId);
+    const { keyPrefix, maxPerUser } = this.config.apiKeys;
+
+    if (existing.length >= maxPerUser) {
+      throw new ValidationError(`You can have at most ${maxPerUser} API keys`);
+    }
+
+    const { key, prefix } = generateApiKey(keyPrefix);
+
+    const apiKey = await this.db.createApiKey({
+      userId,
+      name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes,
+      expiresAt,
+    });
+
+    return { apiKey: sanitizeApiKey(apiKey), key };
+  }
+
+  /**
+   * Lists a user's API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys without their hashes
+   */
+  async listApiKeys(userId) {
+    const apiKeys = await this.db.findApiKeysByUser(userId);
+    return apiKeys.map(sanitizeApiKey);
+  }
+
+  /**
+   * Revokes one of a user's API keys; requests made with it fail immediately
+   * @param {string} userId - User ID
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async revokeApiKey(userId, id) {
+    await this._getOwnedApiKey(userId, id);
+    await this.db.deleteApiKey(id);
+  }
+
+  /**
+   * Authenticates a request made with a personal API key
+   * @param {string} key - API key
+   * @returns {Promise<Object>} { user, apiKey } (full records)
+   * @throws {AuthenticationError} If the key is unknown or expired, or its user is deactivated
+   */
+  async authenticateApiKey(key) {
+    return verifyApiKey(this.db, key);
+  }
+
+  /**
+   * Issues tokens for an authenticated user and records the login
+   * @private
+   * @param {Object} user - User object
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens
+   */
+  async _createSession(user, client = {}) {
+    // Generate tokens
+    const { accessToken, refreshToken } = generateTokens(user);
+
+    // Store refresh token
+    await this._saveSession(user.id, refreshToken, client);
+
+    // Update last login
+    await this.db.updateLastLogin(user.id);
+
+    // Trigger onLogin hook if provided
+    if (this.config.hooks?.onLogin) {
+      await this.config.hooks.onLogin(user);
+    }
+
+    return {
+      user: sanitizeUser(user),
+      accessToken,
+      refreshToken,
+    };
+  }
+
+  /**
+   * Ends all of a user's sessions and revokes every access token issued to them
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async _revokeAllSessions(userId) {
+    await this.db.deleteUserSessions(userId);
+    await this.tokenRevocation.revokeUserTokens(userId);
+  }
+
+  /**
+   * Stores the session of a newly issued refresh token
+   * Only a hash of the token is kept
+   * @private
+   * @param {string} userId - User ID
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} details - { userAgent, ipAddress } of the client, and createdAt when
+   *   the token replaces a rotated one
+   * @returns {Promise<Object>} Created session
+   */
+  async _saveSession(userId, refreshToken, details = {}) {
+    const { fam, gen, exp } = decodeToken(refreshToken);
+
+    return this.db.createSession({
+      userId,
+      familyId: fam,
+      generation: gen,
+      tokenHash: hashToken(refreshToken),
+      userAgent: details.userAgent ? details.userAgent.slice(0, 512) : null,
+      ipAddress: details.ipAddress || null,
+      createdAt: details.createdAt || new Date(),
+      expiresAt: new Date(exp * 1000),
+    });
+  }
+
+  /**
+   * Finishes a sign-in once the first factor is verified
+   * Users with two-factor authentication get an MFA challenge instead of tokens. Passkey
+   * sign-in doesn't come through here, since the passkey already is a second factor
+   * @private
+   * @param {Object} user - User object
+   * @param {string} method - First factor ('password', 'magic-link', 'phone', 'oauth', 'oidc')
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, { mfaRequired, mfaToken } or a password change
+   *   requirement
+   */
+  async _completeSignIn(user, method, client = {}) {
+    if (user.totpEnabled) {
+      return {
+        mfaRequired: true,
+        mfaToken: await this._issueUserToken(
+          AUTH_TOKEN_TYPES.MFA_CHALLENGE,
+          user,
+          this.config.security.mfaChallengeExpiresIn,
+          { method }
+        ),
+      };
+    }
+
+    return this._issueSignInSession(user, method, client);
+  }
+
+  /**
+   * Issues the session for a completed sign-in
+   * Password logins get a restricted token instead if the password must be changed first
+   * @private
+   * @param {Object} user - User object
+   * @param {string} method - First factor the user signed in with
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or { passwordChangeRequired, reason, passwordChangeToken }
+   */
+  async _issueSignInSession(user, method, client = {}) {
+    const reason = method === 'password' ? this._getPasswordChangeReason(user) : null;
+
+    if (reason) {
+      return {
+        passwordChangeRequired: true,
+        reason,
+        passwordChangeToken: generatePasswordChangeToken(user),
+      };
+    }
+
+    return this._createSession(user, client);
+  }
+
+  /**
+   * Determines whether a user has to change their password before signing in
+   * @private
+   * @param {Object} user - User object
+   * @returns {string|null} 'admin' if flagged by an administrator, 'expired' if older than
+   *   security.passwordMaxAge, otherwise null
+   */
+  _getPasswordChangeReason(user) {
+    if (user.mustChangePassword) {
+      return 'admin';
+    }
+
+    const maxAge = this.config.security.passwordMaxAge;
+    // Accounts created before passwordChangedAt was tracked fall back to their creation date
+    const changedAt = user.passwordChangedAt ?? user.createdAt;
+
+    if (maxAge && changedAt && Date.now() - new Date(changedAt).getTime() > maxAge) {
+      return 'expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates a user that signs in without a password
+   * The stored password is a hash of random data, so it can only be set via password reset
+   * @private
+   * @param {Object} userData - User data
+   * @returns {Promise<Object>} Created user
+   */
+  async _createPasswordlessUser(userData) {
+    const user = await this.db.createUser({
+      role: 'user',
+      ...userData,
+      email: userData.email.toLowerCase(),
+      password: await hashPassword(generateSecureToken(), this.config.security),
+    });
+
+    // Trigger onRegister hook if provided
+    if (this.config.hooks?.onRegister) {
+      await this.config.hooks.onRegister(user);
+    }
+
+    return user;
+  }
+
+  /**
+   * Resolves an MFA challenge and counts the attempt against it
+   * Attempts are counted before the code is checked, so concurrent guesses can't exceed
+   * security.mfaChallengeMaxAttempts
+   * @private
+   * @param {string} mfaToken - MFA challenge token from the first sign-in step
+   * @returns {Promise<Object>} Challenge record and user with two-factor authentication enabled
+   * @throws {AuthenticationError} If the challenge is invalid, used up or the account is inactive
+   * @throws {AccountLockedError} If the account is locked
+   */
+  async _getMfaChallenge(mfaToken) {
+    const challenge = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.MFA_CHALLENGE,
+      hashToken(mfaToken)
+    );
+
+    if (!isAuthTokenUsable(challenge)) {
+      throw new AuthenticationError('Invalid or expired MFA challenge. Please sign in again.');
+    }
+
+    const attempts = await this.db.incrementAuthTokenAttempts(challenge.id);
+
+    if (attempts > this.config.security.mfaChallengeMaxAttempts) {
+      await this.db.consumeAuthToken(challenge.id);
+      throw new AuthenticationError('Too many incorrect codes. Please sign in again.');
+    }
+
+    const user = await this.db.findUserById(challenge.userId);
+
+    if (!user || !user.totpEnabled) {
+      throw new AuthenticationError('Invalid or expired MFA challenge. Please sign in again.');
+    }
+
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      throw new AccountLockedError(undefined, new Date(user.lockedUntil));
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Your account has been deactivated. Please contact support.');
+    }
+
+    return { challenge, user };
+  }
+
+  /**
+   * Counts a wrong MFA code as a failed login
+   * If that locks the account, the challenge is discarded too
+   * @private
+   * @param {Object} challenge - MFA challenge record
+   * @param {Object} user - User object
+   * @returns {Promise<void>}
+   * @throws {AccountLockedError} If this failure locked the account
+   */
+  async _recordFailedMfaAttempt(challenge, user) {
+    const lockedUntil = await this._recordFailedLogin(user);
+
+    if (lockedUntil) {
+      await this.db.consumeAuthToken(challenge.id);
+      throw new AccountLockedError(undefined, lockedUntil);
+    }
+  }
+
+  /**
+   * Uses up an MFA challenge once its code is verified and finishes the login
+   * @private
+   * @param {Object} challenge - MFA challenge record
+   * @param {Object} user - User object
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} User and tokens, or a password change requirement
+   * @throws {AuthenticationError} If the challenge was already used
+   */
+  async _completeMfaChallenge(challenge, user, client = {}) {
+    // Concurrent requests with the same challenge can only sign in once
+    if (!(await this.db.consumeAuthToken(challenge.id))) {
+      throw new AuthenticationError('Invalid or expired MFA challenge. Please sign in again.');
+    }
+
+    await this._resetFailedLogins(user);
+
+    return this._issueSignInSession(user, challenge.metadata?.method, client);
+  }
+
+  /**
+   * Rejects a new password that matches one of the user's recent passwords
+   * @private
+   * @param {Object} user - User object
+   * @param {string} newPassword - Plain text new password
+   * @param {string} field - Request field to report the error on
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the password was used recently
+   */
+  async _assertPasswordNotReused(user, newPassword, field) {
+    const limit = this.config.security.passwordHistory;
+
+    if (!limit) {
+      return;
+    }
+
+    // Users created before history was recorded only have their current hash
+    const recentHashes = [
+      user.password,
+      ...(user.passwordHistory || []).filter((hash) => hash !== user.password),
+    ].slice(0, limit);
+
+    const reused = await isPasswordReused(
+      user.id,
+      newPassword,
+      recentHashes,
+      this.config.security
+    );
+
+    if (reused) {
+      const message = `Password must not match any of your last ${limit} passwords`;
+      throw new ValidationError(message, [{ field, message }]);
+    }
+  }
+
+  /**
+   * Handles a validly signed refresh token that is no longer stored
+   * The token rotated just before the family's latest one is accepted during the grace period,
+   * since concurrent refreshes from one client race each other. Any other token from a live
+   * family has been replayed, so every token in the family is revoked.
+   * @private
+   * @param {Object} user - User object
+   * @param {Object} decoded - Decoded refresh token
+   * @returns {Promise<Object>} The family's latest session, to issue a sibling of its token
+   *   during the grace period
+   * @throws {AuthenticationError} If the token was revoked or reused
+   */
+  async _handleRotatedRefreshToken(user, decoded) {
+    const family = decoded.fam
+      ? (await this.db.findSessionsByFamily(decoded.fam)).filter(
+          (session) => session.userId === user.id
+        )
+      : [];
+
+    // Logged out, revoked or expired family
+    if (family.length === 0) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const latest = family.reduce((a, b) => (b.generation > a.generation ? b : a));
+    const gracePeriod = this.config.security.refreshTokenGracePeriod;
+
+    if (
+      gracePeriod > 0 &&
+      latest.generation === decoded.gen + 1 &&
+      Date.now() - new Date(latest.lastUsedAt).getTime() <= gracePeriod
+    ) {
+      return latest;
+    }
+
+    await this.db.deleteSessionsByFamily(decoded.fam);
+
+    await this._emitSecurityEvent({
+      type: 'refresh_token_reuse',
+      userId: user.id,
+      familyId: decoded.fam,
+      generation: decoded.gen,
+    });
+
+    throw new AuthenticationError('Refresh token has already been used. Please sign in again.');
+  }
+
+  /**
+   * Gets a location label for a session IP address from the resolveSessionLocation hook
+   * Lookup failures are logged and leave the location empty
+   * @private
+   * @param {string|null} ipAddress - IP address
+   * @returns {Promise<string|null>} Location label, e.g. 'Berlin, Germany'
+   */
+  async _resolveSessionLocation(ipAddress) {
+    if (!ipAddress || !this.config.hooks?.resolveSessionLocation) {
+      return null;
+    }
+
+    try {
+      return (await this.config.hooks.resolveSessionLocation(ipAddress)) || null;
+    } catch (error) {
+      console.error('resolveSessionLocation hook failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Calls the onSecurityEvent hook
+   * Hook failures are logged so they never change the outcome of the request
+   * @private
+   * @param {Object} event - Event with a type and userId plus event-specific details
+   * @returns {Promise<void>}
+   */
+  async _emitSecurityEvent(event) {
+    if (!this.config.hooks?.onSecurityEvent) {
+      return;
+    }
+
+    try {
+      await this.config.hooks.onSecurityEvent({ ...event, timestamp: new Date() });
+    } catch (error) {
+      console.error('onSecurityEvent hook failed:', error);
+    }
+  }
+
+  /**
+   * Replaces a hash made with an outdated algorithm or cost, using the password just verified
+   * Failures are logged and don't affect the login; the old hash stays valid
+   * @private
+   * @param {Object} user - User object
+   * @param {string} password - Plain text password that matched the stored hash
+   * @returns {Promise<void>}
+   */
+  async _rehashPassword(user, password) {
+    try {
+      const hashedPassword = await hashPassword(password, this.config.security);
+      await this.db.updateUser(user.id, { password: hashedPassword });
+      user.password = hashedPassword;
+    } catch (error) {
+      console.error('Failed to rehash password:', error);
+    }
+  }
+
+  /**
+   * Screens a new password against the breached password corpus
+   * Lookups that fail (e.g. the range API is unreachable) are logged and let the password through
+   * @private
+   * @param {string} password - Plain text new password
+   * @param {string} field - Request field to report the error on
+   * @returns {Promise<string|null>} Warning message when breachedPasswords.action is 'warn'
+   * @throws {ValidationError} If the password was found and breachedPasswords.action is 'reject'
+   */
+  async _screenPassword(password, field) {
+    if (!this.breachedPasswordChecker) {
+      return null;
+    }
+
+    const { action, minCount } = this.config.breachedPasswords;
+    let count;
+
+    try {
+      count = await this.breachedPasswordChecker.check(password);
+    } catch (error) {
+      console.error('Breached password check failed:', error);
+      return null;
+    }
+
+    if (count < minCount) {
+      return null;
+    }
+
+    if (action === 'warn') {
+      return 'This password has appeared in a data breach. Consider changing it to a different one';
+    }
+
+    const message = 'This password has appeared in a data breach. Please choose a different password';
+    throw new ValidationError(message, [{ field, message }]);
+  }
+
+  /**
+   * Adds a password hash to the user's history
+   * @private
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - Hashed password
+   * @returns {Promise<void>}
+   */
+  async _recordPasswordHistory(userId, passwordHash) {
+    const limit = this.config.security.passwordHistory;
+
+    if (limit) {
+      await this.db.addPasswordHistory(userId, passwordHash, limit);
+    }
+  }
+
+  /**
+   * Clears the failed login count and any lock after a successful sign-in
+   * @private
+   * @param {Object} user - User object
+   * @returns {Promise<void>}
+   */
+  async _resetFailedLogins(user) {
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await this.db.updateUser(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+    }
+  }
+
+  /**
+   * Counts a failed login (wrong password or MFA code) and locks the account every
+   * maxLoginAttempts failures
+   * Each further lockout uses the next (longer) entry of security.lockoutDurations
+   * @private
+   * @param {Object} user - User object
+   * @returns {Promise<Date|null>} Lock expiry if this failure locked the account
+   */
+  async _recordFailedLogin(user) {
+    const { maxLoginAttempts, lockoutDurations } = this.config.security;
+    const attempts = await this.db.incrementFailedLoginAttempts(user.id);
+
+    // The counter is atomic, so exactly one concurrent request triggers each lockout
+    if (attempts % maxLoginAttempts !== 0) {
+      return null;
+    }
+
+    const lockoutNumber = Math.min(attempts / maxLoginAttempts, lockoutDurations.length);
+    const lockedUntil = new Date(Date.now() + lockoutDurations[lockoutNumber - 1]);
+
+    await this.db.updateUser(user.id, { lockedUntil });
+
+    // Only the most recent unlock link stays valid
+    const token = await this._issueUserToken(
+      AUTH_TOKEN_TYPES.ACCOUNT_UNLOCK,
+      user,
+      this.config.security.unlockTokenExpiresIn
+    );
+
+    await sendAccountLockedEmail(user.email, token, user.name, lockedUntil).catch((err) =>
+      console.error('Failed to send account locked email:', err)
+    );
+
+    return lockedUntil;
+  }
+
+  /**
+   * Issues a single-use token for a user, such as for a link emailed to them
+   * Older tokens of the same type are invalidated. The raw token is random and carries no
+   * user data; only its hash is stored
+   * @private
+   * @param {string} type - Auth token type
+   * @param {Object} user - User object
+   * @param {number} expiresIn - Token lifetime (ms)
+   * @param {Object} [metadata] - Type-specific data
+   * @returns {Promise<string>} Raw token
+   */
+  async _issueUserToken(type, user, expiresIn, metadata = null) {
+    await this.db.revokeAuthTokens(type, user.id);
+
+    const token = generateSecureToken();
+
+    await this.db.createAuthToken({
+      type,
+      identifier: user.id,
+      userId: user.id,
+      tokenHash: hashToken(token),
+      metadata,
+      expiresAt: new Date(Date.now() + expiresIn),
+    });
+
+    return token;
+  }
+
+  /**
+   * Ensures no account uses an email address
+   * @private
+   * @param {string} email - Normalized email address
+   * @returns {Promise<void>}
+   * @throws {ConflictError} If the address is taken
+   */
+  async _assertEmailAvailable(email) {
+    if (await this.db.findUserByEmail(email)) {
+      throw new ConflictError('Email already registered');
+    }
+  }
+
+  /**
+   * Issues an email verification token for the user's current address
+   * @private
+   * @param {Object} user - User object
+   * @returns {Promise<string>} Raw token
+   */
+  async _issueEmailVerificationToken(user) {
+    return this._issueUserToken(
+      AUTH_TOKEN_TYPES.EMAIL_VERIFICATION,
+      user,
+      this.config.security.emailVerificationExpiresIn,
+      { email: user.email }
+    );
+  }
+
+  /**
+   * Generates a new set of recovery codes
+   * Codes are hashed like passwords since they are long-lived credentials
+   * @private
+   * @returns {Promise<Object>} Plain-text codes and their stored form ({ hash, usedAt })
+   */
+  async _generateRecoveryCodes() {
+    const recoveryCodes = Array.from({ length: this.config.mfa.recoveryCodeCount }, () =>
+      generateRecoveryCode()
+    );
+
+    const hashedCodes = await Promise.all(
+      recoveryCodes.map(async (code) => ({
+        hash: await hashPassword(normalizeRecoveryCode(code), this.config.security),
+        usedAt: null,
+      }))
+    );
+
+    return { recoveryCodes, hashedCodes };
+  }
+
+  /**
+   * Checks a recovery code against the user's unused codes and marks it used
+   * @private
+   * @param {Object} user - User object
+   * @param {string} recoveryCode - Recovery code entered by the user
+   * @returns {Promise<number>} Number of unused codes left
+   * @throws {AuthenticationError} If the code is invalid or already used
+   */
+  async _consumeRecoveryCode(user, recoveryCode) {
+    const normalizedCode = normalizeRecoveryCode(recoveryCode);
+    const codes = user.mfaRecoveryCodes || [];
+
+    if (normalizedCode) {
+      for (let i = 0; i < codes.length; i++) {
+        if (
+          !codes[i].usedAt &&
+          (await comparePassword(normalizedCode, codes[i].hash, this.config.security))
+        ) {
+          // A concurrent request may have used the code since the user was read
+          if (!(await this.db.consumeRecoveryCode(user.id, codes[i].hash))) {
+            break;
+          }
+
+          return codes.filter((entry, index) => index !== i && !entry.usedAt).length;
+        }
+      }
+    }
+
+    throw new AuthenticationError('Invalid recovery code');
+  }
+
+  /**
+   * Checks a TOTP code for a user and records its time step
+   * A code is rejected if its step is not newer than the last accepted one, so it can't be replayed
+   * @private
+   * @param {Object} user - User object with TOTP enabled
+   * @param {string} code - TOTP code
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} If the code is invalid or already used
+   */
+  async _verifyTotpCode(user, code) {
+    const step = verifyTotp(user.totpSecret, code, { window: this.config.mfa.totpWindow });
+
+    // The step is only recorded if still newer, so concurrent requests can't both accept a code
+    if (
+      step === null ||
+      step <= (user.totpLastUsedStep ?? -1) ||
+      !(await this.db.recordTotpStep(user.id, step))
+    ) {
+      throw new AuthenticationError('Invalid verification code');
+    }
+  }
+
+  /**
+   * Resolves the WebAuthn relying party settings
+   * The RP ID and origin default to the frontend URL, where the browser ceremony runs
+   * @private
+   * @returns {Object} Relying party ID, name, allowed origins and user verification setting
+   */
+  _getWebAuthnRelyingParty() {
+    const webauthn = this.config.webauthn || {};
+    const frontend = new URL(this.config.frontendUrl);
+
+    return {
+      id: webauthn.rpId || frontend.hostname,
+      name: webauthn.rpName,
+      origins: webauthn.origins?.length ? webauthn.origins : [frontend.origin],
+      userVerification: webauthn.userVerification || 'preferred',
+    };
+  }
+
+  /**
+   * Issues a single-use WebAuthn challenge
+   * @private
+   * @param {string} type - Auth token type
+   * @param {string} identifier - Token identifier
+   * @param {string} [userId] - User the challenge is bound to
+   * @returns {Promise<string>} Base64url challenge
+   */
+  async _createWebAuthnChallenge(type, identifier, userId = null) {
+    const challenge = generateSecureToken();
+
+    await this.db.createAuthToken({
+      type,
+      identifier,
+      userId,
+      tokenHash: hashToken(challenge),
+      expiresAt: new Date(Date.now() + this.config.webauthn.challengeExpiresIn),
+    });
+
+    return challenge;
+  }
+
+  /**
+   * Looks up and consumes the challenge echoed in a WebAuthn response
+   * @private
+   * @param {string} type - Auth token type
+   * @param {Object} credential - PublicKeyCredential JSON
+   * @param {Function} ErrorClass - Error class to throw on failure
+   * @returns {Promise<Object>} Challenge value and bound user ID
+   */
+  async _consumeWebAuthnChallenge(type, credential, ErrorClass) {
+    let clientData;
+
+    try {
+      clientData = parseClientData(credential?.response?.clientDataJSON || '');
+    } catch (error) {
+      throw new ErrorClass(error.message);
+    }
+
+    const record = clientData.challenge
+      ? await this.db.findAuthTokenByHash(type, hashToken(clientData.challenge))
+      : null;
+
+    if (!isAuthTokenUsable(record) || !(await this.db.consumeAuthToken(record.id))) {
+      throw new ErrorClass('Invalid or expired WebAuthn challenge');
+    }
+
+    return { value: clientData.challenge, userId: record.userId };
+  }
+
+  /**
+   * Gets a passkey owned by a user
+   * @private
+   * @param {string} userId - User ID
+   * @param {string} id - Passkey record ID
+   * @returns {Promise<Object>} Passkey
+   * @throws {NotFoundError} If the passkey doesn't exist or belongs to someone else
+   */
+  async _getOwnedPasskey(userId, id) {
+    const credentials = await this.db.findWebAuthnCredentialsByUser(userId);
+    const credential = credentials.find((c) => c.id === id);
+
+    if (!credential) {
+      throw new NotFoundError('Passkey not found');
+    }
+
+    return credential;
+  }
+
+  /**
+   * Gets an API key owned by a user
+   * @private
+   * @param {string} userId - User ID
+   * @param {string} id - Key record ID
+   * @returns {Promise<Object>} API key
+   * @throws {NotFoundError} If the key doesn't exist or belongs to someone else
+   */
+  async _getOwnedApiKey(userId, id) {
+    const apiKeys = await this.db.findApiKeysByUser(userId);
+    const apiKey = apiKeys.find((k) => k.id === id);
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Gets the configuration of an enabled OAuth provider
+   * @private
+   * @param {string} provider - Provider name
+   * @returns {Object} Provider configuration
+   * @throws {NotFoundError} If the provider is unknown or has no client ID
+   */
+  _getOAuthProvider(provider) {
+    const providerConfig = this.config.oauth?.[provider];
+
+    if (!getSupportedOAuthProviders().includes(provider) || !providerConfig?.clientId) {
+      throw new NotFoundError(`OAuth provider '${provider}' is not configured`);
+    }
+
+    return providerConfig;
+  }
+
+  /**
+   * Resolves the local user for an external identity, linking or creating one if needed
+   * Existing accounts are only linked when the provider reports the email as verified
+   * @private
+   * @param {string} provider - Provider name
+   * @param {Object} profile - Normalized provider profile
+   * @returns {Promise<Object>} User object
+   */
+  async _findOrCreateFederatedUser(provider, profile) {
+    const identity = await this.db.findUserIdentity(provider, profile.id);
+    let user = identity ? await this.db.findUserById(identity.userId) : null;
+
+    if (!user) {
+      if (!profile.email) {
+        throw new AuthenticationError(
+          `Your ${provider} account did not share an email address`
+        );
+      }
+
+      user = await this.db.findUserByEmail(profile.email);
+
+      if (user && !profile.emailVerified) {
+        throw new ConflictError(
+          'An account with this email already exists. Please sign in with your password.'
+        );
+      }
+
+      if (!user) {
+        if (!this.config.features.registration) {
+          throw new AuthorizationError('Registration is currently closed');
+        }
+
+        user = await this._createPasswordlessUser({
+          email: profile.email,
+          name: profile.name,
+          avatar: profile.avatar,
+          isEmailVerified: profile.emailVerified,
+        });
+      }
+
+      await this.db.createUserIdentity({
+        userId: user.id,
+        provider,
+        providerUserId: profile.id,
+        email: profile.email,
+      });
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError(
+        'Your account has been deactivated. Please contact support.'
+      );
+    }
+
+    return user;
+  }
 }
@@ -0,0 +1,872 @@
+/**
+ * Authentication service tests
+ * @module services/authService.test
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert';
+import nodemailer from 'nodemailer';
+import config from '../config/index.js';
+import { AuthService } from './authService.js';
+import { MemoryAdapter } from '../models/adapters/memory.js';
+import { hashPassword, passwordNeedsRehash } from '../utils/password.js';
+import { generateTotp, generateTotpSecret } from '../utils/totp.js';
+import { decodeToken } from '../utils/jwt.js';
+import { hashToken } from '../utils/tokens.js';
+import { computeCodeChallenge } from '../utils/oauth.js';
+import {
+  AccountLockedError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js';
+
+// Capture outgoing emails instead of sending them
+const sentEmails = [];
+mock.method(nodemailer, 'createTransport', () => ({
+  sendMail: async (message) => sentEmails.push(message),
+}));
+
+const PASSWORD = 'Old$ecretPass1';
+
+/**
+ * Reads the token from the link in the last email sent to an address
+ */
+function lastEmailedToken(to) {
+  const message = sentEmails.filter((m) => m.to === to).at(-1);
+  return message.html.match(/token=([\w-]+)/)[1];
+}
+
+/**
+ * Creates a service and a user backed by a fresh in-memory database
+ */
+async function createService(customConfig = {}) {
+  const security = { ...config.security, hashWorkers: 0, bcryptRounds: 4 };
+  const db = new MemoryAdapter();
+  await db.connect();
+  const user = await db.createUser({
+    email: 'jane@example.com',
+    password: await hashPassword(PASSWORD, security),
+    name: 'Jane',
+  });
+  return {
+    db,
+    user,
+    service: new AuthService(db, {
+      ...customConfig,
+      security: { ...security, ...customConfig.security },
+    }),
+  };
+}
+
+/**
+ * Turns on TOTP two-factor authentication for a user and returns a code generator
+ */
+async function enableTotp(db, user) {
+  const secret = generateTotpSecret();
+  await db.updateUser(user.id, { totpEnabled: true, totpSecret: secret });
+
+  const code = () => generateTotp(secret);
+  const wrongCode = () => String((Number(code()) + 1) % 1000000).padStart(6, '0');
+
+  return { code, wrongCode };
+}
+
+test('API keys should be shown once, stored hashed and authenticate their user', async () => {
+  const { db, user, service } = await createService();
+
+  const { apiKey, key } = await service.createApiKey(user.id, {
+    name: 'CI',
+    scopes: ['reports:read'],
+  });
+  assert.match(key, /^ak_[0-9a-f]{12}_[\w-]{43}$/);
+  assert.ok(key.startsWith(`${apiKey.prefix}_`));
+  assert.strictEqual(apiKey.keyHash, undefined);
+
+  const stored = await db.findApiKeyByPrefix(apiKey.prefix);
+  assert.notStrictEqual(stored.keyHash, key);
+
+  const result = await service.authenticateApiKey(key);
+  assert.strictEqual(result.user.id, user.id);
+  assert.deepStrictEqual(result.apiKey.scopes, ['reports:read']);
+
+  const [listed] = await service.listApiKeys(user.id);
+  assert.strictEqual(listed.name, 'CI');
+  assert.ok(listed.lastUsedAt);
+
+  // Right prefix, wrong secret
+  await assert.rejects(
+    service.authenticateApiKey(`${apiKey.prefix}_${'x'.repeat(43)}`),
+    AuthenticationError
+  );
+  await assert.rejects(service.authenticateApiKey('not-a-key'), AuthenticationError);
+
+  await db.updateUser(user.id, { isActive: false });
+  await assert.rejects(service.authenticateApiKey(key), AuthenticationError);
+});
+
+test('API keys should stop working once revoked or expired', async () => {
+  const { db, user, service } = await createService();
+  const { apiKey, key } = await service.createApiKey(user.id, { name: 'Script' });
+  const other = await db.createUser({ email: 'john@example.com', password: 'hash' });
+
+  // Only the owner can revoke a key
+  await assert.rejects(service.revokeApiKey(other.id, apiKey.id), NotFoundError);
+
+  await service.revokeApiKey(user.id, apiKey.id);
+  await assert.rejects(service.authenticateApiKey(key), AuthenticationError);
+  assert.deepStrictEqual(await service.listApiKeys(user.id), []);
+
+  const { key: expiring } = await service.createApiKey(user.id, {
+    name: 'Short-lived',
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  await assert.rejects(service.authenticateApiKey(expiring), /API key has expired/);
+});
+
+test('createApiKey should enforce the per-user limit', async () => {
+  const { user, service } = await createService({
+    apiKeys: { keyPrefix: 'myco', maxPerUser: 1 },
+  });
+
+  const { key } = await service.createApiKey(user.id, { name: 'First' });
+  assert.ok(key.startsWith('myco_'));
+
+  await assert.rejects(service.createApiKey(user.id, { name: 'Second' }), ValidationError);
+});
+
+test('password reset links should be opaque, single-use and superseded by newer ones', async () => {
+  const { service } = await createService();
+
+  await service.forgotPassword('jane@example.com');
+  const first = lastEmailedToken('jane@example.com');
+  await service.forgotPassword('jane@example.com');
+  const second = lastEmailedToken('jane@example.com');
+
+  // Random tokens, not JWTs carrying the user ID
+  assert.match(second, /^[\w-]{43}$/);
+
+  await assert.rejects(service.resetPassword(first, 'N3w$ecretPass!'), /Invalid or expired reset link/);
+
+  // A rejected password doesn't use up the link
+  await assert.rejects(service.resetPassword(second, PASSWORD), ValidationError);
+
+  await service.resetPassword(second, 'N3w$ecretPass!');
+  await assert.rejects(service.resetPassword(second, 'An0ther$ecret!'), ValidationError);
+});
+
+test('changing the password should invalidate outstanding reset links', async () => {
+  const { user, service } = await createService();
+
+  await service.forgotPassword('jane@example.com');
+  const pending = lastEmailedToken('jane@example.com');
+
+  await service.changePassword(user.id, PASSWORD, 'N3w$ecretPass!');
+
+  await assert.rejects(service.resetPassword(pending, 'An0ther$ecret!'), ValidationError);
+});
+
+test('email verification links should be single-use and tied to the address', async () => {
+  const { db, user, service } = await createService();
+
+  await service.resendVerificationEmail('jane@example.com');
+  const stale = lastEmailedToken('jane@example.com');
+
+  // A link sent to an address the user no longer has doesn't verify the new one
+  await db.updateUser(user.id, { email: 'jane@new.example.com' });
+  await assert.rejects(service.verifyEmail(stale), /Invalid or expired verification link/);
+
+  await service.resendVerificationEmail('jane@new.example.com');
+  const token = lastEmailedToken('jane@new.example.com');
+
+  const verified = await service.verifyEmail(token);
+  assert.strictEqual(verified.isEmailVerified, true);
+  await assert.rejects(service.verifyEmail(token), ValidationError);
+});
+
+test('email changes should only apply once the new address confirms them', async () => {
+  const { db, user, service } = await createService();
+  await db.createUser({ email: 'john@example.com', password: 'hash' });
+
+  await assert.rejects(
+    service.requestEmailChange(user.id, 'wrong', 'jane@new.example.com'),
+    AuthenticationError
+  );
+  await assert.rejects(
+    service.requestEmailChange(user.id, PASSWORD, 'John@Example.com'),
+    ConflictError
+  );
+
+  await service.requestEmailChange(user.id, PASSWORD, 'Jane@New.example.com');
+  const token = lastEmailedToken('jane@new.example.com');
+  assert.strictEqual((await db.findUserById(user.id)).email, 'jane@example.com');
+
+  const updated = await service.confirmEmailChange(token);
+  assert.strictEqual(updated.email, 'jane@new.example.com');
+  assert.strictEqual(updated.isEmailVerified, true);
+  await assert.rejects(service.confirmEmailChange(token), /Invalid or expired confirmation link/);
+
+  // The old address is told about the change
+  assert.ok(lastEmailedToken('jane@example.com'));
+});
+
+test('confirming an email change should fail if the address was taken meanwhile', async () => {
+  const { db, user, service } = await createService();
+
+  await service.requestEmailChange(user.id, PASSWORD, 'jane@new.example.com');
+  const other = await db.createUser({ email: 'jane@new.example.com', password: 'hash' });
+  const token = lastEmailedToken('jane@new.example.com');
+
+  await assert.rejects(service.confirmEmailChange(token), ConflictError);
+  assert.strictEqual((await db.findUserById(user.id)).email, 'jane@example.com');
+
+  // The link isn't used up by the failed attempt
+  await db.deleteUser(other.id);
+  assert.strictEqual((await service.confirmEmailChange(token)).email, 'jane@new.example.com');
+  await assert.rejects(service.confirmEmailChange(token), /Invalid or expired confirmation link/);
+});
+
+test('reverting an email change should restore the address and revoke sessions', async () => {
+  const { db, user, service } = await createService();
+  const { refreshToken } = await service.login('jane@example.com', PASSWORD);
+
+  await service.requestEmailChange(user.id, PASSWORD, 'jane@new.example.com');
+  await service.confirmEmailChange(lastEmailedToken('jane@new.example.com'));
+  const revertToken = lastEmailedToken('jane@example.com');
+
+  // A revert blocked by an account that took the old address can be retried
+  const other = await db.createUser({ email: 'jane@example.com', password: 'hash' });
+  await assert.rejects(service.revertEmailChange(revertToken), ConflictError);
+  await db.deleteUser(other.id);
+
+  await service.revertEmailChange(revertToken);
+
+  assert.strictEqual((await db.findUserById(user.id)).email, 'jane@example.com');
+  await assert.rejects(service.refreshToken(refreshToken), AuthenticationError);
+  await assert.rejects(service.revertEmailChange(revertToken), ValidationError);
+});
+
+/**
+ * Checks that a sign-in stopped at the MFA challenge, then completes it with a TOTP code
+ */
+async function completeMfa(service, result, code) {
+  assert.strictEqual(result.mfaRequired, true);
+  assert.strictEqual(result.accessToken, undefined);
+
+  const session = await service.verifyMfa(result.mfaToken, code());
+  assert.ok(session.accessToken);
+}
+
+test('magic link sign-in should require the second factor', async () => {
+  const { db, user, service } = await createService();
+  const { code } = await enableTotp(db, user);
+
+  await service.requestMagicLink('jane@example.com');
+  const result = await service.consumeMagicLink(lastEmailedToken('jane@example.com'));
+
+  await completeMfa(service, result, code);
+});
+
+test('magic links should work once and only until they expire', async () => {
+  const { user, service } = await createService();
+
+  await service.requestMagicLink('jane@example.com');
+  const token = lastEmailedToken('jane@example.com');
+  const result = await service.consumeMagicLink(token);
+  assert.strictEqual(result.user.id, user.id);
+  assert.ok(result.accessToken);
+
+  await assert.rejects(service.consumeMagicLink(token), /Invalid or expired magic link/);
+
+  const { service: expiring } = await createService({
+    security: { magicLinkExpiresIn: -1000 },
+  });
+  await expiring.requestMagicLink('jane@example.com');
+  await assert.rejects(
+    expiring.consumeMagicLink(lastEmailedToken('jane@example.com')),
+    /Invalid or expired magic link/
+  );
+});
+
+test('magic links should create the account on first use while registration is open', async () => {
+  const { db, service } = await createService();
+
+  await service.requestMagicLink('New@Example.com');
+  assert.strictEqual(await db.findUserByEmail('new@example.com'), null);
+
+  const result = await service.consumeMagicLink(lastEmailedToken('new@example.com'));
+  assert.strictEqual(result.user.email, 'new@example.com');
+  assert.strictEqual(result.user.isEmailVerified, true);
+  assert.ok(await db.findUserByEmail('new@example.com'));
+});
+
+test('magic links should not sign up unknown emails while registration is closed', async () => {
+  const { db, service } = await createService();
+  const closed = new AuthService(db, {
+    features: { ...config.features, registration: false },
+  });
+  const emailCount = sentEmails.length;
+
+  await closed.requestMagicLink('new@example.com');
+  assert.strictEqual(sentEmails.length, emailCount);
+
+  // A link sent before registration closed
+  await service.requestMagicLink('new@example.com');
+  await assert.rejects(
+    closed.consumeMagicLink(lastEmailedToken('new@example.com')),
+    /Invalid or expired magic link/
+  );
+  assert.strictEqual(await db.findUserByEmail('new@example.com'), null);
+});
+
+test('phone code sign-in should require the second factor', async () => {
+  const messages = [];
+  const { db, user, service } = await createService({
+    sms: { ...config.sms, transport: { send: async (message) => messages.push(message) } },
+  });
+  const { code } = await enableTotp(db, user);
+  await db.updateUser(user.id, { phone: '+15555550100', isPhoneVerified: true });
+
+  await service.requestPhoneCode('+15555550100');
+  const smsCode = messages.at(-1).body.split(' ')[0];
+  const result = await service.verifyPhoneCode('+15555550100', smsCode);
+
+  await completeMfa(service, result, code);
+});
+
+/**
+ * Creates a service whose SMS messages are captured, with a verified phone on the user
+ * Returns a function that reads the code from the last message
+ */
+async function createPhoneService(security = {}) {
+  const messages = [];
+  const created = await createService({
+    security,
+    sms: { ...config.sms, transport: { send: async (message) => messages.push(message) } },
+  });
+  await created.db.updateUser(created.user.id, { phone: '+15555550100', isPhoneVerified: true });
+
+  return { ...created, lastCode: () => messages.at(-1).body.split(' ')[0] };
+}
+
+test('phone codes should be burnt after too many wrong guesses', async () => {
+  const { service, lastCode } = await createPhoneService({ phoneCodeMaxAttempts: 3 });
+
+  await service.requestPhoneCode('+15555550100');
+  const smsCode = lastCode();
+  const wrongCode = String((Number(smsCode) + 1) % 1000000).padStart(6, '0');
+
+  for (let attempt = 1; attempt < 3; attempt++) {
+    await assert.rejects(
+      service.verifyPhoneCode('+15555550100', wrongCode),
+      /Invalid or expired code/
+    );
+  }
+  await assert.rejects(
+    service.verifyPhoneCode('+15555550100', wrongCode),
+    /Too many incorrect attempts/
+  );
+
+  await assert.rejects(
+    service.verifyPhoneCode('+15555550100', smsCode),
+    /Invalid or expired code/
+  );
+});
+
+test('expired phone codes should be rejected', async () => {
+  const { service, lastCode } = await createPhoneService({ phoneCodeExpiresIn: -1000 });
+
+  await service.requestPhoneCode('+15555550100');
+  await assert.rejects(
+    service.verifyPhoneCode('+15555550100', lastCode()),
+    /Invalid or expired code/
+  );
+});
+
+test('phone codes should not sign in after the number moves to another account', async () => {
+  const { db, user, service, lastCode } = await createPhoneService();
+
+  await service.requestPhoneCode('+15555550100');
+  const smsCode = lastCode();
+
+  await db.updateUser(user.id, { phone: '+15555550199' });
+  await db.createUser({
+    email: 'john@example.com',
+    password: 'hash',
+    phone: '+15555550100',
+    isPhoneVerified: true,
+  });
+
+  await assert.rejects(
+    service.verifyPhoneCode('+15555550100', smsCode),
+    /Invalid or expired code/
+  );
+});
+
+test('social login should require the second factor', async () => {
+  const { db, user, service } = await createService({
+    oauth: {
+      ...config.oauth,
+      google: { ...config.oauth.google, clientId: 'client-id', clientSecret: 'secret' },
+    },
+  });
+  const { code } = await enableTotp(db, user);
+  const fetchMock = mock.method(globalThis, 'fetch', async (url) =>
+    Response.json(
+      url === config.oauth.google.tokenUrl
+        ? { access_token: 'provider-token' }
+        : { sub: 'google-1', email: 'jane@example.com', email_verified: true }
+    )
+  );
+
+  try {
+    const state = new URL(await service.startOAuth('google')).searchParams.get('state');
+    const result = await service.completeOAuth('google', 'provider-code', state);
+
+    await completeMfa(service, result, code);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
+
+const GOOGLE_OAUTH = {
+  ...config.oauth,
+  google: { ...config.oauth.google, clientId: 'client-id', clientSecret: 'secret' },
+  github: { ...config.oauth.github, clientId: 'client-id', clientSecret: 'secret' },
+};
+
+/**
+ * Stubs Google's token and userinfo endpoints
+ * Returns the stub, whose token requests carry the form bodies sent
+ */
+function mockGoogle(profile) {
+  return mock.method(globalThis, 'fetch', async (url) =>
+    Response.json(
+      url === config.oauth.google.tokenUrl
+        ? { access_token: 'provider-token' }
+        : { sub: 'google-1', email_verified: true, ...profile }
+    )
+  );
+}
+
+/**
+ * Starts a social sign-in, returning the state and PKCE challenge sent to the provider
+ */
+async function startGoogleSignIn(service) {
+  const { searchParams } = new URL(await service.startOAuth('google'));
+  return { state: searchParams.get('state'), codeChallenge: searchParams.get('code_challenge') };
+}
+
+test('OAuth state should only be accepted once, for its provider and before it expires', async () => {
+  const { service } = await createService({ oauth: GOOGLE_OAUTH });
+  const fetchMock = mockGoogle({ email: 'jane@example.com' });
+
+  try {
+    await assert.rejects(
+      service.completeOAuth('google', 'provider-code', 'made-up-state'),
+      /Invalid or expired OAuth state/
+    );
+
+    const { state } = await startGoogleSignIn(service);
+    // State issued for another provider
+    await assert.rejects(
+      service.completeOAuth('github', 'provider-code', state),
+      /Invalid or expired OAuth state/
+    );
+
+    await service.completeOAuth('google', 'provider-code', state);
+    await assert.rejects(
+      service.completeOAuth('google', 'provider-code', state),
+      /Invalid or expired OAuth state/
+    );
+
+    const { service: expiring } = await createService({
+      oauth: { ...GOOGLE_OAUTH, stateExpiresIn: -1000 },
+    });
+    const { state: expired } = await startGoogleSignIn(expiring);
+    await assert.rejects(
+      expiring.completeOAuth('google', 'provider-code', expired),
+      /Invalid or expired OAuth state/
+    );
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
+
+test('OAuth sign-in should send the PKCE verifier and link an existing user by email', async () => {
+  const { db, user, service } = await createService({ oauth: GOOGLE_OAUTH });
+  const fetchMock = mockGoogle({ email: 'jane@example.com' });
+
+  try {
+    const { state, codeChallenge } = await startGoogleSignIn(service);
+    const result = await service.completeOAuth('google', 'provider-code', state);
+
+    const [url, { body }] = fetchMock.mock.calls[0].arguments;
+    assert.strictEqual(url, config.oauth.google.tokenUrl);
+    assert.strictEqual(computeCodeChallenge(body.get('code_verifier')), codeChallenge);
+    assert.strictEqual(body.get('code'), 'provider-code');
+
+    assert.strictEqual(result.user.id, user.id);
+    assert.ok(result.accessToken);
+    const identity = await db.findUserIdentity('google', 'google-1');
+    assert.strictEqual(identity.userId, user.id);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
+
+test('OAuth sign-in should not create accounts while registration is closed', async () => {
+  const { db, service } = await createService({
+    oauth: GOOGLE_OAUTH,
+    features: { ...config.features, registration: false },
+  });
+  const fetchMock = mockGoogle({ email: 'new@example.com' });
+
+  try {
+    const { state } = await startGoogleSignIn(service);
+    await assert.rejects(
+      service.completeOAuth('google', 'provider-code', state),
+      AuthorizationError
+    );
+    assert.strictEqual(await db.findUserByEmail('new@example.com'), null);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
+
+test('OpenID Connect sign-in should require the second factor', async () => {
+  const { db, user, service } = await createService();
+  const { code } = await enableTotp(db, user);
+  service.oidcProviders = {
+    get: () => ({
+      buildAuthorizationUrl: async ({ state }) => `https://idp.example.com/auth?state=${state}`,
+      authenticate: async () => ({ id: 'oidc-1', email: 'jane@example.com', emailVerified: true }),
+    }),
+  };
+
+  const state = new URL(await service.startOidc('corp')).searchParams.get('state');
+  const result = await service.completeOidc('corp', 'provider-code', state);
+
+  await completeMfa(service, result, code);
+});
+
+test('wrong MFA codes should count towards the account lockout', async () => {
+  const { db, user, service } = await createService();
+  const { code, wrongCode } = await enableTotp(db, user);
+
+  const { mfaRequired, mfaToken } = await service.login('jane@example.com', PASSWORD);
+  assert.strictEqual(mfaRequired, true);
+
+  for (let i = 1; i < config.security.maxLoginAttempts; i++) {
+    await assert.rejects(service.verifyMfa(mfaToken, wrongCode()), /Invalid verification code/);
+  }
+  await assert.rejects(service.verifyMfa(mfaToken, wrongCode()), AccountLockedError);
+
+  // The challenge is gone and signing in again is refused until the lock ends
+  await assert.rejects(service.verifyMfa(mfaToken, code()), /Invalid or expired MFA challenge/);
+  await assert.rejects(service.login('jane@example.com', PASSWORD), AccountLockedError);
+});
+
+test('MFA challenges should allow a limited number of attempts and a single sign-in', async () => {
+  const { db, user, service } = await createService({
+    security: { mfaChallengeMaxAttempts: 2, maxLoginAttempts: 10 },
+  });
+  const { code, wrongCode } = await enableTotp(db, user);
+
+  const first = await service.login('jane@example.com', PASSWORD);
+  await assert.rejects(service.verifyMfa(first.mfaToken, wrongCode()), AuthenticationError);
+  await assert.rejects(
+    service.verifyMfaRecoveryCode(first.mfaToken, 'aaaaa-bbbbb'),
+    /Invalid recovery code/
+  );
+  await assert.rejects(service.verifyMfa(first.mfaToken, code()), /Too many incorrect codes/);
+
+  // A correct password alone doesn't clear the failures; completing the login does
+  const second = await service.login('jane@example.com', PASSWORD);
+  assert.strictEqual((await db.findUserById(user.id)).failedLoginAttempts, 2);
+
+  const result = await service.verifyMfa(second.mfaToken, code());
+  assert.ok(result.accessToken);
+  assert.strictEqual((await db.findUserById(user.id)).failedLoginAttempts, 0);
+  await assert.rejects(service.verifyMfa(second.mfaToken, code()), AuthenticationError);
+});
+
+/**
+ * Fails to sign in with a wrong password and returns the error
+ */
+function failLogin(service) {
+  return service.login('jane@example.com', 'Wrong$ecretPass1').catch((error) => error);
+}
+
+/**
+ * Asserts that a lock ends about `duration` ms from now
+ */
+function assertLockedFor(lockedUntil, duration) {
+  const remaining = new Date(lockedUntil).getTime() - Date.now();
+  assert.ok(remaining > duration - 5000 && remaining <= duration, `locked for ${remaining}ms`);
+}
+
+test('failed logins should lock the account for escalating durations', async () => {
+  const { db, user, service } = await createService({
+    security: { maxLoginAttempts: 3, lockoutDurations: [60000, 3600000] },
+  });
+
+  for (let i = 1; i < 3; i++) {
+    assert.strictEqual((await failLogin(service)).message, 'Invalid email or password');
+  }
+
+  const error = await failLogin(service);
+  assert.ok(error instanceof AccountLockedError);
+  assert.strictEqual(error.statusCode, 423);
+  assertLockedFor(error.lockedUntil, 60000);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts',
+    errors: null,
+    lockedUntil: error.lockedUntil.toISOString(),
+  });
+  assertLockedFor((await db.findUserById(user.id)).lockedUntil, 60000);
+
+  // The correct password is refused while the lock lasts
+  await assert.rejects(service.login('jane@example.com', PASSWORD), AccountLockedError);
+
+  // Each further lock lasts longer, up to the last duration
+  for (const duration of [3600000, 3600000]) {
+    await db.updateUser(user.id, { lockedUntil: new Date(Date.now() - 1000) });
+
+    for (let i = 1; i < 3; i++) {
+      assert.ok(!((await failLogin(service)) instanceof AccountLockedError));
+    }
+    assertLockedFor((await failLogin(service)).lockedUntil, duration);
+  }
+  assert.strictEqual((await db.findUserById(user.id)).failedLoginAttempts, 9);
+});
+
+test('unlock links should be single-use and unlockUser should clear the lockout', async () => {
+  const { db, user, service } = await createService({ security: { maxLoginAttempts: 2 } });
+
+  await failLogin(service);
+  assert.ok((await failLogin(service)) instanceof AccountLockedError);
+
+  const token = lastEmailedToken('jane@example.com');
+  await service.unlockAccount(token);
+
+  const unlocked = await db.findUserById(user.id);
+  assert.strictEqual(unlocked.failedLoginAttempts, 0);
+  assert.strictEqual(unlocked.lockedUntil, null);
+  await assert.rejects(service.unlockAccount(token), /Invalid or expired unlock link/);
+  assert.ok((await service.login('jane@example.com', PASSWORD)).accessToken);
+
+  // Unlocking by an administrator also invalidates the emailed link
+  await failLogin(service);
+  assert.ok((await failLogin(service)) instanceof AccountLockedError);
+  const secondToken = lastEmailedToken('jane@example.com');
+
+  const result = await service.unlockUser(user.id);
+  assert.strictEqual(result.lockedUntil, null);
+  assert.ok((await service.login('jane@example.com', PASSWORD)).accessToken);
+  await assert.rejects(service.unlockAccount(secondToken), ValidationError);
+  await assert.rejects(service.unlockUser('missing'), NotFoundError);
+});
+
+test('refreshing should rotate the refresh token within its session', async () => {
+  const { db, service } = await createService();
+  const { refreshToken } = await service.login('jane@example.com', PASSWORD);
+  const original = await db.findSessionByTokenHash(hashToken(refreshToken));
+
+  const first = await service.refreshToken(refreshToken);
+  assert.notStrictEqual(first.refreshToken, refreshToken);
+  assert.ok(first.accessToken);
+  assert.strictEqual(await db.findSessionByTokenHash(hashToken(refreshToken)), null);
+
+  const rotated = await db.findSessionByTokenHash(hashToken(first.refreshToken));
+  assert.strictEqual(rotated.familyId, original.familyId);
+  assert.strictEqual(rotated.generation, 1);
+  assert.strictEqual(new Date(rotated.createdAt).getTime(), new Date(original.createdAt).getTime());
+
+  const second = await service.refreshToken(first.refreshToken);
+  assert.strictEqual(decodeToken(second.refreshToken).gen, 2);
+});
+
+test('reusing a rotated refresh token should revoke its whole family', async () => {
+  const events = [];
+  const { service } = await createService({
+    security: { refreshTokenGracePeriod: 50 },
+    hooks: { onSecurityEvent: async (event) => events.push(event) },
+  });
+  const other = await service.login('jane@example.com', PASSWORD);
+  const { refreshToken } = await service.login('jane@example.com', PASSWORD);
+  const rotated = await service.refreshToken(refreshToken);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  await assert.rejects(service.refreshToken(refreshToken), /already been used/);
+  await assert.rejects(service.refreshToken(rotated.refreshToken), /Invalid refresh token/);
+  assert.deepStrictEqual(
+    events.map(({ type, familyId, generation }) => ({ type, familyId, generation })),
+    [{ type: 'refresh_token_reuse', familyId: decodeToken(refreshToken).fam, generation: 0 }]
+  );
+
+  // Other sign-ins of the user are not affected
+  assert.ok((await service.refreshToken(other.refreshToken)).accessToken);
+});
+
+test('a refresh token rotated moments ago should be accepted during the grace period', async () => {
+  const { db, service } = await createService({ security: { refreshTokenGracePeriod: 10000 } });
+  const { refreshToken } = await service.login('jane@example.com', PASSWORD);
+  const first = await service.refreshToken(refreshToken);
+
+  // A concurrent refresh with the same token gets a sibling of the latest token
+  const sibling = await service.refreshToken(refreshToken);
+  assert.strictEqual(decodeToken(sibling.refreshToken).fam, decodeToken(refreshToken).fam);
+  assert.strictEqual(decodeToken(sibling.refreshToken).gen, 1);
+  assert.ok(await db.findSessionByTokenHash(hashToken(first.refreshToken)));
+
+  // Only the token just before the latest one is covered
+  const second = await service.refreshToken(first.refreshToken);
+  await assert.rejects(service.refreshToken(refreshToken), /already been used/);
+  await assert.rejects(service.refreshToken(second.refreshToken), /Invalid refresh token/);
+  await assert.rejects(service.refreshToken(sibling.refreshToken), /Invalid refresh token/);
+});
+
+// Reference hashes, as in utils/legacyPasswordHashes.test.js
+const PHPASS_HASH = '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0'; // test12345
+const DJANGO_HASH = 'pbkdf2_sha256$1000$seasalt$mQnueSakb748zqBAC1tmWVZsZbi2zPGZarEzTGdfmso='; // correct horse
+
+test('imported legacy password hashes should verify and be upgraded at login', async () => {
+  const { db, service } = await createService();
+
+  const result = await service.importUsers([
+    { email: 'WordPress@Example.com', password: PHPASS_HASH, name: 'Press' },
+    { email: 'django@example.com', password: DJANGO_HASH },
+  ]);
+  assert.deepStrictEqual(result, { imported: 2, skipped: [] });
+
+  const imported = await db.findUserByEmail('wordpress@example.com');
+  assert.strictEqual(imported.password, PHPASS_HASH);
+  assert.strictEqual(imported.role, 'user');
+
+  const login = await service.login('wordpress@example.com', 'test12345');
+  assert.ok(login.accessToken);
+  await service.login('django@example.com', 'correct horse');
+
+  for (const email of ['wordpress@example.com', 'django@example.com']) {
+    const { password } = await db.findUserByEmail(email);
+    assert.ok(![PHPASS_HASH, DJANGO_HASH].includes(password));
+    assert.strictEqual(passwordNeedsRehash(password, service.config.security), false);
+  }
+  await service.login('wordpress@example.com', 'test12345');
+});
+
+test('importing should skip existing and repeated emails', async () => {
+  const { db, service } = await createService();
+
+  const result = await service.importUsers([
+    { email: 'Jane@Example.com', password: PHPASS_HASH },
+    { email: 'new@example.com', password: PHPASS_HASH, name: 'First' },
+    { email: 'NEW@example.com', password: DJANGO_HASH, name: 'Second' },
+  ]);
+
+  assert.strictEqual(result.imported, 1);
+  assert.deepStrictEqual(result.skipped.sort(), ['jane@example.com', 'new@example.com']);
+  assert.strictEqual((await db.findUserByEmail('new@example.com')).name, 'First');
+  await assert.rejects(service.login('jane@example.com', 'test12345'), AuthenticationError);
+});
+
+test('importing should reject the batch if any user lacks an email or a known hash', async () => {
+  const { db, service } = await createService();
+
+  await assert.rejects(
+    service.importUsers([
+      { email: 'ok@example.com', password: PHPASS_HASH },
+      { password: PHPASS_HASH },
+      { email: 'plain@example.com', password: 'test12345' },
+    ]),
+    (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.deepStrictEqual(
+        error.errors.map((entry) => entry.field),
+        ['users[1].email', 'users[2].password']
+      );
+      return true;
+    }
+  );
+  assert.strictEqual(await db.findUserByEmail('ok@example.com'), null);
+});
+
+test('new passwords should not match any of the last passwordHistory passwords', async () => {
+  const { service, user } = await createService({ security: { passwordHistory: 3 } });
+  const passwords = ['First$ecretPass1', 'Second$ecretPass2', 'Third$ecretPass3'];
+
+  let current = PASSWORD;
+  for (const password of passwords) {
+    await service.changePassword(user.id, current, password);
+    current = password;
+  }
+
+  for (const password of passwords) {
+    await assert.rejects(
+      service.changePassword(user.id, current, password),
+      (error) =>
+        error instanceof ValidationError &&
+        error.message === 'Password must not match any of your last 3 passwords' &&
+        error.errors[0].field === 'newPassword'
+    );
+  }
+
+  // Reset links enforce the history too
+  await service.forgotPassword('jane@example.com');
+  await assert.rejects(
+    service.resetPassword(lastEmailedToken('jane@example.com'), passwords[1]),
+    /last 3 passwords/
+  );
+  await service.resetPassword(lastEmailedToken('jane@example.com'), 'Fourth$ecretPass4');
+
+  // The oldest password has dropped out of the history
+  await service.changePassword(user.id, 'Fourth$ecretPass4', passwords[0]);
+});
+
+test('logins with an expired password should be held back until it is changed', async () => {
+  const { db, user, service } = await createService({ security: { passwordMaxAge: 86400000 } });
+  await db.updateUser(user.id, { passwordChangedAt: new Date(Date.now() - 2 * 86400000) });
+
+  const result = await service.login('jane@example.com', PASSWORD);
+  assert.strictEqual(result.passwordChangeRequired, true);
+  assert.strictEqual(result.reason, 'expired');
+  assert.strictEqual(result.accessToken, undefined);
+
+  const session = await service.completeRequiredPasswordChange(
+    user.id,
+    PASSWORD,
+    'New$ecretPass2'
+  );
+  assert.ok(session.accessToken);
+  assert.ok((await service.login('jane@example.com', 'New$ecretPass2')).accessToken);
+});
+
+test('concurrent requests should not both accept the same TOTP or recovery code', async () => {
+  const { db, user, service } = await createService();
+  const { code } = await enableTotp(db, user);
+  const [recoveryCode] = await service.regenerateRecoveryCodes(user.id, PASSWORD);
+
+  // The second request is refused for the code itself, not just the used-up challenge
+  const verifyTwice = async (verify, message) => {
+    const { mfaToken } = await service.login('jane@example.com', PASSWORD);
+    const results = await Promise.allSettled([verify(mfaToken), verify(mfaToken)]);
+
+    assert.deepStrictEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'rejected']);
+    assert.match(results.find(({ status }) => status === 'rejected').reason.message, message);
+  };
+
+  await verifyTwice((mfaToken) => service.verifyMfa(mfaToken, code()), /Invalid verification code/);
+  await verifyTwice(
+    (mfaToken) => service.verifyMfaRecoveryCode(mfaToken, recoveryCode),
+    /Invalid recovery code/
+  );
+
+  const { mfaRecoveryCodes } = await db.findUserById(user.id);
+  assert.strictEqual(mfaRecoveryCodes.filter((entry) => entry.usedAt).length, 1);
+});
@@ -0,0 +1,603 @@
+/**
+ * OAuth 2.0 / OpenID Connect authorization server
+ * Lets registered client applications sign users in with the authorization code flow and
+ * PKCE. Users authenticate with the first-party API (AuthService); clients receive access
+ * tokens limited to the granted scopes, ID tokens and, for offline access, refresh tokens
+ * @module services/authorizationServer
+ */
+
+import {
+  generateIdToken,
+  decodeToken,
+  getSigningKeySet,
+  verifyRefreshToken,
+} from '../utils/jwt.js';
+import { computeCodeChallenge } from '../utils/oauth.js';
+import { durationToSeconds } from '../utils/signingKeys.js';
+import { generateSecureToken, hashToken, compareTokenHashes } from '../utils/tokens.js';
+import { AuthenticationError, NotFoundError, OAuthError } from '../utils/errors.js';
+import { AUTH_TOKEN_TYPES, isAuthTokenUsable } from '../models/authToken.js';
+import { OAUTH_SCOPES, sanitizeOAuthClient } from '../models/oauthClient.js';
+import config from '../config/index.js';
+
+/**
+ * Valid PKCE code challenges and verifiers (RFC 7636 section 4.1)
+ */
+const PKCE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Authorization Server Class
+ */
+export class AuthorizationServer {
+  /**
+   * @param {Object} database - Database adapter instance
+   * @param {AuthService} authService - Service that issues the user's tokens
+   * @param {Object} [customConfig] - Configuration overrides
+   */
+  constructor(database, authService, customConfig = {}) {
+    this.db = database;
+    this.authService = authService;
+    this.config = { ...config, ...customConfig };
+  }
+
+  /**
+   * Registers a client application
+   * Confidential clients (server-side apps) get a secret, which is only returned here;
+   * public clients (single-page and native apps) authenticate with PKCE alone
+   * @param {Object} clientData - Client data
+   * @param {string} clientData.name - Name shown on the consent screen
+   * @param {string[]} clientData.redirectUris - Exact redirect URIs
+   * @param {string[]} [clientData.scopes] - Scopes the client may request (default: all)
+   * @param {boolean} [clientData.confidential] - Issue a client secret (default: true)
+   * @param {boolean} [clientData.trusted] - Skip the consent screen (first-party apps)
+   * @returns {Promise<Object>} { client, clientSecret } (clientSecret is null for public clients)
+   */
+  async registerClient(clientData) {
+    const clientSecret = clientData.confidential === false ? null : generateSecureToken();
+
+    const client = await this.db.createOAuthClient({
+      clientId: generateSecureToken(16),
+      clientSecretHash: clientSecret ? hashToken(clientSecret) : null,
+      name: clientData.name,
+      redirectUris: clientData.redirectUris,
+      scopes: clientData.scopes || OAUTH_SCOPES,
+      trusted: clientData.trusted || false,
+    });
+
+    return { client: sanitizeOAuthClient(client), clientSecret };
+  }
+
+  /**
+   * Lists registered clients
+   * @returns {Promise<Array>} Clients without secrets
+   */
+  async listClients() {
+    const clients = await this.db.listOAuthClients();
+    return clients.map(sanitizeOAuthClient);
+  }
+
+  /**
+   * Deletes a client and the consents given to it
+   * Refresh tokens issued to it stop working at once; access tokens run out
+   * @param {string} clientId - Client ID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the client doesn't exist
+   */
+  async deleteClient(clientId) {
+    if (!(await this.db.deleteOAuthClient(clientId))) {
+      throw new NotFoundError('OAuth client not found');
+    }
+  }
+
+  /**
+   * Builds the OpenID Connect discovery document
+   * @param {string} issuer - Issuer identifier (URL the auth router is mounted at)
+   * @returns {Object} OpenID Provider metadata
+   */
+  getDiscoveryDocument(issuer) {
+    const endpoints = this.config.endpoints || {};
+
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}${endpoints.oauthServerAuthorize || '/oauth2/authorize'}`,
+      token_endpoint: `${issuer}${endpoints.oauthServerToken || '/oauth2/token'}`,
+      userinfo_endpoint: `${issuer}${endpoints.oauthServerUserinfo || '/oauth2/userinfo'}`,
+      jwks_uri: `${issuer}${endpoints.jwks || '/.well-known/jwks.json'}`,
+      scopes_supported: OAUTH_SCOPES,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [
+        getSigningKeySet().getSigningKey('access').algorithm,
+      ],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: [
+        'iss',
+        'sub',
+        'aud',
+        'exp',
+        'iat',
+        'auth_time',
+        'nonce',
+        'name',
+        'picture',
+        'updated_at',
+        'email',
+        'email_verified',
+      ],
+      authorization_response_iss_parameter_supported: true,
+    };
+  }
+
+  /**
+   * Starts an authorization request from the browser
+   * Valid requests go on to the consent page, which signs the user in and calls
+   * authorize() with the same parameters; errors go back to the client where possible
+   * @param {Object} params - Authorization request query parameters
+   * @param {string} issuer - Issuer identifier
+   * @returns {Promise<string>} URL to redirect the browser to
+   * @throws {OAuthError} If the client or redirect URI is invalid
+   */
+  async startAuthorization(params, issuer) {
+    try {
+      await this._validateAuthorizationRequest(params);
+    } catch (error) {
+      return this._getErrorRedirectUrl(error, params, issuer);
+    }
+
+    const consentUrl = new URL(
+      this.config.oauthServer.consentUrl || `${this.config.frontendUrl}/oauth/authorize`
+    );
+
+    Object.entries(params).forEach(([name, value]) => {
+      if (typeof value === 'string') {
+        consentUrl.searchParams.set(name, value);
+      }
+    });
+
+    return consentUrl.toString();
+  }
+
+  /**
+   * Handles an authorization request for a signed-in user
+   * Issues an authorization code if the user already consented to the requested scopes,
+   * the client is trusted or the user approves now; otherwise asks for consent
+   * @param {Object} user - Authenticated user { id, sessionId }
+   * @param {Object} params - Authorization request parameters
+   * @param {string} [decision] - 'approve' or 'deny' from the consent screen
+   * @param {string} issuer - Issuer identifier
+   * @returns {Promise<Object>} { redirectUrl } to send the browser back to the client, or
+   *   { consentRequired, client, scopes } to show the consent screen
+   * @throws {OAuthError} If the client or redirect URI is invalid
+   */
+  async authorize(user, params, decision, issuer) {
+    let request;
+
+    try {
+      request = await this._validateAuthorizationRequest(params);
+    } catch (error) {
+      return { redirectUrl: this._getErrorRedirectUrl(error, params, issuer) };
+    }
+
+    const { client, redirectUri, scopes } = request;
+
+    if (decision === 'deny') {
+      return {
+        redirectUrl: this._buildRedirectUrl(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: request.state,
+          iss: issuer,
+        }),
+      };
+    }
+
+    const consent = await this.db.findOAuthConsent(user.id, client.clientId);
+    const consented =
+      client.trusted || (consent && scopes.every((scope) => consent.scopes.includes(scope)));
+
+    if (!consented && decision !== 'approve') {
+      return {
+        consentRequired: true,
+        client: { clientId: client.clientId, name: client.name },
+        scopes,
+      };
+    }
+
+    if (decision === 'approve') {
+      await this.db.saveOAuthConsent(user.id, client.clientId, [
+        ...new Set([...(consent?.scopes || []), ...scopes]),
+      ]);
+    }
+
+    const code = generateSecureToken();
+
+    await this.db.createAuthToken({
+      type: AUTH_TOKEN_TYPES.OAUTH_CODE,
+      identifier: client.clientId,
+      userId: user.id,
+      tokenHash: hashToken(code),
+      metadata: {
+        redirectUri,
+        redirectUriProvided: request.redirectUriProvided,
+        scope: scopes.join(' '),
+        codeChallenge: request.codeChallenge,
+        nonce: request.nonce,
+        authTime: await this._getAuthTime(user.sessionId),
+      },
+      expiresAt: new Date(Date.now() + this.config.oauthServer.authorizationCodeExpiresIn),
+    });
+
+    return {
+      redirectUrl: this._buildRedirectUrl(redirectUri, {
+        code,
+        state: request.state,
+        iss: issuer,
+      }),
+    };
+  }
+
+  /**
+   * Handles a token request (authorization_code and refresh_token grants)
+   * @param {Object} params - Token request parameters
+   * @param {Object} credentials - Client credentials { clientId, clientSecret } from the
+   *   Authorization header or request body
+   * @param {string} issuer - Issuer identifier
+   * @param {Object} [client] - Client { userAgent, ipAddress } recorded on the session
+   * @returns {Promise<Object>} Token response (access_token, token_type, expires_in, scope,
+   *   and id_token / refresh_token when granted)
+   * @throws {OAuthError} If the client can't be authenticated or the grant is invalid
+   */
+  async exchangeToken(params, credentials, issuer, client = {}) {
+    const oauthClient = await this._authenticateClient(credentials);
+
+    if (params.grant_type === 'authorization_code') {
+      return this._exchangeAuthorizationCode(oauthClient, params, issuer, client);
+    }
+
+    if (params.grant_type === 'refresh_token') {
+      return this._exchangeRefreshToken(oauthClient, params, client);
+    }
+
+    throw new OAuthError('unsupported_grant_type', 'Unsupported grant_type');
+  }
+
+  /**
+   * Gets the claims about a user that an access token's scopes allow
+   * @param {string} userId - User ID
+   * @param {string[]} scopes - Scopes of the access token
+   * @returns {Promise<Object>} UserInfo claims
+   * @throws {OAuthError} If the token lacks the openid scope or the user is gone
+   */
+  async getUserInfo(userId, scopes) {
+    if (!scopes.includes('openid')) {
+      throw new OAuthError('insufficient_scope', 'The access token lacks the openid scope', 403);
+    }
+
+    const user = await this.db.findUserById(userId);
+
+    if (!user || !user.isActive) {
+      throw new OAuthError('invalid_token', 'User not found or inactive', 401);
+    }
+
+    return { sub: user.id, ...this._getUserClaims(user, scopes) };
+  }
+
+  /**
+   * Validates authorization request parameters
+   * Errors about the client or redirect URI can't be sent to the client, since the
+   * redirect URI isn't trusted; later errors carry the redirect URI
+   * @private
+   * @param {Object} params - Authorization request parameters
+   * @returns {Promise<Object>} { client, redirectUri, redirectUriProvided, scopes, state, nonce,
+   *   codeChallenge }
+   * @throws {OAuthError} If the request is invalid
+   */
+  async _validateAuthorizationRequest(params) {
+    const client =
+      typeof params.client_id === 'string' ? await this.db.findOAuthClient(params.client_id) : null;
+
+    if (!client) {
+      throw new OAuthError('invalid_request', 'Unknown client_id');
+    }
+
+    const redirectUri =
+      params.redirect_uri ?? (client.redirectUris.length === 1 ? client.redirectUris[0] : null);
+
+    if (!client.redirectUris.includes(redirectUri)) {
+      throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    const fail = (error, description) => {
+      throw new OAuthError(error, description, 400, redirectUri);
+    };
+
+    if (params.response_type !== 'code') {
+      fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    const scopes = [...new Set(String(params.scope || 'openid').split(' ').filter(Boolean))];
+
+    if (scopes.some((scope) => !OAUTH_SCOPES.includes(scope) || !client.scopes.includes(scope))) {
+      fail('invalid_scope', `Allowed scopes: ${client.scopes.join(' ')}`);
+    }
+
+    const codeChallenge = params.code_challenge || null;
+
+    if (!codeChallenge && !client.clientSecretHash) {
+      fail('invalid_request', 'Public clients must use PKCE (code_challenge)');
+    }
+
+    if (codeChallenge && params.code_challenge_method !== 'S256') {
+      fail('invalid_request', 'code_challenge_method must be S256');
+    }
+
+    if (codeChallenge && !PKCE_PATTERN.test(codeChallenge)) {
+      fail('invalid_request', 'Invalid code_challenge');
+    }
+
+    return {
+      client,
+      redirectUri,
+      redirectUriProvided: params.redirect_uri !== undefined,
+      scopes,
+      state: params.state,
+      nonce: params.nonce || null,
+      codeChallenge,
+    };
+  }
+
+  /**
+   * Authenticates the client at the token endpoint
+   * @private
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @returns {Promise<Object>} OAuth client
+   * @throws {OAuthError} invalid_client if the client is unknown or the secret is wrong
+   */
+  async _authenticateClient({ clientId, clientSecret }) {
+    const client = clientId ? await this.db.findOAuthClient(clientId) : null;
+
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    const authenticated = client.clientSecretHash
+      ? typeof clientSecret === 'string' &&
+        compareTokenHashes(hashToken(clientSecret), client.clientSecretHash)
+      : !clientSecret;
+
+    if (!authenticated) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    return client;
+  }
+
+  /**
+   * Exchanges an authorization code for tokens
+   * @private
+   * @param {Object} oauthClient - Authenticated OAuth client
+   * @param {Object} params - Token request parameters
+   * @param {string} issuer - Issuer identifier
+   * @param {Object} client - Client { userAgent, ipAddress }
+   * @returns {Promise<Object>} Token response
+   * @throws {OAuthError} invalid_grant if the code is invalid, expired, used or doesn't match
+   */
+  async _exchangeAuthorizationCode(oauthClient, params, issuer, client) {
+    if (typeof params.code !== 'string') {
+      throw new OAuthError('invalid_request', 'code is required');
+    }
+
+    const record = await this.db.findAuthTokenByHash(
+      AUTH_TOKEN_TYPES.OAUTH_CODE,
+      hashToken(params.code)
+    );
+
+    if (
+      !isAuthTokenUsable(record) ||
+      record.identifier !== oauthClient.clientId ||
+      !(await this.db.consumeAuthToken(record.id))
+    ) {
+      throw new OAuthError('invalid_grant', 'Invalid or expired authorization code');
+    }
+
+    const { redirectUri, redirectUriProvided, scope, codeChallenge, nonce, authTime } =
+      record.metadata;
+
+    // Required if the authorization request included it (RFC 6749 section 4.1.3)
+    if (
+      (redirectUriProvided || params.redirect_uri !== undefined) &&
+      params.redirect_uri !== redirectUri
+    ) {
+      throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+
+    if (
+      codeChallenge &&
+      (typeof params.code_verifier !== 'string' ||
+        !PKCE_PATTERN.test(params.code_verifier) ||
+        computeCodeChallenge(params.code_verifier) !== codeChallenge)
+    ) {
+      throw new OAuthError('invalid_grant', 'Invalid code_verifier');
+    }
+
+    const scopes = scope.split(' ');
+    let result;
+
+    try {
+      result = await this.authService.issueClientTokens(
+        record.userId,
+        {
+          clientId: oauthClient.clientId,
+          scope,
+          offlineAccess: scopes.includes('offline_access'),
+        },
+        client
+      );
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw new OAuthError('invalid_grant', error.message);
+      }
+      throw error;
+    }
+
+    const response = this._buildTokenResponse(result, scope);
+
+    if (scopes.includes('openid')) {
+      const user = await this.db.findUserById(record.userId);
+
+      response.id_token = generateIdToken({
+        iss: issuer,
+        sub: user.id,
+        aud: oauthClient.clientId,
+        auth_time: authTime,
+        ...(nonce && { nonce }),
+        ...this._getUserClaims(user, scopes),
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Exchanges a refresh token issued to the client for new tokens
+   * @private
+   * @param {Object} oauthClient - Authenticated OAuth client
+   * @param {Object} params - Token request parameters
+   * @param {Object} client - Client { userAgent, ipAddress }
+   * @returns {Promise<Object>} Token response
+   * @throws {OAuthError} invalid_grant if the refresh token is invalid, reused or another client's
+   */
+  async _exchangeRefreshToken(oauthClient, params, client) {
+    if (typeof params.refresh_token !== 'string') {
+      throw new OAuthError('invalid_request', 'refresh_token is required');
+    }
+
+    try {
+      verifyRefreshToken(params.refresh_token);
+    } catch (error) {
+      throw new OAuthError('invalid_grant', error.message);
+    }
+
+    let result;
+
+    try {
+      result = await this.authService.refreshToken(
+        params.refresh_token,
+        client,
+        oauthClient.clientId
+      );
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw new OAuthError('invalid_grant', error.message);
+      }
+      throw error;
+    }
+
+    return this._buildTokenResponse(result, decodeToken(result.accessToken).scope);
+  }
+
+  /**
+   * Builds a token endpoint response
+   * @private
+   * @param {Object} result - Issued tokens { accessToken, refreshToken }
+   * @param {string} scope - Granted scopes
+   * @returns {Object} Token response
+   */
+  _buildTokenResponse(result, scope) {
+    return {
+      access_token: result.accessToken,
+      token_type: 'Bearer',
+      expires_in: durationToSeconds(this.config.jwt.expiresIn),
+      scope,
+      ...(result.refreshToken && { refresh_token: result.refreshToken }),
+    };
+  }
+
+  /**
+   * Gets the profile claims the scopes allow
+   * Claims without a value are left out
+   * @private
+   * @param {Object} user - User object
+   * @param {string[]} scopes - Granted scopes
+   * @returns {Object} Claims
+   */
+  _getUserClaims(user, scopes) {
+    const claims = {};
+
+    if (scopes.includes('profile')) {
+      if (user.name) {
+        claims.name = user.name;
+      }
+
+      if (user.avatar) {
+        claims.picture = user.avatar;
+      }
+
+      claims.updated_at = Math.floor(new Date(user.updatedAt || user.createdAt).getTime() / 1000);
+    }
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+      claims.email_verified = Boolean(user.isEmailVerified);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Gets when the user signed in to the session the authorization is made from
+   * @private
+   * @param {string|null} sessionId - Session (refresh token family) ID
+   * @returns {Promise<number>} Sign-in time (seconds since the epoch)
+   */
+  async _getAuthTime(sessionId) {
+    const [session] = sessionId ? await this.db.findSessionsByFamily(sessionId) : [];
+    const signedInAt = session ? new Date(session.createdAt).getTime() : Date.now();
+
+    return Math.floor(signedInAt / 1000);
+  }
+
+  /**
+   * Gets the URL that reports an authorization request error back to the client
+   * @private
+   * @param {Error} error - Validation error
+   * @param {Object} params - Authorization request parameters
+   * @param {string} issuer - Issuer identifier
+   * @returns {string} Redirect URL
+   * @throws {Error} The error itself if it can't be redirected
+   */
+  _getErrorRedirectUrl(error, params, issuer) {
+    if (!(error instanceof OAuthError) || !error.redirectUri) {
+      throw error;
+    }
+
+    return this._buildRedirectUrl(error.redirectUri, {
+      error: error.error,
+      error_description: error.message,
+      state: params.state,
+      iss: issuer,
+    });
+  }
+
+  /**
+   * Adds parameters to a client redirect URI
+   * @private
+   * @param {string} redirectUri - Registered redirect URI
+   * @param {Object} params - Parameters (undefined and null values are left out)
+   * @returns {string} Redirect URL
+   */
+  _buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(name, value);
+      }
+    });
+
+    return url.toString();
+  }
+}
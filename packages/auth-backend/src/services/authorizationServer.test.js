@@ -0,0 +1,269 @@
+/**
+ * OAuth 2.0 / OpenID Connect authorization server tests
+ * @module services/authorizationServer.test
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import { AuthorizationServer } from './authorizationServer.js';
+import { AuthService } from './authService.js';
+import { MemoryAdapter } from '../models/adapters/memory.js';
+import { OAuthError } from '../utils/errors.js';
+import { computeCodeChallenge } from '../utils/oauth.js';
+import { getJwks, verifyAccessToken, verifyClientAccessToken } from '../utils/jwt.js';
+
+const ISSUER = 'https://auth.example.com/auth';
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CODE_VERIFIER = 'a'.repeat(43);
+
+let db;
+let server;
+let user;
+
+before(async () => {
+  // ID tokens are only signed with asymmetric keys
+  config.jwt.algorithm = 'ES256';
+  config.jwt.privateKey = crypto
+    .generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    .privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+  db = new MemoryAdapter();
+  await db.connect();
+  server = new AuthorizationServer(db, new AuthService(db));
+  user = await db.createUser({
+    email: 'jane@example.com',
+    password: 'hash',
+    name: 'Jane Doe',
+    isEmailVerified: true,
+  });
+});
+
+/**
+ * Builds authorization request parameters for a client
+ */
+function authorizationParams(client, overrides = {}) {
+  return {
+    client_id: client.clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: 'openid profile email offline_access',
+    state: 'xyz',
+    nonce: 'n-0S6',
+    code_challenge: computeCodeChallenge(CODE_VERIFIER),
+    code_challenge_method: 'S256',
+    ...overrides,
+  };
+}
+
+/**
+ * Reads the query parameters of a redirect URL
+ */
+function redirectParams(redirectUrl) {
+  return Object.fromEntries(new URL(redirectUrl).searchParams);
+}
+
+test('authorization code flow should ask for consent once and issue tokens', async () => {
+  const { client, clientSecret } = await server.registerClient({
+    name: 'Example App',
+    redirectUris: [REDIRECT_URI],
+  });
+  const params = authorizationParams(client);
+  const credentials = { clientId: client.clientId, clientSecret };
+
+  const pending = await server.authorize(user, params, undefined, ISSUER);
+  assert.deepStrictEqual(pending, {
+    consentRequired: true,
+    client: { clientId: client.clientId, name: 'Example App' },
+    scopes: ['openid', 'profile', 'email', 'offline_access'],
+  });
+
+  const approved = await server.authorize(user, params, 'approve', ISSUER);
+  const { code, state, iss } = redirectParams(approved.redirectUrl);
+  assert.strictEqual(state, 'xyz');
+  assert.strictEqual(iss, ISSUER);
+
+  // A wrong verifier uses up the code like any other failed exchange
+  await assert.rejects(
+    server.exchangeToken(
+      { grant_type: 'authorization_code', code, code_verifier: 'b'.repeat(43) },
+      credentials,
+      ISSUER
+    ),
+    { error: 'invalid_grant' }
+  );
+
+  const again = await server.authorize(user, params, undefined, ISSUER);
+  assert.ok(again.redirectUrl, 'consent is remembered');
+
+  const tokens = await server.exchangeToken(
+    {
+      grant_type: 'authorization_code',
+      code: redirectParams(again.redirectUrl).code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: CODE_VERIFIER,
+    },
+    credentials,
+    ISSUER
+  );
+
+  assert.strictEqual(tokens.token_type, 'Bearer');
+  assert.strictEqual(tokens.scope, 'openid profile email offline_access');
+  assert.ok(tokens.refresh_token);
+
+  const accessToken = verifyClientAccessToken(tokens.access_token);
+  assert.strictEqual(accessToken.sub, user.id);
+  assert.strictEqual(accessToken.client_id, client.clientId);
+  assert.throws(() => verifyAccessToken(tokens.access_token));
+
+  const [jwk] = getJwks().keys;
+  const idToken = jwt.verify(tokens.id_token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: [jwk.alg],
+  });
+  assert.strictEqual(idToken.iss, ISSUER);
+  assert.strictEqual(idToken.aud, client.clientId);
+  assert.strictEqual(idToken.nonce, 'n-0S6');
+  assert.strictEqual(idToken.email, 'jane@example.com');
+  assert.strictEqual(idToken.email_verified, true);
+  assert.strictEqual(idToken.name, 'Jane Doe');
+  assert.throws(() => verifyAccessToken(tokens.id_token));
+
+  const refreshed = await server.exchangeToken(
+    { grant_type: 'refresh_token', refresh_token: tokens.refresh_token },
+    credentials,
+    ISSUER
+  );
+  assert.strictEqual(verifyClientAccessToken(refreshed.access_token).client_id, client.clientId);
+
+  assert.deepStrictEqual(await server.getUserInfo(user.id, ['openid', 'email']), {
+    sub: user.id,
+    email: 'jane@example.com',
+    email_verified: true,
+  });
+  await assert.rejects(server.getUserInfo(user.id, ['email']), { error: 'insufficient_scope' });
+});
+
+test('token endpoint should authenticate clients and reject replayed codes', async () => {
+  const { client, clientSecret } = await server.registerClient({
+    name: 'Trusted App',
+    redirectUris: [REDIRECT_URI],
+    trusted: true,
+  });
+  const params = authorizationParams(client, { scope: 'openid' });
+
+  // Trusted clients skip the consent screen
+  const { redirectUrl } = await server.authorize(user, params, undefined, ISSUER);
+  const request = {
+    grant_type: 'authorization_code',
+    code: redirectParams(redirectUrl).code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: CODE_VERIFIER,
+  };
+
+  await assert.rejects(
+    server.exchangeToken(request, { clientId: client.clientId, clientSecret: 'wrong' }, ISSUER),
+    (error) => error instanceof OAuthError && error.error === 'invalid_client' && error.statusCode === 401
+  );
+
+  const tokens = await server.exchangeToken(
+    request,
+    { clientId: client.clientId, clientSecret },
+    ISSUER
+  );
+  assert.strictEqual(tokens.refresh_token, undefined, 'no offline_access, no refresh token');
+
+  await assert.rejects(
+    server.exchangeToken(request, { clientId: client.clientId, clientSecret }, ISSUER),
+    { error: 'invalid_grant' }
+  );
+  await assert.rejects(
+    server.exchangeToken({ grant_type: 'password' }, { clientId: client.clientId, clientSecret }, ISSUER),
+    { error: 'unsupported_grant_type' }
+  );
+});
+
+test('token requests should repeat the redirect_uri of the authorization request', async () => {
+  const { client, clientSecret } = await server.registerClient({
+    name: 'Trusted App',
+    redirectUris: [REDIRECT_URI],
+    trusted: true,
+  });
+  const credentials = { clientId: client.clientId, clientSecret };
+  const exchange = async (params, tokenParams) => {
+    const { redirectUrl } = await server.authorize(user, params, undefined, ISSUER);
+    const request = {
+      grant_type: 'authorization_code',
+      code: redirectParams(redirectUrl).code,
+      code_verifier: CODE_VERIFIER,
+      ...tokenParams,
+    };
+
+    return server.exchangeToken(request, credentials, ISSUER);
+  };
+
+  await assert.rejects(exchange(authorizationParams(client, { scope: 'openid' }), {}), {
+    error: 'invalid_grant',
+    message: 'redirect_uri does not match the authorization request',
+  });
+  await assert.rejects(
+    exchange(authorizationParams(client, { scope: 'openid' }), {
+      redirect_uri: 'https://app.example.com/other',
+    }),
+    { error: 'invalid_grant' }
+  );
+
+  // Clients with a single registered URI may leave it out of both requests
+  const tokens = await exchange(
+    authorizationParams(client, { scope: 'openid', redirect_uri: undefined }),
+    {}
+  );
+  assert.ok(tokens.access_token);
+});
+
+test('authorization requests should only redirect to registered URIs', async () => {
+  const { client } = await server.registerClient({
+    name: 'Public App',
+    redirectUris: [REDIRECT_URI],
+    scopes: ['openid'],
+    confidential: false,
+  });
+
+  // Errors about the client or redirect URI are never sent to the redirect URI
+  await assert.rejects(
+    server.startAuthorization(
+      authorizationParams(client, { redirect_uri: 'https://evil.example.com/callback' }),
+      ISSUER
+    ),
+    { error: 'invalid_request' }
+  );
+
+  const scopeError = await server.authorize(
+    user,
+    authorizationParams(client, { scope: 'openid email' }),
+    'approve',
+    ISSUER
+  );
+  assert.strictEqual(redirectParams(scopeError.redirectUrl).error, 'invalid_scope');
+
+  // Public clients must use PKCE
+  const pkceError = await server.authorize(
+    user,
+    authorizationParams(client, { scope: 'openid', code_challenge: undefined }),
+    'approve',
+    ISSUER
+  );
+  assert.strictEqual(redirectParams(pkceError.redirectUrl).error, 'invalid_request');
+
+  const denied = await server.authorize(
+    user,
+    authorizationParams(client, { scope: 'openid' }),
+    'deny',
+    ISSUER
+  );
+  assert.deepStrictEqual(
+    { error: redirectParams(denied.redirectUrl).error, state: redirectParams(denied.redirectUrl).state },
+    { error: 'access_denied', state: 'xyz' }
+  );
+});
@@ -0,0 +1,189 @@
+/**
+ * Machine client service
+ * Registers services and background jobs as machine clients and issues them access tokens
+ * with the OAuth 2.0 client credentials grant (RFC 6749 section 4.4)
+ * @module services/machineClientService
+ */
+
+import { generateMachineAccessToken } from '../utils/jwt.js';
+import { durationToSeconds } from '../utils/signingKeys.js';
+import { generateSecureToken, hashToken, compareTokenHashes } from '../utils/tokens.js';
+import { getTokenRevocation } from '../utils/tokenRevocation.js';
+import { ConflictError, NotFoundError, OAuthError } from '../utils/errors.js';
+import { sanitizeMachineClient } from '../models/machineClient.js';
+import config from '../config/index.js';
+
+/**
+ * Machine Client Service Class
+ */
+export class MachineClientService {
+  /**
+   * @param {Object} database - Database adapter instance
+   * @param {Object} [customConfig] - Configuration overrides
+   */
+  constructor(database, customConfig = {}) {
+    this.db = database;
+    this.config = { ...config, ...customConfig };
+    this.tokenRevocation = getTokenRevocation(database, this.config.security);
+  }
+
+  /**
+   * Registers a machine client
+   * @param {Object} clientData - Client data
+   * @param {string} clientData.name - Display name
+   * @param {string[]} clientData.scopes - Scopes the client may request
+   * @returns {Promise<Object>} { client, clientSecret } (the secret is only returned here)
+   */
+  async registerClient(clientData) {
+    const clientSecret = generateSecureToken();
+
+    const client = await this.db.createMachineClient({
+      clientId: generateSecureToken(16),
+      name: clientData.name,
+      secretHash: hashToken(clientSecret),
+      scopes: clientData.scopes,
+    });
+
+    return { client: sanitizeMachineClient(client), clientSecret };
+  }
+
+  /**
+   * Lists machine clients, including revoked ones
+   * @returns {Promise<Array>} Clients without secrets
+   */
+  async listClients() {
+    const clients = await this.db.listMachineClients();
+    return clients.map(sanitizeMachineClient);
+  }
+
+  /**
+   * Replaces a client's secret
+   * The old secret keeps working for the grace period so deployments can switch over;
+   * pass 0 to stop it at once (e.g. after a leak). Issued tokens stay valid
+   * @param {string} clientId - Client ID
+   * @param {number} [gracePeriod] - How long the old secret keeps working (ms, default
+   *   machineClients.secretRotationGracePeriod)
+   * @returns {Promise<Object>} { client, clientSecret }
+   * @throws {NotFoundError} If the client doesn't exist
+   * @throws {ConflictError} If the client has been revoked
+   */
+  async rotateSecret(clientId, gracePeriod = this.config.machineClients.secretRotationGracePeriod) {
+    const client = await this._getClient(clientId);
+    const clientSecret = generateSecureToken();
+
+    const updated = await this.db.updateMachineClient(clientId, {
+      secretHash: hashToken(clientSecret),
+      previousSecretHash: gracePeriod > 0 ? client.secretHash : null,
+      previousSecretExpiresAt: gracePeriod > 0 ? new Date(Date.now() + gracePeriod) : null,
+    });
+
+    return { client: sanitizeMachineClient(updated), clientSecret };
+  }
+
+  /**
+   * Revokes a client: it can no longer get tokens, and tokens already issued to it are
+   * rejected by createAuthenticate()
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} Revoked client
+   * @throws {NotFoundError} If the client doesn't exist
+   * @throws {ConflictError} If the client has already been revoked
+   */
+  async revokeClient(clientId) {
+    await this._getClient(clientId);
+
+    const client = await this.db.updateMachineClient(clientId, {
+      revokedAt: new Date(),
+      previousSecretHash: null,
+      previousSecretExpiresAt: null,
+    });
+
+    this.tokenRevocation.revokeClientTokens(clientId);
+
+    return sanitizeMachineClient(client);
+  }
+
+  /**
+   * Handles a client credentials token request
+   * @param {Object} params - Token request parameters (grant_type, scope)
+   * @param {Object} credentials - Client credentials { clientId, clientSecret } from the
+   *   Authorization header or request body
+   * @returns {Promise<Object>} Token response (access_token, token_type, expires_in, scope)
+   * @throws {OAuthError} If the client can't be authenticated or the request is invalid
+   */
+  async issueToken(params, credentials) {
+    if (params.grant_type !== 'client_credentials') {
+      throw new OAuthError('unsupported_grant_type', 'Unsupported grant_type');
+    }
+
+    const client = await this._authenticateClient(credentials);
+
+    // Without a scope parameter the client gets every scope it is allowed
+    const scopes =
+      typeof params.scope === 'string' && params.scope.trim()
+        ? [...new Set(params.scope.trim().split(/\s+/))]
+        : client.scopes;
+
+    if (scopes.some((scope) => !client.scopes.includes(scope))) {
+      throw new OAuthError('invalid_scope', 'The client may not request these scopes');
+    }
+
+    const scope = scopes.join(' ');
+
+    return {
+      access_token: generateMachineAccessToken({ clientId: client.clientId, scope }),
+      token_type: 'Bearer',
+      expires_in: durationToSeconds(this.config.jwt.expiresIn),
+      scope,
+    };
+  }
+
+  /**
+   * Gets a client that hasn't been revoked
+   * @private
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} Machine client
+   * @throws {NotFoundError} If the client doesn't exist
+   * @throws {ConflictError} If the client has been revoked
+   */
+  async _getClient(clientId) {
+    const client = await this.db.findMachineClient(clientId);
+
+    if (!client) {
+      throw new NotFoundError('Machine client not found');
+    }
+
+    if (client.revokedAt) {
+      throw new ConflictError('Machine client has been revoked');
+    }
+
+    return client;
+  }
+
+  /**
+   * Authenticates the client at the token endpoint
+   * The previous secret is accepted until its grace period after a rotation ends
+   * @private
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @returns {Promise<Object>} Machine client
+   * @throws {OAuthError} invalid_client if the client is unknown or revoked, or the secret is wrong
+   */
+  async _authenticateClient({ clientId, clientSecret }) {
+    const client = clientId ? await this.db.findMachineClient(clientId) : null;
+
+    if (!client || client.revokedAt || typeof clientSecret !== 'string') {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    const secretHash = hashToken(clientSecret);
+    const previousSecretValid =
+      client.previousSecretHash &&
+      new Date(client.previousSecretExpiresAt) > new Date() &&
+      compareTokenHashes(secretHash, client.previousSecretHash);
+
+    if (!compareTokenHashes(secretHash, client.secretHash) && !previousSecretValid) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    return client;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Machine client service tests
+ * @module services/machineClientService.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MachineClientService } from './machineClientService.js';
+import { MemoryAdapter } from '../models/adapters/memory.js';
+import { ConflictError } from '../utils/errors.js';
+import { verifyAccessToken, verifyMachineAccessToken } from '../utils/jwt.js';
+import { TokenRevocation } from '../utils/tokenRevocation.js';
+
+/**
+ * Creates a service backed by a fresh in-memory database
+ */
+async function createService() {
+  const db = new MemoryAdapter();
+  await db.connect();
+  return { db, service: new MachineClientService(db) };
+}
+
+test('issueToken should issue scoped tokens with the client credentials grant', async () => {
+  const { service } = await createService();
+  const { client, clientSecret } = await service.registerClient({
+    name: 'Reports job',
+    scopes: ['reports:read', 'reports:write'],
+  });
+  const credentials = { clientId: client.clientId, clientSecret };
+
+  assert.strictEqual(client.secretHash, undefined);
+
+  const all = await service.issueToken({ grant_type: 'client_credentials' }, credentials);
+  assert.strictEqual(all.token_type, 'Bearer');
+  assert.strictEqual(all.scope, 'reports:read reports:write');
+
+  const narrowed = await service.issueToken(
+    { grant_type: 'client_credentials', scope: 'reports:read' },
+    credentials
+  );
+  const decoded = verifyMachineAccessToken(narrowed.access_token);
+  assert.strictEqual(decoded.sub, client.clientId);
+  assert.strictEqual(decoded.scope, 'reports:read');
+
+  // Machine tokens have no user, so they never pass as first-party tokens
+  assert.throws(() => verifyAccessToken(narrowed.access_token), /Invalid token type/);
+
+  await assert.rejects(
+    service.issueToken({ grant_type: 'client_credentials', scope: 'admin' }, credentials),
+    { error: 'invalid_scope' }
+  );
+  await assert.rejects(
+    service.issueToken(
+      { grant_type: 'client_credentials' },
+      { clientId: client.clientId, clientSecret: 'wrong' }
+    ),
+    { error: 'invalid_client', statusCode: 401 }
+  );
+  await assert.rejects(service.issueToken({ grant_type: 'password' }, credentials), {
+    error: 'unsupported_grant_type',
+  });
+});
+
+test('rotateSecret should keep the old secret working for the grace period only', async () => {
+  const { service } = await createService();
+  const { client, clientSecret: first } = await service.registerClient({
+    name: 'Sync job',
+    scopes: ['sync'],
+  });
+  const request = (clientSecret) =>
+    service.issueToken(
+      { grant_type: 'client_credentials' },
+      { clientId: client.clientId, clientSecret }
+    );
+
+  const { clientSecret: second } = await service.rotateSecret(client.clientId, 60000);
+  assert.ok(await request(first));
+  assert.ok(await request(second));
+
+  const { clientSecret: third } = await service.rotateSecret(client.clientId, 0);
+  await assert.rejects(request(second), { error: 'invalid_client' });
+  await assert.rejects(request(first), { error: 'invalid_client' });
+  assert.ok(await request(third));
+});
+
+test('revokeClient should stop the client getting and using tokens', async () => {
+  const { db, service } = await createService();
+  const { client, clientSecret } = await service.registerClient({
+    name: 'Old job',
+    scopes: ['sync'],
+  });
+  const { access_token: accessToken } = await service.issueToken(
+    { grant_type: 'client_credentials' },
+    { clientId: client.clientId, clientSecret }
+  );
+  const { jti } = verifyMachineAccessToken(accessToken);
+  const payload = { clientId: client.clientId, jti };
+
+  // Other instances see the revocation once their cached client state expires
+  const otherInstance = new TokenRevocation(db, { cacheTtl: 0 });
+  assert.strictEqual(await service.tokenRevocation.isRevoked(payload), false);
+
+  const revoked = await service.revokeClient(client.clientId);
+  assert.ok(revoked.revokedAt);
+
+  assert.strictEqual(await service.tokenRevocation.isRevoked(payload), true);
+  assert.strictEqual(await otherInstance.isRevoked(payload), true);
+  await assert.rejects(
+    service.issueToken(
+      { grant_type: 'client_credentials' },
+      { clientId: client.clientId, clientSecret }
+    ),
+    { error: 'invalid_client' }
+  );
+  await assert.rejects(service.rotateSecret(client.clientId), ConflictError);
+  assert.strictEqual((await service.listClients()).length, 1);
+});
@@ -0,0 +1,403 @@
+/**
+ * OpenID Connect relying-party provider registry
+ * Loads discovery documents, caches JWKS and validates ID tokens for any number of providers
+ * @module services/oidcRegistry
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { requestJson } from '../utils/oauth.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Signing algorithms accepted for ID tokens unless a provider overrides them
+ * Symmetric algorithms are excluded because they would require the client secret as key
+ */
+const DEFAULT_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Default mapping from ID token / userinfo claims to a user profile
+ * @param {Object} claims - Validated claims
+ * @returns {Object} Profile with id, email, emailVerified, name and avatar
+ */
+export function defaultClaimsMapper(claims) {
+  return {
+    id: String(claims.sub),
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    avatar: claims.picture || null,
+  };
+}
+
+/**
+ * A single OpenID Connect provider
+ */
+export class OidcProvider {
+  /**
+   * @param {Object} providerConfig - Provider configuration
+   * @param {string} providerConfig.id - Provider identifier used in routes
+   * @param {string} providerConfig.issuer - Issuer URL
+   * @param {string} providerConfig.clientId - Client ID
+   * @param {string} [providerConfig.clientSecret] - Client secret
+   * @param {string} providerConfig.callbackUrl - Redirect URI registered at the provider
+   * @param {string} [providerConfig.scope] - Requested scopes (default: 'openid email profile')
+   * @param {string} [providerConfig.discoveryUrl] - Discovery document URL override
+   * @param {string} [providerConfig.tokenEndpointAuthMethod] - 'client_secret_basic' or 'client_secret_post'
+   * @param {string[]} [providerConfig.algorithms] - Accepted ID token algorithms
+   * @param {boolean} [providerConfig.fetchUserInfo] - Merge userinfo claims into the ID token claims
+   * @param {Function} [providerConfig.mapClaims] - Maps claims to a user profile
+   * @param {Object} options - Registry options
+   * @param {number} [options.discoveryCacheTtl] - Discovery document cache lifetime in ms
+   * @param {number} [options.jwksCacheTtl] - JWKS cache lifetime in ms
+   * @param {number} [options.jwksRefreshInterval] - Minimum time between JWKS refetches for unknown key IDs in ms
+   * @param {number} [options.clockTolerance] - Allowed clock skew in seconds
+   */
+  constructor(providerConfig, options = {}) {
+    ['id', 'issuer', 'clientId', 'callbackUrl'].forEach((field) => {
+      if (!providerConfig[field]) {
+        throw new Error(`OIDC provider configuration requires '${field}'`);
+      }
+    });
+
+    this.id = providerConfig.id;
+    this.issuer = providerConfig.issuer.replace(/\/$/, '');
+    this.clientId = providerConfig.clientId;
+    this.clientSecret = providerConfig.clientSecret || '';
+    this.callbackUrl = providerConfig.callbackUrl;
+    this.scope = providerConfig.scope || 'openid email profile';
+    this.discoveryUrl =
+      providerConfig.discoveryUrl || `${this.issuer}/.well-known/openid-configuration`;
+    this.tokenEndpointAuthMethod =
+      providerConfig.tokenEndpointAuthMethod || 'client_secret_basic';
+    this.algorithms = providerConfig.algorithms || DEFAULT_ALGORITHMS;
+    this.fetchUserInfo = providerConfig.fetchUserInfo || false;
+    this.mapClaims = providerConfig.mapClaims || defaultClaimsMapper;
+
+    this.discoveryCacheTtl = options.discoveryCacheTtl ?? 3600000;
+    this.jwksCacheTtl = options.jwksCacheTtl ?? 3600000;
+    this.jwksRefreshInterval = options.jwksRefreshInterval ?? 30000;
+    this.clockTolerance = options.clockTolerance ?? 60;
+
+    this._discovery = null;
+    this._discoveryFetchedAt = 0;
+    this._keys = new Map();
+    this._jwksFetchedAt = 0;
+  }
+
+  /**
+   * Loads the provider discovery document (cached)
+   * @returns {Promise<Object>} Discovery document
+   * @throws {Error} If the document is invalid or its issuer does not match
+   */
+  async getDiscovery() {
+    if (this._discovery && Date.now() - this._discoveryFetchedAt < this.discoveryCacheTtl) {
+      return this._discovery;
+    }
+
+    const discovery = await requestJson(this.discoveryUrl);
+
+    if (discovery.issuer?.replace(/\/$/, '') !== this.issuer) {
+      throw new Error(`Discovery document issuer does not match '${this.issuer}'`);
+    }
+
+    ['authorization_endpoint', 'token_endpoint', 'jwks_uri'].forEach((field) => {
+      if (!discovery[field]) {
+        throw new Error(`Discovery document is missing '${field}'`);
+      }
+    });
+
+    this._discovery = discovery;
+    this._discoveryFetchedAt = Date.now();
+
+    return discovery;
+  }
+
+  /**
+   * Gets the public key for a key ID from the provider JWKS
+   * The JWKS is cached and refetched when it expires or an unknown key ID appears
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>} Public key
+   * @throws {Error} If no matching key exists
+   */
+  async getSigningKey(kid) {
+    const age = Date.now() - this._jwksFetchedAt;
+
+    // Unknown key IDs usually mean the provider rotated keys, but refetches are
+    // throttled so forged kids can't be used to hammer the provider
+    if (age >= this.jwksCacheTtl || (!this._findKey(kid) && age >= this.jwksRefreshInterval)) {
+      await this._loadJwks();
+    }
+
+    const key = this._findKey(kid);
+
+    if (!key) {
+      throw new Error(`No signing key found for kid '${kid}'`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Builds the authorization URL for this provider
+   * @param {Object} params - Authorization parameters
+   * @param {string} params.state - Opaque state value
+   * @param {string} params.nonce - Nonce bound to the ID token
+   * @param {string} params.codeChallenge - PKCE code challenge
+   * @returns {Promise<string>} Authorization URL
+   */
+  async buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+    const discovery = await this.getDiscovery();
+    const url = new URL(discovery.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.callbackUrl);
+    url.searchParams.set('scope', this.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return url.toString();
+  }
+
+  /**
+   * Exchanges an authorization code for tokens
+   * @param {string} code - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {Promise<Object>} Token response including id_token
+   * @throws {Error} If the exchange fails
+   */
+  async exchangeCode(code, codeVerifier) {
+    const discovery = await this.getDiscovery();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.callbackUrl,
+      code_verifier: codeVerifier,
+    });
+
+    if (this.tokenEndpointAuthMethod === 'client_secret_post') {
+      body.set('client_id', this.clientId);
+      body.set('client_secret', this.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await requestJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers,
+      body,
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an id_token');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Validates an ID token signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - ID token
+   * @param {Object} expected - Expected values
+   * @param {string} expected.nonce - Nonce sent in the authorization request
+   * @returns {Promise<Object>} Validated claims
+   * @throws {Error} If the token is invalid
+   */
+  async validateIdToken(idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded?.header) {
+      throw new Error('Malformed ID token');
+    }
+
+    if (!this.algorithms.includes(decoded.header.alg)) {
+      throw new Error(`ID token algorithm '${decoded.header.alg}' is not allowed`);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: this.algorithms,
+      issuer: this.issuer,
+      audience: this.clientId,
+      clockTolerance: this.clockTolerance,
+    });
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+      throw new Error('ID token authorized party does not match client');
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID token is missing the subject claim');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Fetches userinfo claims and checks they belong to the ID token subject
+   * @param {string} accessToken - Access token from the token response
+   * @param {string} subject - Subject from the validated ID token
+   * @returns {Promise<Object>} Userinfo claims
+   */
+  async getUserInfo(accessToken, subject) {
+    const discovery = await this.getDiscovery();
+
+    if (!discovery.userinfo_endpoint) {
+      return {};
+    }
+
+    const userInfo = await requestJson(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    if (userInfo.sub !== subject) {
+      throw new Error('Userinfo subject does not match ID token');
+    }
+
+    return userInfo;
+  }
+
+  /**
+   * Runs the full callback exchange and returns the mapped profile
+   * @param {string} code - Authorization code
+   * @param {Object} session - Values stored when the flow started
+   * @param {string} session.codeVerifier - PKCE code verifier
+   * @param {string} session.nonce - Nonce
+   * @returns {Promise<Object>} Profile with id, email, emailVerified, name and avatar
+   */
+  async authenticate(code, { codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode(code, codeVerifier);
+    let claims = await this.validateIdToken(tokens.id_token, { nonce });
+
+    if (this.fetchUserInfo && tokens.access_token) {
+      claims = { ...(await this.getUserInfo(tokens.access_token, claims.sub)), ...claims };
+    }
+
+    const profile = await this.mapClaims(claims);
+
+    if (!profile?.id) {
+      throw new Error('Claims mapper did not return a profile id');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Fetches the JWKS and converts usable signing keys to KeyObjects
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadJwks() {
+    const discovery = await this.getDiscovery();
+    const jwks = await requestJson(discovery.jwks_uri);
+
+    if (!Array.isArray(jwks.keys)) {
+      throw new Error('JWKS response does not contain keys');
+    }
+
+    const keys = new Map();
+
+    jwks.keys
+      .filter((jwk) => !jwk.use || jwk.use === 'sig')
+      .forEach((jwk, index) => {
+        try {
+          keys.set(jwk.kid || `__index_${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+          console.warn(`Skipping unusable JWK from ${this.id}:`, error.message);
+        }
+      });
+
+    this._keys = keys;
+    this._jwksFetchedAt = Date.now();
+  }
+
+  /**
+   * Looks up a cached key by ID
+   * Tokens without a kid are only accepted when the JWKS holds a single key
+   * @private
+   * @param {string} [kid] - Key ID
+   * @returns {crypto.KeyObject|null} Key or null
+   */
+  _findKey(kid) {
+    if (kid) {
+      return this._keys.get(kid) || null;
+    }
+
+    return this._keys.size === 1 ? this._keys.values().next().value : null;
+  }
+}
+
+/**
+ * Registry of configured OpenID Connect providers
+ */
+export class OidcProviderRegistry {
+  /**
+   * @param {Object[]} providers - Provider configurations
+   * @param {Object} options - Options passed to every provider (cache lifetimes, clock tolerance)
+   */
+  constructor(providers = [], options = {}) {
+    this.options = options;
+    this.providers = new Map();
+
+    providers.forEach((providerConfig) => this.register(providerConfig));
+  }
+
+  /**
+   * Registers a provider
+   * @param {Object} providerConfig - Provider configuration
+   * @returns {OidcProvider} Registered provider
+   * @throws {Error} If a provider with the same ID exists
+   */
+  register(providerConfig) {
+    if (this.providers.has(providerConfig.id)) {
+      throw new Error(`OIDC provider '${providerConfig.id}' is already registered`);
+    }
+
+    const provider = new OidcProvider(providerConfig, this.options);
+    this.providers.set(provider.id, provider);
+
+    return provider;
+  }
+
+  /**
+   * Gets a provider by ID
+   * @param {string} id - Provider ID
+   * @returns {OidcProvider} Provider
+   * @throws {NotFoundError} If the provider is not registered
+   */
+  get(id) {
+    const provider = this.providers.get(id);
+
+    if (!provider) {
+      throw new NotFoundError(`OIDC provider '${id}' is not configured`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Lists registered provider IDs
+   * @returns {string[]} Provider IDs
+   */
+  list() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Number of registered providers
+   * @returns {number}
+   */
+  get size() {
+    return this.providers.size;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * OIDC provider registry tests
+ * Runs against a local mock identity provider
+ * @module services/oidcRegistry.test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { OidcProvider, OidcProviderRegistry } from './oidcRegistry.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const CLIENT_ID = 'test-client';
+
+let server;
+let issuer;
+let signingKeys;
+let nextIdToken;
+let jwksRequests;
+
+/**
+ * Creates an RSA signing key with a key ID
+ */
+function createSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+/**
+ * Signs an ID token with the given key and claim overrides
+ */
+function signIdToken(key, claims = {}) {
+  return jwt.sign(
+    {
+      sub: 'user-123',
+      email: 'Jane@Example.com',
+      email_verified: true,
+      name: 'Jane Doe',
+      nonce: 'expected-nonce',
+      ...claims,
+    },
+    key.privateKey,
+    { algorithm: 'RS256', keyid: key.kid, issuer, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+}
+
+function createProvider(overrides = {}, options = {}) {
+  return new OidcProvider(
+    {
+      id: 'mock',
+      issuer,
+      clientId: CLIENT_ID,
+      clientSecret: 'test-secret',
+      callbackUrl: 'http://localhost/callback',
+      ...overrides,
+    },
+    options
+  );
+}
+
+before(async () => {
+  signingKeys = [createSigningKey('key-1')];
+
+  server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return res.end(
+        JSON.stringify({
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+        })
+      );
+    }
+
+    if (req.url === '/jwks') {
+      jwksRequests++;
+      return res.end(JSON.stringify({ keys: signingKeys.map((k) => k.jwk) }));
+    }
+
+    if (req.url === '/token' && req.method === 'POST') {
+      const expected = `Basic ${Buffer.from(`${CLIENT_ID}:test-secret`).toString('base64')}`;
+
+      if (req.headers.authorization !== expected) {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ error: 'invalid_client' }));
+      }
+
+      return res.end(JSON.stringify({ access_token: 'at', id_token: nextIdToken }));
+    }
+
+    res.statusCode = 404;
+    res.end('{}');
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Test: Full callback exchange
+ */
+test('OidcProvider.authenticate should exchange the code and map claims', async () => {
+  jwksRequests = 0;
+  const provider = createProvider();
+  nextIdToken = signIdToken(signingKeys[0]);
+
+  const profile = await provider.authenticate('code', {
+    codeVerifier: 'verifier',
+    nonce: 'expected-nonce',
+  });
+
+  assert.deepStrictEqual(profile, {
+    id: 'user-123',
+    email: 'jane@example.com',
+    emailVerified: true,
+    name: 'Jane Doe',
+    avatar: null,
+  });
+});
+
+test('OidcProvider.authenticate should use a custom claims mapper', async () => {
+  const provider = createProvider({
+    mapClaims: (claims) => ({ id: `custom-${claims.sub}`, email: claims.email }),
+  });
+  nextIdToken = signIdToken(signingKeys[0]);
+
+  const profile = await provider.authenticate('code', {
+    codeVerifier: 'verifier',
+    nonce: 'expected-nonce',
+  });
+
+  assert.strictEqual(profile.id, 'custom-user-123');
+});
+
+test('OidcProvider.buildAuthorizationUrl should include state, nonce and PKCE', async () => {
+  const provider = createProvider();
+  const url = new URL(
+    await provider.buildAuthorizationUrl({ state: 's', nonce: 'n', codeChallenge: 'c' })
+  );
+
+  assert.strictEqual(url.origin + url.pathname, `${issuer}/authorize`);
+  assert.strictEqual(url.searchParams.get('state'), 's');
+  assert.strictEqual(url.searchParams.get('nonce'), 'n');
+  assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+});
+
+/**
+ * Test: ID token validation
+ */
+test('validateIdToken should reject a nonce mismatch', async () => {
+  const provider = createProvider();
+
+  await assert.rejects(
+    provider.validateIdToken(signIdToken(signingKeys[0]), { nonce: 'other-nonce' }),
+    /nonce mismatch/
+  );
+});
+
+test('validateIdToken should reject a token for another audience', async () => {
+  const provider = createProvider({ clientId: 'another-client' });
+
+  await assert.rejects(
+    provider.validateIdToken(signIdToken(signingKeys[0]), { nonce: 'expected-nonce' }),
+    /audience invalid/
+  );
+});
+
+test('validateIdToken should reject a token signed with an unknown key', async () => {
+  const provider = createProvider();
+  const forged = signIdToken({ ...createSigningKey('key-1') });
+
+  await assert.rejects(
+    provider.validateIdToken(forged, { nonce: 'expected-nonce' }),
+    /invalid signature/
+  );
+});
+
+test('validateIdToken should reject symmetric algorithms', async () => {
+  const provider = createProvider();
+  const token = jwt.sign({ sub: 'user-123', nonce: 'expected-nonce' }, 'test-secret', {
+    algorithm: 'HS256',
+    issuer,
+    audience: CLIENT_ID,
+  });
+
+  await assert.rejects(
+    provider.validateIdToken(token, { nonce: 'expected-nonce' }),
+    /algorithm 'HS256' is not allowed/
+  );
+});
+
+/**
+ * Test: JWKS caching
+ */
+test('getSigningKey should cache the JWKS between validations', async () => {
+  jwksRequests = 0;
+  const provider = createProvider();
+
+  await provider.validateIdToken(signIdToken(signingKeys[0]), { nonce: 'expected-nonce' });
+  await provider.validateIdToken(signIdToken(signingKeys[0]), { nonce: 'expected-nonce' });
+
+  assert.strictEqual(jwksRequests, 1, 'JWKS should be fetched once');
+});
+
+test('getSigningKey should refetch the JWKS when the provider rotates keys', async () => {
+  jwksRequests = 0;
+  const provider = createProvider({}, { jwksRefreshInterval: 0 });
+  await provider.validateIdToken(signIdToken(signingKeys[0]), { nonce: 'expected-nonce' });
+
+  const rotated = createSigningKey('key-2');
+  signingKeys.push(rotated);
+
+  try {
+    const claims = await provider.validateIdToken(signIdToken(rotated), { nonce: 'expected-nonce' });
+
+    assert.strictEqual(claims.sub, 'user-123');
+    assert.strictEqual(jwksRequests, 2, 'JWKS should be refetched for the new kid');
+  } finally {
+    signingKeys.pop();
+  }
+});
+
+/**
+ * Test: Discovery and registry
+ */
+test('getDiscovery should reject a document for another issuer', async () => {
+  const provider = createProvider({
+    issuer: 'https://idp.example.com',
+    discoveryUrl: `${issuer}/.well-known/openid-configuration`,
+  });
+
+  await assert.rejects(provider.getDiscovery(), /issuer does not match/);
+});
+
+test('OidcProviderRegistry should register and look up providers', () => {
+  const registry = new OidcProviderRegistry([
+    { id: 'okta', issuer, clientId: 'a', callbackUrl: 'http://localhost/a' },
+    { id: 'keycloak', issuer, clientId: 'b', callbackUrl: 'http://localhost/b' },
+  ]);
+
+  assert.deepStrictEqual(registry.list(), ['okta', 'keycloak']);
+  assert.strictEqual(registry.get('okta').clientId, 'a');
+  assert.throws(() => registry.get('unknown'), NotFoundError);
+  assert.throws(
+    () => registry.register({ id: 'okta', issuer, clientId: 'c', callbackUrl: 'http://localhost/c' }),
+    /already registered/
+  );
+});
@@ -0,0 +1,44 @@
+/**
+ * Personal API key verification
+ * Only needs the database adapter, so the authenticateApiKey middleware doesn't have to build
+ * an AuthService
+ * @module utils/apiKeys
+ */
+
+import { hashToken, compareTokenHashes, getApiKeyPrefix } from './tokens.js';
+import { AuthenticationError } from './errors.js';
+
+// API key last-used times are only written this often, not on every request
+const API_KEY_LAST_USED_INTERVAL = 60000; // 1 minute
+
+/**
+ * Looks up the key and its user, and records when the key was last used
+ * @param {Object} db - Database adapter instance
+ * @param {string} key - API key
+ * @returns {Promise<Object>} { user, apiKey } (full records)
+ * @throws {AuthenticationError} If the key is unknown or expired, or its user is deactivated
+ */
+export async function verifyApiKey(db, key) {
+  const prefix = typeof key === 'string' ? getApiKeyPrefix(key) : null;
+  const apiKey = prefix ? await db.findApiKeyByPrefix(prefix) : null;
+
+  if (!apiKey || !compareTokenHashes(hashToken(key), apiKey.keyHash)) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    throw new AuthenticationError('API key has expired');
+  }
+
+  const user = await db.findUserById(apiKey.userId);
+
+  if (!user || !user.isActive) {
+    throw new AuthenticationError('User not found or inactive');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt) >= API_KEY_LAST_USED_INTERVAL) {
+    await db.updateApiKeyLastUsed(apiKey.id);
+  }
+
+  return { user, apiKey };
+}
@@ -0,0 +1,210 @@
+/**
+ * Breached password screening against the Have I Been Pwned "Pwned Passwords" corpus
+ * A checker is any object with an async check(password) method returning how often the
+ * password appears in breaches (0 if never), so other sources can be plugged in via
+ * config.breachedPasswords.checker
+ * @module utils/breachedPasswords
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import config from '../config/index.js';
+
+/**
+ * Hashes a password the way the Pwned Passwords corpus is keyed
+ * @param {string} password - Plain text password
+ * @returns {string} Uppercase hex SHA-1 digest
+ */
+export function sha1Hex(password) {
+  return crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+}
+
+/**
+ * Parses a Pwned Passwords line ("SUFFIX:COUNT" or "HASH:COUNT")
+ * @param {string} line - Line from a range response or corpus file
+ * @returns {Array|null} [hash or suffix, count], or null for blank or malformed lines
+ */
+function parseRangeLine(line) {
+  const separator = line.indexOf(':');
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const count = parseInt(line.slice(separator + 1), 10);
+  return [line.slice(0, separator).trim().toUpperCase(), Number.isNaN(count) ? 0 : count];
+}
+
+/**
+ * Local breached password checker
+ * Reads a corpus file with one "SHA1:COUNT" line per hash, the single-file output of the
+ * official PwnedPasswordsDownloader (every range response with its prefix prepended).
+ * The file is indexed by 5-character prefix on first use, so nothing leaves the machine.
+ */
+export class LocalBreachedPasswordChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {string} options.file - Path to the corpus file
+   */
+  constructor({ file } = {}) {
+    if (!file) {
+      throw new Error('Local breached password checker requires a file');
+    }
+
+    this.file = file;
+    this.index = null;
+    this.loading = null;
+  }
+
+  /**
+   * Loads and indexes the corpus file (called automatically by check)
+   * @returns {Promise<void>}
+   * @throws {Error} If the file can't be read
+   */
+  async load() {
+    if (this.index) {
+      return;
+    }
+
+    // Concurrent checks during startup share a single read
+    if (!this.loading) {
+      this.loading = this._readIndex().then(
+        (index) => {
+          this.index = index;
+        },
+        (error) => {
+          this.loading = null;
+          throw new Error(`Failed to load breached password file: ${error.message}`);
+        }
+      );
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Returns how often a password appears in the corpus
+   * @param {string} password - Plain text password
+   * @returns {Promise<number>} Breach count, 0 if not found
+   */
+  async check(password) {
+    await this.load();
+
+    const hash = sha1Hex(password);
+    return this.index.get(hash.slice(0, 5))?.get(hash.slice(5)) ?? 0;
+  }
+
+  /**
+   * Streams the corpus into a prefix -> (suffix -> count) index
+   * @private
+   * @returns {Promise<Map<string, Map<string, number>>>} Index
+   */
+  async _readIndex() {
+    const index = new Map();
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      const entry = parseRangeLine(line);
+
+      if (!entry || entry[0].length !== 40) {
+        continue;
+      }
+
+      const [hash, count] = entry;
+      const prefix = hash.slice(0, 5);
+
+      if (!index.has(prefix)) {
+        index.set(prefix, new Map());
+      }
+      index.get(prefix).set(hash.slice(5), count);
+    }
+
+    return index;
+  }
+}
+
+/**
+ * Remote breached password checker using the k-anonymity range API
+ * Only the first 5 characters of the SHA-1 hash are sent; responses are padded
+ * so their size doesn't reveal the prefix either
+ */
+export class RemoteBreachedPasswordChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {string} [options.url] - Range API base URL (the prefix is appended)
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ url = 'https://api.pwnedpasswords.com/range/', timeout = 5000 } = {}) {
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Returns how often a password appears in breaches
+   * @param {string} password - Plain text password
+   * @returns {Promise<number>} Breach count, 0 if not found
+   * @throws {Error} If the range API can't be reached
+   */
+  async check(password) {
+    const hash = sha1Hex(password);
+    const response = await fetch(`${this.url}${hash.slice(0, 5)}`, {
+      headers: {
+        'Add-Padding': 'true',
+        'User-Agent': 'auth-backend',
+      },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Breached password range request failed with status ${response.status}`);
+    }
+
+    const suffix = hash.slice(5);
+
+    for (const line of (await response.text()).split('\n')) {
+      const entry = parseRangeLine(line);
+
+      // Padding entries have a count of 0
+      if (entry && entry[0] === suffix) {
+        return entry[1];
+      }
+    }
+
+    return 0;
+  }
+}
+
+/**
+ * Resolves the configured breached password checker
+ * @param {Object} options - Breached password configuration (config.breachedPasswords)
+ * @param {string|Object} [options.checker] - 'local', 'remote', a checker object, or empty to disable
+ * @param {string} [options.file] - Corpus file for the local checker
+ * @param {string} [options.remoteUrl] - Range API base URL for the remote checker
+ * @param {number} [options.remoteTimeout] - Request timeout in ms for the remote checker
+ * @returns {Object|null} Checker with a check() method, or null when screening is disabled
+ * @throws {Error} If the checker is unknown or invalid
+ */
+export function createBreachedPasswordChecker(options = config.breachedPasswords) {
+  const { checker, file, remoteUrl, remoteTimeout } = options || {};
+
+  if (!checker) {
+    return null;
+  }
+
+  if (typeof checker.check === 'function') {
+    return checker;
+  }
+
+  switch (checker) {
+    case 'local':
+      return new LocalBreachedPasswordChecker({ file });
+    case 'remote':
+      return new RemoteBreachedPasswordChecker({ url: remoteUrl, timeout: remoteTimeout });
+    default:
+      throw new Error(`Unknown breached password checker: ${checker}`);
+  }
+}
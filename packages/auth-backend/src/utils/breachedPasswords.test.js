@@ -0,0 +1,103 @@
+/**
+ * Breached password checker tests
+ * Uses a small corpus file and a local stand-in for the range API
+ * @module utils/breachedPasswords.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  sha1Hex,
+  LocalBreachedPasswordChecker,
+  RemoteBreachedPasswordChecker,
+  createBreachedPasswordChecker,
+} from './breachedPasswords.js';
+
+// SHA-1 of "password"
+const PASSWORD_HASH = '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8';
+
+/**
+ * Writes a corpus file and returns its path
+ */
+function writeCorpus(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pwned-'));
+  const file = path.join(dir, 'corpus.txt');
+  fs.writeFileSync(file, lines.join('\r\n'));
+  return file;
+}
+
+/**
+ * Test: Hashing
+ */
+test('sha1Hex should produce uppercase SHA-1 digests', () => {
+  assert.strictEqual(sha1Hex('password'), PASSWORD_HASH);
+});
+
+/**
+ * Test: Local checker
+ */
+test('LocalBreachedPasswordChecker should return breach counts from the corpus', async () => {
+  const file = writeCorpus([
+    `${PASSWORD_HASH}:9659365`,
+    `${sha1Hex('hunter2').toLowerCase()}:17`,
+    '',
+    'not a corpus line',
+  ]);
+  const checker = new LocalBreachedPasswordChecker({ file });
+
+  try {
+    assert.strictEqual(await checker.check('password'), 9659365);
+    assert.strictEqual(await checker.check('hunter2'), 17);
+    assert.strictEqual(await checker.check('correct horse battery staple'), 0);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('LocalBreachedPasswordChecker should report a missing file', async () => {
+  const checker = new LocalBreachedPasswordChecker({ file: '/nonexistent/corpus.txt' });
+
+  await assert.rejects(() => checker.check('password'), /Failed to load breached password file/);
+});
+
+/**
+ * Test: Remote checker
+ */
+test('RemoteBreachedPasswordChecker should only send the hash prefix', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req);
+    res.end(`${PASSWORD_HASH.slice(5)}:42\r\n0018A45C4D1DEF81644B54AB7F969B88D65:0\r\n`);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const checker = new RemoteBreachedPasswordChecker({
+      url: `http://127.0.0.1:${server.address().port}/range/`,
+    });
+
+    assert.strictEqual(await checker.check('password'), 42);
+    assert.strictEqual(await checker.check('not in the response'), 0);
+    assert.strictEqual(requests[0].url, `/range/${PASSWORD_HASH.slice(0, 5)}`);
+    assert.strictEqual(requests[0].headers['add-padding'], 'true');
+  } finally {
+    server.close();
+  }
+});
+
+/**
+ * Test: Factory
+ */
+test('createBreachedPasswordChecker should resolve the configured checker', () => {
+  const custom = { check: async () => 0 };
+
+  assert.strictEqual(createBreachedPasswordChecker({ checker: '' }), null);
+  assert.strictEqual(createBreachedPasswordChecker({ checker: custom }), custom);
+  assert.ok(createBreachedPasswordChecker({ checker: 'remote' }) instanceof RemoteBreachedPasswordChecker);
+  assert.throws(() => createBreachedPasswordChecker({ checker: 'local' }), /requires a file/);
+  assert.throws(() => createBreachedPasswordChecker({ checker: 'nope' }), /Unknown breached password checker/);
+});
@@ -248,6 +248,105 @@ export async function sendPasswordChangedEmail(email, name) {
   return sendEmail({ to: email, subject, html });
 }
 
+/**
+ * Sends an account lockout notification with an unlock link
+ * @param {string} email - Recipient email address
+ * @param {string} token - Unlock token
+ * @param {string} name - User's name
+ * @param {Date} lockedUntil - Time the lock expires on its own
+ * @returns {Promise<Object>} Email send result
+ */
+export async function sendAccountLockedEmail(email, token, name, lockedUntil) {
+  const unlockUrl = `${config.frontendUrl}/unlock-account?token=${token}`;
+  const subject = 'Your Account Has Been Locked';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ef4444; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9fafb; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        .warning { background-color: #fef3c7; padding: 15px; border-left: 4px solid #f59e0b; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Account Locked</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${name || 'there'}!</h2>
+          <p>Your account was locked after too many failed sign-in attempts.</p>
+          <p>It will unlock automatically on ${new Date(lockedUntil).toLocaleString()}. If it was you, you can unlock it right away:</p>
+          <a href="${unlockUrl}" class="button">Unlock Account</a>
+          <div class="warning">
+            <strong>Security Alert:</strong> If you didn't try to sign in, someone may be guessing your password. Consider changing it once your account is unlocked.
+          </div>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Your Company. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, html });
+}
+
+/**
+ * Sends a security notification after a recovery code was used to sign in
+ * @param {string} email - Recipient email address
+ * @param {string} name - User's name
+ * @param {number} remaining - Number of unused recovery codes left
+ * @returns {Promise<Object>} Email send result
+ */
+export async function sendRecoveryCodeUsedEmail(email, name, remaining) {
+  const subject = 'A Recovery Code Was Used to Sign In';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9fafb; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        .warning { background-color: #fef3c7; padding: 15px; border-left: 4px solid #f59e0b; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Recovery Code Used</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${name || 'there'}!</h2>
+          <p>A two-factor recovery code was just used to sign in to your account.</p>
+          <p>Used on: ${new Date().toLocaleString()}</p>
+          <p>You have ${remaining} unused recovery code${remaining === 1 ? '' : 's'} left. You can generate a new set from your security settings.</p>
+          <div class="warning">
+            <strong>Security Alert:</strong> If this wasn't you, change your password and contact our support team immediately.
+          </div>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Your Company. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, html });
+}
+
 /**
  * Sends a magic link for passwordless authentication
  * @param {string} email - Recipient email address
@@ -297,3 +396,104 @@ export async function sendMagicLinkEmail(email, token, name) {
 
   return sendEmail({ to: email, subject, html });
 }
+
+/**
+ * Sends a confirmation link to the new address of a requested email change
+ * @param {string} email - New email address
+ * @param {string} token - Email change token
+ * @param {string} name - User's name
+ * @returns {Promise<Object>} Email send result
+ */
+export async function sendEmailChangeConfirmationEmail(email, token, name) {
+  const confirmUrl = `${config.frontendUrl}/confirm-email-change?token=${token}`;
+  const subject = 'Confirm Your New Email Address';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9fafb; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        .code { background-color: #e5e7eb; padding: 10px; border-radius: 5px; font-family: monospace; font-size: 16px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Confirm Email Change</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${name || 'there'}!</h2>
+          <p>You asked to use this address for your account. Please confirm it by clicking the button below:</p>
+          <a href="${confirmUrl}" class="button">Confirm Email</a>
+          <p>Or copy and paste this link into your browser:</p>
+          <div class="code">${confirmUrl}</div>
+          <p>Your account keeps its current address until you confirm. This link will expire in 24 hours.</p>
+          <p>If you didn't request this change, please ignore this email.</p>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Your Company. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, html });
+}
+
+/**
+ * Notifies the previous address after an email change, with a link that reverts it
+ * @param {string} email - Previous email address
+ * @param {string} token - Email change revert token
+ * @param {string} name - User's name
+ * @param {string} newEmail - Address the account now uses
+ * @returns {Promise<Object>} Email send result
+ */
+export async function sendEmailChangedEmail(email, token, name, newEmail) {
+  const revertUrl = `${config.frontendUrl}/revert-email-change?token=${token}`;
+  const subject = 'Your Email Address Was Changed';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9fafb; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #ef4444; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        .warning { background-color: #fef3c7; padding: 15px; border-left: 4px solid #f59e0b; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Email Address Changed</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${name || 'there'}!</h2>
+          <p>The email address of your account was changed to ${newEmail}.</p>
+          <p>Changed on: ${new Date().toLocaleString()}</p>
+          <div class="warning">
+            <strong>Security Alert:</strong> If you didn't make this change, restore your address and sign out all devices with the link below. It works for 7 days. Then reset your password.
+          </div>
+          <a href="${revertUrl}" class="button">This Wasn't Me</a>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Your Company. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, html });
+}
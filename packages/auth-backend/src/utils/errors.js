@@ -75,6 +75,27 @@ export class ConflictError extends APIError {
   }
 }
 
+/**
+ * Account Locked Error - 423
+ * Carries the time the lock expires so clients can tell the user when to retry
+ */
+export class AccountLockedError extends APIError {
+  constructor(
+    message = 'Account temporarily locked due to too many failed login attempts',
+    lockedUntil = null
+  ) {
+    super(message, 423);
+    this.lockedUntil = lockedUntil;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      lockedUntil: this.lockedUntil,
+    };
+  }
+}
+
 /**
  * Rate Limit Error - 429
  */
@@ -102,6 +123,26 @@ export class ServiceUnavailableError extends APIError {
   }
 }
 
+/**
+ * OAuth 2.0 protocol error (RFC 6749 section 5.2)
+ * Serialized as { error, error_description } for OAuth clients. Errors in an authorization
+ * request carry the client's redirect URI when they can be reported back by redirect
+ */
+export class OAuthError extends APIError {
+  constructor(error, description, statusCode = 400, redirectUri = null) {
+    super(description, statusCode);
+    this.error = error;
+    this.redirectUri = redirectUri;
+  }
+
+  toJSON() {
+    return {
+      error: this.error,
+      error_description: this.message,
+    };
+  }
+}
+
 /**
  * Express error handling middleware
  * @param {Error} err - Error object
@@ -0,0 +1,17 @@
+/**
+ * Hash worker thread entry point (see utils/hashWorkerPool)
+ * Only built-in hashers are available here; hashers registered in the main thread aren't
+ * @module utils/hashWorker
+ */
+
+import { parentPort } from 'worker_threads';
+import { getPasswordHasher } from './passwordHashers.js';
+
+parentPort.on('message', async ({ hasherId, method, args }) => {
+  try {
+    const result = await getPasswordHasher(hasherId)[method](...args);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,220 @@
+/**
+ * Worker thread pool for CPU-bound password hashing
+ * bcryptjs and PHPass run synchronously in JavaScript, so hashing them on the main thread
+ * stalls every other request. Hashers flagged cpuBound are run here instead; the others
+ * (scrypt, argon2id, PBKDF2) already use libuv or native threads.
+ * @module utils/hashWorkerPool
+ */
+
+import { Worker } from 'worker_threads';
+import { ServiceUnavailableError } from './errors.js';
+
+const WORKER_URL = new URL('./hashWorker.js', import.meta.url);
+
+/**
+ * Bounded pool of hash workers with a bounded wait queue
+ * Workers are started on demand and don't keep the process alive while idle
+ */
+export class HashWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of worker threads
+   * @param {number} options.maxQueue - Requests that may wait for a worker before new ones are refused
+   */
+  constructor({ size, maxQueue } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Hash worker pool size must be a positive integer');
+    }
+
+    this.size = size;
+    this.maxQueue = maxQueue ?? 100;
+    this.workers = [];
+    this.queue = [];
+    this.closed = false;
+  }
+
+  /**
+   * Number of requests waiting for a worker
+   * @returns {number} Queue length
+   */
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Number of workers currently hashing
+   * @returns {number} Busy worker count
+   */
+  get busy() {
+    return this.workers.filter((entry) => entry.task).length;
+  }
+
+  /**
+   * Runs a method of a built-in hasher on a worker thread
+   * @param {string} hasherId - Hasher id, resolved in the worker with getPasswordHasher()
+   * @param {string} method - Hasher method ('hash' or 'verify')
+   * @param {Array} args - Method arguments (must be structured-cloneable)
+   * @returns {Promise<*>} Method result
+   * @throws {ServiceUnavailableError} If the queue is full or the pool is closed
+   */
+  run(hasherId, method, args) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        reject(new ServiceUnavailableError('Password hashing is shutting down'));
+        return;
+      }
+
+      const task = { hasherId, method, args, resolve, reject };
+      const entry = this._idleWorker();
+
+      if (entry) {
+        this._dispatch(entry, task);
+      } else if (this.queue.length < this.maxQueue) {
+        this.queue.push(task);
+      } else {
+        reject(new ServiceUnavailableError('Server is busy, please try again later'));
+      }
+    });
+  }
+
+  /**
+   * Stops all workers and refuses queued and in-flight requests
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+
+    const error = new ServiceUnavailableError('Password hashing is shutting down');
+    this.queue.splice(0).forEach((task) => task.reject(error));
+
+    await Promise.all(
+      this.workers.splice(0).map((entry) => {
+        entry.task?.reject(error);
+        entry.task = null;
+        return entry.worker.terminate();
+      })
+    );
+  }
+
+  /**
+   * Returns an idle worker, starting one if the pool isn't full
+   * @private
+   * @returns {Object|null} Worker entry or null if all workers are busy
+   */
+  _idleWorker() {
+    const idle = this.workers.find((entry) => !entry.task);
+
+    if (idle) {
+      return idle;
+    }
+
+    return this.workers.length < this.size ? this._spawn() : null;
+  }
+
+  /**
+   * Starts a worker thread
+   * @private
+   * @returns {Object} Worker entry { worker, task }
+   */
+  _spawn() {
+    const entry = { worker: new Worker(WORKER_URL), task: null };
+
+    entry.worker.unref();
+
+    entry.worker.on('message', ({ result, error }) => {
+      const task = entry.task;
+      entry.task = null;
+      entry.worker.unref();
+
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+
+      this._next(entry);
+    });
+
+    // A crashed worker fails its request and is replaced for the queued ones
+    const fail = (error) => {
+      if (!this.workers.includes(entry)) {
+        return;
+      }
+
+      this.workers.splice(this.workers.indexOf(entry), 1);
+      entry.task?.reject(error);
+      entry.task = null;
+
+      if (this.queue.length > 0 && !this.closed) {
+        this._next(this._spawn());
+      }
+    };
+
+    entry.worker.on('error', fail);
+    entry.worker.on('exit', (code) => fail(new Error(`Hash worker exited with code ${code}`)));
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  /**
+   * Sends a request to a worker
+   * @private
+   * @param {Object} entry - Idle worker entry
+   * @param {Object} task - Queued request
+   */
+  _dispatch(entry, task) {
+    entry.task = task;
+    // Keep the process alive until the result arrives
+    entry.worker.ref();
+    entry.worker.postMessage({ hasherId: task.hasherId, method: task.method, args: task.args });
+  }
+
+  /**
+   * Gives the next queued request to a worker that just became idle
+   * @private
+   * @param {Object} entry - Idle worker entry
+   */
+  _next(entry) {
+    const task = this.queue.shift();
+
+    if (task) {
+      this._dispatch(entry, task);
+    }
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * Gets the process-wide hash worker pool, creating it on first use
+ * The pool is shared by every AuthService in the process and sized by the first settings used
+ * @param {Object} options - Security configuration
+ * @param {number} options.hashWorkers - Worker threads; 0 disables the pool
+ * @param {number} options.hashQueueMax - Maximum queued requests
+ * @returns {HashWorkerPool|null} Pool, or null when hashing runs on the main thread
+ */
+export function getHashWorkerPool(options) {
+  if (!options?.hashWorkers) {
+    return null;
+  }
+
+  if (!sharedPool) {
+    sharedPool = new HashWorkerPool({ size: options.hashWorkers, maxQueue: options.hashQueueMax });
+  }
+
+  return sharedPool;
+}
+
+/**
+ * Stops the process-wide hash worker pool; the next hash starts a new one
+ * @returns {Promise<void>}
+ */
+export async function closeHashWorkerPool() {
+  const pool = sharedPool;
+  sharedPool = null;
+
+  if (pool) {
+    await pool.close();
+  }
+}
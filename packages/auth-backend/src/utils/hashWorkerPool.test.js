@@ -0,0 +1,78 @@
+/**
+ * Hash worker pool tests
+ * @module utils/hashWorkerPool.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { HashWorkerPool } from './hashWorkerPool.js';
+import { ServiceUnavailableError } from './errors.js';
+import { BcryptHasher } from './passwordHashers.js';
+
+const OPTIONS = { bcryptRounds: 4 };
+
+test('HashWorkerPool should hash and verify on worker threads', async () => {
+  const pool = new HashWorkerPool({ size: 2, maxQueue: 10 });
+
+  try {
+    const hashes = await Promise.all(
+      ['one', 'two', 'three'].map((password) =>
+        pool.run('bcrypt', 'hash', [password, OPTIONS])
+      )
+    );
+
+    assert.strictEqual(pool.workers.length, 2);
+    assert.ok(await new BcryptHasher().verify('two', hashes[1]));
+    assert.strictEqual(await pool.run('bcrypt', 'verify', ['one', hashes[0]]), true);
+    assert.strictEqual(await pool.run('bcrypt', 'verify', ['one', hashes[1]]), false);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('HashWorkerPool should refuse requests beyond the queue limit', async () => {
+  const pool = new HashWorkerPool({ size: 1, maxQueue: 1 });
+
+  try {
+    const running = pool.run('bcrypt', 'hash', ['a', OPTIONS]);
+    const queued = pool.run('bcrypt', 'hash', ['b', OPTIONS]);
+
+    await assert.rejects(pool.run('bcrypt', 'hash', ['c', OPTIONS]), ServiceUnavailableError);
+    assert.ok(await running);
+    assert.ok(await queued);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('HashWorkerPool should surface hasher errors and keep working', async () => {
+  const pool = new HashWorkerPool({ size: 1, maxQueue: 10 });
+
+  try {
+    await assert.rejects(
+      pool.run('unknown', 'hash', ['a', OPTIONS]),
+      /Unknown password hash algorithm/
+    );
+    assert.ok(await pool.run('bcrypt', 'hash', ['a', OPTIONS]));
+  } finally {
+    await pool.close();
+  }
+});
+
+test('HashWorkerPool should reject queued requests when closed', async () => {
+  const pool = new HashWorkerPool({ size: 1, maxQueue: 10 });
+  const running = assert.rejects(
+    pool.run('bcrypt', 'hash', ['a', OPTIONS]),
+    ServiceUnavailableError
+  );
+  const queued = assert.rejects(
+    pool.run('bcrypt', 'hash', ['b', OPTIONS]),
+    ServiceUnavailableError
+  );
+
+  await pool.close();
+
+  await running;
+  await queued;
+  await assert.rejects(pool.run('bcrypt', 'hash', ['c', OPTIONS]), ServiceUnavailableError);
+});
@@ -3,8 +3,278 @@
  * @module utils/jwt
  */
 
+import crypto from 'crypto';
+import fs from 'fs';
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
+import {
+  durationToSeconds,
+  isAsymmetricAlgorithm,
+  signJwt,
+  verifyJwt,
+} from './signingKeys.js';
+import {
+  FileKeyStore,
+  KEY_USES,
+  SigningKeySet,
+  maintainKeyDefinitions,
+  retireKeyDefinition,
+  rotateKeyDefinitions,
+} from './keySet.js';
+
+let keySet = null;
+let keySetLoadedAt = 0;
+
+/**
+ * Gets the keys access and refresh tokens are signed and verified with
+ * Keys come from the key store file (jwt.keysFile, re-read every jwt.keysRefreshInterval
+ * ms), a key set in jwt.keys, or otherwise the single-key settings (jwt.secret,
+ * jwt.algorithm, jwt.privateKey and jwt.refreshSecret)
+ * @returns {SigningKeySet} Signing key set
+ * @throws {Error} If the keys can't be loaded the first time
+ */
+export function getSigningKeySet() {
+  const { keysFile, keysRefreshInterval } = config.jwt;
+
+  if (
+    !keySet ||
+    (keysFile && Date.now() - keySetLoadedAt >= keysRefreshInterval)
+  ) {
+    try {
+      keySet = new SigningKeySet(readKeyDefinitions());
+    } catch (error) {
+      // Keep signing with the last good key set if the key store can't be read
+      if (!keySet) {
+        throw error;
+      }
+      console.error('Failed to reload signing keys:', error.message);
+    }
+
+    keySetLoadedAt = Date.now();
+  }
+
+  return keySet;
+}
+
+/**
+ * Gets the public keys access tokens can be verified with
+ * Includes keys published ahead of activation and superseded keys whose tokens may still
+ * be in use
+ * @returns {Object} JWK Set ({ keys: [] } when access tokens are signed with HMAC keys)
+ */
+export function getJwks() {
+  return getSigningKeySet().getJwks();
+}
+
+/**
+ * Lists the keys in the key store, without key material
+ * @returns {Array<Object>} { kid, use, algorithm, status, activatesAt, ... }
+ * @throws {Error} If no key store is configured
+ */
+export function listSigningKeys() {
+  return getKeyStore()
+    .read()
+    .map((definition) => {
+      const key = { ...definition };
+
+      delete key.privateKey;
+      delete key.secret;
+
+      return key;
+    });
+}
+
+/**
+ * Rotates the signing keys in the key store
+ * Each new key activates after jwt.keyActivationDelay ms (immediately when nothing signs
+ * yet), superseded keys become verify-only, and verify-only keys whose tokens have all
+ * expired are retired
+ * @param {Object} [options] - Rotation options
+ * @param {string} [options.use] - 'access', 'refresh' or 'all' (default)
+ * @param {string} [options.algorithm] - Algorithm of the new keys (default: jwt.algorithm
+ *   for access keys, HS256 for refresh keys)
+ * @param {number} [options.activationDelay] - Delay before new keys sign (ms)
+ * @param {number} [options.olderThan] - Only rotate when the newest key was activated at
+ *   least this long ago (ms); used for scheduled rotation
+ * @returns {Array<Object>} New keys: { kid, use, algorithm, activatesAt }
+ * @throws {Error} If no key store is configured
+ */
+export function rotateSigningKeys(options = {}) {
+  const { use = 'all', algorithm, olderThan = 0 } = options;
+  const activationDelay =
+    options.activationDelay ?? config.jwt.keyActivationDelay;
+  const store = getKeyStore();
+  const current = store.read();
+  const now = Date.now();
+  const uses = use === 'all' ? KEY_USES : [use];
+  const rotated = [];
+  let definitions = current;
+
+  for (const keyUse of uses) {
+    const newest = Math.max(
+      ...definitions
+        .filter(
+          (definition) =>
+            definition.use === keyUse && definition.status === 'active'
+        )
+        .map((definition) => new Date(definition.activatesAt).getTime())
+    );
+
+    if (newest + olderThan > now) {
+      continue;
+    }
+
+    const result = rotateKeyDefinitions(definitions, {
+      use: keyUse,
+      algorithm:
+        algorithm || (keyUse === 'access' ? config.jwt.algorithm : 'HS256'),
+      activationDelay,
+      overlaps: getKeyOverlaps(),
+      now,
+    });
+
+    definitions = result.definitions;
+    rotated.push({
+      kid: result.key.kid,
+      use: keyUse,
+      algorithm: result.key.algorithm,
+      activatesAt: result.key.activatesAt,
+    });
+  }
+
+  definitions = maintainKeyDefinitions(definitions, {
+    overlaps: getKeyOverlaps(),
+    now,
+  });
+
+  if (JSON.stringify(definitions) !== JSON.stringify(current)) {
+    store.write(definitions);
+    keySet = null;
+  }
+
+  return rotated;
+}
+
+/**
+ * Retires a key in the key store immediately, e.g. after it was exposed
+ * Tokens it signed are rejected from then on
+ * @param {string} kid - Key ID
+ * @throws {Error} If no key store is configured or no key has the kid
+ */
+export function retireSigningKey(kid) {
+  const store = getKeyStore();
+
+  store.write(retireKeyDefinition(store.read(), kid));
+  keySet = null;
+}
+
+/**
+ * Copies the single-key settings into an empty key store
+ * Tokens issued before the move carry no kid and are still accepted, since tokens without
+ * a kid are checked against every key
+ * @returns {Array<Object>} Imported keys: { kid, use, algorithm }
+ * @throws {Error} If no key store is configured or it already holds keys
+ */
+export function importSigningKeys() {
+  const store = getKeyStore();
+
+  if (store.read().length > 0) {
+    throw new Error(`Key store ${config.jwt.keysFile} already holds keys`);
+  }
+
+  const now = new Date().toISOString();
+  const definitions = getSingleKeyDefinitions().map((definition) => ({
+    ...definition,
+    kid: definition.kid || crypto.randomBytes(16).toString('base64url'),
+    status: 'active',
+    activatesAt: now,
+  }));
+
+  // Asymmetric keys are stored with their kid (the thumbprint unless JWT_KEY_ID is set)
+  const loaded = new SigningKeySet(definitions).keys;
+  const imported = definitions.map((definition) => ({
+    ...definition,
+    kid: loaded.find((key) => key.use === definition.use).kid,
+  }));
+
+  store.write(imported);
+  keySet = null;
+
+  return imported.map(({ kid, use, algorithm }) => ({ kid, use, algorithm }));
+}
+
+/**
+ * Gets the configured key store
+ * @returns {FileKeyStore} Key store
+ * @throws {Error} If jwt.keysFile isn't set
+ */
+function getKeyStore() {
+  if (!config.jwt.keysFile) {
+    throw new Error('JWT_KEYS_FILE must be set to manage signing keys');
+  }
+
+  return new FileKeyStore(config.jwt.keysFile);
+}
+
+/**
+ * Reads the configured key definitions
+ * @returns {Array<Object>} Key definitions
+ */
+function readKeyDefinitions() {
+  const { keys, keysFile } = config.jwt;
+
+  if (keysFile) {
+    return new FileKeyStore(keysFile).read();
+  }
+
+  if (keys) {
+    return typeof keys === 'string' ? JSON.parse(keys) : keys;
+  }
+
+  return getSingleKeyDefinitions();
+}
+
+/**
+ * Builds key definitions from the single-key settings
+ * @returns {Array<Object>} Access and refresh key definitions
+ */
+function getSingleKeyDefinitions() {
+  const {
+    algorithm,
+    secret,
+    privateKey,
+    privateKeyFile,
+    keyId,
+    refreshSecret,
+  } = config.jwt;
+
+  return [
+    {
+      kid: keyId || undefined,
+      use: 'access',
+      algorithm,
+      ...(isAsymmetricAlgorithm(algorithm)
+        ? {
+            privateKey:
+              privateKey ||
+              (privateKeyFile && fs.readFileSync(privateKeyFile, 'utf8')),
+          }
+        : { secret }),
+    },
+    { use: 'refresh', algorithm: 'HS256', secret: refreshSecret },
+  ];
+}
+
+/**
+ * Gets how long superseded keys must stay verifiable
+ * @returns {Object} Longest token lifetime per use (ms)
+ */
+function getKeyOverlaps() {
+  return {
+    access: durationToSeconds(config.jwt.expiresIn) * 1000,
+    refresh: durationToSeconds(config.jwt.refreshExpiresIn) * 1000,
+  };
+}
 
 /**
  * Generates an access token for a user
@@ -12,37 +282,81 @@ import config from '../config/index.js';
  * @param {string} payload.id - User ID
  * @param {string} payload.email - User email
  * @param {string} [payload.role] - User role
+ * @param {string} [payload.sessionId] - Session (refresh token family) the token was issued for
+ * @param {number} [payload.tokenVersion] - User's token version (see utils/tokenRevocation)
+ * @param {string} [payload.clientId] - OAuth client the token is issued to (see
+ *   services/authorizationServer); such tokens only work with verifyClientAccessToken()
+ * @param {string} [payload.scope] - Space-separated scopes granted to the OAuth client
  * @returns {string} JWT access token
  */
 export function generateAccessToken(payload) {
-  return jwt.sign(
+  const claims = {
+    id: payload.id,
+    email: payload.email,
+    role: payload.role || 'user',
+    ver: payload.tokenVersion || 0,
+    ...(payload.sessionId && { sid: payload.sessionId }),
+    ...(payload.clientId && {
+      sub: payload.id,
+      client_id: payload.clientId,
+      scope: payload.scope,
+    }),
+  };
+  const options = {
+    expiresIn: config.jwt.expiresIn,
+    jwtid: crypto.randomUUID(),
+  };
+  return signJwt(claims, getSigningKeySet().getSigningKey('access'), options);
+}
+
+/**
+ * Generates an access token for a machine client (client credentials grant)
+ * The client ID is the subject; there is no user, role or refresh token
+ * @param {Object} payload - Client data to encode in token
+ * @param {string} payload.clientId - Machine client ID
+ * @param {string} payload.scope - Space-separated granted scopes
+ * @returns {string} JWT access token
+ */
+export function generateMachineAccessToken(payload) {
+  return signJwt(
     {
-      id: payload.id,
-      email: payload.email,
-      role: payload.role || 'user',
+      sub: payload.clientId,
+      gty: 'client-credentials',
+      scope: payload.scope,
     },
-    config.jwt.secret,
+    getSigningKeySet().getSigningKey('access'),
     {
       expiresIn: config.jwt.expiresIn,
+      jwtid: crypto.randomUUID(),
     }
   );
 }
 
 /**
  * Generates a refresh token for a user
+ * Every token rotated from the same login shares a family ID (fam) and records its
+ * generation (gen) in that family, so a replayed old token can revoke the whole family
  * @param {Object} payload - User data to encode in token
  * @param {string} payload.id - User ID
+ * @param {string} [payload.family] - Family ID; a new family is started if omitted
+ * @param {number} [payload.generation] - Generation within the family (default 0)
+ * @param {string} [payload.clientId] - OAuth client the token is issued to
+ * @param {string} [payload.scope] - Space-separated scopes granted to the OAuth client
  * @returns {string} JWT refresh token
  */
 export function generateRefreshToken(payload) {
-  return jwt.sign(
+  return signJwt(
     {
       id: payload.id,
       type: 'refresh',
+      fam: payload.family || crypto.randomUUID(),
+      gen: payload.generation || 0,
+      ...(payload.clientId && { cid: payload.clientId, scope: payload.scope }),
     },
-    config.jwt.refreshSecret,
+    getSigningKeySet().getSigningKey('refresh'),
     {
       expiresIn: config.jwt.refreshExpiresIn,
+      jwtid: crypto.randomUUID(),
     }
   );
 }
@@ -53,17 +367,28 @@ export function generateRefreshToken(payload) {
  * @param {string} user.id - User ID
  * @param {string} user.email - User email
  * @param {string} [user.role] - User role
+ * @param {number} [user.tokenVersion] - User's token version
+ * @param {Object} [refreshOptions] - Refresh token family and generation, and the OAuth
+ *   client and scope for tokens issued to a client (see generateRefreshToken)
  * @returns {Object} Object containing accessToken and refreshToken
  */
-export function generateTokens(user) {
+export function generateTokens(user, refreshOptions = {}) {
+  const family = refreshOptions.family || crypto.randomUUID();
+
   const accessToken = generateAccessToken({
     id: user.id,
     email: user.email,
     role: user.role,
+    tokenVersion: user.tokenVersion,
+    sessionId: family,
+    clientId: refreshOptions.clientId,
+    scope: refreshOptions.scope,
   });
 
   const refreshToken = generateRefreshToken({
     id: user.id,
+    ...refreshOptions,
+    family,
   });
 
   return {
@@ -72,6 +397,27 @@ export function generateTokens(user) {
   };
 }
 
+/**
+ * Generates an OpenID Connect ID token
+ * ID tokens are verified by clients against the JWKS, so they need an asymmetric key
+ * @param {Object} claims - ID token claims (iss, sub, aud, auth_time, nonce, ...)
+ * @returns {string} Signed ID token
+ * @throws {Error} If access tokens are signed with an HMAC key
+ */
+export function generateIdToken(claims) {
+  const key = getSigningKeySet().getSigningKey('access');
+
+  if (!isAsymmetricAlgorithm(key.algorithm)) {
+    throw new Error(
+      `ID tokens can't be signed with ${key.algorithm}; set JWT_ALGORITHM to an asymmetric algorithm`
+    );
+  }
+
+  return signJwt(claims, key, {
+    expiresIn: config.oauthServer.idTokenExpiresIn,
+  });
+}
+
 /**
  * Verifies an access token
  * @param {string} token - JWT access token to verify
@@ -79,8 +425,70 @@ export function generateTokens(user) {
  * @throws {Error} If token is invalid or expired
  */
 export function verifyAccessToken(token) {
+  const decoded = verifyAccessJwt(token);
+
+  // Tokens issued to OAuth clients only carry the scopes the user consented to, so they
+  // can't be used with the first-party API, and machine client tokens have no user
+  if (decoded.client_id || decoded.gty) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verifies an access token issued to an OAuth client
+ * @param {string} token - JWT access token to verify
+ * @returns {Object} Decoded token payload with client_id and scope
+ * @throws {Error} If token is invalid, expired or wasn't issued to a client
+ */
+export function verifyClientAccessToken(token) {
+  const decoded = verifyAccessJwt(token);
+
+  if (!decoded.client_id) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verifies an access token issued to a machine client
+ * @param {string} token - JWT access token to verify
+ * @returns {Object} Decoded token payload with sub (the client ID) and scope
+ * @throws {Error} If token is invalid, expired or wasn't issued to a machine client
+ */
+export function verifyMachineAccessToken(token) {
+  const decoded = verifyAccessJwt(token);
+
+  if (decoded.gty !== 'client-credentials') {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verifies the signature and expiry of an access token
+ * @param {string} token - JWT access token to verify
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid or expired
+ */
+function verifyAccessJwt(token) {
   try {
-    return jwt.verify(token, config.jwt.secret);
+    const decoded = verifyJwt(
+      token,
+      getSigningKeySet().getVerificationKeys('access')
+    );
+
+    // Purpose-specific tokens (such as password change tokens) are signed with
+    // jwt.secret, which may also be an access token key, and ID tokens (which have an
+    // audience) are signed with the access token key, but neither is an access token
+    if (decoded.type || decoded.aud) {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Access token has expired');
@@ -100,7 +508,10 @@ export function verifyAccessToken(token) {
  */
 export function verifyRefreshToken(token) {
   try {
-    const decoded = jwt.verify(token, config.jwt.refreshSecret);
+    const decoded = verifyJwt(
+      token,
+      getSigningKeySet().getVerificationKeys('refresh')
+    );
 
     if (decoded.type !== 'refresh') {
       throw new Error('Invalid token type');
@@ -132,88 +543,50 @@ export function decodeToken(token) {
 }
 
 /**
- * Generates a token for email verification
- * @param {string} userId - User ID
- * @returns {string} Email verification token
- */
-export function generateEmailVerificationToken(userId) {
-  return jwt.sign(
-    {
-      id: userId,
-      type: 'email-verification',
-    },
-    config.jwt.secret,
-    {
-      expiresIn: config.security.emailVerificationExpiresIn,
-    }
-  );
-}
-
-/**
- * Verifies an email verification token
- * @param {string} token - Email verification token
- * @returns {Object} Decoded token payload
- * @throws {Error} If token is invalid or expired
- */
-export function verifyEmailVerificationToken(token) {
-  try {
-    const decoded = jwt.verify(token, config.jwt.secret);
-
-    if (decoded.type !== 'email-verification') {
-      throw new Error('Invalid token type');
-    }
-
-    return decoded;
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      throw new Error('Email verification token has expired');
-    }
-    if (error.name === 'JsonWebTokenError') {
-      throw new Error('Invalid email verification token');
-    }
-    throw error;
-  }
-}
-
-/**
- * Generates a token for password reset
- * @param {string} userId - User ID
- * @returns {string} Password reset token
+ * Generates a short-lived token that only allows changing the password
+ * Issued at login instead of a session when the password has expired or must be changed
+ * @param {Object} user - User object
+ * @param {string} user.id - User ID
+ * @param {string} user.email - User email
+ * @param {string} [user.role] - User role
+ * @returns {string} Password change token
  */
-export function generatePasswordResetToken(userId) {
+export function generatePasswordChangeToken(user) {
   return jwt.sign(
     {
-      id: userId,
-      type: 'password-reset',
+      id: user.id,
+      email: user.email,
+      role: user.role || 'user',
+      type: 'password-change',
     },
     config.jwt.secret,
     {
-      expiresIn: config.security.passwordResetExpiresIn,
+      expiresIn: Math.floor(config.security.passwordChangeTokenExpiresIn / 1000),
     }
   );
 }
 
 /**
- * Verifies a password reset token
- * @param {string} token - Password reset token
+ * Verifies a password change token
+ * @param {string} token - Password change token
  * @returns {Object} Decoded token payload
  * @throws {Error} If token is invalid or expired
  */
-export function verifyPasswordResetToken(token) {
+export function verifyPasswordChangeToken(token) {
   try {
     const decoded = jwt.verify(token, config.jwt.secret);
 
-    if (decoded.type !== 'password-reset') {
+    if (decoded.type !== 'password-change') {
       throw new Error('Invalid token type');
     }
 
     return decoded;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      throw new Error('Password reset token has expired');
+      throw new Error('Password change session has expired. Please sign in again.');
     }
     if (error.name === 'JsonWebTokenError') {
-      throw new Error('Invalid password reset token');
+      throw new Error('Invalid password change token');
     }
     throw error;
   }
@@ -0,0 +1,307 @@
+/**
+ * Signing key sets and rotation
+ * A key set lists the keys access and refresh tokens are signed with. Each key definition
+ * has a kid, a use ('access' or 'refresh'), an algorithm, its key material (secret or
+ * privateKey), a status and an activation date:
+ * - active: signs tokens once its activation date has passed; the most recently
+ *   activated active key of each use is the one that signs
+ * - verify-only: no longer signs, but tokens it signed are still accepted
+ * - retired: ignored; its key material is removed
+ * Rotation adds a new active key that activates after a delay, so every instance and
+ * every JWKS consumer knows it before the first token signed with it arrives. Superseded
+ * keys stay verify-only until the tokens they signed have expired, then retire.
+ * @module utils/keySet
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  buildJwks,
+  generateKeyMaterial,
+  loadSigningKey,
+} from './signingKeys.js';
+
+export const KEY_USES = ['access', 'refresh'];
+
+export const KEY_STATUSES = ['active', 'verify-only', 'retired'];
+
+/**
+ * Loaded signing keys, selected by use and time
+ */
+export class SigningKeySet {
+  /**
+   * @param {Array<Object>} definitions - Key definitions
+   * @throws {Error} If a definition is invalid or two keys of one use share a kid
+   */
+  constructor(definitions) {
+    this.keys = definitions
+      .filter((definition) => definition.status !== 'retired')
+      .map(loadKeyDefinition)
+      .sort((a, b) => b.activatesAt - a.activatesAt);
+
+    for (const use of KEY_USES) {
+      const kids = this.keys
+        .filter((key) => key.use === use && key.kid)
+        .map((key) => key.kid);
+
+      if (new Set(kids).size !== kids.length) {
+        throw new Error(`Duplicate key IDs among ${use} token signing keys`);
+      }
+    }
+  }
+
+  /**
+   * Gets the key that signs new tokens
+   * @param {string} use - 'access' or 'refresh'
+   * @param {number} [now] - Current time (ms)
+   * @returns {Object} Most recently activated active key
+   * @throws {Error} If no active key has been activated yet
+   */
+  getSigningKey(use, now = Date.now()) {
+    const key = this.keys.find(
+      (candidate) =>
+        candidate.use === use &&
+        candidate.status === 'active' &&
+        candidate.activatesAt <= now
+    );
+
+    if (!key) {
+      throw new Error(`No active ${use} token signing key`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Gets the keys tokens are accepted from
+   * Includes keys that haven't activated yet, which are published ahead of use
+   * @param {string} use - 'access' or 'refresh'
+   * @returns {Array<Object>} Active and verify-only keys, newest first
+   */
+  getVerificationKeys(use) {
+    return this.keys.filter((key) => key.use === use);
+  }
+
+  /**
+   * Gets the public access token keys as a JWK Set
+   * @returns {Object} { keys: [...] }
+   */
+  getJwks() {
+    return buildJwks(this.getVerificationKeys('access'));
+  }
+}
+
+/**
+ * Adds a new signing key and tidies the key set
+ * @param {Array<Object>} definitions - Current key definitions
+ * @param {Object} options - Rotation options
+ * @param {string} options.use - 'access' or 'refresh'
+ * @param {string} options.algorithm - Algorithm of the new key
+ * @param {number} [options.activationDelay] - Delay before the new key signs (ms); ignored
+ *   when no key of this use signs yet
+ * @param {Object} options.overlaps - Token lifetimes by use (ms), see maintainKeyDefinitions()
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {Object} { definitions, key } with the new key's definition
+ */
+export function rotateKeyDefinitions(definitions, options) {
+  const { use, algorithm, activationDelay = 0, overlaps } = options;
+  const now = options.now ?? Date.now();
+  const signing = definitions.some(
+    (definition) =>
+      definition.use === use &&
+      definition.status === 'active' &&
+      new Date(definition.activatesAt).getTime() <= now
+  );
+  const key = {
+    ...generateKeyMaterial(algorithm),
+    use,
+    algorithm,
+    status: 'active',
+    activatesAt: new Date(signing ? now + activationDelay : now).toISOString(),
+  };
+
+  return {
+    definitions: maintainKeyDefinitions([...definitions, key], {
+      overlaps,
+      now,
+    }),
+    key,
+  };
+}
+
+/**
+ * Updates key statuses for the passage of time
+ * Active keys superseded by a newer activated key become verify-only, and verify-only
+ * keys retire once every token they could have signed has expired
+ * @param {Array<Object>} definitions - Key definitions
+ * @param {Object} options - Maintenance options
+ * @param {Object} options.overlaps - Longest token lifetime per use (ms), e.g.
+ *   { access: 900000, refresh: 604800000 }
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {Array<Object>} Updated key definitions
+ */
+export function maintainKeyDefinitions(
+  definitions,
+  { overlaps, now = Date.now() }
+) {
+  const keySet = new SigningKeySet(definitions);
+  const signers = Object.fromEntries(
+    KEY_USES.map((use) => {
+      try {
+        return [use, keySet.getSigningKey(use, now)];
+      } catch (error) {
+        return [use, null];
+      }
+    })
+  );
+
+  return definitions.map((definition) => {
+    const signer = signers[definition.use];
+    const activatesAt = new Date(definition.activatesAt).getTime();
+
+    if (
+      definition.status === 'active' &&
+      signer &&
+      definition.kid !== signer.kid &&
+      activatesAt <= signer.activatesAt
+    ) {
+      return {
+        ...definition,
+        status: 'verify-only',
+        deactivatedAt: new Date(signer.activatesAt).toISOString(),
+      };
+    }
+
+    if (
+      definition.status === 'verify-only' &&
+      definition.deactivatedAt &&
+      new Date(definition.deactivatedAt).getTime() + overlaps[definition.use] <=
+        now
+    ) {
+      return retireDefinition(definition, now);
+    }
+
+    return definition;
+  });
+}
+
+/**
+ * Retires a key immediately, e.g. after it was exposed
+ * Tokens it signed stop being accepted at once
+ * @param {Array<Object>} definitions - Key definitions
+ * @param {string} kid - Key ID
+ * @param {number} [now] - Current time (ms)
+ * @returns {Array<Object>} Updated key definitions
+ * @throws {Error} If no key has the kid
+ */
+export function retireKeyDefinition(definitions, kid, now = Date.now()) {
+  if (!definitions.some((definition) => definition.kid === kid)) {
+    throw new Error(`No signing key with kid '${kid}'`);
+  }
+
+  return definitions.map((definition) =>
+    definition.kid === kid && definition.status !== 'retired'
+      ? retireDefinition(definition, now)
+      : definition
+  );
+}
+
+/**
+ * Key store backed by a JSON file ({ "keys": [...] })
+ * Writes replace the file atomically, so readers never see a partial key set
+ */
+export class FileKeyStore {
+  /**
+   * @param {string} filePath - Key set file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Reads the key definitions
+   * @returns {Array<Object>} Key definitions (empty if the file doesn't exist yet)
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+  }
+
+  /**
+   * Replaces the key definitions
+   * @param {Array<Object>} definitions - Key definitions
+   */
+  write(definitions) {
+    const temporaryPath = path.join(
+      path.dirname(this.filePath),
+      `.${path.basename(this.filePath)}.${process.pid}.tmp`
+    );
+
+    // The file holds private keys, so only the owner may read it
+    fs.writeFileSync(
+      temporaryPath,
+      `${JSON.stringify({ keys: definitions }, null, 2)}\n`,
+      { mode: 0o600 }
+    );
+    fs.renameSync(temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * Loads one key definition
+ * @param {Object} definition - Key definition
+ * @returns {Object} Signing key with use, status and activatesAt (ms)
+ * @throws {Error} If the definition is invalid
+ */
+function loadKeyDefinition(definition) {
+  const { kid, use, algorithm, status = 'active', activatesAt } = definition;
+  const activation = activatesAt ? new Date(activatesAt).getTime() : 0;
+
+  if (!KEY_USES.includes(use)) {
+    throw new Error(
+      `Signing key '${kid}' must have a use of ${KEY_USES.join(' or ')}`
+    );
+  }
+
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`Signing key '${kid}' has an unknown status '${status}'`);
+  }
+
+  if (Number.isNaN(activation)) {
+    throw new Error(`Signing key '${kid}' has an invalid activation date`);
+  }
+
+  return {
+    ...loadSigningKey({
+      algorithm,
+      privateKey: definition.privateKey,
+      secret: definition.secret,
+      keyId: kid,
+    }),
+    use,
+    status,
+    activatesAt: activation,
+  };
+}
+
+/**
+ * Marks a key definition retired and drops its key material
+ * @param {Object} definition - Key definition
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Retired definition
+ */
+function retireDefinition(definition, now) {
+  const retired = {
+    ...definition,
+    status: 'retired',
+    retiredAt: new Date(now).toISOString(),
+  };
+
+  delete retired.privateKey;
+  delete retired.secret;
+
+  return retired;
+}
@@ -0,0 +1,160 @@
+/**
+ * Signing key set tests
+ * @module utils/keySet.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  FileKeyStore,
+  SigningKeySet,
+  maintainKeyDefinitions,
+  retireKeyDefinition,
+  rotateKeyDefinitions,
+} from './keySet.js';
+import { signJwt, verifyJwt } from './signingKeys.js';
+
+const MINUTE = 60 * 1000;
+const OVERLAPS = { access: 15 * MINUTE, refresh: 60 * MINUTE };
+
+test('rotateKeyDefinitions should overlap old and new keys until old tokens expire', () => {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  const rotate = (definitions, now) =>
+    rotateKeyDefinitions(definitions, {
+      use: 'access',
+      algorithm: 'ES256',
+      activationDelay: 10 * MINUTE,
+      overlaps: OVERLAPS,
+      now,
+    });
+
+  // The first key signs at once, since nothing else can
+  const first = rotate([], start);
+  assert.strictEqual(first.key.activatesAt, new Date(start).toISOString());
+
+  const oldKeys = new SigningKeySet(first.definitions);
+  const oldToken = signJwt(
+    { id: 'user-1' },
+    oldKeys.getSigningKey('access', start),
+    { expiresIn: '15m' }
+  );
+
+  // The next key is published at once but only signs after the activation delay
+  const second = rotate(first.definitions, start + MINUTE);
+  const pending = new SigningKeySet(second.definitions);
+
+  assert.strictEqual(
+    pending.getSigningKey('access', start + MINUTE).kid,
+    first.key.kid
+  );
+  assert.deepStrictEqual(
+    pending.getJwks().keys.map((jwk) => jwk.kid),
+    [second.key.kid, first.key.kid]
+  );
+
+  // Once the new key signs, the old one only verifies
+  const activated = maintainKeyDefinitions(second.definitions, {
+    overlaps: OVERLAPS,
+    now: start + 12 * MINUTE,
+  });
+  const overlapping = new SigningKeySet(activated);
+
+  assert.strictEqual(
+    overlapping.getSigningKey('access', start + 12 * MINUTE).kid,
+    second.key.kid
+  );
+  assert.strictEqual(activated[0].status, 'verify-only');
+  assert.strictEqual(activated[0].deactivatedAt, second.key.activatesAt);
+  assert.strictEqual(
+    verifyJwt(oldToken, overlapping.getVerificationKeys('access')).id,
+    'user-1'
+  );
+
+  // After the longest access token lifetime the old key retires and loses its material
+  const retired = maintainKeyDefinitions(activated, {
+    overlaps: OVERLAPS,
+    now: start + 11 * MINUTE + OVERLAPS.access,
+  });
+
+  assert.strictEqual(retired[0].status, 'retired');
+  assert.strictEqual(retired[0].privateKey, undefined);
+  assert.deepStrictEqual(
+    new SigningKeySet(retired).getJwks().keys.map((jwk) => jwk.kid),
+    [second.key.kid]
+  );
+});
+
+test('SigningKeySet should keep uses apart and fail without an active key', () => {
+  const { definitions } = rotateKeyDefinitions([], {
+    use: 'refresh',
+    algorithm: 'HS256',
+    overlaps: OVERLAPS,
+  });
+  const keySet = new SigningKeySet(definitions);
+  const token = signJwt({ id: 'user-1' }, keySet.getSigningKey('refresh'), {
+    expiresIn: 60,
+  });
+
+  assert.strictEqual(
+    verifyJwt(token, keySet.getVerificationKeys('refresh')).id,
+    'user-1'
+  );
+  assert.throws(() => verifyJwt(token, keySet.getVerificationKeys('access')), {
+    name: 'JsonWebTokenError',
+  });
+  assert.throws(
+    () => keySet.getSigningKey('access'),
+    /No active access token signing key/
+  );
+
+  // HMAC keys never appear in the JWKS
+  assert.deepStrictEqual(keySet.getJwks(), { keys: [] });
+});
+
+test('retireKeyDefinition should stop tokens from verifying at once', () => {
+  const { definitions, key } = rotateKeyDefinitions([], {
+    use: 'access',
+    algorithm: 'EdDSA',
+    overlaps: OVERLAPS,
+  });
+  const token = signJwt(
+    { id: 'user-1' },
+    new SigningKeySet(definitions).getSigningKey('access'),
+    { expiresIn: 60 }
+  );
+  const retired = new SigningKeySet(retireKeyDefinition(definitions, key.kid));
+
+  assert.throws(() => verifyJwt(token, retired.getVerificationKeys('access')), {
+    name: 'JsonWebTokenError',
+  });
+  assert.throws(
+    () => retireKeyDefinition(definitions, 'unknown'),
+    /No signing key/
+  );
+});
+
+test('FileKeyStore should write key sets only the owner can read', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-keys-'));
+  const store = new FileKeyStore(path.join(directory, 'keys.json'));
+
+  try {
+    assert.deepStrictEqual(store.read(), []);
+
+    const { definitions } = rotateKeyDefinitions([], {
+      use: 'refresh',
+      algorithm: 'HS512',
+      overlaps: OVERLAPS,
+    });
+
+    store.write(definitions);
+
+    assert.deepStrictEqual(store.read(), definitions);
+    assert.strictEqual(fs.statSync(store.filePath).mode & 0o777, 0o600);
+    assert.deepStrictEqual(fs.readdirSync(directory), ['keys.json']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
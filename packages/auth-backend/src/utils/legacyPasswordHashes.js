@@ -0,0 +1,192 @@
+/**
+ * Verifiers for password hashes imported from other identity systems
+ * They implement the hasher interface from utils/passwordHashers but can only verify:
+ * needsRehash() is always true, so a matching password is rehashed with the configured
+ * algorithm at the user's next login
+ * @module utils/legacyPasswordHashes
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Compares two buffers in constant time, returning false on length mismatch
+ * @param {Buffer} a - First buffer
+ * @param {Buffer} b - Second buffer
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Base class for verify-only hashers
+ */
+class LegacyPasswordVerifier {
+  async hash() {
+    throw new Error(`${this.id} hashes can only be verified, not created`);
+  }
+
+  needsRehash() {
+    return true;
+  }
+}
+
+/**
+ * Django PBKDF2 hashes: pbkdf2_sha256$<iterations>$<salt>$<base64 key> (also pbkdf2_sha1)
+ */
+export class DjangoPbkdf2Verifier extends LegacyPasswordVerifier {
+  constructor() {
+    super();
+    this.id = 'django-pbkdf2';
+  }
+
+  identify(hash) {
+    return /^pbkdf2_sha(1|256)\$\d+\$[^$]+\$[A-Za-z0-9+/=]+$/.test(hash);
+  }
+
+  async verify(password, hash) {
+    const [algorithm, iterations, salt, expected] = hash.split('$');
+    const key = Buffer.from(expected, 'base64');
+    const derived = await pbkdf2Async(
+      password,
+      salt,
+      parseInt(iterations, 10),
+      key.length,
+      algorithm.replace('pbkdf2_', '')
+    );
+
+    return safeEqual(derived, key);
+  }
+}
+
+const PHPASS_ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * PHPass' own base64 variant (little-endian groups, ./0-9A-Za-z alphabet)
+ * @param {Buffer} input - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function phpassEncode64(input) {
+  let output = '';
+
+  for (let i = 0; i < input.length; i += 3) {
+    const value = input[i] | ((input[i + 1] ?? 0) << 8) | ((input[i + 2] ?? 0) << 16);
+    const chars = Math.min(input.length - i, 3) + 1;
+
+    for (let shift = 0; shift < chars * 6; shift += 6) {
+      output += PHPASS_ITOA64[(value >> shift) & 0x3f];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * PHPass portable hashes ($P$ and $H$), used by WordPress, phpBB and Drupal 7 imports
+ */
+export class PhpassVerifier extends LegacyPasswordVerifier {
+  constructor() {
+    super();
+    this.id = 'phpass';
+    this.cpuBound = true;
+  }
+
+  identify(hash) {
+    return /^\$[PH]\$/.test(hash) && hash.length === 34;
+  }
+
+  async verify(password, hash) {
+    const countLog2 = PHPASS_ITOA64.indexOf(hash[3]);
+
+    if (countLog2 < 7 || countLog2 > 30) {
+      return false;
+    }
+
+    const secret = Buffer.from(password, 'utf8');
+    const md5 = (data) => crypto.createHash('md5').update(data).digest();
+
+    let digest = md5(Buffer.concat([Buffer.from(hash.slice(4, 12)), secret]));
+    for (let count = 1 << countLog2; count > 0; count--) {
+      digest = md5(Buffer.concat([digest, secret]));
+    }
+
+    return safeEqual(Buffer.from(hash.slice(0, 12) + phpassEncode64(digest)), Buffer.from(hash));
+  }
+}
+
+/**
+ * Salted SHA-256 hashes: sha256$<salt>$<hex digest of salt + password>
+ * Importers should convert other salted SHA-256 layouts to this format
+ */
+export class SaltedSha256Verifier extends LegacyPasswordVerifier {
+  constructor() {
+    super();
+    this.id = 'sha256';
+  }
+
+  identify(hash) {
+    return /^sha256\$[^$]*\$[0-9a-f]{64}$/i.test(hash);
+  }
+
+  async verify(password, hash) {
+    const [, salt, expected] = hash.split('$');
+    const digest = crypto.createHash('sha256').update(salt + password, 'utf8').digest();
+
+    return safeEqual(digest, Buffer.from(expected, 'hex'));
+  }
+}
+
+/**
+ * Firebase Authentication modified scrypt hashes: $firebase-scrypt$<base64 salt>$<base64 hash>
+ * Needs the hash parameters of the Firebase project the users were exported from, so it
+ * isn't registered by default:
+ *
+ *   registerPasswordHasher(new FirebaseScryptVerifier({ signerKey, saltSeparator, rounds, memCost }))
+ */
+export class FirebaseScryptVerifier extends LegacyPasswordVerifier {
+  /**
+   * @param {Object} params - Project hash parameters from the Firebase console
+   * @param {string} params.signerKey - Base64 signer key
+   * @param {string} params.saltSeparator - Base64 salt separator
+   * @param {number} params.rounds - scrypt rounds (block size)
+   * @param {number} params.memCost - scrypt memory cost (log2 N)
+   */
+  constructor({ signerKey, saltSeparator, rounds, memCost } = {}) {
+    super();
+
+    if (!signerKey || !saltSeparator || !rounds || !memCost) {
+      throw new Error('Firebase scrypt verifier requires signerKey, saltSeparator, rounds and memCost');
+    }
+
+    this.id = 'firebase-scrypt';
+    this.signerKey = Buffer.from(signerKey, 'base64');
+    this.saltSeparator = Buffer.from(saltSeparator, 'base64');
+    this.rounds = rounds;
+    this.memCost = memCost;
+  }
+
+  identify(hash) {
+    return hash.startsWith('$firebase-scrypt$');
+  }
+
+  async verify(password, hash) {
+    const [, , salt, expected] = hash.split('$');
+    const N = 2 ** this.memCost;
+    const derivedKey = await scryptAsync(
+      Buffer.from(password, 'utf8'),
+      Buffer.concat([Buffer.from(salt, 'base64'), this.saltSeparator]),
+      64,
+      { N, r: this.rounds, p: 1, maxmem: 256 * N * this.rounds }
+    );
+
+    // The stored hash is the signer key encrypted with the first half of the derived key
+    const cipher = crypto.createCipheriv('aes-256-ctr', derivedKey.subarray(0, 32), Buffer.alloc(16));
+    const computed = Buffer.concat([cipher.update(this.signerKey), cipher.final()]);
+
+    return safeEqual(computed, Buffer.from(expected, 'base64'));
+  }
+}
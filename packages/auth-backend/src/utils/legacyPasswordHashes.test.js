@@ -0,0 +1,62 @@
+/**
+ * Legacy password hash verifier tests
+ * Reference hashes come from the respective systems' own implementations
+ * @module utils/legacyPasswordHashes.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { FirebaseScryptVerifier } from './legacyPasswordHashes.js';
+import { registerPasswordHasher } from './passwordHashers.js';
+import { comparePassword, passwordNeedsRehash } from './password.js';
+
+/**
+ * Test: Built-in verifiers
+ */
+test('comparePassword should verify Django PBKDF2 hashes', async () => {
+  const hash = 'pbkdf2_sha256$1000$seasalt$mQnueSakb748zqBAC1tmWVZsZbi2zPGZarEzTGdfmso=';
+
+  assert.strictEqual(await comparePassword('correct horse', hash), true);
+  assert.strictEqual(await comparePassword('wrong horse', hash), false);
+});
+
+test('comparePassword should verify PHPass portable hashes', async () => {
+  const hash = '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0';
+
+  assert.strictEqual(await comparePassword('test12345', hash), true);
+  assert.strictEqual(await comparePassword('test123456', hash), false);
+});
+
+test('comparePassword should verify salted SHA-256 hashes', async () => {
+  const hash = 'sha256$pepper$ca458f67a1e64e60f40414c062c57abbfc1d41b5d0c30cd07d12704540067f21';
+
+  assert.strictEqual(await comparePassword('hunter2', hash), true);
+  assert.strictEqual(await comparePassword('hunter3', hash), false);
+});
+
+test('passwordNeedsRehash should always upgrade legacy hashes', () => {
+  assert.strictEqual(passwordNeedsRehash('$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0'), true);
+});
+
+/**
+ * Test: Firebase scrypt (parameters and hash from the firebase/scrypt reference repository)
+ */
+test('FirebaseScryptVerifier should verify Firebase modified scrypt hashes once registered', async () => {
+  const hash =
+    '$firebase-scrypt$42xEC+ixf3L2lw==$lSrfV15cpx95/sZS2W9c9Kp6i/LVgQNDNC/qzrCnh1SAyZvqmZqAjTdn3aoItz+VHjoZilo78198JAdRuid5lQ==';
+
+  await assert.rejects(() => comparePassword('user1password', hash), /Unrecognized password hash format/);
+
+  registerPasswordHasher(
+    new FirebaseScryptVerifier({
+      signerKey:
+        'jxspr8Ki0RYycVU8zykbdLGjFQ3McFUH0uiiTvC8pVMXAn210wjLNmdZJzxUECKbm0QsEmYUSDzZvpjeJ9WmXA==',
+      saltSeparator: 'Bw==',
+      rounds: 8,
+      memCost: 14,
+    })
+  );
+
+  assert.strictEqual(await comparePassword('user1password', hash), true);
+  assert.strictEqual(await comparePassword('user2password', hash), false);
+});
@@ -0,0 +1,192 @@
+/**
+ * OAuth 2.0 utility functions for social login providers
+ * Implements the authorization-code flow with PKCE
+ * @module utils/oauth
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Maps provider user info responses to a common profile shape
+ * Each mapper receives the user info response and the access token
+ */
+const profileMappers = {
+  google: async (data) => ({
+    id: String(data.sub),
+    email: data.email ? data.email.toLowerCase() : null,
+    emailVerified: data.email_verified === true || data.email_verified === 'true',
+    name: data.name || null,
+    avatar: data.picture || null,
+  }),
+
+  github: async (data, accessToken, providerConfig) => {
+    let email = data.email;
+    let emailVerified = false;
+
+    // The public profile email may be hidden or unverified, so ask for the verified list
+    if (providerConfig.emailsUrl) {
+      const emails = await requestJson(providerConfig.emailsUrl, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const primary = Array.isArray(emails)
+        ? emails.find((e) => e.primary && e.verified) || emails.find((e) => e.verified)
+        : null;
+
+      if (primary) {
+        email = primary.email;
+        emailVerified = true;
+      }
+    }
+
+    return {
+      id: String(data.id),
+      email: email ? email.toLowerCase() : null,
+      emailVerified,
+      name: data.name || data.login || null,
+      avatar: data.avatar_url || null,
+    };
+  },
+};
+
+/**
+ * Returns the names of providers that have a profile mapper
+ * @returns {string[]} Supported provider names
+ */
+export function getSupportedOAuthProviders() {
+  return Object.keys(profileMappers);
+}
+
+/**
+ * Generates a PKCE code verifier and S256 code challenge
+ * @returns {Object} Object containing codeVerifier and codeChallenge
+ */
+export function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = computeCodeChallenge(codeVerifier);
+
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Computes the S256 PKCE code challenge for a code verifier
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {string} Base64url encoded SHA-256 hash of the verifier
+ */
+export function computeCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Signs an OAuth state value for the cookie that ties a sign-in to the browser that started it
+ * @param {string} state - State value sent to the provider
+ * @param {string} secret - Signing secret
+ * @returns {string} Base64url HMAC-SHA256 of the state
+ */
+export function signOAuthState(state, secret) {
+  return crypto.createHmac('sha256', secret).update(state).digest('base64url');
+}
+
+/**
+ * Builds the provider authorization URL
+ * @param {Object} providerConfig - Provider configuration
+ * @param {Object} params - Authorization parameters
+ * @param {string} params.state - Opaque state value
+ * @param {string} params.codeChallenge - PKCE code challenge
+ * @returns {string} Authorization URL
+ */
+export function buildAuthorizationUrl(providerConfig, { state, codeChallenge }) {
+  const url = new URL(providerConfig.authorizationUrl);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', providerConfig.clientId);
+  url.searchParams.set('redirect_uri', providerConfig.callbackUrl);
+  url.searchParams.set('scope', providerConfig.scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+}
+
+/**
+ * Exchanges an authorization code for provider tokens
+ * @param {Object} providerConfig - Provider configuration
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} Token response
+ * @throws {Error} If the exchange fails
+ */
+export async function exchangeAuthorizationCode(providerConfig, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: providerConfig.callbackUrl,
+    client_id: providerConfig.clientId,
+    client_secret: providerConfig.clientSecret,
+    code_verifier: codeVerifier,
+  });
+
+  const tokens = await requestJson(providerConfig.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+
+  if (tokens.error || !tokens.access_token) {
+    throw new Error(
+      `Token exchange failed: ${tokens.error_description || tokens.error || 'no access token returned'}`
+    );
+  }
+
+  return tokens;
+}
+
+/**
+ * Fetches and normalizes the provider user profile
+ * @param {string} provider - Provider name
+ * @param {Object} providerConfig - Provider configuration
+ * @param {string} accessToken - Provider access token
+ * @returns {Promise<Object>} Profile with id, email, emailVerified, name and avatar
+ */
+export async function fetchOAuthProfile(provider, providerConfig, accessToken) {
+  const mapProfile = profileMappers[provider];
+
+  if (!mapProfile) {
+    throw new Error(`Unsupported OAuth provider: ${provider}`);
+  }
+
+  const data = await requestJson(providerConfig.userInfoUrl, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  return mapProfile(data, accessToken, providerConfig);
+}
+
+/**
+ * Performs an HTTP request and parses the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} If the request fails
+ */
+export async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      'User-Agent': 'auth-backend',
+      ...options.headers,
+    },
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(
+      `Request to ${new URL(url).host} failed with status ${response.status}: ${data.error_description || data.error || data.message || 'unknown error'}`
+    );
+  }
+
+  return data;
+}
@@ -3,37 +3,60 @@
  * @module utils/password
  */
 
-import bcrypt from 'bcryptjs';
 import config from '../config/index.js';
+import { getPasswordHasher, identifyPasswordHasher } from './passwordHashers.js';
+import { getHashWorkerPool } from './hashWorkerPool.js';
+import { ServiceUnavailableError } from './errors.js';
 
 /**
- * Hashes a plain text password using bcrypt
+ * Runs a hasher method, on the hash worker pool if the hasher is CPU-bound and a pool is configured
+ * @param {Object} hasher - Password hasher
+ * @param {string} method - 'hash' or 'verify'
+ * @param {Array} args - Method arguments
+ * @param {Object} options - Security configuration
+ * @returns {Promise<*>} Method result
+ */
+function runHasher(hasher, method, args, options) {
+  const pool = hasher.cpuBound ? getHashWorkerPool(options) : null;
+  return pool ? pool.run(hasher.id, method, args) : hasher[method](...args);
+}
+
+/**
+ * Hashes a plain text password with the configured algorithm
  * @param {string} password - Plain text password to hash
+ * @param {Object} [options] - Security configuration (algorithm and cost settings)
  * @returns {Promise<string>} Hashed password
+ * @throws {ServiceUnavailableError} If the hash worker queue is full
  * @throws {Error} If password is empty or hashing fails
  */
-export async function hashPassword(password) {
+export async function hashPassword(password, options = config.security) {
   if (!password || typeof password !== 'string') {
     throw new Error('Password must be a non-empty string');
   }
 
   try {
-    const salt = await bcrypt.genSalt(config.security.bcryptRounds);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hasher = getPasswordHasher(options.passwordHashAlgorithm || 'bcrypt');
+    const hashedPassword = await runHasher(hasher, 'hash', [password, options], options);
     return hashedPassword;
   } catch (error) {
+    if (error instanceof ServiceUnavailableError) {
+      throw error;
+    }
     throw new Error(`Failed to hash password: ${error.message}`);
   }
 }
 
 /**
  * Compares a plain text password with a hashed password
+ * The algorithm is detected from the hash, so hashes from any registered hasher verify
  * @param {string} password - Plain text password to verify
  * @param {string} hashedPassword - Hashed password to compare against
+ * @param {Object} [options] - Security configuration (hash worker pool settings)
  * @returns {Promise<boolean>} True if passwords match, false otherwise
+ * @throws {ServiceUnavailableError} If the hash worker queue is full
  * @throws {Error} If inputs are invalid
  */
-export async function comparePassword(password, hashedPassword) {
+export async function comparePassword(password, hashedPassword, options = config.security) {
   if (!password || typeof password !== 'string') {
     throw new Error('Password must be a non-empty string');
   }
@@ -43,13 +66,38 @@ export async function comparePassword(password, hashedPassword) {
   }
 
   try {
-    const isMatch = await bcrypt.compare(password, hashedPassword);
+    const hasher = identifyPasswordHasher(hashedPassword);
+
+    if (!hasher) {
+      throw new Error('Unrecognized password hash format');
+    }
+
+    const isMatch = await runHasher(hasher, 'verify', [password, hashedPassword], options);
     return isMatch;
   } catch (error) {
+    if (error instanceof ServiceUnavailableError) {
+      throw error;
+    }
     throw new Error(`Failed to compare passwords: ${error.message}`);
   }
 }
 
+/**
+ * Checks whether a stored hash uses an outdated algorithm or cost
+ * @param {string} hashedPassword - Stored hash
+ * @param {Object} [options] - Security configuration (algorithm and cost settings)
+ * @returns {boolean} True if the password should be rehashed with the current settings
+ */
+export function passwordNeedsRehash(hashedPassword, options = config.security) {
+  const hasher = identifyPasswordHasher(hashedPassword);
+
+  if (!hasher || hasher.id !== (options.passwordHashAlgorithm || 'bcrypt')) {
+    return true;
+  }
+
+  return hasher.needsRehash(hashedPassword, options);
+}
+
 /**
  * Validates password strength
  * @param {string} password - Password to validate
@@ -138,15 +186,21 @@ export function generateRandomPassword(length = 16) {
  * @param {string} userId - User ID to check password history for
  * @param {string} password - Password to check
  * @param {Array} previousPasswords - Array of previously hashed passwords
+ * @param {Object} [options] - Security configuration (hash worker pool settings)
  * @returns {Promise<boolean>} True if password was previously used
  */
-export async function isPasswordReused(userId, password, previousPasswords = []) {
+export async function isPasswordReused(
+  userId,
+  password,
+  previousPasswords = [],
+  options = config.security
+) {
   if (!previousPasswords || previousPasswords.length === 0) {
     return false;
   }
 
   for (const oldPassword of previousPasswords) {
-    const isMatch = await comparePassword(password, oldPassword);
+    const isMatch = await comparePassword(password, oldPassword, options);
     if (isMatch) {
       return true;
     }
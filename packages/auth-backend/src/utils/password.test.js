@@ -11,7 +11,25 @@ import {
   comparePassword,
   validatePasswordStrength,
   generateRandomPassword,
+  passwordNeedsRehash,
 } from './password.js';
+import config from '../config/index.js';
+
+// Low costs keep the tests fast
+const SCRYPT_OPTIONS = {
+  ...config.security,
+  passwordHashAlgorithm: 'scrypt',
+  scryptCost: 10,
+  scryptBlockSize: 8,
+  scryptParallelization: 1,
+};
+const ARGON2_OPTIONS = {
+  ...config.security,
+  passwordHashAlgorithm: 'argon2id',
+  argon2MemoryCost: 1024,
+  argon2TimeCost: 2,
+  argon2Parallelism: 1,
+};
 
 /**
  * Test: Hash Password
@@ -53,6 +71,44 @@ test('comparePassword should return false for non-matching passwords', async ()
   assert.strictEqual(isMatch, false, 'Passwords should not match');
 });
 
+/**
+ * Test: Hash algorithms
+ */
+test('hashPassword should record scrypt parameters in the hash', async () => {
+  const hashedPassword = await hashPassword('TestPassword123!', SCRYPT_OPTIONS);
+
+  assert.match(hashedPassword, /^\$scrypt\$ln=10,r=8,p=1\$[^$]+\$[^$]+$/);
+  assert.strictEqual(await comparePassword('TestPassword123!', hashedPassword), true);
+  assert.strictEqual(await comparePassword('WrongPassword123!', hashedPassword), false);
+});
+
+test('hashPassword should support argon2id', async () => {
+  const hashedPassword = await hashPassword('TestPassword123!', ARGON2_OPTIONS);
+
+  assert.match(hashedPassword, /^\$argon2id\$v=19\$m=1024,t=2,p=1\$/);
+  assert.strictEqual(await comparePassword('TestPassword123!', hashedPassword), true);
+  assert.strictEqual(await comparePassword('WrongPassword123!', hashedPassword), false);
+});
+
+test('comparePassword should reject unrecognized hash formats', async () => {
+  await assert.rejects(
+    () => comparePassword('TestPassword123!', 'plaintext'),
+    /Unrecognized password hash format/
+  );
+});
+
+test('passwordNeedsRehash should detect outdated algorithms and costs', async () => {
+  const bcryptHash = await hashPassword('TestPassword123!', { ...config.security, bcryptRounds: 4 });
+  const scryptHash = await hashPassword('TestPassword123!', SCRYPT_OPTIONS);
+
+  assert.strictEqual(passwordNeedsRehash(bcryptHash, { ...config.security, bcryptRounds: 4 }), false);
+  assert.strictEqual(passwordNeedsRehash(bcryptHash, { ...config.security, bcryptRounds: 5 }), true);
+  assert.strictEqual(passwordNeedsRehash(bcryptHash, SCRYPT_OPTIONS), true);
+  assert.strictEqual(passwordNeedsRehash(scryptHash, SCRYPT_OPTIONS), false);
+  assert.strictEqual(passwordNeedsRehash(scryptHash, { ...SCRYPT_OPTIONS, scryptCost: 11 }), true);
+  assert.strictEqual(passwordNeedsRehash(scryptHash, ARGON2_OPTIONS), true);
+});
+
 /**
  * Test: Validate Password Strength
  */
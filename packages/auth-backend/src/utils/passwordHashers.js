@@ -0,0 +1,283 @@
+/**
+ * Password hashers
+ * A hasher is any object with an id and the methods identify(hash), hash(password, options),
+ * verify(password, hash) and needsRehash(hash, options). Every hash records its algorithm and
+ * cost, so stored passwords keep working when config.security.passwordHashAlgorithm changes
+ * and can be upgraded on the next successful login.
+ * Built-in hashers that compute in JavaScript set cpuBound, so they run on the hash worker
+ * pool (utils/hashWorkerPool) instead of the main thread when one is configured.
+ * @module utils/passwordHashers
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import bcrypt from 'bcryptjs';
+import {
+  DjangoPbkdf2Verifier,
+  PhpassVerifier,
+  SaltedSha256Verifier,
+} from './legacyPasswordHashes.js';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * bcrypt hasher ($2a$/$2b$/$2y$ hashes)
+ * Cost: security.bcryptRounds
+ */
+export class BcryptHasher {
+  constructor() {
+    this.id = 'bcrypt';
+    this.cpuBound = true;
+  }
+
+  identify(hash) {
+    return /^\$2[aby]\$\d{2}\$/.test(hash);
+  }
+
+  async hash(password, options) {
+    const salt = await bcrypt.genSalt(options.bcryptRounds);
+    return bcrypt.hash(password, salt);
+  }
+
+  async verify(password, hash) {
+    return bcrypt.compare(password, hash);
+  }
+
+  needsRehash(hash, options) {
+    return parseInt(hash.split('$')[2], 10) !== options.bcryptRounds;
+  }
+}
+
+/**
+ * scrypt hasher using node:crypto
+ * Hashes use the PHC string format: $scrypt$ln=<log2 N>,r=<block size>,p=<parallelism>$<salt>$<key>
+ * Cost: security.scryptCost (log2 N), security.scryptBlockSize, security.scryptParallelization
+ */
+export class ScryptHasher {
+  constructor() {
+    this.id = 'scrypt';
+  }
+
+  identify(hash) {
+    return hash.startsWith('$scrypt$');
+  }
+
+  async hash(password, options) {
+    const params = {
+      ln: options.scryptCost,
+      r: options.scryptBlockSize,
+      p: options.scryptParallelization,
+    };
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(password, salt, 32, this._toScryptOptions(params));
+
+    return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${encodeB64(salt)}$${encodeB64(key)}`;
+  }
+
+  async verify(password, hash) {
+    const { params, salt, key } = this._parse(hash);
+    const candidate = await scryptAsync(password, salt, key.length, this._toScryptOptions(params));
+
+    return crypto.timingSafeEqual(candidate, key);
+  }
+
+  needsRehash(hash, options) {
+    const { params } = this._parse(hash);
+
+    return (
+      params.ln !== options.scryptCost ||
+      params.r !== options.scryptBlockSize ||
+      params.p !== options.scryptParallelization
+    );
+  }
+
+  /**
+   * Splits a scrypt PHC string into its parts
+   * @private
+   * @param {string} hash - Stored hash
+   * @returns {Object} { params: { ln, r, p }, salt, key }
+   * @throws {Error} If the hash is malformed
+   */
+  _parse(hash) {
+    const [, , paramString, salt, key] = hash.split('$');
+    const params = Object.fromEntries(
+      (paramString || '').split(',').map((pair) => {
+        const [name, value] = pair.split('=');
+        return [name, parseInt(value, 10)];
+      })
+    );
+
+    if (!params.ln || !params.r || !params.p || !salt || !key) {
+      throw new Error('Malformed scrypt hash');
+    }
+
+    return {
+      params,
+      salt: Buffer.from(salt, 'base64'),
+      key: Buffer.from(key, 'base64'),
+    };
+  }
+
+  /**
+   * Converts PHC parameters to node:crypto scrypt options
+   * @private
+   * @param {Object} params - { ln, r, p }
+   * @returns {Object} scrypt options
+   */
+  _toScryptOptions({ ln, r, p }) {
+    const N = 2 ** ln;
+
+    // node:crypto refuses to use more than 32 MiB unless maxmem is raised
+    return { N, r, p, maxmem: 256 * N * r };
+  }
+}
+
+/**
+ * argon2id hasher ($argon2id$ hashes; $argon2i$/$argon2d$ hashes are verified and upgraded)
+ * Requires the native "argon2" package, which is loaded on first use so deployments that
+ * never use argon2 don't need it to build
+ * Cost: security.argon2MemoryCost (KiB), security.argon2TimeCost, security.argon2Parallelism
+ */
+export class Argon2idHasher {
+  constructor() {
+    this.id = 'argon2id';
+    this.argon2 = null;
+  }
+
+  identify(hash) {
+    return /^\$argon2(id|i|d)\$/.test(hash);
+  }
+
+  async hash(password, options) {
+    const argon2 = await this._load();
+
+    return argon2.hash(password, {
+      type: argon2.argon2id,
+      memoryCost: options.argon2MemoryCost,
+      timeCost: options.argon2TimeCost,
+      parallelism: options.argon2Parallelism,
+    });
+  }
+
+  async verify(password, hash) {
+    const argon2 = await this._load();
+    return argon2.verify(hash, password);
+  }
+
+  needsRehash(hash, options) {
+    const { type, params } = this._parse(hash);
+
+    return (
+      type !== 'argon2id' ||
+      params.m !== options.argon2MemoryCost ||
+      params.t !== options.argon2TimeCost ||
+      params.p !== options.argon2Parallelism
+    );
+  }
+
+  /**
+   * Reads the algorithm and cost parameters from an argon2 PHC string
+   * @private
+   * @param {string} hash - Stored hash, e.g. $argon2id$v=19$m=65536,t=3,p=4$<salt>$<key>
+   * @returns {Object} { type, params: { m, t, p } }
+   */
+  _parse(hash) {
+    const [, type, , paramString = ''] = hash.split('$');
+    const params = Object.fromEntries(
+      paramString.split(',').map((pair) => {
+        const [name, value] = pair.split('=');
+        return [name, parseInt(value, 10)];
+      })
+    );
+
+    return { type, params };
+  }
+
+  /**
+   * Loads the argon2 package
+   * @private
+   * @returns {Promise<Object>} argon2 module
+   * @throws {Error} If the package isn't installed
+   */
+  async _load() {
+    if (!this.argon2) {
+      try {
+        this.argon2 = (await import('argon2')).default;
+      } catch (error) {
+        throw new Error(`argon2id hashing requires the "argon2" package: ${error.message}`);
+      }
+    }
+
+    return this.argon2;
+  }
+}
+
+/**
+ * Encodes bytes as unpadded base64, as used in PHC strings
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base64 string without padding
+ */
+function encodeB64(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '');
+}
+
+/**
+ * Registered hashers by id
+ * Verifiers for imported legacy formats that need no project-specific parameters are included
+ */
+const hashers = new Map(
+  [
+    new BcryptHasher(),
+    new ScryptHasher(),
+    new Argon2idHasher(),
+    new DjangoPbkdf2Verifier(),
+    new PhpassVerifier(),
+    new SaltedSha256Verifier(),
+  ].map((hasher) => [hasher.id, hasher])
+);
+
+/**
+ * Registers a custom hasher, or replaces a built-in one with the same id
+ * @param {Object} hasher - Hasher implementing id, identify, hash, verify and needsRehash
+ * @throws {Error} If the hasher is invalid
+ */
+export function registerPasswordHasher(hasher) {
+  const methods = ['identify', 'hash', 'verify', 'needsRehash'];
+
+  if (!hasher?.id || methods.some((method) => typeof hasher[method] !== 'function')) {
+    throw new Error(`Password hasher must have an id and implement ${methods.join(', ')}`);
+  }
+
+  hashers.set(hasher.id, hasher);
+}
+
+/**
+ * Gets a hasher by algorithm id
+ * @param {string} id - Algorithm id ('bcrypt', 'scrypt', 'argon2id', or a registered custom id)
+ * @returns {Object} Hasher
+ * @throws {Error} If no hasher is registered under the id
+ */
+export function getPasswordHasher(id) {
+  const hasher = hashers.get(id);
+
+  if (!hasher) {
+    throw new Error(`Unknown password hash algorithm: ${id}`);
+  }
+
+  return hasher;
+}
+
+/**
+ * Finds the hasher that produced a stored hash
+ * @param {string} hash - Stored hash
+ * @returns {Object|null} Hasher, or null if no hasher recognizes the format
+ */
+export function identifyPasswordHasher(hash) {
+  for (const hasher of hashers.values()) {
+    if (hasher.identify(hash)) {
+      return hasher;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,432 @@
+/**
+ * Signing keys for access and refresh tokens
+ * jsonwebtoken doesn't support EdDSA, so tokens are built and checked here with
+ * node:crypto. Keys are HMAC secrets or asymmetric private keys; verifying tokens signed
+ * with a private key only needs the public key, and those are published as a JWKS
+ * (RFC 7517) so other services can verify tokens without being able to mint them.
+ * @module utils/signingKeys
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Supported asymmetric algorithms and the keys they need
+ */
+const ALGORITHMS = {
+  RS256: { keyTypes: ['rsa'], hash: 'sha256' },
+  RS384: { keyTypes: ['rsa'], hash: 'sha384' },
+  RS512: { keyTypes: ['rsa'], hash: 'sha512' },
+  PS256: { keyTypes: ['rsa', 'rsa-pss'], hash: 'sha256', pss: true },
+  PS384: { keyTypes: ['rsa', 'rsa-pss'], hash: 'sha384', pss: true },
+  PS512: { keyTypes: ['rsa', 'rsa-pss'], hash: 'sha512', pss: true },
+  ES256: { keyTypes: ['ec'], hash: 'sha256', curve: 'prime256v1' },
+  ES384: { keyTypes: ['ec'], hash: 'sha384', curve: 'secp384r1' },
+  ES512: { keyTypes: ['ec'], hash: 'sha512', curve: 'secp521r1' },
+  EdDSA: { keyTypes: ['ed25519', 'ed448'], hash: null },
+};
+
+export const ASYMMETRIC_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Supported HMAC algorithms and their hashes
+ */
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+
+/**
+ * Key pair parameters used when generating a key for an asymmetric algorithm
+ */
+const KEY_PAIR_TYPES = {
+  RS: ['rsa', { modulusLength: 2048 }],
+  PS: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+  ES384: ['ec', { namedCurve: 'P-384' }],
+  ES512: ['ec', { namedCurve: 'P-521' }],
+  EdDSA: ['ed25519', {}],
+};
+
+/**
+ * Seconds per duration unit, for expiresIn values such as '15m' or '7 days'
+ */
+const DURATION_UNITS = [
+  [/^(ms|msecs?|milliseconds?)$/, 0.001],
+  [/^(s|secs?|seconds?)$/, 1],
+  [/^(m|mins?|minutes?)$/, 60],
+  [/^(h|hrs?|hours?)$/, 3600],
+  [/^(d|days?)$/, 86400],
+  [/^(w|weeks?)$/, 604800],
+  [/^(y|yrs?|years?)$/, 31557600],
+];
+
+/**
+ * Checks whether an algorithm signs with a private key
+ * @param {string} algorithm - JWS algorithm
+ * @returns {boolean} True for RS*, PS*, ES* and EdDSA
+ */
+export function isAsymmetricAlgorithm(algorithm) {
+  return Object.hasOwn(ALGORITHMS, algorithm);
+}
+
+/**
+ * Checks whether an algorithm signs with a shared secret
+ * @param {string} algorithm - JWS algorithm
+ * @returns {boolean} True for HS256, HS384 and HS512
+ */
+export function isHmacAlgorithm(algorithm) {
+  return Object.hasOwn(HMAC_ALGORITHMS, algorithm);
+}
+
+/**
+ * Loads a signing key
+ * @param {Object} options - Key options
+ * @param {string} options.algorithm - Algorithm, e.g. 'HS256' or 'ES256'
+ * @param {string|Object} [options.privateKey] - For asymmetric algorithms: PEM string, JWK
+ *   object or JWK JSON string
+ * @param {string} [options.secret] - For HMAC algorithms: shared secret
+ * @param {string} [options.keyId] - Key ID (kid); asymmetric keys default to the RFC 7638
+ *   JWK thumbprint
+ * @returns {Object} { kid, algorithm, secret } or
+ *   { kid, algorithm, privateKey, publicKey, publicJwk }
+ * @throws {Error} If the key can't be read or doesn't suit the algorithm
+ */
+export function loadSigningKey({ algorithm, privateKey, secret, keyId }) {
+  if (isHmacAlgorithm(algorithm)) {
+    if (!secret) {
+      throw new Error(`A secret is required to sign with ${algorithm}`);
+    }
+
+    return { kid: keyId || undefined, algorithm, secret };
+  }
+
+  if (!isAsymmetricAlgorithm(algorithm)) {
+    throw new Error(
+      `Unsupported signing algorithm '${algorithm}'. Use one of ${[
+        ...Object.keys(HMAC_ALGORITHMS),
+        ...ASYMMETRIC_ALGORITHMS,
+      ].join(', ')}`
+    );
+  }
+
+  if (!privateKey) {
+    throw new Error(`A private key is required to sign with ${algorithm}`);
+  }
+
+  let keyObject;
+
+  try {
+    keyObject = crypto.createPrivateKey(toKeyInput(privateKey));
+  } catch (error) {
+    throw new Error(`Invalid private key: ${error.message}`);
+  }
+
+  assertKeySuitsAlgorithm(keyObject, algorithm);
+
+  const publicKey = crypto.createPublicKey(keyObject);
+  const jwk = publicKey.export({ format: 'jwk' });
+  const kid = keyId || computeJwkThumbprint(jwk);
+
+  return {
+    kid,
+    algorithm,
+    privateKey: keyObject,
+    publicKey,
+    publicJwk: { ...jwk, kid, alg: algorithm, use: 'sig' },
+  };
+}
+
+/**
+ * Generates new key material for an algorithm
+ * @param {string} algorithm - Algorithm, e.g. 'HS256' or 'ES256'
+ * @returns {Object} { kid, secret } for HMAC algorithms, { kid, privateKey } (private JWK)
+ *   for asymmetric ones
+ * @throws {Error} If the algorithm isn't supported
+ */
+export function generateKeyMaterial(algorithm) {
+  if (isHmacAlgorithm(algorithm)) {
+    return {
+      kid: crypto.randomBytes(16).toString('base64url'),
+      secret: crypto.randomBytes(64).toString('base64url'),
+    };
+  }
+
+  if (!isAsymmetricAlgorithm(algorithm)) {
+    throw new Error(`Unsupported signing algorithm '${algorithm}'`);
+  }
+
+  const [type, options] =
+    KEY_PAIR_TYPES[algorithm] || KEY_PAIR_TYPES[algorithm.slice(0, 2)];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+
+  return {
+    kid: computeJwkThumbprint(publicKey.export({ format: 'jwk' })),
+    privateKey: privateKey.export({ format: 'jwk' }),
+  };
+}
+
+/**
+ * Computes the RFC 7638 thumbprint of a public JWK
+ * @param {Object} jwk - Public JWK
+ * @returns {string} Base64url SHA-256 thumbprint
+ */
+export function computeJwkThumbprint(jwk) {
+  const members = {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x'],
+  }[jwk.kty];
+
+  if (!members) {
+    throw new Error(`Unsupported JWK key type '${jwk.kty}'`);
+  }
+
+  // Required members only, in lexicographic order, without whitespace
+  const canonical = JSON.stringify(
+    Object.fromEntries(members.map((name) => [name, jwk[name]]))
+  );
+
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Builds a JWK Set from signing keys
+ * @param {Array<Object>} keys - Keys from loadSigningKey(); HMAC keys are left out
+ * @returns {Object} { keys: [...] } with public keys only
+ */
+export function buildJwks(keys) {
+  return {
+    keys: keys.filter((key) => key.publicJwk).map((key) => key.publicJwk),
+  };
+}
+
+/**
+ * Signs a JWT
+ * @param {Object} claims - Token claims
+ * @param {Object} key - Key from loadSigningKey()
+ * @param {Object} options - Signing options
+ * @param {string|number} options.expiresIn - Lifetime, as seconds or a duration such as '15m'
+ * @param {string} [options.jwtid] - Token ID (jti)
+ * @returns {string} Compact JWS
+ */
+export function signJwt(claims, key, { expiresIn, jwtid }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...claims,
+    iat,
+    exp: iat + durationToSeconds(expiresIn),
+    ...(jwtid && { jti: jwtid }),
+  };
+  const header = { alg: key.algorithm, typ: 'JWT', kid: key.kid };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = isHmacAlgorithm(key.algorithm)
+    ? hmac(key, signingInput)
+    : crypto.sign(
+        ALGORITHMS[key.algorithm].hash,
+        Buffer.from(signingInput),
+        signingOptions(key.algorithm, key.privateKey)
+      );
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verifies a JWT signed with one of the given keys
+ * Errors are jsonwebtoken's TokenExpiredError and JsonWebTokenError, so callers can handle
+ * tokens from either signer the same way
+ * @param {string} token - Compact JWS
+ * @param {Array<Object>} keys - Keys from loadSigningKey(), matched by kid; tokens without
+ *   a kid (issued before key IDs were used) are tried against every key
+ * @returns {Object} Token payload
+ * @throws {jwt.JsonWebTokenError} If the token is malformed or the signature is invalid
+ * @throws {jwt.TokenExpiredError} If the token has expired
+ */
+export function verifyJwt(token, keys) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  let header;
+  let payload;
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+
+  // The algorithm is pinned by the key, never taken from the token alone
+  const valid = keys.some(
+    (key) =>
+      (header.kid === undefined || key.kid === header.kid) &&
+      header.alg === key.algorithm &&
+      verifySignature(key, signingInput, signature)
+  );
+
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  if (
+    typeof payload.exp === 'number' &&
+    payload.exp <= Math.floor(Date.now() / 1000)
+  ) {
+    throw new jwt.TokenExpiredError(
+      'jwt expired',
+      new Date(payload.exp * 1000)
+    );
+  }
+
+  return payload;
+}
+
+/**
+ * Converts an expiresIn value to seconds, as jsonwebtoken does
+ * @param {string|number} value - Seconds, or a duration string ('15m', '7d', '2 hours');
+ *   a string without a unit is milliseconds
+ * @returns {number} Whole seconds
+ * @throws {Error} If the value isn't a valid duration
+ */
+export function durationToSeconds(value) {
+  if (typeof value === 'number') {
+    return Math.floor(value);
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+  const unit = match && (match[2].toLowerCase() || 'ms');
+  const factor =
+    unit && DURATION_UNITS.find(([pattern]) => pattern.test(unit))?.[1];
+
+  if (!factor) {
+    throw new Error(`Invalid duration '${value}'`);
+  }
+
+  return Math.floor(parseFloat(match[1]) * factor);
+}
+
+/**
+ * Checks a token signature with one key
+ * @param {Object} key - Key from loadSigningKey()
+ * @param {string} signingInput - Encoded header and payload
+ * @param {Buffer} signature - Decoded signature
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(key, signingInput, signature) {
+  if (isHmacAlgorithm(key.algorithm)) {
+    const expected = hmac(key, signingInput);
+
+    return (
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature)
+    );
+  }
+
+  return crypto.verify(
+    ALGORITHMS[key.algorithm].hash,
+    Buffer.from(signingInput),
+    signingOptions(key.algorithm, key.publicKey),
+    signature
+  );
+}
+
+/**
+ * Computes an HMAC signature
+ * @param {Object} key - HMAC key from loadSigningKey()
+ * @param {string} signingInput - Encoded header and payload
+ * @returns {Buffer} Signature
+ */
+function hmac(key, signingInput) {
+  return crypto
+    .createHmac(HMAC_ALGORITHMS[key.algorithm], key.secret)
+    .update(signingInput)
+    .digest();
+}
+
+/**
+ * Converts a configured private key to createPrivateKey() input
+ * @param {string|Object} privateKey - PEM string, JWK object or JWK JSON string
+ * @returns {Object|string} Key input
+ */
+function toKeyInput(privateKey) {
+  if (typeof privateKey === 'object') {
+    return { key: privateKey, format: 'jwk' };
+  }
+
+  const trimmed = privateKey.trim();
+
+  if (trimmed.startsWith('{')) {
+    return { key: JSON.parse(trimmed), format: 'jwk' };
+  }
+
+  // Environment variables often carry PEM line breaks as literal \n
+  return trimmed.replace(/\\n/g, '\n');
+}
+
+/**
+ * Checks that a private key can be used with an algorithm
+ * @param {crypto.KeyObject} keyObject - Private key
+ * @param {string} algorithm - Asymmetric algorithm
+ * @throws {Error} If the key type, curve or size doesn't suit the algorithm
+ */
+function assertKeySuitsAlgorithm(keyObject, algorithm) {
+  const { keyTypes, curve } = ALGORITHMS[algorithm];
+  const details = keyObject.asymmetricKeyDetails || {};
+
+  if (!keyTypes.includes(keyObject.asymmetricKeyType)) {
+    throw new Error(
+      `${algorithm} requires a ${keyTypes.join(' or ')} key, got ${keyObject.asymmetricKeyType}`
+    );
+  }
+
+  if (curve && details.namedCurve !== curve) {
+    throw new Error(
+      `${algorithm} requires a ${curve} key, got ${details.namedCurve}`
+    );
+  }
+
+  if (details.modulusLength && details.modulusLength < 2048) {
+    throw new Error(`${algorithm} requires an RSA key of at least 2048 bits`);
+  }
+}
+
+/**
+ * Builds crypto.sign()/crypto.verify() key options for an algorithm
+ * @param {string} algorithm - Asymmetric algorithm
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {Object} Key options
+ */
+function signingOptions(algorithm, key) {
+  const { hash, pss } = ALGORITHMS[algorithm];
+
+  if (pss) {
+    return {
+      key,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.createHash(hash).digest().length,
+    };
+  }
+
+  // JWS uses raw r||s signatures rather than DER for ECDSA
+  if (algorithm.startsWith('ES')) {
+    return { key, dsaEncoding: 'ieee-p1363' };
+  }
+
+  return { key };
+}
+
+/**
+ * Encodes a JOSE header or payload
+ * @param {Object} value - JSON value
+ * @returns {string} Base64url JSON
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
@@ -0,0 +1,176 @@
+/**
+ * Signing key tests
+ * @module utils/signingKeys.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  buildJwks,
+  computeJwkThumbprint,
+  durationToSeconds,
+  loadSigningKey,
+  signJwt,
+  verifyJwt,
+} from './signingKeys.js';
+
+const KEY_PAIRS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  PS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+  ES384: ['ec', { namedCurve: 'P-384' }],
+  EdDSA: ['ed25519', {}],
+};
+
+/**
+ * Generates a private key as PEM
+ * @param {string} algorithm - Algorithm from KEY_PAIRS
+ * @returns {string} PKCS#8 PEM
+ */
+function generatePem(algorithm) {
+  const [type, options] = KEY_PAIRS[algorithm];
+
+  return crypto.generateKeyPairSync(type, options).privateKey.export({
+    type: 'pkcs8',
+    format: 'pem',
+  });
+}
+
+test('signJwt and verifyJwt should round-trip every algorithm family', () => {
+  for (const algorithm of Object.keys(KEY_PAIRS)) {
+    const key = loadSigningKey({
+      algorithm,
+      privateKey: generatePem(algorithm),
+    });
+    const token = signJwt({ id: 'user-1' }, key, {
+      expiresIn: '15m',
+      jwtid: 'jti-1',
+    });
+    const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url'));
+    const payload = verifyJwt(token, [key]);
+
+    assert.deepStrictEqual(header, {
+      alg: algorithm,
+      typ: 'JWT',
+      kid: key.kid,
+    });
+    assert.strictEqual(payload.id, 'user-1');
+    assert.strictEqual(payload.jti, 'jti-1');
+    assert.strictEqual(payload.exp - payload.iat, 900);
+
+    // Tokens from other libraries verify against the published public key
+    if (algorithm !== 'EdDSA') {
+      assert.strictEqual(
+        jwt.verify(token, key.publicKey, { algorithms: [algorithm] }).id,
+        'user-1'
+      );
+    }
+  }
+});
+
+test('verifyJwt should reject tampered, foreign and expired tokens', () => {
+  const key = loadSigningKey({
+    algorithm: 'ES256',
+    privateKey: generatePem('ES256'),
+  });
+  const other = loadSigningKey({
+    algorithm: 'ES256',
+    privateKey: generatePem('ES256'),
+  });
+  const token = signJwt({ id: 'user-1', role: 'user' }, key, { expiresIn: 60 });
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(
+    JSON.stringify({ id: 'user-1', role: 'admin' })
+  ).toString('base64url');
+
+  assert.throws(() => verifyJwt(`${header}.${forged}.${signature}`, [key]), {
+    name: 'JsonWebTokenError',
+  });
+  assert.throws(() => verifyJwt(token, [other]), { name: 'JsonWebTokenError' });
+  assert.throws(() => verifyJwt('not-a-token', [key]), {
+    name: 'JsonWebTokenError',
+  });
+
+  // An HMAC token can't pass as an asymmetric one, whatever its header claims
+  const hmac = jwt.sign({ id: 'user-1' }, 'secret', {
+    header: { kid: key.kid },
+  });
+  assert.throws(() => verifyJwt(hmac, [key]), { name: 'JsonWebTokenError' });
+
+  const expired = signJwt({ id: 'user-1' }, key, { expiresIn: -1 });
+  assert.throws(() => verifyJwt(expired, [key]), { name: 'TokenExpiredError' });
+});
+
+test('loadSigningKey should accept JWKs and reject keys unfit for the algorithm', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+  });
+  const jwk = privateKey.export({ format: 'jwk' });
+  const key = loadSigningKey({
+    algorithm: 'ES256',
+    privateKey: JSON.stringify(jwk),
+  });
+  const [published] = buildJwks([key]).keys;
+
+  assert.strictEqual(published.d, undefined);
+  assert.deepStrictEqual(
+    { kid: published.kid, alg: published.alg, use: published.use },
+    { kid: computeJwkThumbprint(jwk), alg: 'ES256', use: 'sig' }
+  );
+  assert.strictEqual(
+    loadSigningKey({ algorithm: 'ES256', privateKey: jwk, keyId: 'k1' }).kid,
+    'k1'
+  );
+
+  assert.throws(
+    () => loadSigningKey({ algorithm: 'ES384', privateKey: jwk }),
+    /secp384r1/
+  );
+  assert.throws(
+    () => loadSigningKey({ algorithm: 'RS256', privateKey: jwk }),
+    /rsa key/
+  );
+  assert.throws(
+    () => loadSigningKey({ algorithm: 'HS256', privateKey: jwk }),
+    /secret is required/
+  );
+  assert.throws(
+    () => loadSigningKey({ algorithm: 'none', secret: 'x' }),
+    /Unsupported/
+  );
+  assert.throws(
+    () => loadSigningKey({ algorithm: 'EdDSA', privateKey: 'nope' }),
+    /Invalid/
+  );
+});
+
+test('computeJwkThumbprint should match the RFC 7638 example', () => {
+  const jwk = {
+    kty: 'RSA',
+    n:
+      '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tS' +
+      'oc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65Y' +
+      'GjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdk' +
+      't-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+    e: 'AQAB',
+    alg: 'RS256',
+    kid: '2011-04-29',
+  };
+
+  assert.strictEqual(
+    computeJwkThumbprint(jwk),
+    'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs'
+  );
+});
+
+test('durationToSeconds should read expiresIn values like jsonwebtoken', () => {
+  assert.strictEqual(durationToSeconds(90), 90);
+  assert.strictEqual(durationToSeconds('15m'), 900);
+  assert.strictEqual(durationToSeconds('7d'), 604800);
+  assert.strictEqual(durationToSeconds('2 hours'), 7200);
+  assert.strictEqual(durationToSeconds('1.5h'), 5400);
+  assert.strictEqual(durationToSeconds('5000'), 5);
+  assert.throws(() => durationToSeconds('soon'), /Invalid duration/);
+});
@@ -0,0 +1,105 @@
+/**
+ * SMS utility functions for sending one-time codes
+ * A transport is any object with an async send({ to, body }) method,
+ * so real providers (Twilio, SNS, Vonage, ...) can be plugged in via config.sms.transport
+ * @module utils/sms
+ */
+
+import config from '../config/index.js';
+
+/**
+ * Console SMS transport
+ * Logs messages to stdout, for local development
+ */
+export class ConsoleSmsTransport {
+  async send({ to, body }) {
+    process.stdout.write(`[SMS] To: ${to} | ${body}\n`);
+    return { to, body };
+  }
+}
+
+/**
+ * In-memory SMS transport
+ * Keeps sent messages so tests can read the delivered codes
+ */
+export class MemorySmsTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send({ to, body }) {
+    const message = { to, body, sentAt: new Date() };
+    this.messages.push(message);
+    return message;
+  }
+
+  /**
+   * Gets the most recent message sent to a number
+   * @param {string} to - Recipient phone number
+   * @returns {Object|null} Message or null
+   */
+  lastMessageTo(to) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i].to === to) {
+        return this.messages[i];
+      }
+    }
+    return null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Resolves the configured SMS transport
+ * @param {string|Object} transport - 'console', 'memory', or a transport object
+ * @returns {Object} Transport with a send() method
+ * @throws {Error} If the transport is unknown or invalid
+ */
+export function createSmsTransport(transport = config.sms.transport) {
+  if (transport && typeof transport.send === 'function') {
+    return transport;
+  }
+
+  switch (transport) {
+    case 'console':
+      return new ConsoleSmsTransport();
+    case 'memory':
+      return new MemorySmsTransport();
+    default:
+      throw new Error(`Unknown SMS transport: ${transport}`);
+  }
+}
+
+/**
+ * Normalizes a phone number to E.164 format
+ * Strips formatting characters and adds the leading '+'
+ * @param {string} phone - Phone number
+ * @returns {string} Normalized phone number
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone).replace(/[\s\-().]/g, '');
+  return digits.startsWith('+') ? digits : `+${digits}`;
+}
+
+/**
+ * Sends a sign-in code by SMS
+ * @param {Object} transport - SMS transport
+ * @param {string} phone - Recipient phone number
+ * @param {string} code - One-time code
+ * @param {number} expiresInMinutes - Code lifetime in minutes
+ * @returns {Promise<Object>} Transport send result
+ * @throws {Error} If sending fails
+ */
+export async function sendPhoneCodeSms(transport, phone, code, expiresInMinutes) {
+  const body = `${code} is your ${config.sms.senderName} sign-in code. It expires in ${expiresInMinutes} minutes. Never share this code.`;
+
+  try {
+    return await transport.send({ to: phone, body });
+  } catch (error) {
+    console.error('SMS sending failed:', error);
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
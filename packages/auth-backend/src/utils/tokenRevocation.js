@@ -0,0 +1,253 @@
+/**
+ * Access token revocation
+ * Access tokens are stateless, so two mechanisms let them be revoked before they expire:
+ * - a token version on the user, copied into every access token (ver) and incremented to
+ *   revoke all of the user's tokens at once (password change, logout-all, deactivation)
+ * - a denylist of token IDs (jti) for revoking a single token (logout)
+ * @module utils/tokenRevocation
+ */
+
+/**
+ * In-memory denylist
+ * Only suitable for a single process; use RedisTokenDenylist when running several instances
+ */
+export class MemoryTokenDenylist {
+  constructor() {
+    this.entries = new Map();
+    this.addsSincePrune = 0;
+  }
+
+  /**
+   * Denies a token until it expires
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - Token expiry; the entry is dropped afterwards
+   * @returns {Promise<void>}
+   */
+  async add(jti, expiresAt) {
+    this.entries.set(jti, new Date(expiresAt).getTime());
+
+    // Expired entries are pruned now and then so the map doesn't grow without bound
+    if (++this.addsSincePrune >= 1000) {
+      this.addsSincePrune = 0;
+      const now = Date.now();
+
+      for (const [key, expiry] of this.entries) {
+        if (expiry <= now) {
+          this.entries.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks whether a token is denied
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>} True if the token was revoked and hasn't expired yet
+   */
+  async has(jti) {
+    const expiry = this.entries.get(jti);
+
+    if (expiry === undefined) {
+      return false;
+    }
+
+    if (expiry <= Date.now()) {
+      this.entries.delete(jti);
+      return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Redis denylist shared by every instance of the service
+ * Entries expire with the tokens they deny
+ */
+export class RedisTokenDenylist {
+  /**
+   * @param {Object} redisClient - Redis client instance (ioredis API)
+   * @param {Object} [options] - Denylist options
+   * @param {string} [options.prefix] - Key prefix (default 'token-denylist:')
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || 'token-denylist:';
+  }
+
+  async add(jti, expiresAt) {
+    const ttl = new Date(expiresAt).getTime() - Date.now();
+
+    if (ttl > 0) {
+      await this.redis.set(`${this.prefix}${jti}`, '1', 'PX', ttl);
+    }
+  }
+
+  async has(jti) {
+    return (await this.redis.exists(`${this.prefix}${jti}`)) > 0;
+  }
+}
+
+/**
+ * Checks and records access token revocations for one database
+ * Token versions are cached for security.tokenVersionCacheTtl ms, so checking a token
+ * usually costs no database query. Revocations made through this instance take effect
+ * immediately; ones made by other processes take effect once their cache entry expires.
+ */
+export class TokenRevocation {
+  /**
+   * @param {Object} db - Database adapter instance
+   * @param {Object} options - Revocation options
+   * @param {Object} [options.denylist] - Store with add(jti, expiresAt) and has(jti)
+   *   (default: MemoryTokenDenylist)
+   * @param {number} [options.cacheTtl] - How long token versions are cached (ms, 0 disables)
+   * @param {number} [options.maxCacheSize] - Maximum cached users (default 10000)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.denylist = options.denylist || new MemoryTokenDenylist();
+    this.cacheTtl = options.cacheTtl ?? 5000;
+    this.maxCacheSize = options.maxCacheSize ?? 10000;
+    this.versions = new Map();
+  }
+
+  /**
+   * Checks whether a verified access token has been revoked
+   * @param {Object} payload - Decoded access token ({ id, jti, ver } for users, or
+   *   { clientId, jti } for machine clients)
+   * @returns {Promise<boolean>} True if the token is denied, predates the user's token
+   *   version, or belongs to a user that no longer exists or a revoked machine client
+   */
+  async isRevoked(payload) {
+    if (payload.jti && (await this.denylist.has(payload.jti))) {
+      return true;
+    }
+
+    if (payload.clientId) {
+      return (await this._getClientTokenVersion(payload.clientId)) === null;
+    }
+
+    const version = await this._getTokenVersion(payload.id);
+
+    return version === null || (payload.ver ?? 0) < version;
+  }
+
+  /**
+   * Revokes a single access token
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, expiresAt) {
+    await this.denylist.add(jti, expiresAt);
+  }
+
+  /**
+   * Revokes every access token issued to a user so far
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New token version, or null if the user doesn't exist
+   */
+  async revokeUserTokens(userId) {
+    const version = await this.db.incrementTokenVersion(userId);
+    this._cacheTokenVersion(userId, version);
+    return version;
+  }
+
+  /**
+   * Revokes every access token issued to a machine client
+   * Call after the client itself has been revoked
+   * @param {string} clientId - Machine client ID
+   */
+  revokeClientTokens(clientId) {
+    this._cacheTokenVersion(`client:${clientId}`, null);
+  }
+
+  /**
+   * Gets a user's token version, from the cache when possible
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} Token version, or null if the user doesn't exist
+   */
+  async _getTokenVersion(userId) {
+    const cached = this.versions.get(userId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.version;
+    }
+
+    const user = await this.db.findUserById(userId);
+    const version = user ? user.tokenVersion ?? 0 : null;
+
+    this._cacheTokenVersion(userId, version);
+    return version;
+  }
+
+  /**
+   * Gets the token version of a machine client, from the cache when possible
+   * Machine clients have no versions: their tokens are valid (0) until the client is
+   * revoked (null)
+   * @private
+   * @param {string} clientId - Machine client ID
+   * @returns {Promise<number|null>} 0, or null if the client is revoked or doesn't exist
+   */
+  async _getClientTokenVersion(clientId) {
+    const key = `client:${clientId}`;
+    const cached = this.versions.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.version;
+    }
+
+    const client = await this.db.findMachineClient(clientId);
+    const version = client && !client.revokedAt ? 0 : null;
+
+    this._cacheTokenVersion(key, version);
+    return version;
+  }
+
+  /**
+   * Caches a user's (or machine client's) token version
+   * @private
+   * @param {string} userId - User ID
+   * @param {number|null} version - Token version
+   */
+  _cacheTokenVersion(userId, version) {
+    if (this.cacheTtl <= 0) {
+      return;
+    }
+
+    this.versions.delete(userId);
+
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    if (this.versions.size >= this.maxCacheSize) {
+      this.versions.delete(this.versions.keys().next().value);
+    }
+
+    this.versions.set(userId, { version, expiresAt: Date.now() + this.cacheTtl });
+  }
+}
+
+const revocations = new WeakMap();
+
+/**
+ * Gets the token revocation instance of a database adapter, creating it on first use
+ * The authenticate middleware and AuthService share it, so revocations are seen at once
+ * @param {Object} db - Database adapter instance
+ * @param {Object} options - Security configuration
+ * @param {Object} [options.tokenDenylist] - Denylist store (default: in-memory)
+ * @param {number} [options.tokenVersionCacheTtl] - Token version cache lifetime (ms)
+ * @returns {TokenRevocation} Token revocation instance
+ */
+export function getTokenRevocation(db, options = {}) {
+  if (!revocations.has(db)) {
+    revocations.set(
+      db,
+      new TokenRevocation(db, {
+        denylist: options.tokenDenylist,
+        cacheTtl: options.tokenVersionCacheTtl,
+      })
+    );
+  }
+
+  return revocations.get(db);
+}
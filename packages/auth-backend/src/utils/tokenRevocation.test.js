@@ -0,0 +1,61 @@
+/**
+ * Access token revocation tests
+ * @module utils/tokenRevocation.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MemoryTokenDenylist, RedisTokenDenylist, TokenRevocation } from './tokenRevocation.js';
+import { MemoryAdapter } from '../models/adapters/memory.js';
+
+const inOneMinute = () => new Date(Date.now() + 60000);
+
+test('MemoryTokenDenylist should deny tokens until they expire', async () => {
+  const denylist = new MemoryTokenDenylist();
+
+  await denylist.add('live', inOneMinute());
+  await denylist.add('expired', new Date(Date.now() - 1000));
+
+  assert.strictEqual(await denylist.has('live'), true);
+  assert.strictEqual(await denylist.has('expired'), false);
+  assert.strictEqual(await denylist.has('unknown'), false);
+});
+
+test('RedisTokenDenylist should store entries with the remaining lifetime', async () => {
+  const calls = [];
+  const redis = {
+    set: async (...args) => calls.push(args),
+    exists: async (key) => (key === 'token-denylist:abc' ? 1 : 0),
+  };
+  const denylist = new RedisTokenDenylist(redis);
+
+  await denylist.add('abc', inOneMinute());
+  await denylist.add('old', new Date(Date.now() - 1000));
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].slice(0, 3), ['token-denylist:abc', '1', 'PX']);
+  assert.ok(calls[0][3] > 59000 && calls[0][3] <= 60000);
+  assert.strictEqual(await denylist.has('abc'), true);
+  assert.strictEqual(await denylist.has('def'), false);
+});
+
+test('TokenRevocation should reject denied tokens and tokens older than the token version', async () => {
+  const db = new MemoryAdapter();
+  await db.connect();
+  const user = await db.createUser({ email: 'revoke@example.com', password: 'hash' });
+  const revocation = new TokenRevocation(db, { cacheTtl: 60000 });
+
+  assert.strictEqual(await revocation.isRevoked({ id: user.id, jti: 'a', ver: 0 }), false);
+
+  await revocation.revokeToken('a', inOneMinute());
+  assert.strictEqual(await revocation.isRevoked({ id: user.id, jti: 'a', ver: 0 }), true);
+  assert.strictEqual(await revocation.isRevoked({ id: user.id, jti: 'b', ver: 0 }), false);
+
+  // The cached version is replaced immediately by revocations through the same instance
+  assert.strictEqual(await revocation.revokeUserTokens(user.id), 1);
+  assert.strictEqual(await revocation.isRevoked({ id: user.id, jti: 'b', ver: 0 }), true);
+  assert.strictEqual(await revocation.isRevoked({ id: user.id, jti: 'c', ver: 1 }), false);
+
+  await db.deleteUser(user.id);
+  assert.strictEqual(await new TokenRevocation(db).isRevoked({ id: user.id, ver: 1 }), true);
+});
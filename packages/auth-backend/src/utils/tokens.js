@@ -0,0 +1,96 @@
+/**
+ * Opaque token utility functions
+ * Used for server-tracked tokens that are stored hashed (magic links, SMS codes, etc.)
+ * @module utils/tokens
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generates a cryptographically secure, URL-safe random token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Base64url encoded token
+ */
+export function generateSecureToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hashes a token for storage
+ * Only the hash is persisted so a database leak does not expose usable tokens
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generates a random numeric one-time code
+ * @param {number} length - Number of digits (default: 6)
+ * @returns {string} Zero-padded numeric code
+ */
+export function generateNumericCode(length = 6) {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+}
+
+/**
+ * Generates a human-friendly one-time recovery code, e.g. "k7m2p-x9qd4"
+ * Uses an alphabet without look-alike characters (0/o, 1/l/i)
+ * @returns {string} Recovery code
+ */
+export function generateRecoveryCode() {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  let code = '';
+
+  for (let i = 0; i < 10; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Normalizes a recovery code as typed by a user (case, spaces and dashes are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Compares two token hashes in constant time
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {boolean} True if the hashes are equal
+ */
+export function compareTokenHashes(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Generates a personal API key, e.g. "ak_3f9c2a1b7d4e_<secret>"
+ * The part before the secret is a lookup prefix that is stored in plain text, so a key
+ * can be found without comparing it against every stored hash
+ * @param {string} type - Key type prefix (default: 'ak')
+ * @returns {Object} { key, prefix }
+ */
+export function generateApiKey(type = 'ak') {
+  const prefix = `${type}_${crypto.randomBytes(6).toString('hex')}`;
+  return { key: `${prefix}_${generateSecureToken()}`, prefix };
+}
+
+/**
+ * Gets the lookup prefix of an API key
+ * @param {string} key - API key
+ * @returns {string|null} Lookup prefix or null if the key is malformed
+ */
+export function getApiKeyPrefix(key) {
+  const match = /^([a-z0-9]+_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/.exec(key);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,194 @@
+/**
+ * Time-based one-time password (TOTP) utility functions
+ * Implements RFC 6238 on top of the RFC 4226 HOTP algorithm
+ * @module utils/totp
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Default TOTP parameters
+ * These match what authenticator apps assume when the otpauth URI omits them
+ */
+const DEFAULTS = {
+  step: 30,
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1,
+};
+
+/**
+ * Encodes a buffer as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodes a base32 string (RFC 4648), ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded data
+ * @throws {Error} If the input contains invalid characters
+ */
+export function base32Decode(input) {
+  const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a random TOTP secret
+ * @param {number} bytes - Secret length in bytes (default: 20, as recommended by RFC 4226)
+ * @returns {string} Base32 encoded secret
+ */
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Generates an HOTP code for a counter value
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Counter value
+ * @param {Object} [options] - Options
+ * @param {number} [options.digits] - Code length
+ * @param {string} [options.algorithm] - HMAC algorithm
+ * @returns {string} Zero-padded code
+ */
+export function generateHotp(secret, counter, options = {}) {
+  const { digits, algorithm } = { ...DEFAULTS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(algorithm, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+}
+
+/**
+ * Gets the TOTP time step for a timestamp
+ * @param {number} [time] - Timestamp in milliseconds (default: now)
+ * @param {number} [step] - Step length in seconds
+ * @returns {number} Time step counter
+ */
+export function getTotpStep(time = Date.now(), step = DEFAULTS.step) {
+  return Math.floor(time / 1000 / step);
+}
+
+/**
+ * Generates the TOTP code for a point in time
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} [options] - Options
+ * @param {number} [options.time] - Timestamp in milliseconds (default: now)
+ * @param {number} [options.step] - Step length in seconds
+ * @param {number} [options.digits] - Code length
+ * @param {string} [options.algorithm] - HMAC algorithm
+ * @returns {string} TOTP code
+ */
+export function generateTotp(secret, options = {}) {
+  const { time, step, ...rest } = { ...DEFAULTS, ...options };
+  return generateHotp(secret, getTotpStep(time, step), rest);
+}
+
+/**
+ * Verifies a TOTP code, allowing for clock drift
+ * Returns the matching time step so callers can reject replays of the same code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options
+ * @param {number} [options.time] - Timestamp in milliseconds (default: now)
+ * @param {number} [options.window] - Number of steps accepted before and after the current one
+ * @param {number} [options.step] - Step length in seconds
+ * @param {number} [options.digits] - Code length
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, options = {}) {
+  const { time, window, step, ...rest } = { ...DEFAULTS, ...options };
+  const normalizedCode = String(code).replace(/\s/g, '');
+
+  if (normalizedCode.length !== rest.digits) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(time, step);
+  const codeBuffer = Buffer.from(normalizedCode);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHotp(secret, currentStep + offset, rest));
+
+    if (crypto.timingSafeEqual(candidate, codeBuffer)) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds an otpauth:// URI for authenticator app enrollment (usually shown as a QR code)
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label, usually the user's email
+ * @param {string} params.issuer - Service name shown in the authenticator app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.step),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
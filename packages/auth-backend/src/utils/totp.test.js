@@ -0,0 +1,105 @@
+/**
+ * TOTP utility tests
+ * Uses the reference values from RFC 6238 Appendix B
+ * @module utils/totp.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getTotpStep,
+  buildOtpauthUri,
+} from './totp.js';
+
+// ASCII "12345678901234567890", the RFC 6238 SHA-1 test key
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+/**
+ * Test: Base32
+ */
+test('base32Encode should match RFC 4648 test vectors', () => {
+  assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});
+
+test('base32Decode should reverse base32Encode and ignore case, spaces and padding', () => {
+  const data = Buffer.from('any carnal pleasure');
+
+  assert.deepStrictEqual(base32Decode(base32Encode(data)), data);
+  assert.deepStrictEqual(base32Decode('mzxw 6ytb oi======'), Buffer.from('foobar'));
+  assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+});
+
+test('generateTotpSecret should return a 160-bit base32 secret', () => {
+  const secret = generateTotpSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(base32Decode(secret).length, 20);
+});
+
+/**
+ * Test: Code generation
+ */
+test('generateTotp should match RFC 6238 reference values', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ];
+
+  for (const [seconds, expected] of vectors) {
+    assert.strictEqual(
+      generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }),
+      expected,
+      `T=${seconds}`
+    );
+  }
+});
+
+/**
+ * Test: Verification
+ */
+test('verifyTotp should return the matching time step', () => {
+  const time = 1111111109 * 1000;
+  const code = generateTotp(RFC_SECRET, { time });
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, code, { time }), getTotpStep(time));
+});
+
+test('verifyTotp should accept codes within the drift window', () => {
+  const time = 1111111109 * 1000;
+  const previous = generateTotp(RFC_SECRET, { time: time - 30000 });
+  const tooOld = generateTotp(RFC_SECRET, { time: time - 60000 });
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, previous, { time }), getTotpStep(time) - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, tooOld, { time }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, tooOld, { time, window: 2 }), getTotpStep(time) - 2);
+});
+
+test('verifyTotp should reject malformed codes', () => {
+  assert.strictEqual(verifyTotp(RFC_SECRET, '12345'), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, 'abcdef'), null);
+});
+
+/**
+ * Test: Enrollment URI
+ */
+test('buildOtpauthUri should build an authenticator app URI', () => {
+  const uri = new URL(
+    buildOtpauthUri({ secret: RFC_SECRET, accountName: 'jane@example.com', issuer: 'Acme' })
+  );
+
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Acme:jane@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.strictEqual(uri.searchParams.get('issuer'), 'Acme');
+});
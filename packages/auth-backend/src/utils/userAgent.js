@@ -0,0 +1,53 @@
+/**
+ * User agent parsing for session lists
+ * Only recognizes the common browsers and operating systems; it labels devices for
+ * people reviewing their sessions and must never be used for security decisions
+ * @module utils/userAgent
+ */
+
+/**
+ * Browsers, most specific first (Edge and Opera also report Chrome, Chrome also reports Safari)
+ */
+const BROWSERS = [
+  ['Edge', /\bEdg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /\b(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /\bSamsungBrowser\/([\d.]+)/],
+  ['Firefox', /\b(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /\b(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /\bVersion\/([\d.]+).*\bSafari\//],
+];
+
+/**
+ * Operating systems, most specific first (Android reports Linux, iOS reports Mac OS X)
+ */
+const OPERATING_SYSTEMS = [
+  ['iOS', /\b(?:iPhone|iPad|iPod)\b/],
+  ['Android', /\bAndroid\b/],
+  ['Windows', /\bWindows\b/],
+  ['ChromeOS', /\bCrOS\b/],
+  ['macOS', /\bMac OS X\b/],
+  ['Linux', /\bLinux\b/],
+];
+
+/**
+ * Describes the browser and operating system of a user agent string
+ * @param {string|null} userAgent - User-Agent header value
+ * @returns {Object} { browser, os, label }, e.g. { browser: 'Chrome', os: 'macOS',
+ *   label: 'Chrome on macOS' }; unrecognized parts are null
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: null, os: null, label: null };
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? null;
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? null;
+
+  let label = browser || os;
+
+  if (browser && os) {
+    label = `${browser} on ${os}`;
+  }
+
+  return { browser, os, label };
+}
@@ -0,0 +1,47 @@
+/**
+ * User agent parsing tests
+ * @module utils/userAgent.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { describeUserAgent } from './userAgent.js';
+
+test('describeUserAgent should recognize common desktop browsers', () => {
+  const chrome =
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/120.0.0.0 Safari/537.36';
+  const edge =
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0';
+  const firefox = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+  assert.deepStrictEqual(describeUserAgent(chrome), {
+    browser: 'Chrome',
+    os: 'macOS',
+    label: 'Chrome on macOS',
+  });
+  assert.strictEqual(describeUserAgent(edge).label, 'Edge on Windows');
+  assert.strictEqual(describeUserAgent(firefox).label, 'Firefox on Linux');
+});
+
+test('describeUserAgent should recognize mobile browsers', () => {
+  const iphone =
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 ' +
+    '(KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+  const android =
+    'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/120.0.0.0 Mobile Safari/537.36';
+
+  assert.strictEqual(describeUserAgent(iphone).label, 'Safari on iOS');
+  assert.strictEqual(describeUserAgent(android).label, 'Chrome on Android');
+});
+
+test('describeUserAgent should return nulls for missing or unknown user agents', () => {
+  assert.deepStrictEqual(describeUserAgent(null), { browser: null, os: null, label: null });
+  assert.deepStrictEqual(describeUserAgent('curl/8.4.0'), {
+    browser: null,
+    os: null,
+    label: null,
+  });
+});
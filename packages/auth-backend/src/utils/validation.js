@@ -4,6 +4,7 @@
  */
 
 import Joi from 'joi';
+import { OAUTH_SCOPES } from '../models/oauthClient.js';
 
 /**
  * User registration validation schema
@@ -154,6 +155,27 @@ export const changePasswordSchema = Joi.object({
     }),
 });
 
+/**
+ * Email change validation schema
+ */
+export const changeEmailSchema = Joi.object({
+  newEmail: Joi.string()
+    .email()
+    .required()
+    .lowercase()
+    .trim()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'New email is required',
+    }),
+
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required',
+    }),
+});
+
 /**
  * Profile update validation schema
  */
@@ -215,6 +237,291 @@ export const refreshTokenSchema = Joi.object({
     }),
 });
 
+/**
+ * Phone number validation schema
+ */
+export const phoneSchema = Joi.object({
+  phone: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number',
+      'any.required': 'Phone number is required',
+    }),
+});
+
+/**
+ * Phone code verification schema
+ */
+export const phoneCodeSchema = phoneSchema.keys({
+  code: Joi.string()
+    .pattern(/^\d{4,10}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must contain only digits',
+      'any.required': 'Code is required',
+    }),
+});
+
+/**
+ * TOTP code validation schema
+ */
+export const totpCodeSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required',
+    }),
+});
+
+/**
+ * MFA login verification schema
+ * Accepts either a TOTP code or a one-time recovery code
+ */
+export const mfaVerifySchema = Joi.object({
+  mfaToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'MFA token is required',
+    }),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits',
+    }),
+  recoveryCode: Joi.string()
+    .max(32)
+    .messages({
+      'string.max': 'Recovery code is invalid',
+    }),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Code or recovery code is required',
+    'object.xor': 'Provide either a code or a recovery code, not both',
+  });
+
+/**
+ * Password re-entry validation schema
+ */
+export const passwordConfirmSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required',
+    }),
+});
+
+/**
+ * Admin forced password change validation schema
+ */
+export const mustChangePasswordSchema = Joi.object({
+  mustChangePassword: Joi.boolean().default(true),
+});
+
+/**
+ * Admin account activation validation schema
+ */
+export const userActiveSchema = Joi.object({
+  isActive: Joi.boolean().required().messages({
+    'any.required': 'isActive is required',
+  }),
+});
+
+/**
+ * PublicKeyCredential JSON as produced by the browser (binary fields base64url encoded)
+ */
+const publicKeyCredential = Joi.object({
+  id: Joi.string().required(),
+  rawId: Joi.string().optional(),
+  type: Joi.string().valid('public-key').required(),
+  response: Joi.object({
+    clientDataJSON: Joi.string().required(),
+    // Registration
+    attestationObject: Joi.string().optional(),
+    transports: Joi.array().items(Joi.string()).optional(),
+    // Authentication
+    authenticatorData: Joi.string().optional(),
+    signature: Joi.string().optional(),
+    userHandle: Joi.string().allow(null, '').optional(),
+  }).required(),
+  authenticatorAttachment: Joi.string().allow(null).optional(),
+})
+  .required()
+  .messages({
+    'any.required': 'Credential is required',
+  });
+
+/**
+ * Passkey name validation
+ */
+const passkeyName = Joi.string()
+  .max(100)
+  .trim()
+  .messages({
+    'string.max': 'Passkey name must not exceed 100 characters',
+  });
+
+/**
+ * Passkey registration validation schema
+ */
+export const passkeyRegistrationSchema = Joi.object({
+  credential: publicKeyCredential,
+  name: passkeyName.optional(),
+});
+
+/**
+ * Passkey authentication validation schema
+ */
+export const passkeyAuthenticationSchema = Joi.object({
+  credential: publicKeyCredential,
+});
+
+/**
+ * Passkey rename validation schema
+ */
+export const passkeyRenameSchema = Joi.object({
+  name: passkeyName.required().messages({
+    'any.required': 'Name is required',
+  }),
+});
+
+/**
+ * OAuth callback query validation schema
+ */
+export const oauthCallbackSchema = Joi.object({
+  code: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Authorization code is required',
+    }),
+
+  state: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'State is required',
+    }),
+});
+
+/**
+ * OAuth client registration validation schema
+ * Redirect URIs are matched exactly and may use custom schemes (native apps), but not fragments
+ */
+export const oauthClientSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Name is required',
+    }),
+
+  redirectUris: Joi.array()
+    .items(Joi.string().uri().pattern(/#/, { invert: true }))
+    .min(1)
+    .required()
+    .messages({
+      'any.required': 'At least one redirect URI is required',
+      'string.pattern.invert.base': 'Redirect URIs must not contain a fragment',
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...OAUTH_SCOPES))
+    .min(1)
+    .unique()
+    .optional(),
+
+  confidential: Joi.boolean().default(true),
+
+  trusted: Joi.boolean().default(false),
+});
+
+/**
+ * OAuth authorization request validation schema
+ * Parameters are passed through from the client's authorization request; the
+ * authorization server checks their meaning
+ */
+export const oauthAuthorizeSchema = Joi.object({
+  client_id: Joi.string().required().messages({
+    'any.required': 'client_id is required',
+  }),
+  redirect_uri: Joi.string().optional(),
+  response_type: Joi.string().optional(),
+  scope: Joi.string().optional(),
+  state: Joi.string().optional(),
+  nonce: Joi.string().optional(),
+  code_challenge: Joi.string().optional(),
+  code_challenge_method: Joi.string().optional(),
+  decision: Joi.string().valid('approve', 'deny').optional(),
+});
+
+/**
+ * Scope validation for machine clients and API keys
+ * Scopes are defined by the APIs being called; each is an OAuth scope token
+ * (printable ASCII without spaces, quotes or backslashes)
+ */
+const scopeToken = Joi.string()
+  .max(100)
+  .pattern(/^[\x21\x23-\x5B\x5D-\x7E]+$/)
+  .messages({
+    'string.pattern.base': 'Scopes must not contain spaces, quotes or backslashes',
+  });
+
+/**
+ * Machine client registration validation schema
+ */
+export const machineClientSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Name is required',
+    }),
+
+  scopes: Joi.array().items(scopeToken).min(1).unique().required().messages({
+    'any.required': 'At least one scope is required',
+  }),
+});
+
+/**
+ * Machine client secret rotation validation schema
+ */
+export const rotateClientSecretSchema = Joi.object({
+  // How long the old secret keeps working (ms); defaults to the configured grace period
+  gracePeriod: Joi.number()
+    .integer()
+    .min(0)
+    .max(30 * 24 * 60 * 60 * 1000)
+    .optional(),
+});
+
+/**
+ * API key creation validation schema
+ */
+export const apiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Name is required',
+    }),
+
+  // Checked by requireScope(); keys without scopes can't call scoped routes
+  scopes: Joi.array().items(scopeToken).unique().default([]),
+
+  // Without an expiry the key works until it is revoked
+  expiresAt: Joi.date().iso().greater('now').optional().messages({
+    'date.greater': 'Expiry must be in the future',
+  }),
+});
+
 /**
  * Validates request data against a schema
  * @param {Object} schema - Joi validation schema
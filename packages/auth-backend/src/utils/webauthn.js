@@ -0,0 +1,543 @@
+/**
+ * WebAuthn utility functions for passkey registration and authentication
+ * Implements the relying party checks from the WebAuthn Level 2 spec (sections 7.1 and 7.2)
+ * Supports the "none" and "packed" attestation formats
+ * @module utils/webauthn
+ */
+
+import crypto from 'crypto';
+
+/**
+ * COSE algorithm identifiers accepted for credentials, in order of preference
+ */
+export const SUPPORTED_COSE_ALGORITHMS = [
+  -7, // ES256
+  -8, // EdDSA
+  -257, // RS256
+];
+
+/**
+ * Authenticator data flag bits
+ */
+const FLAGS = {
+  UP: 0x01, // User present
+  UV: 0x04, // User verified
+  BE: 0x08, // Backup eligible
+  BS: 0x10, // Backed up
+  AT: 0x40, // Attested credential data included
+  ED: 0x80, // Extension data included
+};
+
+/**
+ * Decodes a single CBOR item (RFC 8949)
+ * Covers the subset used by authenticators: integers, byte/text strings, arrays, maps,
+ * tags and simple values. Maps are returned as Map instances to keep integer keys.
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} [offset] - Start offset
+ * @returns {Object} Object with the decoded value and the offset after the item
+ * @throws {Error} If the data is malformed or uses unsupported features
+ */
+export function decodeCbor(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  let position = offset + 1;
+
+  const readLength = () => {
+    if (info < 24) return info;
+
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+
+    if (!size) {
+      throw new Error('Indefinite-length CBOR items are not supported');
+    }
+
+    if (position + size > buffer.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+
+    const value =
+      size === 8 ? Number(buffer.readBigUInt64BE(position)) : buffer.readUIntBE(position, size);
+    position += size;
+    return value;
+  };
+
+  switch (major) {
+    case 0:
+      return { value: readLength(), offset: position };
+
+    case 1:
+      return { value: -1 - readLength(), offset: position };
+
+    case 2:
+    case 3: {
+      const length = readLength();
+
+      if (position + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+
+      const bytes = buffer.subarray(position, position + length);
+      return {
+        value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: position + length,
+      };
+    }
+
+    case 4: {
+      const length = readLength();
+      const items = [];
+
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+
+      return { value: items, offset: position };
+    }
+
+    case 5: {
+      const length = readLength();
+      const map = new Map();
+
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, position);
+        const value = decodeCbor(buffer, key.offset);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+
+      return { value: map, offset: position };
+    }
+
+    case 6: {
+      // Tags carry no meaning for WebAuthn structures, so return the tagged item
+      readLength();
+      return decodeCbor(buffer, position);
+    }
+
+    default: {
+      if (info === 20) return { value: false, offset: position };
+      if (info === 21) return { value: true, offset: position };
+      if (info === 22) return { value: null, offset: position };
+      if (info === 23) return { value: undefined, offset: position };
+      if (info === 26) return { value: buffer.readFloatBE(position), offset: position + 4 };
+      if (info === 27) return { value: buffer.readDoubleBE(position), offset: position + 8 };
+
+      throw new Error(`Unsupported CBOR simple value: ${info}`);
+    }
+  }
+}
+
+/**
+ * Decodes a buffer that must contain exactly one CBOR item
+ * @param {Buffer} buffer - CBOR data
+ * @returns {*} Decoded value
+ * @throws {Error} If there is trailing data
+ */
+function decodeCborStrict(buffer) {
+  const { value, offset } = decodeCbor(buffer);
+
+  if (offset !== buffer.length) {
+    throw new Error('Unexpected trailing bytes after CBOR item');
+  }
+
+  return value;
+}
+
+/**
+ * Parses authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} Parsed authenticator data
+ * @throws {Error} If the data is malformed
+ */
+export function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flagsByte = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: {
+      userPresent: Boolean(flagsByte & FLAGS.UP),
+      userVerified: Boolean(flagsByte & FLAGS.UV),
+      backupEligible: Boolean(flagsByte & FLAGS.BE),
+      backedUp: Boolean(flagsByte & FLAGS.BS),
+      attestedCredentialData: Boolean(flagsByte & FLAGS.AT),
+      extensionData: Boolean(flagsByte & FLAGS.ED),
+    },
+    signCount: authData.readUInt32BE(33),
+    attestedCredential: null,
+  };
+
+  let position = 37;
+
+  if (parsed.flags.attestedCredentialData) {
+    if (authData.length < position + 18) {
+      throw new Error('Attested credential data is truncated');
+    }
+
+    const aaguid = authData.subarray(position, position + 16);
+    const idLength = authData.readUInt16BE(position + 16);
+    position += 18;
+
+    const credentialId = authData.subarray(position, position + idLength);
+    position += idLength;
+
+    // The COSE key is a CBOR map of unknown length, so decode it to find where it ends
+    const { offset } = decodeCbor(authData, position);
+    const publicKey = authData.subarray(position, offset);
+    position = offset;
+
+    parsed.attestedCredential = {
+      aaguid: aaguid.toString('hex'),
+      credentialId: Buffer.from(credentialId),
+      publicKey: Buffer.from(publicKey),
+    };
+  }
+
+  if (parsed.flags.extensionData) {
+    position = decodeCbor(authData, position).offset;
+  }
+
+  if (position !== authData.length) {
+    throw new Error('Unexpected trailing bytes in authenticator data');
+  }
+
+  return parsed;
+}
+
+/**
+ * Converts a COSE-encoded public key to a Node.js KeyObject
+ * @param {Buffer} coseKey - COSE_Key bytes
+ * @returns {Object} Object with the KeyObject and COSE algorithm
+ * @throws {Error} If the key type or algorithm is unsupported
+ */
+export function coseToPublicKey(coseKey) {
+  const key = decodeCborStrict(coseKey);
+
+  if (!(key instanceof Map)) {
+    throw new Error('Invalid COSE key');
+  }
+
+  const kty = key.get(1);
+  const alg = key.get(3);
+
+  if (!SUPPORTED_COSE_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported COSE algorithm: ${alg}`);
+  }
+
+  let jwk;
+
+  if (kty === 2 && alg === -7 && key.get(-1) === 1) {
+    // EC2, P-256
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: key.get(-2).toString('base64url'),
+      y: key.get(-3).toString('base64url'),
+    };
+  } else if (kty === 1 && alg === -8 && key.get(-1) === 6) {
+    // OKP, Ed25519
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: key.get(-2).toString('base64url') };
+  } else if (kty === 3 && alg === -257) {
+    // RSA
+    jwk = {
+      kty: 'RSA',
+      n: key.get(-1).toString('base64url'),
+      e: key.get(-2).toString('base64url'),
+    };
+  } else {
+    throw new Error(`Unsupported COSE key type ${kty} for algorithm ${alg}`);
+  }
+
+  return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+}
+
+/**
+ * Verifies a signature made with a COSE algorithm
+ * @param {number} alg - COSE algorithm identifier
+ * @param {Object} publicKey - Node.js KeyObject
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Signature
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyCoseSignature(alg, publicKey, data, signature) {
+  switch (alg) {
+    case -7:
+      // WebAuthn ECDSA signatures are DER encoded
+      return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'der' }, signature);
+    case -8:
+      return crypto.verify(null, data, publicKey, signature);
+    case -257:
+      return crypto.verify('sha256', data, publicKey, signature);
+    default:
+      throw new Error(`Unsupported COSE algorithm: ${alg}`);
+  }
+}
+
+/**
+ * Decodes and parses clientDataJSON
+ * @param {string} clientDataJSON - Base64url encoded client data
+ * @returns {Object} Parsed client data
+ * @throws {Error} If the client data is not valid JSON
+ */
+export function parseClientData(clientDataJSON) {
+  try {
+    return JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid clientDataJSON');
+  }
+}
+
+/**
+ * Performs the client data and authenticator data checks shared by both ceremonies
+ * @param {Object} params - Check parameters
+ * @returns {Object} Parsed client data and authenticator data
+ * @throws {Error} If a check fails
+ */
+function verifyCeremony({
+  clientDataJSON,
+  authData,
+  type,
+  expectedChallenge,
+  expectedOrigins,
+  expectedRpId,
+  requireUserVerification,
+}) {
+  const clientData = parseClientData(clientDataJSON);
+
+  if (clientData.type !== type) {
+    throw new Error(`Unexpected ceremony type: ${clientData.type}`);
+  }
+
+  if (clientData.challenge !== expectedChallenge) {
+    throw new Error('Challenge mismatch');
+  }
+
+  if (!expectedOrigins.includes(clientData.origin)) {
+    throw new Error(`Unexpected origin: ${clientData.origin}`);
+  }
+
+  const parsedAuthData = parseAuthenticatorData(authData);
+  const expectedRpIdHash = crypto.createHash('sha256').update(expectedRpId).digest();
+
+  if (!crypto.timingSafeEqual(parsedAuthData.rpIdHash, expectedRpIdHash)) {
+    throw new Error('RP ID hash mismatch');
+  }
+
+  if (!parsedAuthData.flags.userPresent) {
+    throw new Error('User presence flag not set');
+  }
+
+  if (requireUserVerification && !parsedAuthData.flags.userVerified) {
+    throw new Error('User verification required but not performed');
+  }
+
+  return { clientData, authData: parsedAuthData };
+}
+
+/**
+ * Verifies an attestation statement
+ * @param {string} fmt - Attestation format
+ * @param {Map} attStmt - Attestation statement
+ * @param {Buffer} authData - Raw authenticator data
+ * @param {Buffer} clientDataHash - SHA-256 of clientDataJSON
+ * @param {Object} credentialKey - Credential public key and algorithm
+ * @throws {Error} If the statement is invalid or the format is unsupported
+ */
+function verifyAttestationStatement(fmt, attStmt, authData, clientDataHash, credentialKey) {
+  if (fmt === 'none') {
+    if (attStmt.size !== 0) {
+      throw new Error('"none" attestation must have an empty statement');
+    }
+    return;
+  }
+
+  if (fmt === 'packed') {
+    const alg = attStmt.get('alg');
+    const sig = attStmt.get('sig');
+    const x5c = attStmt.get('x5c');
+    const signedData = Buffer.concat([authData, clientDataHash]);
+
+    if (!Buffer.isBuffer(sig)) {
+      throw new Error('Packed attestation is missing a signature');
+    }
+
+    let valid;
+
+    if (Array.isArray(x5c) && x5c.length > 0) {
+      // Full attestation: signed by the attestation certificate. Trust in the
+      // certificate chain is not evaluated since we don't require attestation.
+      const certificate = new crypto.X509Certificate(x5c[0]);
+      valid = verifyCoseSignature(alg, certificate.publicKey, signedData, sig);
+    } else {
+      // Self attestation: signed by the credential key itself
+      if (alg !== credentialKey.alg) {
+        throw new Error('Self attestation algorithm does not match the credential key');
+      }
+      valid = verifyCoseSignature(alg, credentialKey.key, signedData, sig);
+    }
+
+    if (!valid) {
+      throw new Error('Invalid attestation signature');
+    }
+    return;
+  }
+
+  throw new Error(`Unsupported attestation format: ${fmt}`);
+}
+
+/**
+ * Verifies a registration (navigator.credentials.create) response
+ * @param {Object} params - Verification parameters
+ * @param {Object} params.credential - PublicKeyCredential JSON from the browser
+ * @param {string} params.expectedChallenge - Base64url challenge issued in the options
+ * @param {string[]} params.expectedOrigins - Allowed origins
+ * @param {string} params.expectedRpId - Relying party ID
+ * @param {boolean} [params.requireUserVerification] - Require the UV flag
+ * @returns {Object} Credential ID, COSE public key, sign count and metadata (all base64url)
+ * @throws {Error} If verification fails
+ */
+export function verifyRegistrationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  expectedRpId,
+  requireUserVerification = false,
+}) {
+  const { response } = credential || {};
+
+  if (credential?.type !== 'public-key' || !response?.clientDataJSON || !response?.attestationObject) {
+    throw new Error('Malformed registration response');
+  }
+
+  const attestation = decodeCborStrict(Buffer.from(response.attestationObject, 'base64url'));
+
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new Error('Malformed attestation object');
+  }
+
+  const rawAuthData = attestation.get('authData');
+  const { authData } = verifyCeremony({
+    clientDataJSON: response.clientDataJSON,
+    authData: rawAuthData,
+    type: 'webauthn.create',
+    expectedChallenge,
+    expectedOrigins,
+    expectedRpId,
+    requireUserVerification,
+  });
+
+  if (!authData.attestedCredential) {
+    throw new Error('Registration response has no credential data');
+  }
+
+  const { credentialId, publicKey, aaguid } = authData.attestedCredential;
+
+  if (credential.id !== credentialId.toString('base64url')) {
+    throw new Error('Credential ID does not match the authenticator data');
+  }
+
+  const credentialKey = coseToPublicKey(publicKey);
+  const clientDataHash = crypto
+    .createHash('sha256')
+    .update(Buffer.from(response.clientDataJSON, 'base64url'))
+    .digest();
+
+  verifyAttestationStatement(
+    attestation.get('fmt'),
+    attestation.get('attStmt') || new Map(),
+    rawAuthData,
+    clientDataHash,
+    credentialKey
+  );
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+    publicKey: publicKey.toString('base64url'),
+    signCount: authData.signCount,
+    aaguid,
+    backedUp: authData.flags.backedUp,
+    transports: Array.isArray(response.transports) ? response.transports : [],
+  };
+}
+
+/**
+ * Verifies an authentication (navigator.credentials.get) response
+ * @param {Object} params - Verification parameters
+ * @param {Object} params.credential - PublicKeyCredential JSON from the browser
+ * @param {string} params.expectedChallenge - Base64url challenge issued in the options
+ * @param {string[]} params.expectedOrigins - Allowed origins
+ * @param {string} params.expectedRpId - Relying party ID
+ * @param {string} params.publicKey - Stored base64url COSE public key
+ * @param {number} params.signCount - Stored signature counter
+ * @param {boolean} [params.requireUserVerification] - Require the UV flag
+ * @returns {Object} New sign count and user handle
+ * @throws {Error} If verification fails or the counter suggests a cloned authenticator
+ */
+export function verifyAuthenticationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  expectedRpId,
+  publicKey,
+  signCount,
+  requireUserVerification = false,
+}) {
+  const { response } = credential || {};
+
+  if (
+    credential?.type !== 'public-key' ||
+    !response?.clientDataJSON ||
+    !response?.authenticatorData ||
+    !response?.signature
+  ) {
+    throw new Error('Malformed authentication response');
+  }
+
+  const rawAuthData = Buffer.from(response.authenticatorData, 'base64url');
+  const { authData } = verifyCeremony({
+    clientDataJSON: response.clientDataJSON,
+    authData: rawAuthData,
+    type: 'webauthn.get',
+    expectedChallenge,
+    expectedOrigins,
+    expectedRpId,
+    requireUserVerification,
+  });
+
+  const credentialKey = coseToPublicKey(Buffer.from(publicKey, 'base64url'));
+  const clientDataHash = crypto
+    .createHash('sha256')
+    .update(Buffer.from(response.clientDataJSON, 'base64url'))
+    .digest();
+
+  const valid = verifyCoseSignature(
+    credentialKey.alg,
+    credentialKey.key,
+    Buffer.concat([rawAuthData, clientDataHash]),
+    Buffer.from(response.signature, 'base64url')
+  );
+
+  if (!valid) {
+    throw new Error('Invalid assertion signature');
+  }
+
+  // Authenticators that don't implement counters always report 0
+  if ((authData.signCount > 0 || signCount > 0) && authData.signCount <= signCount) {
+    throw new Error('Signature counter did not increase; the authenticator may be cloned');
+  }
+
+  return {
+    signCount: authData.signCount,
+    userHandle: response.userHandle || null,
+    backedUp: authData.flags.backedUp,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * WebAuthn utility tests
+ * Uses a software authenticator backed by a P-256 key
+ * @module utils/webauthn.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  decodeCbor,
+  parseAuthenticatorData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from './webauthn.js';
+
+const RP_ID = 'example.com';
+const ORIGIN = 'https://example.com';
+const CHALLENGE = crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Minimal CBOR encoder covering the types WebAuthn uses
+ */
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([head(4, value.length), ...value.map(encodeCbor)]);
+  }
+
+  const entries = [...value.entries()];
+  return Buffer.concat([
+    head(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+}
+
+/**
+ * Software authenticator producing registration and assertion responses
+ */
+function createAuthenticator() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = encodeCbor(
+    new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')],
+    ])
+  );
+
+  const buildAuthData = ({ rpId = RP_ID, flags = 0x05, signCount = 0, attested = false }) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [
+      crypto.createHash('sha256').update(rpId).digest(),
+      Buffer.from([attested ? flags | 0x40 : flags]),
+      counter,
+    ];
+
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, coseKey);
+    }
+
+    return Buffer.concat(parts);
+  };
+
+  const buildClientData = ({ type, challenge = CHALLENGE, origin = ORIGIN }) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+  const sign = (authData, clientData) =>
+    crypto.sign(
+      'sha256',
+      Buffer.concat([authData, crypto.createHash('sha256').update(clientData).digest()]),
+      privateKey
+    );
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    register({ fmt = 'none', ...options } = {}) {
+      const authData = buildAuthData({ ...options, attested: true });
+      const clientData = buildClientData({ ...options, type: 'webauthn.create' });
+      const attStmt =
+        fmt === 'packed'
+          ? new Map([
+              ['alg', -7],
+              ['sig', sign(authData, clientData)],
+            ])
+          : new Map();
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData.toString('base64url'),
+          attestationObject: encodeCbor(
+            new Map([
+              ['fmt', fmt],
+              ['attStmt', attStmt],
+              ['authData', authData],
+            ])
+          ).toString('base64url'),
+          transports: ['internal'],
+        },
+      };
+    },
+
+    authenticate(options = {}) {
+      const authData = buildAuthData(options);
+      const clientData = buildClientData({ ...options, type: 'webauthn.get' });
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: sign(authData, clientData).toString('base64url'),
+          userHandle: 'dXNlci0x',
+        },
+      };
+    },
+  };
+}
+
+const expectations = {
+  expectedChallenge: CHALLENGE,
+  expectedOrigins: [ORIGIN],
+  expectedRpId: RP_ID,
+};
+
+/**
+ * Test: CBOR and authenticator data parsing
+ */
+test('decodeCbor should decode maps, arrays, strings and integers', () => {
+  const encoded = encodeCbor(new Map([['a', [1, -2, 'x', Buffer.from([0xff])]]]));
+  const { value, offset } = decodeCbor(encoded);
+
+  assert.strictEqual(offset, encoded.length);
+  assert.deepStrictEqual(value.get('a'), [1, -2, 'x', Buffer.from([0xff])]);
+});
+
+test('parseAuthenticatorData should reject truncated data', () => {
+  assert.throws(() => parseAuthenticatorData(Buffer.alloc(10)), /too short/);
+});
+
+/**
+ * Test: Registration
+ */
+test('verifyRegistrationResponse should accept a "none" attestation', () => {
+  const authenticator = createAuthenticator();
+  const result = verifyRegistrationResponse({
+    credential: authenticator.register(),
+    ...expectations,
+  });
+
+  assert.strictEqual(result.credentialId, authenticator.credentialId);
+  assert.strictEqual(result.signCount, 0);
+  assert.deepStrictEqual(result.transports, ['internal']);
+  assert.ok(result.publicKey);
+});
+
+test('verifyRegistrationResponse should verify packed self attestation', () => {
+  const authenticator = createAuthenticator();
+  const credential = authenticator.register({ fmt: 'packed' });
+
+  assert.ok(verifyRegistrationResponse({ credential, ...expectations }));
+
+  // Client data that differs from what the authenticator signed
+  const tampered = structuredClone(credential);
+  tampered.response.clientDataJSON = Buffer.from(
+    JSON.stringify({ type: 'webauthn.create', challenge: CHALLENGE, origin: ORIGIN, extra: 1 })
+  ).toString('base64url');
+
+  assert.throws(
+    () => verifyRegistrationResponse({ credential: tampered, ...expectations }),
+    /Invalid attestation signature/
+  );
+});
+
+test('verifyRegistrationResponse should reject a wrong challenge, origin or RP ID', () => {
+  const authenticator = createAuthenticator();
+
+  assert.throws(
+    () =>
+      verifyRegistrationResponse({
+        credential: authenticator.register({ challenge: 'other' }),
+        ...expectations,
+      }),
+    /Challenge mismatch/
+  );
+  assert.throws(
+    () =>
+      verifyRegistrationResponse({
+        credential: authenticator.register({ origin: 'https://evil.example' }),
+        ...expectations,
+      }),
+    /Unexpected origin/
+  );
+  assert.throws(
+    () =>
+      verifyRegistrationResponse({
+        credential: authenticator.register({ rpId: 'evil.example' }),
+        ...expectations,
+      }),
+    /RP ID hash mismatch/
+  );
+});
+
+test('verifyRegistrationResponse should enforce user verification when required', () => {
+  const authenticator = createAuthenticator();
+
+  assert.throws(
+    () =>
+      verifyRegistrationResponse({
+        credential: authenticator.register({ flags: 0x01 }),
+        ...expectations,
+        requireUserVerification: true,
+      }),
+    /User verification required/
+  );
+});
+
+/**
+ * Test: Authentication
+ */
+test('verifyAuthenticationResponse should accept a valid assertion', () => {
+  const authenticator = createAuthenticator();
+  const { publicKey } = verifyRegistrationResponse({
+    credential: authenticator.register(),
+    ...expectations,
+  });
+
+  const result = verifyAuthenticationResponse({
+    credential: authenticator.authenticate({ signCount: 5 }),
+    ...expectations,
+    publicKey,
+    signCount: 4,
+  });
+
+  assert.strictEqual(result.signCount, 5);
+  assert.strictEqual(result.userHandle, 'dXNlci0x');
+});
+
+test('verifyAuthenticationResponse should reject a signature from another key', () => {
+  const authenticator = createAuthenticator();
+  const { publicKey } = verifyRegistrationResponse({
+    credential: createAuthenticator().register(),
+    ...expectations,
+  });
+
+  assert.throws(
+    () =>
+      verifyAuthenticationResponse({
+        credential: authenticator.authenticate(),
+        ...expectations,
+        publicKey,
+        signCount: 0,
+      }),
+    /Invalid assertion signature/
+  );
+});
+
+test('verifyAuthenticationResponse should reject a counter that did not increase', () => {
+  const authenticator = createAuthenticator();
+  const { publicKey } = verifyRegistrationResponse({
+    credential: authenticator.register(),
+    ...expectations,
+  });
+
+  assert.throws(
+    () =>
+      verifyAuthenticationResponse({
+        credential: authenticator.authenticate({ signCount: 3 }),
+        ...expectations,
+        publicKey,
+        signCount: 3,
+      }),
+    /counter did not increase/
+  );
+
+  // Authenticators without counters always report 0
+  assert.ok(
+    verifyAuthenticationResponse({
+      credential: authenticator.authenticate({ signCount: 0 }),
+      ...expectations,
+      publicKey,
+      signCount: 0,
+    })
+  );
+});
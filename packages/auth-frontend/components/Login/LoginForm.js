@@ -26,10 +26,22 @@ const loginSchema = yup.object({
   rememberMe: yup.boolean(),
 });
 
+/**
+ * Two-factor code validation schema
+ */
+const mfaSchema = yup.object({
+  code: yup
+    .string()
+    .matches(/^\d{6}$/, 'Code must be 6 digits')
+    .required('Code is required'),
+});
+
 /**
  * Headless LoginForm Component
  * Provides form state, validation, and submission logic
  * Renderless - uses render prop pattern
+ * When the account has two-factor authentication, `mfaRequired` becomes true and
+ * the render function should show a code field wired to `registerMfa` and `onSubmitMfa`
  *
  * @param {Object} props - Component props
  * @param {Function} props.onSuccess - Success callback with user data
@@ -54,6 +66,19 @@ const loginSchema = yup.object({
  *     </form>
  *   )}
  * </LoginForm>
+ *
+ * @example
+ * // Two-factor step
+ * {({ mfaRequired, registerMfa, mfaErrors, onSubmitMfa, ...props }) =>
+ *   mfaRequired ? (
+ *     <form onSubmit={onSubmitMfa}>
+ *       <input {...registerMfa('code')} inputMode="numeric" autoComplete="one-time-code" />
+ *       {mfaErrors.code && <span>{mfaErrors.code.message}</span>}
+ *       <button type="submit">Verify</button>
+ *     </form>
+ *   ) : (
+ *     <form onSubmit={props.onSubmit}>...</form>
+ *   )}
  */
 export function LoginForm({
   onSuccess,
@@ -61,9 +86,10 @@ export function LoginForm({
   children,
   defaultValues = {},
 }) {
-  const { login } = useAuth();
+  const { login, verifyMfa } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitError, setSubmitError] = useState(null);
+  const [mfaToken, setMfaToken] = useState(null);
 
   const {
     register,
@@ -80,6 +106,16 @@ export function LoginForm({
     },
   });
 
+  const {
+    register: registerMfa,
+    handleSubmit: handleMfaSubmit,
+    formState: { errors: mfaErrors },
+    reset: resetMfa,
+  } = useForm({
+    resolver: yupResolver(mfaSchema),
+    defaultValues: { code: '' },
+  });
+
   const onSubmit = handleSubmit(async (data) => {
     setIsSubmitting(true);
     setSubmitError(null);
@@ -87,6 +123,11 @@ export function LoginForm({
     try {
       const result = await login(data.email, data.password);
 
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        return;
+      }
+
       if (onSuccess) {
         await onSuccess(result.user);
       }
@@ -103,6 +144,40 @@ export function LoginForm({
     }
   });
 
+  const onSubmitMfa = handleMfaSubmit(async (data) => {
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    try {
+      const result = await verifyMfa(mfaToken, data.code);
+
+      if (onSuccess) {
+        await onSuccess(result.user);
+      }
+
+      setMfaToken(null);
+      resetMfa();
+      reset();
+    } catch (error) {
+      setSubmitError(error.message || 'Verification failed');
+
+      if (onError) {
+        await onError(error);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  });
+
+  /**
+   * Returns to the email/password step, e.g. after the challenge expired
+   */
+  const cancelMfa = () => {
+    setMfaToken(null);
+    setSubmitError(null);
+    resetMfa();
+  };
+
   return children({
     register,
     errors,
@@ -110,5 +185,10 @@ export function LoginForm({
     submitError,
     onSubmit,
     reset,
+    mfaRequired: Boolean(mfaToken),
+    registerMfa,
+    mfaErrors,
+    onSubmitMfa,
+    cancelMfa,
   });
 }
@@ -0,0 +1,118 @@
+/**
+ * SessionsList Component
+ * Headless list of the signed-in user's active sessions
+ * @module components/Sessions/SessionsList
+ */
+
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext.js';
+
+/**
+ * Headless SessionsList Component
+ * Loads the user's sessions and provides revocation logic
+ * Renderless - uses render prop pattern
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onRevoke - Callback with the revoked session
+ * @param {Function} props.onError - Error callback with error object
+ * @param {Function} props.children - Render function receiving list props
+ * @returns {JSX.Element}
+ *
+ * @example
+ * <SessionsList onRevoke={() => toast.success('Signed out')}>
+ *   {({ sessions, loading, error, revoke, revokingId }) => {
+ *     if (loading) return <div>Loading...</div>;
+ *
+ *     return (
+ *       <ul>
+ *         {error && <p>{error}</p>}
+ *         {sessions.map((session) => (
+ *           <li key={session.id}>
+ *             {session.device || 'Unknown device'} · {session.location || session.ipAddress}
+ *             {session.current ? ' (this device)' : ''}
+ *             <span>Last active {new Date(session.lastUsedAt).toLocaleString()}</span>
+ *             <button
+ *               onClick={() => revoke(session)}
+ *               disabled={revokingId === session.id}
+ *             >
+ *               Sign out
+ *             </button>
+ *           </li>
+ *         ))}
+ *       </ul>
+ *     );
+ *   }}
+ * </SessionsList>
+ */
+export function SessionsList({ onRevoke, onError, children }) {
+  const { listSessions, revokeSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  // Kept in a ref so an inline callback doesn't reload the list on every render
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  /**
+   * Reloads the session list
+   */
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+
+      if (onErrorRef.current) {
+        await onErrorRef.current(err);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [listSessions]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Revokes a session and removes it from the list
+   * @param {Object} session - Session to revoke
+   */
+  const revoke = async (session) => {
+    setRevokingId(session.id);
+    setError(null);
+
+    try {
+      await revokeSession(session);
+      setSessions((current) => current.filter((item) => item.id !== session.id));
+
+      if (onRevoke) {
+        await onRevoke(session);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to revoke session');
+
+      if (onError) {
+        await onError(err);
+      }
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return children({
+    sessions,
+    loading,
+    error,
+    revoke,
+    revokingId,
+    refresh,
+  });
+}
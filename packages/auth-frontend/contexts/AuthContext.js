@@ -20,14 +20,20 @@ const defaultConfig = {
   apiBaseUrl: 'http://localhost:3000',
   endpoints: {
     login: '/auth/login',
+    mfaVerify: '/auth/mfa/verify',
     register: '/auth/register',
     logout: '/auth/logout',
     refresh: '/auth/refresh',
     forgotPassword: '/auth/forgot-password',
     resetPassword: '/auth/reset-password',
+    changePassword: '/auth/change-password',
+    changeEmail: '/auth/change-email',
+    confirmEmailChange: '/auth/change-email/confirm',
+    revertEmailChange: '/auth/change-email/revert',
     verifyEmail: '/auth/verify-email',
     profile: '/auth/profile',
     me: '/auth/me',
+    sessions: '/auth/sessions',
   },
   storage: {
     tokenKey: 'auth_token',
@@ -59,6 +65,8 @@ export function AuthProvider({ children, config = {} }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // Restricted token from a login that requires a password change ({ token, reason })
+  const [passwordChange, setPasswordChange] = useState(null);
 
   /**
    * Makes an API request to the auth backend
@@ -140,6 +148,7 @@ export function AuthProvider({ children, config = {} }) {
     localStorage.removeItem(finalConfig.storage.userKey);
     setUser(null);
     setIsAuthenticated(false);
+    setPasswordChange(null);
   }, [finalConfig.storage.tokenKey, finalConfig.storage.refreshTokenKey, finalConfig.storage.userKey]);
 
   /**
@@ -169,6 +178,10 @@ export function AuthProvider({ children, config = {} }) {
 
   /**
    * Logs in a user
+   * If the account has two-factor authentication, nothing is stored and the result
+   * contains { mfaRequired, mfaToken } to pass to verifyMfa
+   * If the password has expired or must be changed, the result contains
+   * { passwordChangeRequired, reason } and only changePassword can be used until it succeeds
    * @param {string} email - User email
    * @param {string} password - User password
    * @returns {Promise<Object>} Login result
@@ -181,6 +194,18 @@ export function AuthProvider({ children, config = {} }) {
         body: JSON.stringify({ email, password }),
       });
 
+      if (response.data.mfaRequired) {
+        return response.data;
+      }
+
+      if (response.data.passwordChangeRequired) {
+        setPasswordChange({
+          token: response.data.passwordChangeToken,
+          reason: response.data.reason,
+        });
+        return response.data;
+      }
+
       storeTokens(response.data.accessToken, response.data.refreshToken);
       storeUser(response.data.user);
 
@@ -191,6 +216,40 @@ export function AuthProvider({ children, config = {} }) {
     }
   }, [apiRequest, finalConfig.endpoints.login, storeTokens, storeUser]);
 
+  /**
+   * Completes a login that requires a second factor
+   * @param {string} mfaToken - MFA challenge token returned by login
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} Login result
+   */
+  const verifyMfa = useCallback(async (mfaToken, code) => {
+    try {
+      setError(null);
+      // Fall back to the default for apps that configured endpoints before MFA existed
+      const endpoint = finalConfig.endpoints.mfaVerify || defaultConfig.endpoints.mfaVerify;
+      const response = await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ mfaToken, code }),
+      });
+
+      if (response.data.passwordChangeRequired) {
+        setPasswordChange({
+          token: response.data.passwordChangeToken,
+          reason: response.data.reason,
+        });
+        return response.data;
+      }
+
+      storeTokens(response.data.accessToken, response.data.refreshToken);
+      storeUser(response.data.user);
+
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.mfaVerify, storeTokens, storeUser]);
+
   /**
    * Logs out the current user
    * @returns {Promise<void>}
@@ -314,6 +373,37 @@ export function AuthProvider({ children, config = {} }) {
     }
   }, [apiRequest, finalConfig.endpoints.resetPassword]);
 
+  /**
+   * Changes the password of the signed-in user
+   * After a login that required a password change, this completes the login
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} confirmPassword - New password confirmation
+   * @returns {Promise<Object|null>} Login result after a required change, otherwise null
+   */
+  const changePassword = useCallback(async (currentPassword, newPassword, confirmPassword) => {
+    try {
+      setError(null);
+      const endpoint = finalConfig.endpoints.changePassword || defaultConfig.endpoints.changePassword;
+      const response = await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, newPassword, confirmPassword }),
+        ...(passwordChange && { headers: { Authorization: `Bearer ${passwordChange.token}` } }),
+      });
+
+      if (response.data?.accessToken) {
+        storeTokens(response.data.accessToken, response.data.refreshToken);
+        storeUser(response.data.user);
+        setPasswordChange(null);
+      }
+
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.changePassword, passwordChange, storeTokens, storeUser]);
+
   /**
    * Verifies email with token
    * @param {string} token - Verification token
@@ -338,6 +428,116 @@ export function AuthProvider({ children, config = {} }) {
     }
   }, [apiRequest, finalConfig.endpoints.verifyEmail, user, storeUser]);
 
+  /**
+   * Starts an email change; the new address receives a confirmation link
+   * @param {string} newEmail - New email address
+   * @param {string} currentPassword - Current password
+   * @returns {Promise<void>}
+   */
+  const changeEmail = useCallback(async (newEmail, currentPassword) => {
+    try {
+      setError(null);
+      const endpoint = finalConfig.endpoints.changeEmail || defaultConfig.endpoints.changeEmail;
+      await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ newEmail, currentPassword }),
+      });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.changeEmail]);
+
+  /**
+   * Confirms an email change with the token from the link sent to the new address
+   * @param {string} token - Email change token
+   * @returns {Promise<Object>} Response data ({ user })
+   */
+  const confirmEmailChange = useCallback(async (token) => {
+    try {
+      setError(null);
+      const endpoint =
+        finalConfig.endpoints.confirmEmailChange || defaultConfig.endpoints.confirmEmailChange;
+      const response = await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+      });
+
+      // The link may be opened on a device signed in to another account
+      if (user && user.id === response.data.user.id) {
+        storeUser(response.data.user);
+      }
+
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.confirmEmailChange, user, storeUser]);
+
+  /**
+   * Reverts an email change with the token from the link sent to the previous address
+   * Every session of the account is signed out, so this device is too
+   * @param {string} token - Email change revert token
+   * @returns {Promise<void>}
+   */
+  const revertEmailChange = useCallback(async (token) => {
+    try {
+      setError(null);
+      const endpoint =
+        finalConfig.endpoints.revertEmailChange || defaultConfig.endpoints.revertEmailChange;
+      await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+      });
+
+      clearAuthData();
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.revertEmailChange, clearAuthData]);
+
+  /**
+   * Lists the current user's active sessions
+   * @returns {Promise<Array>} Sessions ({ id, device, ipAddress, location, lastUsedAt, current, ... })
+   */
+  const listSessions = useCallback(async () => {
+    try {
+      setError(null);
+      const endpoint = finalConfig.endpoints.sessions || defaultConfig.endpoints.sessions;
+      const response = await apiRequest(endpoint);
+
+      return response.data.sessions;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.sessions]);
+
+  /**
+   * Revokes one of the current user's sessions
+   * Revoking the current session signs this device out
+   * @param {Object} session - Session from listSessions
+   * @returns {Promise<void>}
+   */
+  const revokeSession = useCallback(async (session) => {
+    try {
+      setError(null);
+      const endpoint = finalConfig.endpoints.sessions || defaultConfig.endpoints.sessions;
+      await apiRequest(`${endpoint}/${encodeURIComponent(session.id)}`, {
+        method: 'DELETE',
+      });
+
+      if (session.current) {
+        clearAuthData();
+      }
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, finalConfig.endpoints.sessions, clearAuthData]);
+
   // Initialize auth state on mount
   useEffect(() => {
     const initializeAuth = async () => {
@@ -381,13 +581,22 @@ export function AuthProvider({ children, config = {} }) {
     loading,
     error,
     isAuthenticated,
+    passwordChangeRequired: Boolean(passwordChange),
+    passwordChangeReason: passwordChange?.reason ?? null,
     login,
+    verifyMfa,
     register,
     logout,
     updateProfile,
     forgotPassword,
     resetPassword,
+    changePassword,
     verifyEmail,
+    changeEmail,
+    confirmEmailChange,
+    revertEmailChange,
+    listSessions,
+    revokeSession,
     refreshAccessToken,
     fetchUser,
     getToken,
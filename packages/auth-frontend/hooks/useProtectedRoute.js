@@ -12,10 +12,12 @@ import { useAuth } from '../contexts/AuthContext.js';
 
 /**
  * Hook to protect routes from unauthenticated access
- * Redirects to login page if user is not authenticated
+ * Redirects to login page if user is not authenticated, and to the change password page
+ * while a login is held back because the password expired or must be changed
  *
  * @param {Object} options - Hook options
  * @param {string} options.redirectTo - URL to redirect if not authenticated
+ * @param {string} options.changePasswordPath - URL to redirect if a password change is required
  * @param {boolean} options.requireEmailVerified - Require email verification
  * @returns {Object} Auth state
  *
@@ -29,13 +31,22 @@ import { useAuth } from '../contexts/AuthContext.js';
  * }
  */
 export function useProtectedRoute(options = {}) {
-  const { redirectTo = '/login', requireEmailVerified = false } = options;
+  const {
+    redirectTo = '/login',
+    changePasswordPath = '/change-password',
+    requireEmailVerified = false,
+  } = options;
   const router = useRouter();
-  const { user, loading, isAuthenticated } = useAuth();
+  const { user, loading, isAuthenticated, passwordChangeRequired } = useAuth();
 
   useEffect(() => {
     if (loading) return;
 
+    if (passwordChangeRequired) {
+      router.push(changePasswordPath);
+      return;
+    }
+
     if (!isAuthenticated) {
       router.push(redirectTo);
       return;
@@ -44,7 +55,16 @@ export function useProtectedRoute(options = {}) {
     if (requireEmailVerified && user && !user.isEmailVerified) {
       router.push('/verify-email');
     }
-  }, [isAuthenticated, loading, user, requireEmailVerified, router, redirectTo]);
+  }, [
+    isAuthenticated,
+    loading,
+    user,
+    requireEmailVerified,
+    router,
+    redirectTo,
+    passwordChangeRequired,
+    changePasswordPath,
+  ]);
 
-  return { user, loading, isAuthenticated };
+  return { user, loading, isAuthenticated, passwordChangeRequired };
 }
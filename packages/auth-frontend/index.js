@@ -19,3 +19,4 @@ export {
   UserProfileForm,
   UserProfileDisplay,
 } from './components/UserProfile/UserProfileForm.js';
+export { SessionsList } from './components/Sessions/SessionsList.js';